@@ -0,0 +1,104 @@
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+let app;
+let farmer;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The auth endpoints allow ten credential checks per window, so every test
+// signs up its own account instead of logging in more than it has to
+const register = async (username) => (await request(app).post('/api/auth/register').send({
+  username,
+  password: 'secret123',
+  fullName: 'Test Farmer',
+  age: 30,
+  region: 'Ilocos Norte',
+  userType: 'buyer'
+}).expect(201)).body;
+
+const rejected = async (token) => {
+  const res = await client(app, token).get('/api/users/me').expect(403);
+  expect(res.body.error).toBe('Invalid or expired token');
+};
+
+describe('profile', () => {
+  test('shows my profile with my permissions', async () => {
+    const res = await farmer.get('/api/users/me').expect(200);
+    expect(res.body.user).toMatchObject({ id: ACCOUNTS.farmer.id, username: 'farmer', role: 'user' });
+    expect(res.body.user.password).toBeUndefined();
+    expect(Array.isArray(res.body.permissions)).toBe(true);
+
+    await request(app).get('/api/users/me').expect(401);
+  });
+
+  test('updates my profile and the seller details on my listings', async () => {
+    const res = await farmer.patch('/api/users/me').send({ fullName: 'Mang Juan Dela Cruz', region: 'La Union', email: ' Juan@Example.COM ' }).expect(200);
+    expect(res.body.user).toMatchObject({ fullName: 'Mang Juan Dela Cruz', region: 'La Union', email: 'juan@example.com' });
+
+    const listing = await request(app).get('/api/products/1').expect(200);
+    expect(listing.body.seller).toMatchObject({ username: 'farmer', region: 'La Union' });
+  });
+
+  test('validates changes and keeps a seller with live listings a seller', async () => {
+    const invalid = await farmer.patch('/api/users/me').send({ age: 12, email: 'not-an-email', phone: 'call me' }).expect(400);
+    expect(invalid.body.details.map(issue => issue.path)).toEqual(expect.arrayContaining(['age', 'email', 'phone']));
+
+    const res = await farmer.patch('/api/users/me').send({ userType: 'buyer' }).expect(409);
+    expect(res.body.error).toBe('Unpublish your listings before switching to a buyer account');
+    expect((await farmer.get('/api/users/me').expect(200)).body.user.userType).toBe('seller');
+
+    await request(app).patch('/api/users/me').send({ fullName: 'Someone Else' }).expect(401);
+  });
+});
+
+describe('passwords', () => {
+  test('changes my password and signs out my other devices', async () => {
+    const { token } = await register('changer');
+    const other = await login(app, { username: 'changer', password: 'secret123' });
+    const me = client(app, token);
+
+    const wrong = await me.put('/api/users/me/password').send({ currentPassword: 'guess', newPassword: 'better123' }).expect(401);
+    expect(wrong.body.error).toBe('Current password is incorrect');
+
+    await me.put('/api/users/me/password').send({ currentPassword: 'secret123', newPassword: 'better123' }).expect(200);
+    await rejected(other);
+
+    // This device stays signed in, and the new password is now the one that counts
+    await me.put('/api/users/me/password').send({ currentPassword: 'better123', newPassword: 'best1234' }).expect(200);
+    await me.put('/api/users/me/password').send({ currentPassword: 'x', newPassword: 'short' }).expect(400);
+    await request(app).put('/api/users/me/password').send({ currentPassword: 'best1234', newPassword: 'whatever' }).expect(401);
+  });
+
+  test('resets a forgotten password with a one-time code', async () => {
+    const { token } = await register('forgetful');
+    // The console notifier only logs the message; read the code from there
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const confirmation = { message: 'If the account exists, a reset code has been sent' };
+
+    await request(app).post('/api/auth/password-reset/request').send({ username: 'forgetful' }).expect(200, confirmation);
+    await request(app).post('/api/auth/password-reset/request').send({ username: 'nobody-here' }).expect(200, confirmation);
+    const sent = log.mock.calls.filter(([line]) => String(line).includes('[password-reset]'));
+    expect(sent).toHaveLength(1);
+    const { code } = JSON.parse(sent[0][1]);
+
+    const guessed = code === '000000' ? '000001' : '000000';
+    const wrong = await request(app).post('/api/auth/password-reset/confirm').send({ username: 'forgetful', code: guessed, newPassword: 'fresh123' }).expect(400);
+    expect(wrong.body.error).toBe('Invalid or expired reset code');
+
+    await request(app).post('/api/auth/password-reset/confirm').send({ username: 'forgetful', code, newPassword: 'fresh123' }).expect(200);
+    await rejected(token);
+    await login(app, { username: 'forgetful', password: 'fresh123' });
+
+    // The code works only once
+    await request(app).post('/api/auth/password-reset/confirm').send({ username: 'forgetful', code, newPassword: 'again123' }).expect(400);
+  });
+});
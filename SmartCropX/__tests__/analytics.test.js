@@ -0,0 +1,134 @@
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, daysFromNow, loadApp, login, travelTo } from './helpers.js';
+
+let app;
+let farmer;
+let buyer;
+let demo;
+
+const order = async (as, productId, quantity, seller = farmer) => {
+  const placed = (await as.post('/api/orders').send({ items: [{ productId, quantity }] }).expect(201)).body.order;
+  await seller.patch(`/api/orders/${placed.id}/status`).send({ status: 'confirmed' }).expect(200);
+  return placed;
+};
+
+// Sales for the farmer: the buyer buys carrots twice, demo buys mangoes once,
+// and an order the farmer has not confirmed yet does not count
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+
+  await order(buyer, '1', 2);
+  await order(buyer, '1', 1);
+  await order(demo, '2', 2);
+  await buyer.post('/api/orders').send({ items: [{ productId: '1', quantity: 1 }] }).expect(201);
+
+  // Three views of the carrots; the farmer looking at their own does not count
+  await request(app).get('/api/products/1').expect(200);
+  await request(app).get('/api/products/1').expect(200);
+  await buyer.get('/api/products/1').expect(200);
+  await farmer.get('/api/products/1').expect(200);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+describe('sales', () => {
+  test('add up confirmed orders and listing views over the last 30 days', async () => {
+    const res = await farmer.get('/api/analytics/sales').expect(200);
+    expect(res.body.range.interval).toBe('day');
+    expect(res.body.totals).toEqual({ revenue: 618, kgSold: 5, orders: 3, averageOrderValue: 206, views: 3, conversionPercent: 100 });
+
+    const { series } = res.body;
+    expect(series.buckets).toHaveLength(30);
+    expect(series.buckets.at(-1)).toBe(today());
+    expect([series.revenue.at(-1), series.kg.at(-1), series.orders.at(-1), series.views.at(-1)]).toEqual([618, 5, 3, 3]);
+    expect(series.revenue.slice(0, -1).every(revenue => revenue === 0)).toBe(true);
+  });
+
+  test('bucket by week or month within the chosen dates', async () => {
+    const weekly = await farmer.get('/api/analytics/sales').query({ from: today(), to: today(), interval: 'week' }).expect(200);
+    const monday = new Date(`${today()}T00:00:00Z`);
+    monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
+    expect(weekly.body.series).toMatchObject({ interval: 'week', buckets: [monday.toISOString().slice(0, 10)], revenue: [618], orders: [3] });
+
+    const newYear = `${today().slice(0, 4)}-01-01`;
+    const monthly = await farmer.get('/api/analytics/sales').query({ from: newYear, to: today(), interval: 'month' }).expect(200);
+    expect(monthly.body.series.buckets[0]).toBe(newYear);
+    expect(monthly.body.series.revenue.at(-1)).toBe(618);
+
+    // A bare `to` date runs to the end of that day
+    const yesterday = daysFromNow(-1).toISOString().slice(0, 10);
+    const before = await farmer.get('/api/analytics/sales').query({ to: yesterday }).expect(200);
+    expect(before.body.range.to).toBe(`${yesterday}T23:59:59.999Z`);
+    expect(before.body.totals).toMatchObject({ revenue: 0, orders: 0, views: 0, conversionPercent: null });
+  });
+
+  test('reject ranges they cannot chart', async () => {
+    const backwards = await farmer.get('/api/analytics/sales').query({ from: today(), to: daysFromNow(-1).toISOString() }).expect(400);
+    expect(backwards.body.error).toBe('from must be before to');
+
+    const long = await farmer.get('/api/analytics/sales').query({ from: daysFromNow(-400).toISOString() }).expect(400);
+    expect(long.body.error).toBe('Date range too long for this interval: pick a shorter range or a longer interval');
+    await farmer.get('/api/analytics/sales').query({ from: daysFromNow(-400).toISOString(), interval: 'month' }).expect(200);
+
+    const invalid = await farmer.get('/api/analytics/sales').query({ from: 'last week', interval: 'year' }).expect(400);
+    expect(invalid.body.details.map(issue => issue.path)).toEqual(expect.arrayContaining(['from', 'interval']));
+  });
+});
+
+describe('products', () => {
+  test('rank listings with their conversion and stock turnover', async () => {
+    const res = await farmer.get('/api/analytics/products').expect(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.products).toEqual([
+      expect.objectContaining({ productId: '2', revenue: 361.5, kgSold: 2, orders: 1, views: 0, conversionPercent: null, stock: 28, sellThroughPercent: 6.67, daysOfStockLeft: 420 }),
+      // The unconfirmed order still holds a kilo of stock
+      expect.objectContaining({ productId: '1', revenue: 256.5, kgSold: 3, orders: 2, views: 3, conversionPercent: 66.67, stock: 46, sellThroughPercent: 6.12, daysOfStockLeft: 460 })
+    ]);
+
+    const mostViewed = await farmer.get('/api/analytics/products?sort=views&limit=1').expect(200);
+    expect(mostViewed.body.products.map(p => p.productId)).toEqual(['1']);
+    expect(mostViewed.body.total).toBe(2);
+  });
+});
+
+describe('buyers', () => {
+  test('count repeat buyers and the share of revenue they bring', async () => {
+    const res = await farmer.get('/api/analytics/buyers').expect(200);
+    expect(res.body).toMatchObject({ buyers: 2, repeatBuyers: 1, repeatRatePercent: 50, repeatRevenuePercent: 41.5, returningBuyers: 0, newBuyers: 2 });
+    expect(res.body.top.map(({ buyerId, name, orders, revenue }) => [buyerId, name, orders, revenue])).toEqual([
+      [ACCOUNTS.demo.id, 'Demo User', 1, 361.5],
+      [ACCOUNTS.buyer.id, 'Maria Santos', 2, 256.5]
+    ]);
+  });
+
+  test('tell returning buyers from new ones', async () => {
+    travelTo(daysFromNow(2));
+    const later = { farmer: client(app, await login(app, ACCOUNTS.farmer)), buyer: client(app, await login(app, ACCOUNTS.buyer)) };
+    await order(later.buyer, '1', 1, later.farmer);
+
+    const res = await later.farmer.get('/api/analytics/buyers').query({ from: today() }).expect(200);
+    expect(res.body).toMatchObject({ buyers: 1, repeatBuyers: 0, returningBuyers: 1, newBuyers: 0 });
+  });
+});
+
+describe('access', () => {
+  test('is for sellers, about their own sales only', async () => {
+    for (const path of ['/api/analytics/sales', '/api/analytics/products', '/api/analytics/buyers']) {
+      const res = await buyer.get(path).expect(403);
+      expect(res.body.error).toBe('Only seller accounts can use this feature');
+      await request(app).get(path).expect(401);
+    }
+
+    const theirs = await demo.get('/api/analytics/sales').expect(200);
+    expect(theirs.body.totals).toMatchObject({ revenue: 0, orders: 0, views: 0 });
+    expect((await demo.get('/api/analytics/buyers').expect(200)).body.top).toEqual([]);
+  });
+});
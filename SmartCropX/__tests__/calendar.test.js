@@ -0,0 +1,115 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, daysFromNow, loadApp, login } from './helpers.js';
+
+let app;
+let farmer;
+let buyer;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+});
+
+const plant = async (as, body) => (await as.post('/api/calendar/plantings').send(body).expect(201)).body;
+
+const crops = (list) => list.map(item => item.crop);
+
+describe('calendar', () => {
+  test('follows the highland or lowland seasons of a region', async () => {
+    const highland = await farmer.get('/api/calendar/crops').expect(200);
+    expect(highland.body).toMatchObject({ region: 'Benguet', zone: 'highland' });
+    expect(crops(highland.body.crops)).not.toContain('eggplant');
+
+    const lowland = await request(app).get('/api/calendar/crops?region=Pangasinan').expect(200);
+    expect(lowland.body.zone).toBe('lowland');
+    expect(lowland.body.crops.find(crop => crop.crop === 'rice').plantingMonths).toEqual([6, 7, 11, 12]);
+  });
+
+  test('says what to plant this month and which seasons open soon', async () => {
+    const june = await request(app).get('/api/calendar?region=Pangasinan&month=6').expect(200);
+    expect(crops(june.body.plantNow)).toEqual(expect.arrayContaining(['rice', 'corn']));
+    expect(crops(june.body.plantNow)).not.toContain('tomato');
+
+    const august = await request(app).get('/api/calendar?region=Pangasinan&month=8').expect(200);
+    expect(august.body.plantSoon).toEqual(expect.arrayContaining([
+      expect.objectContaining({ crop: 'corn', opensInMonths: 2 }),
+      expect.objectContaining({ crop: 'tomato', opensInMonths: 2 })
+    ]));
+    expect(crops(august.body.plantSoon)).not.toContain('rice');
+    expect(august.body.myTasks).toEqual([]);
+
+    await request(app).get('/api/calendar?month=13').expect(400);
+  });
+
+  test('answers in the caller\'s language', async () => {
+    const res = await request(app).get('/api/calendar/crops?lang=tl').expect(200);
+    expect(res.body.crops.find(crop => crop.crop === 'rice').name).toBe('Palay');
+  });
+});
+
+describe('plantings', () => {
+  test('schedule the crop\'s field tasks and its harvest window', async () => {
+    const plantedAt = daysFromNow(-20.5);
+    const { planting } = await plant(farmer, { crop: 'kamatis', plantedAt: plantedAt.toISOString(), area: 0.5 });
+
+    expect(planting).toMatchObject({ crop: 'tomato', zone: 'highland', area: 0.5 });
+    expect(planting.reminders.map(r => [r.type, r.day])).toEqual([
+      ['task', 0], ['task', 14], ['task', 21], ['task', 42], ['task', 63], ['harvest', 70]
+    ]);
+    expect(new Date(planting.harvestWindow.from).getTime()).toBe(daysFromNow(70, plantedAt).getTime());
+    expect(new Date(planting.harvestWindow.to).getTime()).toBe(daysFromNow(90, plantedAt).getTime());
+
+    const overview = await farmer.get('/api/calendar').expect(200);
+    const mine = overview.body.myTasks.filter(task => task.plantingId === planting.id);
+    expect(mine.map(task => [task.day, task.overdue])).toEqual([[14, true], [21, false], [42, false]]);
+  });
+
+  test('send a reminder for a task due within a day, and only that one', async () => {
+    const { planting } = await plant(buyer, { crop: 'rice', plantedAt: daysFromNow(-24.5).toISOString() });
+
+    // Day 25 is due in half a day; day 0 is long past and stays quiet
+    const inbox = await buyer.get('/api/notifications?type=task.reminder').expect(200);
+    expect(inbox.body.notifications).toHaveLength(1);
+    expect(inbox.body.notifications[0]).toMatchObject({
+      body: expect.stringContaining('Top-dress urea at tillering'),
+      data: { plantingId: planting.id, type: 'task' }
+    });
+    expect(planting.reminders.find(r => r.day === 25).notifiedAt).not.toBeNull();
+    expect(planting.reminders.find(r => r.day === 50).notifiedAt).toBeNull();
+  });
+
+  test('warn about planting out of season', async () => {
+    const res = await farmer.post('/api/calendar/plantings').send({ crop: 'eggplant', plantedAt: new Date().toISOString() }).expect(201);
+    expect(res.body.warning).toBe('Eggplant is usually not planted in this month in your area');
+    expect(res.body.planting.inSeason).toBe(false);
+  });
+
+  test('tick off reminders and belong to their planter', async () => {
+    const { planting } = await plant(farmer, { crop: 'corn', plantedAt: new Date().toISOString() });
+    const [reminder] = planting.reminders;
+    const path = `/api/calendar/plantings/${planting.id}/reminders/${reminder.id}`;
+
+    const done = await farmer.patch(path).send({ done: true }).expect(200);
+    expect(done.body.reminders[0].doneAt).not.toBeNull();
+    const reopened = await farmer.patch(path).send({ done: false }).expect(200);
+    expect(reopened.body.reminders[0].doneAt).toBeNull();
+    await farmer.patch(`/api/calendar/plantings/${planting.id}/reminders/missing`).send({ done: true }).expect(404);
+
+    await buyer.patch(path).send({ done: true }).expect(404);
+    await buyer.delete(`/api/calendar/plantings/${planting.id}`).expect(404);
+    expect(crops((await buyer.get('/api/calendar/plantings').expect(200)).body.plantings)).not.toContain('corn');
+    await request(app).get('/api/calendar/plantings').expect(401);
+
+    await farmer.delete(`/api/calendar/plantings/${planting.id}`).expect(200, { message: 'Planting deleted', id: planting.id });
+    await farmer.delete(`/api/calendar/plantings/${planting.id}`).expect(404);
+  });
+
+  test('validate the crop and date', async () => {
+    const res = await farmer.post('/api/calendar/plantings').send({ crop: 'moonflower', plantedAt: 'soon' }).expect(400);
+    expect(res.body.details.map(issue => issue.msg)).toEqual(expect.arrayContaining(['Unknown crop', 'plantedAt must be a date']));
+    await farmer.post('/api/calendar/plantings').send({ crop: 'rice', plantedAt: new Date().toISOString(), plantId: 'missing' }).expect(404);
+    await request(app).post('/api/calendar/plantings').send({ crop: 'rice', plantedAt: new Date().toISOString() }).expect(401);
+  });
+});
@@ -0,0 +1,89 @@
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { ACCOUNTS, client, daysFromNow, loadApp, login, travelTo } from './helpers.js';
+
+let app;
+let buyer;
+let farmer;
+let demo;
+
+beforeAll(async () => {
+  app = await loadApp();
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  await buyer.delete('/api/cart');
+});
+
+const createListing = async (seller, body) => {
+  const res = await seller.post('/api/products').send(body);
+  expect(res.status).toBe(201);
+  return res.body;
+};
+
+describe('cart', () => {
+  test('groups items by seller and checks out one order per seller', async () => {
+    const pechay = await createListing(demo, { title: 'Demo pechay', pricePerKg: 40, stock: 20 });
+
+    await buyer.post('/api/cart/items').send({ productId: '1', quantity: 2 }).expect(201);
+    await buyer.post('/api/cart/items').send({ productId: pechay.id, quantity: 3 }).expect(201);
+
+    const cart = await buyer.get('/api/cart').expect(200);
+    expect(cart.body.sellers.map(group => group.sellerId).sort()).toEqual([ACCOUNTS.demo.id, ACCOUNTS.farmer.id]);
+    expect(cart.body.total).toBe(2 * 85.5 + 3 * 40);
+    expect(cart.body.canCheckout).toBe(true);
+
+    const res = await buyer.post('/api/cart/checkout').send({ deliveryAddress: 'Quezon City' }).expect(201);
+    expect(res.body.orders).toHaveLength(2);
+    expect(new Set(res.body.orders.map(order => order.checkoutId))).toEqual(new Set([res.body.checkoutId]));
+
+    const bySeller = Object.fromEntries(res.body.orders.map(order => [order.sellerId, order]));
+    expect(bySeller[ACCOUNTS.farmer.id].items).toEqual([expect.objectContaining({ productId: '1', quantity: 2 })]);
+    expect(bySeller[ACCOUNTS.demo.id].items).toEqual([expect.objectContaining({ productId: pechay.id, quantity: 3 })]);
+    expect(res.body.total).toBe(bySeller[ACCOUNTS.farmer.id].total + bySeller[ACCOUNTS.demo.id].total);
+
+    const after = await buyer.get('/api/cart').expect(200);
+    expect(after.body.itemCount).toBe(0);
+    expect((await buyer.get(`/api/products/${pechay.id}`)).body.stock).toBe(17);
+  });
+
+  test('warns about price changes and only checks out once they are accepted', async () => {
+    await buyer.post('/api/cart/items').send({ productId: '2', quantity: 1 }).expect(201);
+    await farmer.patch('/api/products/2').send({ pricePerKg: 200 }).expect(200);
+
+    const cart = await buyer.get('/api/cart').expect(200);
+    expect(cart.body.warnings).toEqual([
+      expect.objectContaining({ productId: '2', code: 'price_changed', from: 180.75, to: 200 })
+    ]);
+    expect(cart.body.sellers[0].items[0]).toMatchObject({ pricePerKg: 200, addedPricePerKg: 180.75 });
+
+    const refused = await buyer.post('/api/cart/checkout').send({}).expect(409);
+    expect(refused.body.error).toBe('Prices changed since you added these items');
+    expect(refused.body.cart.warnings[0].code).toBe('price_changed');
+
+    const res = await buyer.post('/api/cart/checkout').send({ acceptPriceChanges: true }).expect(201);
+    expect(res.body.orders[0].items[0].pricePerKg).toBe(200);
+  });
+
+  test('sees batches that expired since the last inventory sweep', async () => {
+    const lettuce = await createListing(farmer, {
+      title: 'Baguio lettuce',
+      pricePerKg: 90,
+      stock: 5,
+      bestBefore: daysFromNow(1).toISOString()
+    });
+    await buyer.post('/api/cart/items').send({ productId: lettuce.id, quantity: 2 }).expect(201);
+
+    travelTo(daysFromNow(2));
+    const lateBuyer = client(app, await login(app, ACCOUNTS.buyer));
+
+    const cart = await lateBuyer.get('/api/cart').expect(200);
+    expect(cart.body.warnings).toEqual([expect.objectContaining({ productId: lettuce.id, code: 'out_of_stock' })]);
+    expect(cart.body.canCheckout).toBe(false);
+
+    await lateBuyer.post('/api/cart/checkout').send({}).expect(409);
+  });
+});
@@ -0,0 +1,208 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, daysFromNow, loadApp, login, travelTo, withEnv } from './helpers.js';
+
+// The providers call out through node-fetch; answer for them here
+const fetchMock = jest.fn();
+jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+const { createDiagnosisPipeline } = await import('../diagnosis.js');
+
+const IMAGE = Buffer.from('a photo of a rice leaf').toString('base64');
+
+const respond = (status, body = {}) => Promise.resolve({ ok: status < 400, status, json: async () => body });
+
+const PLANT_ID_ANSWER = {
+  suggestions: [{ plant_name: 'Oryza sativa', probability: 0.913, plant_details: { common_names: ['Rice'] }, diseases: [] }]
+};
+
+const CROP_HEALTH_ANSWER = {
+  analysis: { diseases: [{ name: 'Rice blast', probability: 0.7 }], health_score: 0.6, recommendations: ['Drain the field'] }
+};
+
+// Never answers; rejects once the pipeline gives up on it
+const hang = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' })));
+});
+
+const callsTo = (host) => fetchMock.mock.calls.filter(([url]) => url.includes(host)).length;
+
+// Pipelines read their settings when they are created
+const pipelineWith = (env) => {
+  const restoreEnv = withEnv(env);
+  try {
+    return createDiagnosisPipeline();
+  } finally {
+    restoreEnv();
+  }
+};
+
+let restoreKeys;
+
+beforeAll(() => {
+  restoreKeys = withEnv({ PLANT_ID_API_KEY: 'plant-id-key', CROP_HEALTH_API_KEY: '' });
+});
+
+afterAll(() => {
+  restoreKeys();
+});
+
+beforeEach(() => {
+  fetchMock.mockReset();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('pipeline', () => {
+  test('falls back to the next provider when the first one fails', async () => {
+    fetchMock.mockImplementation(() => respond(500));
+    const pipeline = pipelineWith({ DIAGNOSIS_PROVIDERS: 'plantid,stub', DIAGNOSIS_PLANTID_RETRIES: '0' });
+
+    const diagnosis = await pipeline.diagnose(IMAGE);
+    expect(diagnosis).toMatchObject({ answeredBy: 'stub', fallbackUsed: true });
+    expect(diagnosis.providers).toEqual([
+      expect.objectContaining({ provider: 'plant.id', status: 'failed', error: 'Plant.id responded with 500' }),
+      expect.objectContaining({ provider: 'stub', status: 'answered', attempts: 1 })
+    ]);
+  });
+
+  test('gives the same offline answer for the same image', async () => {
+    const pipeline = pipelineWith({ DIAGNOSIS_PROVIDERS: 'stub' });
+    const first = await pipeline.diagnose(IMAGE);
+    expect(first).toMatchObject({ answeredBy: 'stub', fallbackUsed: false });
+    expect((await pipeline.diagnose(IMAGE)).findings).toEqual(first.findings);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  test('retries a provider that failed, but not one that refused the request', async () => {
+    const pipeline = pipelineWith({ DIAGNOSIS_PROVIDERS: 'plantid', DIAGNOSIS_PLANTID_RETRIES: '1' });
+
+    fetchMock.mockImplementationOnce(() => respond(503)).mockImplementationOnce(() => respond(200, PLANT_ID_ANSWER));
+    const recovered = await pipeline.diagnose(IMAGE);
+    expect(recovered.findings).toMatchObject({ plantName: 'Oryza sativa', confidence: '91.3%', commonNames: ['Rice'] });
+    expect(recovered.providers).toEqual([expect.objectContaining({ status: 'answered', attempts: 2 })]);
+
+    fetchMock.mockReset();
+    fetchMock.mockImplementation(() => respond(401));
+    const refused = await pipeline.diagnose(IMAGE);
+    expect(refused.providers).toEqual([expect.objectContaining({ status: 'failed', error: 'Plant.id responded with 401' })]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up on an attempt that takes too long', async () => {
+    fetchMock.mockImplementation(hang);
+    const pipeline = pipelineWith({ DIAGNOSIS_PROVIDERS: 'plantid,stub', DIAGNOSIS_PLANTID_TIMEOUT_MS: '50', DIAGNOSIS_PLANTID_RETRIES: '0' });
+
+    const diagnosis = await pipeline.diagnose(IMAGE);
+    expect(diagnosis.providers[0]).toMatchObject({ provider: 'plant.id', status: 'timeout', error: 'Timed out after 50ms' });
+    expect(diagnosis.answeredBy).toBe('stub');
+  });
+
+  test('stops calling a provider that keeps failing until the cooldown is over', async () => {
+    fetchMock.mockImplementation(() => respond(502));
+    const pipeline = pipelineWith({
+      DIAGNOSIS_PROVIDERS: 'plantid,stub',
+      DIAGNOSIS_PLANTID_RETRIES: '0',
+      DIAGNOSIS_BREAKER_THRESHOLD: '2',
+      DIAGNOSIS_BREAKER_COOLDOWN_MS: '60000'
+    });
+
+    await pipeline.diagnose(IMAGE);
+    await pipeline.diagnose(IMAGE);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    const skipped = await pipeline.diagnose(IMAGE);
+    expect(skipped.providers[0]).toMatchObject({ provider: 'plant.id', status: 'circuit-open' });
+    expect(skipped.providers[0].retryAfterMs).toBeGreaterThan(0);
+    expect(skipped.answeredBy).toBe('stub');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    travelTo(daysFromNow(0.001));
+    fetchMock.mockImplementation(() => respond(200, PLANT_ID_ANSWER));
+    const reopened = await pipeline.diagnose(IMAGE);
+    expect(reopened).toMatchObject({ answeredBy: 'plant.id', fallbackUsed: false });
+  });
+
+  test('adds health findings once the plant is identified', async () => {
+    fetchMock.mockImplementation((url) => respond(200, url.includes('crop.health') ? CROP_HEALTH_ANSWER : PLANT_ID_ANSWER));
+    const restoreEnv = withEnv({ CROP_HEALTH_API_KEY: 'crop-health-key' });
+    try {
+      const pipeline = pipelineWith({ DIAGNOSIS_PROVIDERS: 'plantid,crophealth,stub' });
+      const diagnosis = await pipeline.diagnose(IMAGE);
+
+      expect(diagnosis.healthResults).toEqual([
+        expect.objectContaining({ provider: 'crop.health', diseases: CROP_HEALTH_ANSWER.analysis.diseases, healthScore: 0.6 })
+      ]);
+      expect(diagnosis.providers.map(({ provider, status }) => [provider, status]))
+        .toEqual([['plant.id', 'answered'], ['stub', 'skipped'], ['crop.health', 'answered']]);
+    } finally {
+      restoreEnv();
+    }
+  });
+
+  test('skips providers without a key and reports when nobody could answer', async () => {
+    fetchMock.mockImplementation(() => respond(500));
+    const pipeline = pipelineWith({ DIAGNOSIS_PROVIDERS: 'crophealth,plantid', DIAGNOSIS_PLANTID_RETRIES: '0' });
+
+    const diagnosis = await pipeline.diagnose(IMAGE);
+    expect(diagnosis).toMatchObject({ findings: null, answeredBy: null, fallbackUsed: false, healthResults: [] });
+    expect(diagnosis.providers.map(({ provider, status }) => [provider, status])).toEqual([['plant.id', 'failed']]);
+    expect(callsTo('crop.health')).toBe(0);
+  });
+
+  test('refuses a provider it does not know', () => {
+    expect(() => pipelineWith({ DIAGNOSIS_PROVIDERS: 'plantid,magic' })).toThrow('Unknown diagnosis provider: magic');
+  });
+});
+
+describe('detect-disease', () => {
+  let app;
+  let buyer;
+  let farmer;
+
+  beforeAll(async () => {
+    const restoreEnv = withEnv({ DIAGNOSIS_PLANTID_RETRIES: '0' });
+    app = await loadApp();
+    restoreEnv();
+    buyer = client(app, await login(app, ACCOUNTS.buyer));
+    farmer = client(app, await login(app, ACCOUNTS.farmer));
+  });
+
+  test('diagnoses with plant.id and keeps the scan of a signed-in user', async () => {
+    fetchMock.mockImplementation(() => respond(200, PLANT_ID_ANSWER));
+
+    const res = await buyer.post('/api/ai/detect-disease').send({ imageBase64: IMAGE }).expect(200);
+    expect(res.body).toMatchObject({ success: true, api: 'plant.id', plantName: 'Oryza sativa', fallbackUsed: false });
+    expect(res.body.scanId).toBeDefined();
+    await buyer.get(`/api/ai/scans/${res.body.scanId}`).expect(200);
+
+    const anonymous = await request(app).post('/api/ai/detect-disease').send({ imageBase64: IMAGE }).expect(200);
+    expect(anonymous.body.scanId).toBeUndefined();
+  });
+
+  test('answers from the offline stub while plant.id is down', async () => {
+    fetchMock.mockImplementation(() => Promise.reject(new Error('getaddrinfo ENOTFOUND api.plant.id')));
+
+    const res = await request(app).post('/api/ai/detect-disease').send({ imageBase64: IMAGE }).expect(200);
+    expect(res.body).toMatchObject({ api: 'stub', fallbackUsed: true });
+    expect(res.body.providers.map(({ provider, status }) => [provider, status]))
+      .toEqual([['plant.id', 'failed'], ['stub', 'answered'], ['crop.health', 'not-configured']]);
+  });
+
+  test('attaches a scan only to the caller\'s own plant', async () => {
+    fetchMock.mockImplementation(() => respond(200, PLANT_ID_ANSWER));
+    const plant = (await farmer.post('/api/ai/plants').send({ name: 'Paddy 3' }).expect(201)).body;
+
+    const res = await buyer.post('/api/ai/detect-disease').send({ imageBase64: IMAGE, plantId: plant.id }).expect(404);
+    expect(res.body.error).toBe('Plant not found');
+    await request(app).post('/api/ai/detect-disease').send({ imageBase64: IMAGE, plantId: plant.id }).expect(404);
+
+    await farmer.post('/api/ai/detect-disease').send({ imageBase64: IMAGE, plantId: plant.id }).expect(200);
+  });
+
+  test('needs an image', async () => {
+    const res = await request(app).post('/api/ai/detect-disease').send({}).expect(400);
+    expect(res.body.details.map(issue => issue.msg)).toContain('Image is required');
+  });
+});
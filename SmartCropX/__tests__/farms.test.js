@@ -0,0 +1,160 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+let app;
+let farmer;
+let buyer;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+});
+
+const createFarm = async (name = 'Hillside farm') => (await farmer.post('/api/farms').send({ name, areaHa: 2 }).expect(201)).body;
+
+const addPlot = async (farm, body = {}) =>
+  (await farmer.post(`/api/farms/${farm.id}/plots`).send({ name: 'Upper terrace', areaHa: 0.5, ...body }).expect(201)).body;
+
+const startCycle = async (farm, plot, crop = 'kamatis') =>
+  (await farmer.post('/api/crop-cycles').send({ farmId: farm.id, plotId: plot.id, crop, plantedAt: '2026-06-01' }).expect(201)).body;
+
+const log = (cycle, type, body) => farmer.post(`/api/crop-cycles/${cycle.id}/${type}`).send(body);
+
+const logAll = async (cycle, entries) => {
+  let summary;
+  for (const [type, body] of entries) {
+    ({ summary } = (await log(cycle, type, body).expect(201)).body);
+  }
+  return summary;
+};
+
+describe('farms and plots', () => {
+  test('are registered by sellers and placed in their region by default', async () => {
+    const farm = await createFarm();
+    expect(farm).toMatchObject({ region: 'Benguet', location: { lat: 16.4023, lng: 120.596 }, areaHa: 2, plots: [] });
+
+    const plot = await addPlot(farm, { soilType: 'clay loam' });
+    expect(plot).toMatchObject({ name: 'Upper terrace', areaHa: 0.5, soilType: 'clay loam', location: null });
+    const renamed = await farmer.patch(`/api/farms/${farm.id}/plots/${plot.id}`).send({ name: 'Terrace 1', soilNotes: 'Acidic, limed in May' }).expect(200);
+    expect(renamed.body).toMatchObject({ name: 'Terrace 1', soilNotes: 'Acidic, limed in May', areaHa: 0.5 });
+
+    const listed = await farmer.get('/api/farms').expect(200);
+    expect(listed.body.farms.find(f => f.id === farm.id)).toMatchObject({ activeCycles: 0, plots: [expect.objectContaining({ id: plot.id })] });
+
+    const res = await buyer.post('/api/farms').send({ name: 'Balcony garden' }).expect(403);
+    expect(res.body.error).toBe('Only seller accounts can use this feature');
+    await request(app).get('/api/farms').expect(401);
+  });
+
+  test('stay private to their owner', async () => {
+    const farm = await createFarm('Private farm');
+    const plot = await addPlot(farm);
+
+    await buyer.get(`/api/farms/${farm.id}`).expect(404);
+    await buyer.patch(`/api/farms/${farm.id}`).send({ name: 'Mine now' }).expect(404);
+    await buyer.post(`/api/farms/${farm.id}/plots`).send({ name: 'Sneaky', areaHa: 1 }).expect(404);
+    await buyer.delete(`/api/farms/${farm.id}`).expect(404);
+    expect((await buyer.get('/api/farms').expect(200)).body.farms).toEqual([]);
+
+    const res = await farmer.post('/api/crop-cycles').send({ farmId: farm.id, plotId: 'missing', crop: 'corn', plantedAt: '2026-06-01' }).expect(404);
+    expect(res.body.error).toBe('Plot not found');
+    await startCycle(farm, plot, 'corn');
+  });
+
+  test('keep their crop cycles, so are deleted after them', async () => {
+    const farm = await createFarm('Short-lived farm');
+    const plot = await addPlot(farm);
+    const cycle = await startCycle(farm, plot);
+
+    expect((await farmer.delete(`/api/farms/${farm.id}`).expect(409)).body.error).toBe('Delete this farm\'s crop cycles first');
+    await farmer.delete(`/api/farms/${farm.id}/plots/${plot.id}`).expect(409);
+
+    await farmer.delete(`/api/crop-cycles/${cycle.id}`).expect(200);
+    await farmer.delete(`/api/farms/${farm.id}/plots/${plot.id}`).expect(200);
+    await farmer.delete(`/api/farms/${farm.id}`).expect(200, { message: 'Farm deleted', id: farm.id });
+  });
+});
+
+describe('crop cycles', () => {
+  test('add up cost, yield per hectare and margin', async () => {
+    const farm = await createFarm();
+    const plot = await addPlot(farm);
+    const cycle = await startCycle(farm, plot);
+    expect(cycle).toMatchObject({ crop: 'tomato', areaHa: 0.5, status: 'active', plotName: 'Upper terrace' });
+
+    const duplicate = await farmer.post('/api/crop-cycles').send({ farmId: farm.id, plotId: plot.id, crop: 'tomato', plantedAt: '2026-06-02' }).expect(409);
+    expect(duplicate.body.error).toBe('This crop already has an active cycle on this plot');
+
+    const summary = await logAll(cycle, [
+      ['inputs', { category: 'seed', name: 'Diamante Max', cost: 500 }],
+      ['inputs', { category: 'fertilizer', name: 'Urea', quantity: 2, unit: 'bag', cost: 1200 }],
+      ['inputs', { category: 'labor', name: 'Transplanting crew', cost: 800 }],
+      ['activities', { activity: 'weeding', laborHours: 6 }],
+      ['harvests', { quantityKg: 400, grade: 'A' }],
+      ['harvests', { quantityKg: 200 }],
+      ['sales', { quantityKg: 100, amount: 3000, buyer: 'La Trinidad trading post' }]
+    ]);
+    expect(summary).toMatchObject({
+      totalCost: 2500,
+      costByCategory: { seed: 500, fertilizer: 1200, labor: 800 },
+      laborHours: 6,
+      harvestedKg: 600,
+      harvestCount: 2,
+      yieldPerHectareKg: 1200,
+      costPerKg: 4.17,
+      revenue: { total: 3000, offline: 3000, marketplace: 0 },
+      margin: 500,
+      marginPercent: 16.67,
+      unsoldKg: 500
+    });
+
+    const oversold = await log(cycle, 'sales', { quantityKg: 501, amount: 10 }).expect(409);
+    expect(oversold.body.error).toBe('Only 500 kg of this harvest is unsold');
+    const invalid = await log(cycle, 'inputs', { category: 'magic', name: 'Beans' }).expect(400);
+    expect(invalid.body.details.map(issue => issue.path)).toEqual(expect.arrayContaining(['category', 'cost']));
+
+    const closed = await farmer.patch(`/api/crop-cycles/${cycle.id}`).send({ status: 'completed' }).expect(200);
+    expect(closed.body.endedAt).not.toBeNull();
+    expect((await farmer.get('/api/crop-cycles?status=completed').expect(200)).body.cycles.map(c => c.id)).toEqual([cycle.id]);
+  });
+
+  test('publish unsold harvest to the marketplace and count what it sells for', async () => {
+    const farm = await createFarm();
+    const plot = await addPlot(farm, { location: { lat: 16.45, lng: 120.59 } });
+    const cycle = await startCycle(farm, plot, 'cabbage');
+
+    expect((await farmer.post(`/api/crop-cycles/${cycle.id}/publish`).send({ pricePerKg: 40 }).expect(409)).body.error).toBe('Log a harvest before publishing it');
+    const { record } = (await log(cycle, 'harvests', { quantityKg: 300 }).expect(201)).body;
+
+    const published = await farmer.post(`/api/crop-cycles/${cycle.id}/publish`).send({ pricePerKg: 40, quantityKg: 200 }).expect(201);
+    const { product } = published.body;
+    expect(product).toMatchObject({ title: 'Cabbage', commodity: 'cabbage', stock: 200, location: { lat: 16.45, lng: 120.59 }, sellerId: ACCOUNTS.farmer.id });
+    expect(published.body.summary).toMatchObject({ publishedKg: 200, unsoldKg: 100 });
+
+    await farmer.post(`/api/crop-cycles/${cycle.id}/publish`).send({ pricePerKg: 40, quantityKg: 150 }).expect(409);
+    const kept = await farmer.delete(`/api/crop-cycles/${cycle.id}/records/${record.id}`).expect(409);
+    expect(kept.body.error).toBe('Part of this harvest has already been sold or listed');
+
+    const order = (await buyer.post('/api/orders').send({ items: [{ productId: product.id, quantity: 10 }] }).expect(201)).body.order;
+    for (const status of ['confirmed', 'packed', 'shipped', 'delivered']) {
+      await farmer.patch(`/api/orders/${order.id}/status`).send({ status }).expect(200);
+    }
+    const res = await farmer.get(`/api/crop-cycles/${cycle.id}`).expect(200);
+    expect(res.body.summary.revenue).toEqual({ total: 400, offline: 0, marketplace: 400 });
+  });
+
+  test('belong to their grower', async () => {
+    const farm = await createFarm();
+    const cycle = await startCycle(farm, await addPlot(farm), 'onion');
+
+    await buyer.get(`/api/crop-cycles/${cycle.id}`).expect(404);
+    await buyer.patch(`/api/crop-cycles/${cycle.id}`).send({ notes: 'Mine' }).expect(404);
+    await buyer.post(`/api/crop-cycles/${cycle.id}/harvests`).send({ quantityKg: 5 }).expect(404);
+    await buyer.post(`/api/crop-cycles/${cycle.id}/publish`).send({ pricePerKg: 1 }).expect(404);
+    await buyer.post('/api/crop-cycles').send({ farmId: farm.id, plotId: cycle.plotId, crop: 'onion', plantedAt: '2026-06-01' }).expect(403);
+    expect((await buyer.get('/api/crop-cycles').expect(200)).body.cycles).toEqual([]);
+    await request(app).get(`/api/crop-cycles/${cycle.id}`).expect(401);
+  });
+});
@@ -0,0 +1,71 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+const DAVAO = { lat: 7.1907, lng: 125.4553 };
+const CEBU = { lat: 10.3157, lng: 123.8854 };
+
+let app;
+let farmer;
+let nearby;
+let across;
+let far;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+
+  const createListing = async (body) => (await farmer.post('/api/products').send({ pricePerKg: 60, stock: 10, ...body }).expect(201)).body;
+  nearby = await createListing({ title: 'Calinan durian', location: { lat: 7.19, lng: 125.46 } });
+  across = await createListing({ title: 'Samal bananas', location: { lat: 7.1, lng: 125.7 } });
+  far = await createListing({ title: 'Cebu mangoes', location: CEBU });
+});
+
+const search = (query) => request(app).get('/api/products').query({ limit: 100, ...query });
+
+describe('near me', () => {
+  test('keeps to the radius and sorts nearest first', async () => {
+    const res = await search({ ...DAVAO, radiusKm: 50 }).expect(200);
+
+    expect(res.body.sort).toBe('distance');
+    expect(res.body.products.map(p => p.id)).toEqual([nearby.id, across.id]);
+    expect(res.body.products[0].distanceKm).toBeLessThan(1);
+    expect(res.body.products[1].distanceKm).toBeGreaterThan(25);
+    expect(res.body.products[1].distanceKm).toBeLessThanOrEqual(50);
+  });
+
+  test('reaches further with a bigger radius', async () => {
+    const res = await search({ ...DAVAO, radiusKm: 500 }).expect(200);
+    const ids = res.body.products.map(p => p.id);
+    expect(ids).toEqual(expect.arrayContaining([nearby.id, across.id, far.id]));
+    expect(ids.indexOf(far.id)).toBeGreaterThan(ids.indexOf(across.id));
+  });
+
+  test('places a listing without coordinates at its seller\'s region', async () => {
+    const local = (await farmer.post('/api/products').send({ title: 'La Trinidad lettuce', pricePerKg: 80, stock: 5 }).expect(201)).body;
+    expect(local.location).toEqual({ lat: 16.4023, lng: 120.5960 });
+
+    const res = await search({ lat: 16.41, lng: 120.6, radiusKm: 5 }).expect(200);
+    expect(res.body.products.map(p => p.id)).toContain(local.id);
+    expect(res.body.products.map(p => p.id)).not.toContain(nearby.id);
+  });
+
+  test('sorts by distance only from a point', async () => {
+    const sort = await search({ sort: 'distance' }).expect(400);
+    expect(sort.body.details.map(issue => issue.msg)).toContain('lat and lng are required to sort by distance');
+
+    const lone = await search({ lat: DAVAO.lat }).expect(400);
+    expect(lone.body.details.map(issue => issue.msg)).toContain('lng is required with lat');
+
+    await search({ lat: 91, lng: 0 }).expect(400);
+    await search({ ...DAVAO, radiusKm: 0 }).expect(400);
+  });
+
+  test('can rank by something else inside the radius', async () => {
+    await farmer.patch(`/api/products/${across.id}`).send({ pricePerKg: 40 }).expect(200);
+
+    const res = await search({ ...DAVAO, radiusKm: 50, sort: 'price_asc' }).expect(200);
+    expect(res.body.products.map(p => p.id)).toEqual([across.id, nearby.id]);
+    expect(res.body.products.every(p => p.distanceKm !== undefined)).toBe(true);
+  });
+});
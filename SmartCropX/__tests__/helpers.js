@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import request from 'supertest';
+
+// Demo accounts from seed.js
+export const ACCOUNTS = {
+  demo: { username: 'demo', password: 'demo123', id: '1' },
+  farmer: { username: 'farmer', password: 'farm123', id: '2' },
+  buyer: { username: 'buyer', password: 'buy123', id: '3' }
+};
+
+// Each test file gets its own module registry, so importing the server here
+// gives that file a fresh in-memory store seeded with the demo data
+export const loadApp = async () => (await import('../server.js')).default;
+
+// Sets environment variables, e.g. for the server to read while it loads;
+// returns a function that puts the previous values back
+export const withEnv = (values) => {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  return () => Object.entries(previous).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+};
+
+// For flows where the server calls itself, like the mock payment gateway
+// posting webhooks: listens on a free port and points PUBLIC_BASE_URL there
+// before the app loads. Stop it with stopServer().
+export const loadListeningApp = async () => {
+  let app;
+  const server = http.createServer((req, res) => app(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const restoreEnv = withEnv({ PUBLIC_BASE_URL: `http://127.0.0.1:${server.address().port}` });
+  app = await loadApp();
+  restoreEnv();
+  return { app, server };
+};
+
+// The app's own HTTP server, which is the one carrying the WebSocket
+// endpoint: listens on a free port and returns its address as well.
+// Stop it with stopServer().
+export const loadServer = async () => {
+  const { default: app, server } = await import('../server.js');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { app, server, address: `127.0.0.1:${server.address().port}` };
+};
+
+export const stopServer = (server) => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+});
+
+export const login = async (app, account) => {
+  const res = await request(app).post('/api/auth/login').send({ username: account.username, password: account.password });
+  if (res.status !== 200) throw new Error(`Login as ${account.username} failed: ${res.status}`);
+  return res.body.token;
+};
+
+// supertest with the bearer token already set
+export const client = (app, token) => Object.fromEntries(
+  ['get', 'post', 'put', 'patch', 'delete'].map(method => [method, (path) => {
+    const req = request(app)[method](path);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  }])
+);
+
+export const daysFromNow = (days, from = new Date()) => new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Moves the clock for Date only; timers keep running so supertest and the
+// server behave normally. Undo with jest.useRealTimers().
+export const travelTo = (date) => {
+  jest.useFakeTimers({
+    now: date,
+    doNotFake: [
+      'hrtime', 'nextTick', 'performance', 'queueMicrotask',
+      'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+    ]
+  });
+};
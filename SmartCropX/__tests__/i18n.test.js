@@ -0,0 +1,87 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { getContent, normalizeLocale, parseAcceptLanguage, SUPPORTED_LOCALES, translate } from '../i18n.js';
+import en from '../locales/en.js';
+import tl from '../locales/tl.js';
+import ceb from '../locales/ceb.js';
+import ilo from '../locales/ilo.js';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+describe('catalogs', () => {
+  test('map the language tags people send to a catalog', () => {
+    expect(normalizeLocale('fil-PH')).toBe('tl');
+    expect(normalizeLocale('Bisaya')).toBe('ceb');
+    expect(normalizeLocale('ilo_PH')).toBe('ilo');
+    expect(normalizeLocale('en-US')).toBe('en');
+    expect(normalizeLocale('ja')).toBeNull();
+
+    expect(parseAcceptLanguage('ja, ceb;q=0.8, tl;q=0.9')).toBe('tl');
+    expect(parseAcceptLanguage('tl;q=0, ilo;q=0.5')).toBe('ilo');
+    expect(parseAcceptLanguage('ja, zh')).toBeNull();
+  });
+
+  test('fall back to English for anything without a translation', () => {
+    expect(translate('tl', 'Product not found')).toBe('Hindi nahanap ang produkto');
+    expect(translate('tl', 'Something new in English')).toBe('Something new in English');
+    expect(translate('ceb', 'Only {available} kg left in stock', { available: 3 })).toBe('3 kg na lang ang nahibilin');
+
+    // Cebuano has no disease treatments of its own yet
+    expect(getContent('ceb', 'treatments.rust')).toBe(getContent('en', 'treatments.rust'));
+    expect(getContent('ceb', 'health.healthy.status')).toBe('Himsog');
+  });
+
+  test('translate the same server messages in every language', () => {
+    const keys = (catalog) => Object.keys(catalog.messages).sort();
+    expect(keys(ceb)).toEqual(keys(tl));
+    expect(keys(ilo)).toEqual(keys(tl));
+    expect(en.messages).toEqual({});
+    expect(SUPPORTED_LOCALES).toEqual(['en', 'tl', 'ceb', 'ilo']);
+  });
+});
+
+describe('negotiation', () => {
+  let app;
+  let farmer;
+
+  beforeAll(async () => {
+    app = await loadApp();
+    farmer = client(app, await login(app, ACCOUNTS.farmer));
+  });
+
+  test('answers in the language of Accept-Language, English otherwise', async () => {
+    const tagalog = await request(app).get('/api/products/missing').set('Accept-Language', 'fil-PH,en;q=0.5').expect(404);
+    expect(tagalog.headers['content-language']).toBe('tl');
+    expect(tagalog.body).toEqual({ error: 'Hindi nahanap ang produkto', code: 'not_found' });
+
+    const unknown = await request(app).get('/api/products/missing').set('Accept-Language', 'ja').expect(404);
+    expect(unknown.headers['content-language']).toBe('en');
+    expect(unknown.body.error).toBe('Product not found');
+  });
+
+  test('translates validation details but keeps their codes', async () => {
+    const res = await request(app).post('/api/ai/detect-disease?lang=ilo').send({}).expect(400);
+    expect(res.body).toMatchObject({ error: 'Saan a nakapasar iti panangsukimat', code: 'validation_failed' });
+    expect(res.body.details.map(issue => issue.msg)).toContain('Masapul ti ladawan');
+  });
+
+  test('prefers ?lang, then the saved preference, then the header', async () => {
+    const saved = await farmer.put('/api/users/me/locale').send({ locale: 'Cebuano' }).expect(200);
+    expect(saved.body).toMatchObject({ locale: 'ceb', message: 'Malampuson nga na-update ang mga gusto' });
+    expect(saved.headers['content-language']).toBe('ceb');
+
+    const preferred = await farmer.get('/api/orders/missing').set('Accept-Language', 'tl').expect(404);
+    expect(preferred.body.error).toBe('Wala makit-an ang order');
+
+    const query = await farmer.get('/api/orders/missing?lang=en').set('Accept-Language', 'tl').expect(404);
+    expect(query.body.error).toBe('Order not found');
+
+    await farmer.put('/api/users/me/locale').send({ locale: 'klingon' }).expect(400);
+    await request(app).put('/api/users/me/locale').send({ locale: 'tl' }).expect(401);
+  });
+
+  test('answers advice in the requested language', async () => {
+    const advice = await request(app).post('/api/ai/farming-advice?lang=tl').send({ question: 'palay' }).expect(200);
+    expect(advice.body.locale).toBe('tl');
+    expect(advice.body.sources[0].id).toBe('rice-farming-guide');
+  });
+});
@@ -0,0 +1,135 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import request from 'supertest';
+import { sniffImageType } from '../images.js';
+import { ACCOUNTS, client, loadApp, login, withEnv } from './helpers.js';
+
+let app;
+let uploadDir;
+let farmer;
+let demo;
+let png;
+
+beforeAll(async () => {
+  uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'smartcropx-uploads-'));
+  const restoreEnv = withEnv({ UPLOAD_DIR: uploadDir });
+  app = await loadApp();
+  restoreEnv();
+
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+  png = await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#3a7d44' } }).png().toBuffer();
+});
+
+afterAll(async () => {
+  await fs.rm(uploadDir, { recursive: true, force: true });
+});
+
+const createListing = async () =>
+  (await farmer.post('/api/products').send({ title: 'Photographed eggplant', pricePerKg: 70, stock: 10 }).expect(201)).body;
+
+const upload = (as, product, files) => {
+  const req = as.post(`/api/products/${product.id}/images`);
+  files.forEach(({ buffer, filename = 'photo.png', contentType = 'image/png' }) => req.attach('images', buffer, { filename, contentType }));
+  return req;
+};
+
+const fileFor = (url) => path.join(uploadDir, url.replace(/^\/uploads\//, ''));
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+describe('content sniffing', () => {
+  test('tells images apart by their bytes', async () => {
+    expect(sniffImageType(png)).toBe('image/png');
+    expect(sniffImageType(await sharp(png).jpeg().toBuffer())).toBe('image/jpeg');
+    expect(sniffImageType(await sharp(png).webp().toBuffer())).toBe('image/webp');
+    expect(sniffImageType(Buffer.from('GIF89a, not allowed here'))).toBeNull();
+    expect(sniffImageType(Buffer.from([0xff, 0xd8]))).toBeNull();
+  });
+});
+
+describe('uploading', () => {
+  test('stores every size of a photo as WebP', async () => {
+    const listing = await createListing();
+
+    const res = await upload(farmer, listing, [{ buffer: png }]).expect(201);
+    const [image] = res.body.images;
+    expect(image).toMatchObject({ width: 2000, height: 1000 });
+    expect(Object.keys(image.variants)).toEqual(['original', 'medium', 'thumbnail']);
+    expect(res.body.product.images.map(i => i.id)).toEqual([image.id]);
+
+    const original = await sharp(await fs.readFile(fileFor(image.variants.original))).metadata();
+    expect(original).toMatchObject({ format: 'webp', width: 1600, height: 800 });
+    const thumbnail = await sharp(await fs.readFile(fileFor(image.variants.thumbnail))).metadata();
+    expect(thumbnail).toMatchObject({ width: 240, height: 240 });
+
+    await request(app).get(image.variants.medium).expect(200).expect('Content-Type', 'image/webp');
+  });
+
+  test('rejects files that are not really images', async () => {
+    const listing = await createListing();
+
+    const disguised = await upload(farmer, listing, [{ buffer: Buffer.from('<?php echo "hi"; ?> padding padding') }]).expect(415);
+    expect(disguised.body.error).toBe('File is not a JPEG, PNG or WebP image');
+
+    const declared = await upload(farmer, listing, [{ buffer: png, filename: 'photo.gif', contentType: 'image/gif' }]).expect(415);
+    expect(declared.body.error).toBe('Only JPEG, PNG and WebP images are allowed');
+
+    const truncated = await upload(farmer, listing, [{ buffer: png.subarray(0, 64) }]).expect(400);
+    expect(truncated.body.error).toBe('Image file is corrupted or unreadable');
+
+    const empty = await farmer.post(`/api/products/${listing.id}/images`).expect(400);
+    expect(empty.body.error).toBe('Upload at least one image in the "images" field');
+  });
+
+  test('cleans up the photos of a batch that failed part way', async () => {
+    const listing = await createListing();
+
+    await upload(farmer, listing, [{ buffer: png }, { buffer: png.subarray(0, 64) }]).expect(400);
+
+    await expect(fs.readdir(path.join(uploadDir, 'products', listing.id))).resolves.toEqual([]);
+    expect((await farmer.get('/api/products/mine').expect(200)).body.products.find(p => p.id === listing.id).images).toEqual([]);
+  });
+
+  test('caps the photos of a listing', async () => {
+    const listing = await createListing();
+    const small = { buffer: await sharp(png).resize(40, 20).png().toBuffer() };
+
+    await upload(farmer, listing, Array(8).fill(small)).expect(201);
+    const res = await upload(farmer, listing, [small]).expect(400);
+    expect(res.body.error).toBe('A listing can have at most 8 images');
+  });
+
+  test('accepts photos only from the listing\'s seller', async () => {
+    const listing = await createListing();
+
+    const res = await upload(demo, listing, [{ buffer: png }]).expect(403);
+    expect(res.body.error).toBe('You can only manage your own listings');
+    await request(app).post(`/api/products/${listing.id}/images`).attach('images', png, 'photo.png').expect(401);
+  });
+});
+
+describe('removing', () => {
+  test('deletes a photo\'s files along with it', async () => {
+    const listing = await createListing();
+    const [image] = (await upload(farmer, listing, [{ buffer: png }]).expect(201)).body.images;
+
+    await demo.delete(`/api/products/${listing.id}/images/${image.id}`).expect(403);
+    await farmer.delete(`/api/products/${listing.id}/images/missing`).expect(404);
+
+    const res = await farmer.delete(`/api/products/${listing.id}/images/${image.id}`).expect(200);
+    expect(res.body.images).toEqual([]);
+    expect(await exists(fileFor(image.variants.original))).toBe(false);
+  });
+
+  test('deletes the photos of a deleted listing', async () => {
+    const listing = await createListing();
+    const [image] = (await upload(farmer, listing, [{ buffer: png }]).expect(201)).body.images;
+
+    await farmer.delete(`/api/products/${listing.id}`).expect(200);
+    expect(await exists(fileFor(image.variants.thumbnail))).toBe(false);
+  });
+});
@@ -0,0 +1,201 @@
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { allocate, createBatch, discountedBatch, expireBatches, priceAllocations, returnToBatches, takeFromBatches } from '../inventory.js';
+import { ACCOUNTS, client, daysFromNow, loadApp, login, travelTo } from './helpers.js';
+
+const NOW = new Date('2026-03-10T08:00:00Z');
+
+describe('batches', () => {
+  // Three batches added newest harvest first, so order of insertion never decides
+  const harvest = () => [
+    createBatch('late', { quantityKg: 10, harvestedAt: daysFromNow(-1, NOW) }, NOW),
+    createBatch('early', { quantityKg: 4, harvestedAt: daysFromNow(-5, NOW), bestBefore: daysFromNow(1, NOW) }, NOW),
+    createBatch('middle', { quantityKg: 6, harvestedAt: daysFromNow(-3, NOW) }, NOW)
+  ];
+
+  test('allocates the oldest harvest first and refuses what is not there', () => {
+    const batches = harvest();
+    expect(allocate(batches, 12, NOW).map(({ batchId, quantityKg }) => [batchId, quantityKg]))
+      .toEqual([['early', 4], ['middle', 6], ['late', 2]]);
+    expect(allocate(batches, 21, NOW)).toBeNull();
+
+    // Past its best-before date the early batch no longer counts
+    expect(allocate(batches, 12, daysFromNow(2, NOW)).map(({ batchId }) => batchId)).toEqual(['middle', 'late']);
+    expect(allocate(batches, 17, daysFromNow(2, NOW))).toBeNull();
+  });
+
+  test('puts cancelled kilos back, writing off those of a batch that expired since', () => {
+    const batches = harvest();
+    const allocations = allocate(batches, 12, NOW);
+    takeFromBatches(batches, allocations);
+    expect(batches.map(batch => batch.remainingKg)).toEqual([8, 0, 0]);
+
+    const later = daysFromNow(2, NOW);
+    expireBatches(batches, later);
+    returnToBatches(batches, [...allocations, { batchId: 'removed', quantityKg: 3 }], later);
+
+    const byId = Object.fromEntries(batches.map(batch => [batch.id, batch]));
+    expect(byId.early).toMatchObject({ remainingKg: 0, expiredKg: 4 });
+    expect(byId.middle).toMatchObject({ remainingKg: 6, expiredKg: 0 });
+    expect(byId.late).toMatchObject({ remainingKg: 10, expiredKg: 0 });
+  });
+
+  test('expires a batch only once', () => {
+    const batches = harvest();
+    const later = daysFromNow(2, NOW);
+    expect(expireBatches(batches, NOW)).toEqual([]);
+    expect(expireBatches(batches, later).map(batch => batch.id)).toEqual(['early']);
+    expect(expireBatches(batches, daysFromNow(3, NOW))).toEqual([]);
+    expect(batches[1]).toMatchObject({ remainingKg: 0, expiredKg: 4, expiredAt: later });
+  });
+
+  test('discounts the next batch to sell once it is close enough to expiry', () => {
+    const batches = harvest();
+    expect(discountedBatch(batches, null, NOW)).toBeNull();
+    expect(discountedBatch(batches, { percent: 20, daysBeforeExpiry: 0 }, NOW)).toBeNull();
+    expect(discountedBatch(batches, { percent: 20, daysBeforeExpiry: 1 }, NOW).id).toBe('early');
+
+    const allocations = allocate(batches, 6, NOW);
+    expect(priceAllocations(allocations, 100, { batchId: 'early', pricePerKg: 80 }).map(({ batchId, pricePerKg }) => [batchId, pricePerKg]))
+      .toEqual([['early', 80], ['middle', 100]]);
+    expect(priceAllocations(allocations, 100).map(({ pricePerKg }) => pricePerKg)).toEqual([100, 100]);
+
+    // Sold out, the discount doesn't carry over to a batch that keeps
+    batches[1].remainingKg = 0;
+    expect(discountedBatch(batches, { percent: 20, daysBeforeExpiry: 1 }, NOW)).toBeNull();
+  });
+});
+
+let app;
+let buyer;
+let farmer;
+
+beforeAll(async () => {
+  app = await loadApp();
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const createListing = async (body) => (await farmer.post('/api/products').send(body).expect(201)).body;
+
+const addBatch = async (product, body) =>
+  (await farmer.post(`/api/products/${product.id}/batches`).send(body).expect(201)).body.batch;
+
+const placeOrder = async (as, productId, quantity) =>
+  (await as.post('/api/orders').send({ items: [{ productId, quantity }] }).expect(201)).body.order;
+
+const inventoryOf = async (seller, product) => {
+  const res = await seller.get('/api/inventory').expect(200);
+  return res.body.listings.find(listing => listing.productId === product.id);
+};
+
+const remainingByBatch = (listing) => Object.fromEntries(listing.batches.map(batch => [batch.id, batch.remainingKg]));
+
+describe('stock', () => {
+  test('draws an order down across batches, oldest harvest first', async () => {
+    const listing = await createListing({ title: 'Tagaytay pineapple', pricePerKg: 60, stock: 4, harvestedAt: daysFromNow(-1).toISOString() });
+    const oldest = await addBatch(listing, { quantityKg: 5, harvestedAt: daysFromNow(-3).toISOString() });
+    const middle = await addBatch(listing, { quantityKg: 6, harvestedAt: daysFromNow(-2).toISOString() });
+    const [newest] = (await inventoryOf(farmer, listing)).batches.slice(-1);
+
+    const order = await placeOrder(buyer, listing.id, 12);
+    expect(order.items[0].batches.map(({ batchId, quantityKg }) => [batchId, quantityKg]))
+      .toEqual([[oldest.id, 5], [middle.id, 6], [newest.id, 1]]);
+
+    const after = await inventoryOf(farmer, listing);
+    expect(after.stock).toBe(3);
+    expect(remainingByBatch(after)).toEqual({ [oldest.id]: 0, [middle.id]: 0, [newest.id]: 3 });
+    expect(after.freshness.batchId).toBe(newest.id);
+  });
+
+  test('returns the kilos of a cancelled order to the batches they came from', async () => {
+    const listing = await createListing({ title: 'Benguet carrots', pricePerKg: 70, stock: 10 });
+    const older = await addBatch(listing, { quantityKg: 5, harvestedAt: daysFromNow(-2).toISOString() });
+    const [newer] = (await inventoryOf(farmer, listing)).batches.slice(-1);
+
+    // 5 kg from the older batch and 2 from the newer, then 3 more from the newer
+    const cancelled = await placeOrder(buyer, listing.id, 7);
+    await placeOrder(buyer, listing.id, 3);
+    expect(remainingByBatch(await inventoryOf(farmer, listing))).toEqual({ [older.id]: 0, [newer.id]: 5 });
+
+    await buyer.patch(`/api/orders/${cancelled.id}/status`).send({ status: 'cancelled' }).expect(200);
+
+    const after = await inventoryOf(farmer, listing);
+    expect(remainingByBatch(after)).toEqual({ [older.id]: 5, [newer.id]: 7 });
+    expect(after.stock).toBe(12);
+  });
+
+  test('writes off expired kilos and tells the seller once', async () => {
+    const listing = await createListing({ title: 'Lipa tomatoes', pricePerKg: 50, stock: 6, bestBefore: daysFromNow(1).toISOString() });
+    const keeper = await addBatch(listing, { quantityKg: 4 });
+
+    travelTo(daysFromNow(2));
+    const lateFarmer = client(app, await login(app, ACCOUNTS.farmer));
+
+    const expiredNotices = async () => {
+      const res = await lateFarmer.get('/api/notifications?type=stock.expired').expect(200);
+      return res.body.notifications.filter(n => n.data.productId === listing.id);
+    };
+
+    const after = await inventoryOf(lateFarmer, listing);
+    expect(after.stock).toBe(4);
+    expect(after.expiredKg).toBe(6);
+    expect(after.freshness.batchId).toBe(keeper.id);
+    expect((await lateFarmer.get(`/api/products/${listing.id}`)).body.stock).toBe(4);
+
+    await inventoryOf(lateFarmer, listing);
+    expect(await expiredNotices()).toEqual([expect.objectContaining({ params: expect.objectContaining({ kg: 6 }) })]);
+  });
+
+  test('lists a listing whose batches all expired as out of stock before the next sweep', async () => {
+    const listing = await createListing({ title: 'Tarlac okra', pricePerKg: 45, stock: 8, bestBefore: daysFromNow(1).toISOString() });
+    const inStockIds = async () => (await request(app).get('/api/products?inStock=true&limit=100').expect(200)).body.products.map(p => p.id);
+    expect(await inStockIds()).toContain(listing.id);
+
+    travelTo(daysFromNow(2));
+
+    expect(await inStockIds()).not.toContain(listing.id);
+    const res = await request(app).get(`/api/products/${listing.id}`).expect(200);
+    expect(res.body).toMatchObject({ stock: 0, freshness: null });
+  });
+
+  test('discounts only the kilos of the batch near expiry and lifts it once that batch is sold', async () => {
+    const listing = await createListing({
+      title: 'Davao mangoes',
+      pricePerKg: 100,
+      stock: 5,
+      bestBefore: daysFromNow(5).toISOString(),
+      autoDiscount: { percent: 20, daysBeforeExpiry: 2 }
+    });
+    const fresh = await addBatch(listing, { quantityKg: 10, bestBefore: daysFromNow(20).toISOString() });
+    expect((await inventoryOf(farmer, listing)).discount).toBeNull();
+
+    travelTo(daysFromNow(3.5));
+    const lateFarmer = client(app, await login(app, ACCOUNTS.farmer));
+    const lateBuyer = client(app, await login(app, ACCOUNTS.buyer));
+
+    const discounted = await inventoryOf(lateFarmer, listing);
+    const [ripe] = discounted.batches;
+    expect(discounted.discount).toMatchObject({ batchId: ripe.id, percent: 20, pricePerKg: 80 });
+    expect((await lateBuyer.get(`/api/products/${listing.id}`)).body.pricePerKg).toBe(100);
+
+    // 5 kg out of the discounted batch, 2 kg out of the fresh one at full price
+    const order = await placeOrder(lateBuyer, listing.id, 7);
+    expect(order.items[0]).toMatchObject({ pricePerKg: 100, quantity: 7, subtotal: 5 * 80 + 2 * 100 });
+    expect(order.items[0].batches.map(({ batchId, quantityKg, pricePerKg }) => [batchId, quantityKg, pricePerKg]))
+      .toEqual([[ripe.id, 5, 80], [fresh.id, 2, 100]]);
+
+    // The next batch is weeks from expiry, so the discount is over
+    expect((await inventoryOf(lateFarmer, listing)).discount).toBeNull();
+    const more = await placeOrder(lateBuyer, listing.id, 1);
+    expect(more.items[0].subtotal).toBe(100);
+
+    // Starting and ending the discount never changed the asking price
+    const history = await lateBuyer.get(`/api/products/${listing.id}/price-history`).expect(200);
+    expect(history.body.changes.map(change => change.pricePerKg)).toEqual([100]);
+  });
+});
@@ -0,0 +1,125 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login, withEnv } from './helpers.js';
+
+let app;
+let restoreEnv;
+let admin;
+let farmer;
+
+beforeAll(async () => {
+  restoreEnv = withEnv({ ADMIN_USERNAMES: 'demo' });
+  app = await loadApp();
+  admin = client(app, await login(app, ACCOUNTS.demo));
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+});
+
+afterAll(() => {
+  restoreEnv();
+});
+
+const ranked = async (q) => (await request(app).get('/api/knowledge').query({ q }).expect(200)).body.entries;
+
+const ask = async (question, context) =>
+  (await request(app).post('/api/ai/farming-advice').send({ question, ...(context && { context }) }).expect(200)).body;
+
+const CABBAGE = {
+  title: 'Highland cabbage',
+  topic: 'growing-guide',
+  crop: 'cabbage',
+  region: 'Benguet',
+  keywords: ['cabbage'],
+  synonyms: ['repolyo'],
+  content: 'Plant cabbage in {region} from October, 40 cm apart.'
+};
+
+describe('ranking', () => {
+  test('matches keywords, Filipino synonyms and small typos', async () => {
+    expect((await ranked('How do I grow tomatoes?'))[0].id).toBe('tomato-growing-guide');
+    expect((await ranked('kamatis'))[0].id).toBe('tomato-growing-guide');
+    expect((await ranked('my tomatoe plants'))[0].id).toBe('tomato-growing-guide');
+    expect(await ranked('quantum physics')).toEqual([]);
+  });
+
+  test('scores exact matches above typos and orders best first', async () => {
+    const [exact] = await ranked('tomato');
+    const [typo] = await ranked('tomatto');
+    expect(exact.score).toBeGreaterThan(typo.score);
+
+    const entries = await ranked('tomato rice pest');
+    expect(entries.map(entry => entry.score)).toEqual([...entries.map(entry => entry.score)].sort((a, b) => b - a));
+  });
+
+  test('filters by crop and topic', async () => {
+    const res = await request(app).get('/api/knowledge?crop=Rice').expect(200);
+    expect(res.body.entries.map(entry => entry.id)).toEqual(['rice-farming-guide']);
+    expect(res.body.total).toBe(1);
+
+    await request(app).get('/api/knowledge/rice-farming-guide').expect(200);
+    await request(app).get('/api/knowledge/missing').expect(404);
+  });
+});
+
+describe('farming advice', () => {
+  test('answers from the best entries and names them as sources', async () => {
+    const advice = await ask('What pest control works for tomato?');
+    expect(advice.sources.map(source => source.id)).toEqual(expect.arrayContaining(['tomato-growing-guide', 'organic-pest-control']));
+    expect(advice.response).toContain('Tomato Growing Guide');
+  });
+
+  test('falls back to general advice for questions it has nothing on', async () => {
+    const advice = await ask('Who won the basketball game?');
+    expect(advice.sources).toEqual([]);
+    expect(advice.response).toContain('Who won the basketball game?');
+  });
+
+  test('answers in the caller\'s language', async () => {
+    const res = await request(app).post('/api/ai/farming-advice').set('Accept-Language', 'tl').send({ question: 'kamatis' }).expect(200);
+    expect(res.body.sources[0].title).toBe('Gabay sa Pagtatanim ng Kamatis');
+  });
+});
+
+describe('managing entries', () => {
+  test('lets admins add, change and remove entries', async () => {
+    const created = await admin.post('/api/knowledge').send(CABBAGE).expect(201);
+    expect(created.body).toMatchObject({ crop: 'cabbage', region: 'Benguet', keywords: ['cabbage'], synonyms: ['repolyo'] });
+    const { id } = created.body;
+
+    // Entries for one region rank higher there than elsewhere
+    const local = await ask('repolyo', { region: 'Benguet' });
+    const elsewhere = await ask('repolyo', { region: 'Cebu' });
+    expect(local.sources[0].id).toBe(id);
+    expect(local.sources[0].score).toBeGreaterThan(elsewhere.sources[0].score);
+    expect(local.response).toBe('Plant cabbage in Benguet from October, 40 cm apart.');
+
+    const updated = await admin.put(`/api/knowledge/${id}`).send({ ...CABBAGE, keywords: ['cabbage', 'Wombok'] }).expect(200);
+    expect(updated.body.keywords).toEqual(['cabbage', 'wombok']);
+    expect((await ranked('wombok'))[0].id).toBe(id);
+
+    await admin.delete(`/api/knowledge/${id}`).expect(200, { message: 'Knowledge entry deleted successfully', id });
+    expect(await ranked('wombok')).toEqual([]);
+    await admin.put(`/api/knowledge/${id}`).send(CABBAGE).expect(404);
+    await admin.delete(`/api/knowledge/${id}`).expect(404);
+  });
+
+  test('keeps everyone else out', async () => {
+    const res = await farmer.post('/api/knowledge').send(CABBAGE).expect(403);
+    expect(res.body.error).toBe('Insufficient permissions');
+    await farmer.put('/api/knowledge/rice-farming-guide').send(CABBAGE).expect(403);
+    await farmer.delete('/api/knowledge/rice-farming-guide').expect(403);
+    await request(app).post('/api/knowledge').send(CABBAGE).expect(401);
+
+    await request(app).get('/api/knowledge/rice-farming-guide').expect(200);
+  });
+
+  test('validates entries', async () => {
+    const res = await admin.post('/api/knowledge').send({ title: 'Hi', topic: 'x', content: 'short', keywords: [], season: [13] }).expect(400);
+    expect(res.body.details.map(issue => issue.msg)).toEqual(expect.arrayContaining([
+      'Title is required',
+      'Topic is required',
+      'Content is required',
+      'At least one keyword is required',
+      'Season months must be 1-12'
+    ]));
+  });
+});
@@ -0,0 +1,121 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+let app;
+let buyer;
+let farmer;
+let demo;
+
+beforeAll(async () => {
+  app = await loadApp();
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+});
+
+const createListing = async (body) => (await farmer.post('/api/products').send(body).expect(201)).body;
+
+const myListingIds = async (query = '') =>
+  (await farmer.get(`/api/products/mine${query}`).expect(200)).body.products.map(p => p.id);
+
+describe('creating listings', () => {
+  test('lists a seller\'s produce with defaults for what they left out', async () => {
+    const listing = await createListing({ title: 'Baguio strawberries', pricePerKg: 300, stock: 15 });
+
+    expect(listing).toMatchObject({
+      sellerId: ACCOUNTS.farmer.id,
+      title: 'Baguio strawberries',
+      pricePerKg: 300,
+      stock: 15,
+      status: 'active',
+      category: 'general',
+      description: '',
+      tags: []
+    });
+    expect(listing.seller).toMatchObject({ username: 'farmer', region: 'Benguet' });
+    expect((await request(app).get(`/api/products/${listing.id}`).expect(200)).body.title).toBe('Baguio strawberries');
+  });
+
+  test('takes listings only from signed-in sellers', async () => {
+    await request(app).post('/api/products').send({ title: 'Anonymous rice', pricePerKg: 50, stock: 1 }).expect(401);
+
+    const res = await buyer.post('/api/products').send({ title: 'Buyer rice', pricePerKg: 50, stock: 1 }).expect(403);
+    expect(res.body.error).toBe('Only seller accounts can create listings');
+  });
+
+  test('validates the listing', async () => {
+    const res = await farmer.post('/api/products').send({ title: 'ab', pricePerKg: -1 }).expect(400);
+    expect(res.body.details.map(issue => issue.path).sort()).toEqual(['pricePerKg', 'stock', 'title']);
+  });
+});
+
+describe('editing listings', () => {
+  test('lets only the seller change a listing', async () => {
+    const listing = await createListing({ title: 'Sagada oranges', pricePerKg: 90, stock: 10 });
+
+    const patch = await demo.patch(`/api/products/${listing.id}`).send({ pricePerKg: 1 }).expect(403);
+    expect(patch.body.error).toBe('You can only manage your own listings');
+    await demo.put(`/api/products/${listing.id}`).send({ title: 'Taken over', pricePerKg: 1 }).expect(403);
+    await demo.delete(`/api/products/${listing.id}`).expect(403);
+    await request(app).patch(`/api/products/${listing.id}`).send({ pricePerKg: 1 }).expect(401);
+
+    const res = await farmer.patch(`/api/products/${listing.id}`).send({ pricePerKg: 95, tags: ['sweet'] }).expect(200);
+    expect(res.body).toMatchObject({ title: 'Sagada oranges', pricePerKg: 95, tags: ['sweet'], stock: 10 });
+  });
+
+  test('resets what a PUT leaves out to its default', async () => {
+    const listing = await createListing({
+      title: 'Nueva Ecija onions',
+      pricePerKg: 120,
+      stock: 25,
+      description: 'Red onions',
+      category: 'vegetables',
+      tags: ['red']
+    });
+
+    const res = await farmer.put(`/api/products/${listing.id}`).send({ title: 'Nueva Ecija onions', pricePerKg: 110 }).expect(200);
+    expect(res.body).toMatchObject({ pricePerKg: 110, description: '', category: 'general', tags: [], status: 'active' });
+    // Stock lives in batches, so replacing the listing keeps it
+    expect(res.body.stock).toBe(25);
+
+    await farmer.put(`/api/products/${listing.id}`).send({ pricePerKg: 110 }).expect(400);
+  });
+
+  test('changes stock only through harvest batches', async () => {
+    const listing = await createListing({ title: 'Ilocos garlic', pricePerKg: 200, stock: 5 });
+    const res = await farmer.patch(`/api/products/${listing.id}`).send({ stock: 50 }).expect(400);
+    expect(res.body.details.map(issue => issue.msg)).toContain('Stock changes through harvest batches');
+  });
+
+  test('hides an unpublished listing from the marketplace but not from its seller', async () => {
+    const listing = await createListing({ title: 'Batangas coffee', pricePerKg: 400, stock: 8 });
+    await farmer.patch(`/api/products/${listing.id}`).send({ status: 'unpublished' }).expect(200);
+
+    await request(app).get(`/api/products/${listing.id}`).expect(404);
+    expect(await myListingIds('?status=unpublished')).toContain(listing.id);
+    expect(await myListingIds('?status=active')).not.toContain(listing.id);
+
+    await farmer.patch(`/api/products/${listing.id}`).send({ status: 'active' }).expect(200);
+    await request(app).get(`/api/products/${listing.id}`).expect(200);
+  });
+});
+
+describe('deleting listings', () => {
+  test('soft deletes, keeping orders that point at the listing intact', async () => {
+    const listing = await createListing({ title: 'Guimaras mangoes', pricePerKg: 150, stock: 20 });
+    const order = (await buyer.post('/api/orders').send({ items: [{ productId: listing.id, quantity: 2 }] }).expect(201)).body.order;
+
+    const res = await farmer.delete(`/api/products/${listing.id}`).expect(200);
+    expect(res.body).toEqual({ message: 'Product deleted successfully', id: listing.id });
+
+    await request(app).get(`/api/products/${listing.id}`).expect(404);
+    expect(await myListingIds()).not.toContain(listing.id);
+    await farmer.patch(`/api/products/${listing.id}`).send({ pricePerKg: 1 }).expect(404);
+    await farmer.delete(`/api/products/${listing.id}`).expect(404);
+
+    const kept = await buyer.get(`/api/orders/${order.id}`).expect(200);
+    expect(kept.body.items[0]).toMatchObject({ productId: listing.id, title: 'Guimaras mangoes' });
+    await buyer.post('/api/orders').send({ items: [{ productId: listing.id, quantity: 1 }] }).expect(404);
+  });
+});
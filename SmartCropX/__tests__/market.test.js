@@ -0,0 +1,132 @@
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, daysFromNow, loadApp, login, travelTo } from './helpers.js';
+
+let app;
+let farmer;
+let demo;
+let buyer;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const list = async (as, title, pricePerKg) =>
+  (await as.post('/api/products').send({ title, pricePerKg, stock: 20 }).expect(201)).body;
+
+const reprice = (as, product, pricePerKg) => as.patch(`/api/products/${product.id}`).send({ pricePerKg }).expect(200);
+
+describe('price history', () => {
+  test('records every price a listing has had, oldest first', async () => {
+    const listing = await list(farmer, 'Red onions', 120);
+    await reprice(farmer, listing, 110);
+    await reprice(farmer, listing, 110);
+    await reprice(farmer, listing, 95.5);
+
+    const res = await request(app).get(`/api/products/${listing.id}/price-history`).expect(200);
+    expect(res.body).toMatchObject({ productId: listing.id, currentPrice: 95.5, commodity: 'onion', total: 3 });
+    expect(res.body.changes.map(({ pricePerKg, previousPrice }) => [pricePerKg, previousPrice])).toEqual([[120, null], [110, 120], [95.5, 110]]);
+
+    await request(app).get('/api/products/missing/price-history').expect(404);
+  });
+});
+
+describe('market prices', () => {
+  test('summarize current prices per commodity and region', async () => {
+    await list(farmer, 'Highland garlic', 200);
+    await list(farmer, 'Native garlic, bawang', 260);
+    await list(farmer, 'Garlic bulbs', 230);
+    await list(demo, 'Ilocos garlic', 300);
+
+    const res = await request(app).get('/api/market/prices?commodity=bawang').expect(200);
+    expect(res.body.markets.map(({ region, current }) => [region, current.min, current.median, current.max, current.samples])).toEqual([
+      ['benguet', 200, 230, 260, 3],
+      ['metro manila', 300, 300, 300, 1]
+    ]);
+
+    const local = await request(app).get('/api/market/prices?commodity=garlic&region=Metro Manila').expect(200);
+    expect(local.body.markets.map(market => market.region)).toEqual(['metro manila']);
+  });
+
+  test('rebuild each day\'s prices from the history', async () => {
+    travelTo(daysFromNow(-3));
+    const listing = await list(farmer, 'Sweet potatoes', 40);
+    jest.useRealTimers();
+    await reprice(farmer, listing, 30);
+
+    const res = await request(app).get('/api/market/prices?commodity=potato&days=7').expect(200);
+    const [{ history }] = res.body.markets;
+    expect(history).toHaveLength(4);
+    expect(history[0]).toMatchObject({ date: daysFromNow(-3).toISOString().slice(0, 10), median: 40 });
+    expect(history[3]).toMatchObject({ date: new Date().toISOString().slice(0, 10), median: 30 });
+
+    await request(app).get('/api/market/prices?days=0').expect(400);
+  });
+});
+
+describe('suggested price', () => {
+  test('comes from comparable listings, locally when there are enough', async () => {
+    await list(farmer, 'Cabbage heads', 30);
+    await list(farmer, 'Baguio cabbage', 40);
+    await list(farmer, 'Repolyo', 50);
+
+    const national = await buyer.get('/api/market/suggested-price?commodity=repolyo').expect(200);
+    expect(national.body).toMatchObject({ commodity: 'cabbage', basis: 'national', region: null });
+    expect(national.body.suggestion).toMatchObject({ low: 35, median: 40, high: 45, samples: 3 });
+
+    const regional = await request(app).get('/api/market/suggested-price?commodity=cabbage&region=Benguet').expect(200);
+    expect(regional.body).toMatchObject({ basis: 'region', region: 'benguet' });
+
+    // A seller's own listings are not a market
+    const own = await farmer.get('/api/market/suggested-price?commodity=cabbage').expect(200);
+    expect(own.body).toMatchObject({ suggestion: null, message: 'Not enough market data for a suggestion' });
+
+    const res = await request(app).get('/api/market/suggested-price').expect(400);
+    expect(res.body.error).toBe('Commodity or category is required');
+  });
+});
+
+describe('price alerts', () => {
+  test('fire once when a listing drops under the threshold', async () => {
+    const created = await buyer.post('/api/market/alerts').send({ commodity: 'Kamatis', maxPricePerKg: 50, region: 'Benguet' }).expect(201);
+    const { alert } = created.body;
+    expect(alert).toMatchObject({ commodity: 'tomato', region: 'benguet', triggers: [] });
+    expect(created.body.currentMatches).toEqual([]);
+
+    const listing = await list(farmer, 'Tomatoes', 60);
+    await reprice(farmer, listing, 45);
+    await reprice(farmer, listing, 42);
+
+    const [watched] = (await buyer.get('/api/market/alerts').expect(200)).body.alerts;
+    expect(watched.triggers.map(trigger => [trigger.productId, trigger.pricePerKg])).toEqual([[listing.id, 45]]);
+
+    const inbox = await buyer.get('/api/notifications').expect(200);
+    expect(inbox.body.notifications.find(n => n.type === 'price.alert')).toMatchObject({ data: { alertId: alert.id, pricePerKg: 45 } });
+
+    // Listings already under the threshold show up straight away
+    const again = await demo.post('/api/market/alerts').send({ commodity: 'tomato', maxPricePerKg: 50, region: null }).expect(201);
+    expect(again.body.currentMatches.map(match => match.productId)).toEqual([listing.id]);
+  });
+
+  test('watch my own region unless told otherwise, and belong to me', async () => {
+    const { alert } = (await buyer.post('/api/market/alerts').send({ commodity: 'mango', maxPricePerKg: 100 }).expect(201)).body;
+    expect(alert.region).toBe('quezon city');
+
+    await farmer.delete(`/api/market/alerts/${alert.id}`).expect(404);
+    expect((await farmer.get('/api/market/alerts').expect(200)).body.alerts).toEqual([]);
+    await request(app).post('/api/market/alerts').send({ commodity: 'mango', maxPricePerKg: 100 }).expect(401);
+
+    const invalid = await buyer.post('/api/market/alerts').send({ commodity: 'mango', maxPricePerKg: 0 }).expect(400);
+    expect(invalid.body.details.map(issue => issue.path)).toContain('maxPricePerKg');
+
+    await buyer.delete(`/api/market/alerts/${alert.id}`).expect(200, { message: 'Price alert deleted', id: alert.id });
+    await buyer.delete(`/api/market/alerts/${alert.id}`).expect(404);
+  });
+});
@@ -0,0 +1,196 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import WebSocket from 'ws';
+import { ACCOUNTS, client, loadServer, login, stopServer } from './helpers.js';
+
+let app;
+let server;
+let address;
+let tokens;
+let buyer;
+let farmer;
+let demo;
+
+beforeAll(async () => {
+  ({ app, server, address } = await loadServer());
+  tokens = {
+    buyer: await login(app, ACCOUNTS.buyer),
+    farmer: await login(app, ACCOUNTS.farmer),
+    demo: await login(app, ACCOUNTS.demo)
+  };
+  buyer = client(app, tokens.buyer);
+  farmer = client(app, tokens.farmer);
+  demo = client(app, tokens.demo);
+});
+
+afterAll(async () => {
+  await stopServer(server);
+});
+
+const startConversation = async (as, body) => (await as.post('/api/conversations').send(body).expect(201)).body;
+
+const send = async (as, conversation, body) =>
+  (await as.post(`/api/conversations/${conversation.id}/messages`).send({ body }).expect(201)).body;
+
+// A socket whose messages can be awaited by type, in the order they came;
+// notifications arrive on the same socket and are skipped unless asked for
+const connect = (token) => {
+  const socket = new WebSocket(`ws://${address}/ws?token=${token}`);
+  const received = [];
+  const waiting = [];
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const index = waiting.findIndex(waiter => waiter.type === message.type);
+    if (index === -1) received.push(message);
+    else waiting.splice(index, 1)[0].resolve(message);
+  });
+  socket.next = (type) => {
+    const index = received.findIndex(message => message.type === type);
+    if (index !== -1) return Promise.resolve(received.splice(index, 1)[0]);
+    return new Promise(resolve => waiting.push({ type, resolve }));
+  };
+  socket.closed = new Promise(resolve => socket.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+  return socket;
+};
+
+describe('conversations', () => {
+  test('opens one conversation per listing, addressed to its seller', async () => {
+    const conversation = await startConversation(buyer, { productId: '1', message: 'Is this still available?' });
+    expect(conversation.participantIds).toEqual([ACCOUNTS.buyer.id, ACCOUNTS.farmer.id]);
+    expect(conversation.otherParticipant.id).toBe(ACCOUNTS.farmer.id);
+    expect(conversation.lastMessage.body).toBe('Is this still available?');
+
+    const again = await buyer.post('/api/conversations').send({ productId: '1' }).expect(200);
+    expect(again.body.id).toBe(conversation.id);
+
+    const inbox = await farmer.get('/api/conversations').expect(200);
+    const thread = inbox.body.conversations.find(c => c.id === conversation.id);
+    expect(thread.unreadCount).toBe(1);
+    expect(thread.otherParticipant.id).toBe(ACCOUNTS.buyer.id);
+  });
+
+  test('refuses recipients it cannot reach', async () => {
+    const self = await buyer.post('/api/conversations').send({ recipientId: ACCOUNTS.buyer.id }).expect(400);
+    expect(self.body.error).toBe('You cannot message yourself');
+
+    const nobody = await buyer.post('/api/conversations').send({ recipientId: 'nobody' }).expect(404);
+    expect(nobody.body.error).toBe('Recipient not found');
+
+    await buyer.post('/api/conversations').send({ productId: 'missing' }).expect(404);
+  });
+
+  test('keeps order conversations between the buyer and seller of the order', async () => {
+    const order = (await buyer.post('/api/orders').send({ items: [{ productId: '2', quantity: 1 }] }).expect(201)).body.order;
+
+    const conversation = await startConversation(farmer, { orderId: order.id });
+    expect(conversation.participantIds).toEqual([ACCOUNTS.farmer.id, ACCOUNTS.buyer.id]);
+
+    const outsider = await buyer.post('/api/conversations').send({ orderId: order.id, recipientId: ACCOUNTS.demo.id }).expect(400);
+    expect(outsider.body.error).toBe('Recipient is not part of this order');
+
+    await demo.post('/api/conversations').send({ orderId: order.id }).expect(404);
+  });
+
+  test('shows a conversation only to its participants', async () => {
+    const conversation = await startConversation(buyer, { recipientId: ACCOUNTS.farmer.id, message: 'Hello' });
+
+    await demo.get(`/api/conversations/${conversation.id}/messages`).expect(404);
+    await demo.post(`/api/conversations/${conversation.id}/messages`).send({ body: 'Hi' }).expect(404);
+    await demo.post(`/api/conversations/${conversation.id}/read`).expect(404);
+    expect((await demo.get('/api/conversations').expect(200)).body.conversations.map(c => c.id)).not.toContain(conversation.id);
+  });
+});
+
+describe('messages', () => {
+  test('pages history backwards from the newest message', async () => {
+    const conversation = await startConversation(buyer, { recipientId: ACCOUNTS.demo.id });
+    const sent = [];
+    for (let i = 1; i <= 5; i++) {
+      sent.push(await send(buyer, conversation, `Message ${i}`));
+    }
+
+    const latest = await demo.get(`/api/conversations/${conversation.id}/messages?limit=2`).expect(200);
+    expect(latest.body.messages.map(m => m.body)).toEqual(['Message 4', 'Message 5']);
+    expect(latest.body).toMatchObject({ hasMore: true, nextCursor: sent[3].id, unreadCount: 5 });
+
+    const older = await demo.get(`/api/conversations/${conversation.id}/messages?limit=10&before=${latest.body.nextCursor}`).expect(200);
+    expect(older.body.messages.map(m => m.body)).toEqual(['Message 1', 'Message 2', 'Message 3']);
+    expect(older.body).toMatchObject({ hasMore: false, nextCursor: null });
+
+    await demo.get(`/api/conversations/${conversation.id}/messages?before=unknown`).expect(400);
+  });
+
+  test('marks what the other side sent as read', async () => {
+    const conversation = await startConversation(demo, { recipientId: ACCOUNTS.farmer.id, message: 'First' });
+    await send(demo, conversation, 'Second');
+    await send(farmer, conversation, 'Reply');
+
+    const read = await farmer.post(`/api/conversations/${conversation.id}/read`).expect(200);
+    expect(read.body).toEqual({ conversationId: conversation.id, markedRead: 2 });
+    await farmer.post(`/api/conversations/${conversation.id}/read`).expect(200, { conversationId: conversation.id, markedRead: 0 });
+
+    const history = await demo.get(`/api/conversations/${conversation.id}/messages`).expect(200);
+    expect(history.body.unreadCount).toBe(1);
+    expect(history.body.messages.map(m => Boolean(m.readAt))).toEqual([true, true, false]);
+  });
+
+  test('rejects an empty message', async () => {
+    const conversation = await startConversation(buyer, { recipientId: ACCOUNTS.farmer.id, productId: '2' });
+    await buyer.post(`/api/conversations/${conversation.id}/messages`).send({ body: '   ' }).expect(400);
+  });
+});
+
+describe('websocket', () => {
+  test('closes a socket without a valid token', async () => {
+    const socket = connect('not-a-token');
+    expect(await socket.closed).toEqual({ code: 4401, reason: 'Invalid or expired token' });
+  });
+
+  test('pushes new messages and read receipts to the participants', async () => {
+    const conversation = await startConversation(demo, { recipientId: ACCOUNTS.buyer.id, productId: '2', message: 'Unread' });
+
+    const buyerSocket = connect(tokens.buyer);
+    const demoSocket = connect(tokens.demo);
+    try {
+      const connected = await buyerSocket.next('connected');
+      expect(connected).toMatchObject({ type: 'connected', data: { userId: ACCOUNTS.buyer.id } });
+      expect(connected.data.unreadCount).toBeGreaterThan(0);
+      expect(await demoSocket.next('connected')).toMatchObject({ data: { userId: ACCOUNTS.demo.id } });
+
+      const message = await send(demo, conversation, 'Are you there?');
+      expect(await buyerSocket.next('message.new')).toEqual({ type: 'message.new', data: expect.objectContaining({ id: message.id }) });
+      expect(await demoSocket.next('message.new')).toEqual({ type: 'message.new', data: expect.objectContaining({ id: message.id }) });
+
+      // Reading over the socket tells the sender which messages were read
+      buyerSocket.send(JSON.stringify({ type: 'read', conversationId: conversation.id }));
+      const receipt = await demoSocket.next('message.read');
+      expect(receipt).toMatchObject({ type: 'message.read', data: { conversationId: conversation.id, readBy: ACCOUNTS.buyer.id } });
+      expect(receipt.data.messageIds).toHaveLength(2);
+
+      buyerSocket.send('not json');
+      expect(await buyerSocket.next('error')).toEqual({ type: 'error', data: { error: 'Invalid socket message' } });
+    } finally {
+      buyerSocket.close();
+      demoSocket.close();
+      await Promise.all([buyerSocket.closed, demoSocket.closed]);
+    }
+  });
+
+  test('ignores read requests for conversations the user is not in', async () => {
+    const order = (await buyer.post('/api/orders').send({ items: [{ productId: '1', quantity: 1 }] }).expect(201)).body.order;
+    const conversation = await startConversation(buyer, { orderId: order.id, message: 'Private' });
+
+    const socket = connect(tokens.demo);
+    try {
+      await socket.next('connected');
+      socket.send(JSON.stringify({ type: 'read', conversationId: conversation.id }));
+      // Sockets answer nothing here, so give the server a moment to handle it
+      await new Promise(resolve => setTimeout(resolve, 50));
+    } finally {
+      socket.close();
+      await socket.closed;
+    }
+
+    const history = await farmer.get(`/api/conversations/${conversation.id}/messages`).expect(200);
+    expect(history.body.unreadCount).toBe(1);
+  });
+});
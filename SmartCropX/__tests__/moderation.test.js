@@ -0,0 +1,157 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login, withEnv } from './helpers.js';
+
+let app;
+let restoreEnv;
+let admin;
+let moderator;
+let farmer;
+
+beforeAll(async () => {
+  restoreEnv = withEnv({ ADMIN_USERNAMES: 'demo' });
+  app = await loadApp();
+  admin = client(app, await login(app, ACCOUNTS.demo));
+  moderator = client(app, await login(app, ACCOUNTS.buyer));
+  await admin.put(`/api/admin/users/${ACCOUNTS.buyer.id}/role`).send({ role: 'moderator' }).expect(200);
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+});
+
+afterAll(() => {
+  restoreEnv();
+});
+
+const register = async (username, userType = 'buyer') => (await request(app).post('/api/auth/register').send({
+  username,
+  password: 'secret123',
+  fullName: 'Test Account',
+  age: 40,
+  region: 'Iloilo',
+  userType
+}).expect(201)).body;
+
+// Actions can land in the same millisecond, so compare them in name order
+const auditFor = async (targetType, targetId) =>
+  (await admin.get('/api/admin/audit').query({ targetType, targetId }).expect(200)).body.entries.map(entry => entry.action).sort();
+
+describe('roles', () => {
+  test('keep staff tools away from everyone else', async () => {
+    const denied = await farmer.get('/api/users').expect(403);
+    expect(denied.body.error).toBe('Insufficient permissions');
+    await farmer.get('/api/stats').expect(403);
+    await farmer.get('/api/admin/audit').expect(403);
+    await farmer.post(`/api/admin/users/${ACCOUNTS.buyer.id}/suspend`).send({ reason: 'No reason at all' }).expect(403);
+    await request(app).get('/api/stats').expect(401);
+
+    await moderator.get('/api/stats').expect(200);
+    expect((await moderator.get('/api/users').expect(200)).body.find(user => user.id === ACCOUNTS.buyer.id).role).toBe('moderator');
+  });
+
+  test('give moderators fewer powers than admins', async () => {
+    const me = await moderator.get('/api/users/me').expect(200);
+    expect(me.body.permissions).toEqual(expect.arrayContaining(['users:suspend', 'reports:review', 'audit:read']));
+    expect(me.body.permissions).not.toContain('users:ban');
+
+    await moderator.post(`/api/admin/users/${ACCOUNTS.farmer.id}/ban`).send({ reason: 'Repeated fraud' }).expect(403);
+    await moderator.put(`/api/admin/users/${ACCOUNTS.farmer.id}/role`).send({ role: 'moderator' }).expect(403);
+
+    const upward = await moderator.post(`/api/admin/users/${ACCOUNTS.demo.id}/suspend`).send({ reason: 'Trying my luck' }).expect(403);
+    expect(upward.body.error).toBe('You cannot moderate an account with an equal or higher role');
+    const self = await admin.post(`/api/admin/users/${ACCOUNTS.demo.id}/suspend`).send({ reason: 'Trying my luck' }).expect(400);
+    expect(self.body.error).toBe('You cannot moderate your own account');
+  });
+
+  test('are handed out by admins and audited', async () => {
+    const { user } = await register('new-staff');
+
+    const res = await admin.put(`/api/admin/users/${user.id}/role`).send({ role: 'moderator' }).expect(200);
+    expect(res.body.user.role).toBe('moderator');
+    expect(res.body.audit).toMatchObject({ action: 'user.role', actorUsername: 'demo', details: { from: 'user', to: 'moderator' } });
+
+    await admin.put(`/api/admin/users/${user.id}/role`).send({ role: 'owner' }).expect(400);
+    await admin.put('/api/admin/users/missing/role').send({ role: 'user' }).expect(404);
+  });
+});
+
+describe('accounts', () => {
+  test('suspending a seller hides their listings until they are reinstated', async () => {
+    const res = await moderator.post(`/api/admin/users/${ACCOUNTS.farmer.id}/suspend`).send({ reason: 'Selling spoiled produce', days: 3 }).expect(200);
+    expect(res.body.user).toMatchObject({ status: 'suspended', statusReason: 'Selling spoiled produce' });
+    expect(res.body.audit.details.hiddenListings).toEqual(expect.arrayContaining(['1', '2']));
+
+    await request(app).get('/api/products/1').expect(404);
+    await farmer.get('/api/users/me').expect(403);
+    const blocked = await request(app).post('/api/auth/login').send(ACCOUNTS.farmer).expect(403);
+    expect(blocked.body).toMatchObject({ error: 'Your account has been suspended', reason: 'Selling spoiled produce' });
+    expect(new Date(blocked.body.until).getTime()).toBeGreaterThan(Date.now());
+
+    await moderator.post(`/api/admin/users/${ACCOUNTS.farmer.id}/reinstate`).send({ reason: 'Appeal accepted' }).expect(200);
+    await request(app).get('/api/products/1').expect(200);
+    farmer = client(app, await login(app, ACCOUNTS.farmer));
+    await moderator.post(`/api/admin/users/${ACCOUNTS.farmer.id}/reinstate`).send({}).expect(409);
+
+    expect(await auditFor('user', ACCOUNTS.farmer.id)).toEqual(['user.reinstate', 'user.suspend']);
+  });
+
+  test('only admins lift a ban', async () => {
+    const { user } = await register('scammer', 'seller');
+
+    await admin.post(`/api/admin/users/${user.id}/ban`).send({ reason: 'Fake listings' }).expect(200);
+    await moderator.post(`/api/admin/users/${user.id}/suspend`).send({ reason: 'Fake listings' }).expect(409);
+    await moderator.post(`/api/admin/users/${user.id}/reinstate`).send({}).expect(403);
+    await admin.post(`/api/admin/users/${user.id}/reinstate`).send({}).expect(200);
+
+    const res = await moderator.post(`/api/admin/users/${user.id}/ban`).send({ reason: 'x' }).expect(403);
+    expect(res.body.error).toBe('Insufficient permissions');
+    const invalid = await admin.post(`/api/admin/users/${user.id}/ban`).send({ reason: 'x' }).expect(400);
+    expect(invalid.body.details.map(issue => issue.path)).toContain('reason');
+  });
+});
+
+describe('listings', () => {
+  test('stay hidden after a moderator unpublishes them, even from their seller', async () => {
+    const listing = (await farmer.post('/api/products').send({ title: 'Suspicious durian', pricePerKg: 10, stock: 5 }).expect(201)).body;
+
+    const res = await moderator.post(`/api/admin/products/${listing.id}/unpublish`).send({ reason: 'Price looks like bait' }).expect(200);
+    expect(res.body.product).toMatchObject({ status: 'unpublished', moderation: { status: 'unpublished', reason: 'Price looks like bait' } });
+    await request(app).get(`/api/products/${listing.id}`).expect(404);
+
+    const republished = await farmer.patch(`/api/products/${listing.id}`).send({ status: 'active' }).expect(403);
+    expect(republished.body.error).toBe('This listing was unpublished by a moderator');
+
+    const moderated = await moderator.get('/api/admin/products?moderated=true').expect(200);
+    expect(moderated.body.products.map(p => p.id)).toContain(listing.id);
+
+    await moderator.post(`/api/admin/products/${listing.id}/restore`).send({}).expect(200);
+    await request(app).get(`/api/products/${listing.id}`).expect(200);
+    await moderator.post(`/api/admin/products/${listing.id}/restore`).send({}).expect(409);
+
+    await moderator.delete(`/api/admin/products/${listing.id}`).send({ reason: 'Counterfeit durian' }).expect(200);
+    await moderator.delete(`/api/admin/products/${listing.id}`).send({ reason: 'Counterfeit durian' }).expect(404);
+    await farmer.delete('/api/admin/products/2').send({ reason: 'I do not like it' }).expect(403);
+
+    expect(await auditFor('product', listing.id)).toEqual(['product.remove', 'product.restore', 'product.unpublish']);
+  });
+});
+
+describe('reports', () => {
+  test('reach moderators with what was reported, and close once', async () => {
+    const report = await farmer.post('/api/reports').send({ targetType: 'user', targetId: ACCOUNTS.demo.id, reason: 'harassment', details: 'Rude messages' }).expect(201);
+    await farmer.post('/api/reports').send({ targetType: 'user', targetId: ACCOUNTS.demo.id, reason: 'spam' }).expect(409);
+    await farmer.post('/api/reports').send({ targetType: 'product', targetId: 'missing', reason: 'spam' }).expect(404);
+    await farmer.post('/api/reports').send({ targetType: 'order', targetId: '1', reason: 'spam' }).expect(400);
+    await request(app).post('/api/reports').send({ targetType: 'user', targetId: ACCOUNTS.demo.id, reason: 'spam' }).expect(401);
+
+    const open = await moderator.get('/api/admin/reports').expect(200);
+    const listed = open.body.reports.find(r => r.id === report.body.report.id);
+    expect(listed).toMatchObject({ status: 'open', openReportsOnTarget: 1, target: { username: 'demo' } });
+    await farmer.get('/api/admin/reports').expect(403);
+
+    const resolved = await moderator.patch(`/api/admin/reports/${listed.id}`).send({ status: 'dismissed', resolution: 'Ordinary haggling' }).expect(200);
+    expect(resolved.body.report).toMatchObject({ status: 'dismissed', resolvedBy: ACCOUNTS.buyer.id });
+    await moderator.patch(`/api/admin/reports/${listed.id}`).send({ status: 'actioned' }).expect(409);
+
+    expect((await moderator.get('/api/admin/reports').expect(200)).body.reports.map(r => r.id)).not.toContain(listed.id);
+    expect(await auditFor('report', listed.id)).toEqual(['report.dismiss']);
+  });
+});
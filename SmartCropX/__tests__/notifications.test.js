@@ -0,0 +1,177 @@
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import http from 'http';
+import { ACCOUNTS, client, loadListeningApp, login, stopServer } from './helpers.js';
+
+let app;
+let server;
+let tokens;
+let farmer;
+let buyer;
+let demo;
+
+beforeAll(async () => {
+  ({ app, server } = await loadListeningApp());
+  tokens = {
+    farmer: await login(app, ACCOUNTS.farmer),
+    buyer: await login(app, ACCOUNTS.buyer),
+    demo: await login(app, ACCOUNTS.demo)
+  };
+  farmer = client(app, tokens.farmer);
+  buyer = client(app, tokens.buyer);
+  demo = client(app, tokens.demo);
+});
+
+afterAll(async () => {
+  await stopServer(server);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Inbox lists newest first, so keep two in a row from sharing a timestamp
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const placeOrder = async (quantity = 1) => {
+  const res = await buyer.post('/api/orders').send({ items: [{ productId: '1', quantity }] }).expect(201);
+  await tick();
+  return res.body.order;
+};
+
+const inbox = async (as, query = {}) => (await as.get('/api/notifications').query(query).expect(200)).body;
+
+// Reads the event stream as it arrives; next(event) waits for the next one of that name
+const openStream = (query, headers = {}) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  const req = http.get({ host: '127.0.0.1', port, path: `/api/notifications/stream?${new URLSearchParams(query)}`, headers }, (res) => {
+    const events = [];
+    const waiting = [];
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.filter(block => !block.startsWith(':')).forEach(block => {
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        const event = { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+        const index = waiting.findIndex(waiter => waiter.event === event.event);
+        if (index === -1) events.push(event);
+        else waiting.splice(index, 1)[0].resolve(event);
+      });
+    });
+    resolve({
+      status: res.statusCode,
+      body: res.statusCode === 200 ? null : new Promise(done => res.on('end', () => done(JSON.parse(buffer)))),
+      next: (name) => {
+        const index = events.findIndex(event => event.event === name);
+        if (index !== -1) return Promise.resolve(events.splice(index, 1)[0]);
+        return new Promise(done => waiting.push({ event: name, resolve: done }));
+      },
+      close: () => req.destroy()
+    });
+  });
+  req.on('error', reject);
+});
+
+describe('inbox', () => {
+  test('tells sellers about new orders and buyers about their order', async () => {
+    const order = await placeOrder();
+    const [created] = (await inbox(farmer, { type: 'order.created' })).notifications;
+    expect(created).toMatchObject({ type: 'order.created', title: 'New order', readAt: null, data: { orderId: order.id } });
+
+    await farmer.patch(`/api/orders/${order.id}/status`).send({ status: 'confirmed' }).expect(200);
+    const [update] = (await inbox(buyer, { type: 'order.status' })).notifications;
+    expect(update).toMatchObject({ title: 'Order update', data: { orderId: order.id, status: 'confirmed' } });
+    expect(update.body).toContain('confirmed');
+  });
+
+  test('marks notifications as read, one at a time or all together', async () => {
+    await placeOrder();
+    await placeOrder();
+    const before = await inbox(farmer, { unread: true });
+    expect(before.unreadCount).toBeGreaterThanOrEqual(2);
+
+    const [latest] = before.notifications;
+    const read = await farmer.post(`/api/notifications/${latest.id}/read`).expect(200);
+    expect(read.body.readAt).not.toBeNull();
+    expect(read.body.unreadCount).toBe(before.unreadCount - 1);
+    expect((await inbox(farmer, { unread: true })).notifications.map(n => n.id)).not.toContain(latest.id);
+
+    const all = await farmer.post('/api/notifications/read-all').send({ type: 'order.created' }).expect(200);
+    expect(all.body.updated).toBe(before.unreadCount - 1);
+    expect(all.body.unreadCount).toBe(0);
+  });
+
+  test('keeps every inbox to its owner', async () => {
+    await placeOrder();
+    const [theirs] = (await inbox(farmer)).notifications;
+
+    await buyer.post(`/api/notifications/${theirs.id}/read`).expect(404);
+    expect((await inbox(buyer)).notifications.map(n => n.id)).not.toContain(theirs.id);
+    await client(app).get('/api/notifications').expect(401);
+    await farmer.get('/api/notifications?type=nonsense').expect(400);
+  });
+});
+
+describe('preferences', () => {
+  test('start from each type\'s defaults and change per channel', async () => {
+    const res = await demo.get('/api/notifications/preferences').expect(200);
+    expect(res.body.preferences['task.reminder']).toEqual({ inApp: true, email: false, sms: true });
+    expect(res.body.channels).toEqual(['inApp', 'email', 'sms']);
+
+    const updated = await demo.put('/api/notifications/preferences').send({ preferences: { 'task.reminder': { sms: false } } }).expect(200);
+    expect(updated.body.preferences['task.reminder']).toEqual({ inApp: true, email: false, sms: false });
+
+    const unknown = await demo.put('/api/notifications/preferences').send({ preferences: { 'weather.sunny': { inApp: true } } }).expect(400);
+    expect(unknown.body.details.map(issue => issue.msg)).toContain('Unknown notification type');
+    await client(app).get('/api/notifications/preferences').expect(401);
+  });
+
+  test('decide which channels an event goes out on', async () => {
+    await farmer.patch('/api/users/me').send({ email: 'farmer@example.com' }).expect(200);
+    await farmer.put('/api/notifications/preferences').send({ preferences: { 'order.created': { inApp: false } } }).expect(200);
+    // The console notifier stands in for e-mail and SMS; it only logs
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { unreadCount } = await inbox(farmer);
+
+    await placeOrder();
+
+    expect((await inbox(farmer)).unreadCount).toBe(unreadCount);
+    const sent = log.mock.calls.map(([line]) => String(line)).filter(line => line.includes('[order.created]'));
+    expect(sent).toEqual([expect.stringContaining('via email to farmer')]);
+
+    await farmer.put('/api/notifications/preferences').send({ preferences: { 'order.created': { inApp: true } } }).expect(200);
+  });
+});
+
+describe('live stream', () => {
+  test('pushes new notifications as they happen', async () => {
+    const stream = await openStream({ token: tokens.farmer });
+    expect(stream.status).toBe(200);
+    const ready = await stream.next('ready');
+    expect(ready.data.unreadCount).toEqual(expect.any(Number));
+
+    const order = await placeOrder();
+    const pushed = await stream.next('notification');
+    expect(pushed.data).toMatchObject({ type: 'order.created', data: { orderId: order.id } });
+    expect(pushed.id).toBe(pushed.data.id);
+    stream.close();
+
+    // A client that reconnects gets what it missed
+    const missed = await placeOrder();
+    const resumed = await openStream({}, { Authorization: `Bearer ${tokens.farmer}`, 'Last-Event-ID': pushed.id });
+    expect((await resumed.next('notification')).data.data.orderId).toBe(missed.id);
+    resumed.close();
+  });
+
+  test('needs a valid token', async () => {
+    const anonymous = await openStream({});
+    expect(anonymous.status).toBe(401);
+    expect(await anonymous.body).toMatchObject({ error: 'Invalid or expired token' });
+
+    const forged = await openStream({ token: 'not-a-token' });
+    expect(forged.status).toBe(401);
+    await forged.body;
+  });
+});
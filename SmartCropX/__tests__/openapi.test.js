@@ -0,0 +1,196 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createApiRouter, errorCode, t, validateValue } from '../openapi.js';
+import { loadApp } from './helpers.js';
+
+const check = (schema, value, { location = 'body', components = {}, applyDefaults = false } = {}) => {
+  const ctx = { errors: [], location, components, applyDefaults };
+  const result = validateValue(schema, value, ctx);
+  return { value: result, errors: ctx.errors };
+};
+
+const failedPaths = (schema, value, options) => check(schema, value, options).errors.map(error => error.path);
+
+describe('query string coercion', () => {
+  const query = t.object({ page: t.integer({ min: 1 }), lat: t.number(), inStock: t.boolean(), q: t.string() });
+
+  test('reads numbers and booleans out of text', () => {
+    expect(check(query, { page: '2', lat: ' 16.4 ', inStock: 'true', q: '5' }, { location: 'query' })).toEqual({
+      value: { page: 2, lat: 16.4, inStock: true, q: '5' },
+      errors: []
+    });
+    expect(check(t.boolean(), '0').value).toBe(false);
+    expect(check(t.boolean(), '1').value).toBe(true);
+  });
+
+  test('leaves text that is not a number or boolean to fail', () => {
+    expect(failedPaths(query, { page: 'two', lat: '', inStock: 'yes' })).toEqual(['page', 'lat', 'inStock']);
+    expect(failedPaths(query, { page: '2.5' })).toEqual(['page']);
+  });
+
+  test('does not coerce where the schema also allows a string', () => {
+    expect(check(t.any(), '5').value).toBe('5');
+    expect(check({ type: ['string', 'integer'] }, '5').value).toBe('5');
+  });
+});
+
+describe('objects', () => {
+  test('reports every missing required field, with its own message where it has one', () => {
+    const schema = t.object({
+      title: t.string(),
+      pricePerKg: t.number({ message: 'Price is required' })
+    }, { required: ['title', 'pricePerKg'] });
+
+    expect(check(schema, {}).errors).toEqual([
+      { type: 'field', msg: 'Invalid value', path: 'title', location: 'body' },
+      { type: 'field', msg: 'Price is required', path: 'pricePerKg', location: 'body' }
+    ]);
+  });
+
+  test('requires dependent fields only when their trigger is present', () => {
+    const schema = t.object({ shippingQuoteId: t.string(), deliveryMethod: t.string() }, {
+      dependentRequired: { shippingQuoteId: ['deliveryMethod'] }
+    });
+    expect(failedPaths(schema, {})).toEqual([]);
+    expect(failedPaths(schema, { shippingQuoteId: 'q1' })).toEqual(['deliveryMethod']);
+  });
+
+  test('checks map values against additionalProperties and lets unknown fields through otherwise', () => {
+    const map = t.object({}, { values: t.enum(['pickup', 'courier']) });
+    expect(check(map, { 2: 'pickup', 7: 'courier' }).errors).toEqual([]);
+    expect(failedPaths(map, { 2: 'pickup', 7: 'drone' })).toEqual(['7']);
+
+    expect(check(t.object({ a: t.string() }), { a: 'x', extra: 1 })).toEqual({ value: { a: 'x', extra: 1 }, errors: [] });
+  });
+
+  test('runs cross-field checks on the cleaned-up object', () => {
+    const schema = t.object({ minPrice: t.number(), maxPrice: t.number() }, {
+      checks: [{ path: 'maxPrice', message: 'maxPrice must be at least minPrice', test: (q) => !(q.maxPrice < q.minPrice) }]
+    });
+    expect(check(schema, { minPrice: '10', maxPrice: '5' }).errors).toEqual([
+      { type: 'field', msg: 'maxPrice must be at least minPrice', path: 'maxPrice', location: 'body', value: 5 }
+    ]);
+  });
+
+  test('fills in defaults only when asked to', () => {
+    const schema = t.object({ limit: t.integer({ default: 20 }) });
+    expect(check(schema, {}).value).toEqual({});
+    expect(check(schema, {}, { applyDefaults: true }).value).toEqual({ limit: 20 });
+  });
+
+  test('names nested fields by their path and resolves references', () => {
+    const components = { Item: t.object({ productId: t.string(), quantity: t.integer({ min: 1 }) }, { required: ['productId'] }) };
+    const schema = t.object({ items: t.array(t.ref('Item')) });
+
+    expect(failedPaths(schema, { items: [{ productId: '1', quantity: 2 }, { quantity: 0 }] }, { components }))
+      .toEqual(['items[1].productId', 'items[1].quantity']);
+  });
+});
+
+describe('bounds and enums', () => {
+  test('enforces string length, number ranges and array sizes', () => {
+    expect(failedPaths(t.object({ s: t.string({ min: 3, max: 5 }) }), { s: 'ab' })).toEqual(['s']);
+    expect(failedPaths(t.object({ s: t.string({ min: 3, max: 5 }) }), { s: 'abcdef' })).toEqual(['s']);
+    expect(failedPaths(t.object({ s: t.string({ min: 3, max: 5 }) }), { s: 'abc' })).toEqual([]);
+
+    const range = t.object({ n: t.number({ min: 0, max: 10 }), p: t.number({ gt: 0, lt: 90 }) });
+    expect(failedPaths(range, { n: -1, p: 0 })).toEqual(['n', 'p']);
+    expect(failedPaths(range, { n: 11, p: 90 })).toEqual(['n', 'p']);
+    expect(failedPaths(range, { n: 0, p: 89.9 })).toEqual([]);
+
+    const list = t.object({ tags: t.array(t.string(), { min: 1, max: 2 }) });
+    expect(failedPaths(list, { tags: [] })).toEqual(['tags']);
+    expect(failedPaths(list, { tags: ['a', 'b', 'c'] })).toEqual(['tags']);
+  });
+
+  test('checks enums after sanitizing and reports the enum message', () => {
+    const schema = t.object({
+      status: t.enum(['active', 'unpublished'], { message: 'Invalid status', sanitize: (value) => value.toLowerCase() })
+    });
+    expect(check(schema, { status: 'ACTIVE' })).toEqual({ value: { status: 'active' }, errors: [] });
+    expect(check(schema, { status: 'gone' }).errors).toEqual([
+      { type: 'field', msg: 'Invalid status', path: 'status', location: 'body', value: 'gone' }
+    ]);
+  });
+
+  test('accepts null only where the schema is nullable', () => {
+    expect(failedPaths(t.object({ a: t.string() }), { a: null })).toEqual(['a']);
+    expect(failedPaths(t.object({ a: t.string({ nullable: true, min: 3 }) }), { a: null })).toEqual([]);
+  });
+});
+
+describe('error envelope', () => {
+  test('maps statuses to stable codes', () => {
+    expect(errorCode(400, { error: 'Validation failed', details: [] })).toBe('validation_failed');
+    expect(errorCode(400, { error: 'Your cart is empty' })).toBe('bad_request');
+    expect(errorCode(404)).toBe('not_found');
+    expect(errorCode(409)).toBe('conflict');
+    expect(errorCode(418)).toBe('bad_request');
+    expect(errorCode(599)).toBe('internal_error');
+  });
+
+  const buildApp = () => {
+    const app = express();
+    app.use(express.json());
+    const requireToken = (req, res, next) => (req.headers.authorization ? next() : res.status(401).json({ error: 'Access token required' }));
+    const api = createApiRouter(app, { auth: { required: requireToken } });
+
+    api.get('/items', {
+      query: t.object({ page: t.integer({ min: 1 }), inStock: t.boolean() })
+    }, (req, res) => res.json({ query: req.query }));
+
+    api.post('/items', {
+      body: t.object({ title: t.string({ min: 3 }), quantity: t.integer({ min: 1 }) }, { required: ['title'] })
+    }, requireToken, (req, res) => res.status(201).json({ body: req.body }));
+
+    return app;
+  };
+
+  test('hands handlers the coerced query', async () => {
+    const res = await request(buildApp()).get('/items?page=3&inStock=1').expect(200);
+    expect(res.body.query).toEqual({ page: 3, inStock: true });
+  });
+
+  test('answers 400 with every problem in details', async () => {
+    const res = await request(buildApp())
+      .post('/items')
+      .set('Authorization', 'Bearer x')
+      .send({ quantity: 0 })
+      .expect(400);
+
+    expect(res.body).toEqual({
+      error: 'Validation failed',
+      details: [
+        { type: 'field', msg: 'Invalid value', path: 'title', location: 'body' },
+        { type: 'field', msg: 'Invalid value', path: 'quantity', location: 'body', value: 0 }
+      ]
+    });
+    expect(errorCode(res.status, res.body)).toBe('validation_failed');
+  });
+
+  test('authenticates before validating', async () => {
+    const res = await request(buildApp()).post('/items').send({}).expect(401);
+    expect(res.body).toEqual({ error: 'Access token required' });
+  });
+
+  test('carries a code on every error the server sends', async () => {
+    const app = await loadApp();
+
+    const invalid = await request(app).get('/api/products?page=0&minPrice=cheap').expect(400);
+    expect(invalid.body).toEqual({
+      error: 'Validation failed',
+      code: 'validation_failed',
+      details: [
+        expect.objectContaining({ path: 'minPrice', location: 'query', value: 'cheap' }),
+        expect.objectContaining({ path: 'page', location: 'query', value: 0 })
+      ]
+    });
+
+    const missing = await request(app).get('/api/products/no-such-listing').expect(404);
+    expect(missing.body).toEqual({ error: 'Product not found', code: 'not_found' });
+
+    const unauthenticated = await request(app).get('/api/cart').expect(401);
+    expect(unauthenticated.body).toMatchObject({ code: 'unauthorized' });
+  });
+});
@@ -0,0 +1,151 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+let app;
+let buyer;
+let farmer;
+let demo;
+
+beforeAll(async () => {
+  app = await loadApp();
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+});
+
+const stockOf = async (productId) => (await request(app).get(`/api/products/${productId}`).expect(200)).body.stock;
+
+const placeOrder = async (as, items) =>
+  (await as.post('/api/orders').send({ items, deliveryAddress: 'Quezon City' }).expect(201)).body.order;
+
+const moveOrder = (as, order, status) => as.patch(`/api/orders/${order.id}/status`).send({ status });
+
+describe('placing orders', () => {
+  test('reserves stock and prices the order from the listing', async () => {
+    const before = await stockOf('1');
+    const order = await placeOrder(buyer, [{ productId: '1', quantity: 3 }]);
+
+    expect(order).toMatchObject({
+      buyerId: ACCOUNTS.buyer.id,
+      sellerId: ACCOUNTS.farmer.id,
+      status: 'pending',
+      total: 3 * 85.5
+    });
+    expect(order.items[0]).toMatchObject({ productId: '1', quantity: 3, pricePerKg: 85.5, subtotal: 3 * 85.5 });
+    expect(await stockOf('1')).toBe(before - 3);
+  });
+
+  test('merges repeated items for the same listing into one line', async () => {
+    const order = await placeOrder(buyer, [{ productId: '2', quantity: 1 }, { productId: '2', quantity: 2 }]);
+    expect(order.items).toHaveLength(1);
+    expect(order.items[0].quantity).toBe(3);
+  });
+
+  test('refuses orders it cannot fill', async () => {
+    const own = await farmer.post('/api/orders').send({ items: [{ productId: '1', quantity: 1 }] }).expect(400);
+    expect(own.body.error).toBe('You cannot order your own product');
+
+    const tooMuch = await buyer.post('/api/orders').send({ items: [{ productId: '1', quantity: 10000 }] }).expect(409);
+    expect(tooMuch.body.error).toMatch(/^Only \d+ kg of ".+" left in stock$/);
+
+    await buyer.post('/api/orders').send({ items: [{ productId: 'missing', quantity: 1 }] }).expect(404);
+
+    const pechay = (await demo.post('/api/products').send({ title: 'Demo pechay', pricePerKg: 40, stock: 20 }).expect(201)).body;
+    const mixed = await buyer.post('/api/orders')
+      .send({ items: [{ productId: '1', quantity: 1 }, { productId: pechay.id, quantity: 1 }] })
+      .expect(400);
+    expect(mixed.body.error).toBe('All items in an order must come from the same seller');
+  });
+
+  test('validates the items', async () => {
+    const problems = async (body) =>
+      (await buyer.post('/api/orders').send(body).expect(400)).body.details.map(issue => issue.msg);
+
+    expect(await problems({ items: [] })).toContain('At least one item is required');
+    expect(await problems({ items: [{ productId: '1', quantity: 0 }] })).toContain('Quantity must be at least 1 kg');
+  });
+
+  test('requires a signed-in buyer', async () => {
+    await request(app).post('/api/orders').send({ items: [{ productId: '1', quantity: 1 }] }).expect(401);
+  });
+});
+
+describe('order lifecycle', () => {
+  test('lets the seller walk an order through to delivery', async () => {
+    const order = await placeOrder(buyer, [{ productId: '1', quantity: 1 }]);
+
+    for (const status of ['confirmed', 'packed', 'shipped', 'delivered']) {
+      const res = await moveOrder(farmer, order, status).expect(200);
+      expect(res.body.order.status).toBe(status);
+    }
+
+    const res = await buyer.get(`/api/orders/${order.id}`).expect(200);
+    expect(res.body.statusHistory.map(entry => entry.status)).toEqual(['pending', 'confirmed', 'packed', 'shipped', 'delivered']);
+  });
+
+  test('keeps each step to the side allowed to take it', async () => {
+    const order = await placeOrder(buyer, [{ productId: '1', quantity: 1 }]);
+
+    const confirm = await moveOrder(buyer, order, 'confirmed').expect(403);
+    expect(confirm.body.error).toBe('Only the seller can mark this order confirmed');
+
+    const skip = await moveOrder(farmer, order, 'shipped').expect(409);
+    expect(skip.body.error).toBe('Cannot change order from pending to shipped');
+
+    await moveOrder(farmer, order, 'confirmed').expect(200);
+    await moveOrder(farmer, order, 'packed').expect(200);
+    const late = await moveOrder(buyer, order, 'cancelled').expect(403);
+    expect(late.body.error).toBe('Only the seller can mark this order cancelled');
+
+    await moveOrder(farmer, order, 'shipped').expect(200);
+    await moveOrder(buyer, order, 'delivered').expect(200);
+    await moveOrder(farmer, order, 'cancelled').expect(409);
+  });
+
+  test('returns the stock of a cancelled order', async () => {
+    const before = await stockOf('2');
+    const order = await placeOrder(buyer, [{ productId: '2', quantity: 4 }]);
+    expect(await stockOf('2')).toBe(before - 4);
+
+    const res = await moveOrder(buyer, order, 'cancelled').expect(200);
+    expect(res.body.order.status).toBe('cancelled');
+    expect(await stockOf('2')).toBe(before);
+
+    await moveOrder(buyer, order, 'cancelled').expect(409);
+    expect(await stockOf('2')).toBe(before);
+  });
+
+  test('hides an order from anyone but its buyer and seller', async () => {
+    const order = await placeOrder(buyer, [{ productId: '1', quantity: 1 }]);
+
+    const view = await demo.get(`/api/orders/${order.id}`).expect(403);
+    expect(view.body.error).toBe('Not authorized to view this order');
+    const update = await moveOrder(demo, order, 'cancelled').expect(403);
+    expect(update.body.error).toBe('Not authorized to update this order');
+
+    await farmer.get(`/api/orders/${order.id}`).expect(200);
+    await buyer.get('/api/orders/missing').expect(404);
+  });
+});
+
+describe('listing orders', () => {
+  test('filters by the side of the order and its status', async () => {
+    const order = await placeOrder(buyer, [{ productId: '1', quantity: 1 }]);
+    await moveOrder(farmer, order, 'confirmed').expect(200);
+
+    const bought = await buyer.get('/api/orders?role=buyer').expect(200);
+    expect(bought.body.orders.length).toBeGreaterThan(0);
+    expect(bought.body.orders.every(o => o.buyerId === ACCOUNTS.buyer.id)).toBe(true);
+    expect(bought.body.total).toBe(bought.body.orders.length);
+
+    const sold = await buyer.get('/api/orders?role=seller').expect(200);
+    expect(sold.body.orders).toEqual([]);
+
+    const confirmed = await farmer.get('/api/orders?role=seller&status=confirmed').expect(200);
+    expect(confirmed.body.orders.map(o => o.id)).toContain(order.id);
+    expect(confirmed.body.orders.every(o => o.status === 'confirmed')).toBe(true);
+
+    expect((await demo.get('/api/orders').expect(200)).body.orders.map(o => o.id)).not.toContain(order.id);
+  });
+});
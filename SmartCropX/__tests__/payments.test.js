@@ -0,0 +1,305 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { getGatewayCredentials, signWebhook } from '../payments.js';
+import { ACCOUNTS, client, loadListeningApp, login, stopServer, withEnv } from './helpers.js';
+
+let app;
+let server;
+let restoreEnv;
+let buyer;
+let farmer;
+let admin;
+
+beforeAll(async () => {
+  restoreEnv = withEnv({ PLATFORM_FEE_PERCENT: '10', ADMIN_USERNAMES: 'demo' });
+  ({ app, server } = await loadListeningApp());
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  admin = client(app, await login(app, ACCOUNTS.demo));
+});
+
+afterAll(async () => {
+  restoreEnv();
+  await stopServer(server);
+});
+
+const placeOrder = async (productId, quantity) => {
+  const res = await buyer.post('/api/orders').send({ items: [{ productId, quantity }] }).expect(201);
+  return res.body.order;
+};
+
+const moveOrder = async (order, ...statuses) => {
+  for (const status of statuses) {
+    const actor = status === 'cancelled' ? buyer : farmer;
+    await actor.patch(`/api/orders/${order.id}/status`).send({ status }).expect(200);
+  }
+};
+
+const startPayment = async (order, method) => {
+  const res = await buyer.post(`/api/orders/${order.id}/payments`).send({ method }).expect(201);
+  return res.body.payment;
+};
+
+// What the gateway would post for `payment`, signed with `secret`
+const sendWebhook = (payment, { id = `evt_${payment.id}`, type = 'payment.succeeded', secret = getGatewayCredentials().webhookSecret } = {}) => {
+  const rawBody = JSON.stringify({
+    id,
+    type,
+    data: { payment_intent: payment.providerReference, reference: payment.id, amount: Math.round(payment.amount * 100) }
+  });
+  return request(app)
+    .post(`/api/payments/webhooks/${payment.method}`)
+    .set('Content-Type', 'application/json')
+    .set('X-Gateway-Signature', signWebhook(secret, rawBody))
+    .send(rawBody);
+};
+
+// The buyer finishing checkout on the mock gateway, which then posts the webhook
+const approveAtGateway = async (payment) => {
+  const res = await request(app).post(`/mock-gateway/checkout/${payment.providerReference}/approve`).expect(200);
+  expect(res.body.webhook).toMatchObject({ delivered: true });
+};
+
+const getPayment = async (payment) => (await buyer.get(`/api/payments/${payment.id}`).expect(200)).body;
+
+const ledgerFor = async (sellerClient, orderId) => {
+  const res = await sellerClient.get('/api/payments/ledger').expect(200);
+  return { ...res.body, entries: res.body.entries.filter(entry => !orderId || entry.orderId === orderId) };
+};
+
+describe('e-wallet payments', () => {
+  test('pays through the gateway checkout and its webhook', async () => {
+    const order = await placeOrder('1', 2);
+    const payment = await startPayment(order, 'gcash');
+    expect(payment).toMatchObject({ status: 'requires_action', amount: order.total });
+    expect(payment.checkoutUrl).toContain(`/mock-gateway/checkout/${payment.providerReference}`);
+
+    await approveAtGateway(payment);
+
+    expect((await getPayment(payment)).status).toBe('succeeded');
+    expect((await buyer.get(`/api/orders/${order.id}/payments`)).body.paymentStatus).toBe('paid');
+  });
+
+  test('opens one gateway checkout when the buyer starts paying twice at once', async () => {
+    const order = await placeOrder('1', 1);
+
+    const responses = await Promise.all([
+      buyer.post(`/api/orders/${order.id}/payments`).send({ method: 'gcash' }),
+      buyer.post(`/api/orders/${order.id}/payments`).send({ method: 'gcash' })
+    ]);
+    expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+    expect(responses.find(res => res.status === 409).body.error).toBe('Payment is still being started');
+
+    const { payments } = (await buyer.get(`/api/orders/${order.id}/payments`).expect(200)).body;
+    expect(payments).toEqual([expect.objectContaining({ status: 'requires_action', providerReference: expect.any(String) })]);
+
+    // Once started, asking again hands back the same checkout
+    const again = await buyer.post(`/api/orders/${order.id}/payments`).send({ method: 'gcash' }).expect(200);
+    expect(again.body.payment.id).toBe(payments[0].id);
+  });
+
+  test('rejects webhooks that are unsigned or signed with the wrong secret', async () => {
+    const order = await placeOrder('1', 1);
+    const payment = await startPayment(order, 'gcash');
+
+    const forged = await sendWebhook(payment, { secret: 'not-the-webhook-secret' }).expect(400);
+    expect(forged.body.error).toBe('Invalid webhook signature');
+
+    await request(app)
+      .post('/api/payments/webhooks/gcash')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ id: 'evt_unsigned', type: 'payment.succeeded', data: { payment_intent: payment.providerReference } }))
+      .expect(400);
+
+    expect((await getPayment(payment)).status).toBe('requires_action');
+
+    // The same event, properly signed, is still accepted afterwards
+    await sendWebhook(payment).expect(200);
+    expect((await getPayment(payment)).status).toBe('succeeded');
+  });
+
+  test('settles a payment once however often its event is replayed', async () => {
+    const order = await placeOrder('1', 1);
+    const payment = await startPayment(order, 'gcash');
+
+    expect((await sendWebhook(payment)).body).toEqual({ received: true });
+    expect((await sendWebhook(payment)).body).toEqual({ received: true, duplicate: true });
+
+    await approveAtGateway(payment);
+    const replayed = await request(app).post(`/mock-gateway/checkout/${payment.providerReference}/replay`).expect(200);
+    expect(replayed.body.webhook.delivered).toBe(true);
+
+    const { entries } = await ledgerFor(farmer, order.id);
+    expect(entries.filter(entry => entry.type === 'sale')).toHaveLength(1);
+    expect((await getPayment(payment)).status).toBe('succeeded');
+  });
+
+  test('refunds a paid order when it is cancelled', async () => {
+    const stockBefore = (await buyer.get('/api/products/2')).body.stock;
+    const order = await placeOrder('2', 3);
+    const payment = await startPayment(order, 'maya');
+    await approveAtGateway(payment);
+
+    await moveOrder(order, 'cancelled');
+
+    const refunded = await getPayment(payment);
+    expect(refunded.status).toBe('refunded');
+    expect(refunded.amountRefunded).toBe(order.total);
+    expect(refunded.refunds).toEqual([expect.objectContaining({ amount: order.total, status: 'succeeded', reason: 'Order was cancelled' })]);
+    expect((await buyer.get(`/api/orders/${order.id}/payments`)).body.paymentStatus).toBe('refunded');
+    expect((await buyer.get('/api/products/2')).body.stock).toBe(stockBefore);
+
+    const { entries } = await ledgerFor(farmer, order.id);
+    expect(entries.map(entry => entry.type).sort()).toEqual(['fee', 'fee_refund', 'refund', 'sale']);
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBeCloseTo(0);
+  });
+
+  test('voids the checkout when the order is cancelled before it is paid', async () => {
+    const order = await placeOrder('1', 1);
+    const payment = await startPayment(order, 'gcash');
+
+    await moveOrder(order, 'cancelled');
+
+    expect(await getPayment(payment)).toMatchObject({ status: 'cancelled', cancelledAt: expect.any(String) });
+    expect((await buyer.get(`/api/orders/${order.id}/payments`)).body.paymentStatus).toBe('cancelled');
+    const late = await request(app).post(`/mock-gateway/checkout/${payment.providerReference}/approve`).expect(409);
+    expect(late.body.error).toBe('Payment intent is already cancelled');
+  });
+
+  test('refunds money whose webhook arrives after the order was cancelled', async () => {
+    const order = await placeOrder('2', 2);
+    const payment = await startPayment(order, 'gcash');
+
+    // The buyer pays, but the gateway is slow to say so
+    const held = await request(app).post(`/mock-gateway/checkout/${payment.providerReference}/approve?hold=1`).expect(200);
+    expect(held.body.webhook.delivered).toBe(false);
+    await moveOrder(order, 'cancelled');
+    expect((await getPayment(payment)).status).toBe('cancelled');
+
+    const replayed = await request(app).post(`/mock-gateway/checkout/${payment.providerReference}/replay`).expect(200);
+    expect(replayed.body.webhook.delivered).toBe(true);
+
+    const refunded = await getPayment(payment);
+    expect(refunded).toMatchObject({ status: 'refunded', amountRefunded: order.total });
+    expect(refunded.refunds).toEqual([expect.objectContaining({ amount: order.total, status: 'succeeded', reason: 'Order was cancelled' })]);
+    expect((await buyer.get(`/api/orders/${order.id}/payments`)).body.paymentStatus).toBe('refunded');
+
+    const { entries } = await ledgerFor(farmer, order.id);
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBeCloseTo(0);
+  });
+
+  test('processes a webhook again when the gateway retries it after a failure', async () => {
+    const order = await placeOrder('2', 1);
+    const payment = await startPayment(order, 'gcash');
+    await request(app).post(`/mock-gateway/checkout/${payment.providerReference}/approve?hold=1`).expect(200);
+    await moveOrder(order, 'cancelled');
+
+    // The refund the late payment needs fails at the gateway the first time
+    const realFetch = globalThis.fetch;
+    const fetchSpy = jest.spyOn(globalThis, 'fetch').mockImplementation((url, options) =>
+      (String(url).endsWith('/v1/refunds') ? Promise.reject(new Error('Gateway timed out')) : realFetch(url, options)));
+    try {
+      await sendWebhook(payment).expect(500);
+    } finally {
+      fetchSpy.mockRestore();
+    }
+    expect((await getPayment(payment)).status).toBe('succeeded');
+
+    expect((await sendWebhook(payment).expect(200)).body).toEqual({ received: true });
+    expect((await sendWebhook(payment).expect(200)).body).toEqual({ received: true, duplicate: true });
+
+    const refunded = await getPayment(payment);
+    expect(refunded).toMatchObject({ status: 'refunded', amountRefunded: order.total });
+    expect(refunded.refunds).toHaveLength(1);
+    const { entries } = await ledgerFor(farmer, order.id);
+    expect(entries.filter(entry => entry.type === 'sale')).toHaveLength(1);
+  });
+
+  test('keeps a cancellation whose refund failed so the refund can be retried', async () => {
+    const stockBefore = (await buyer.get('/api/products/2')).body.stock;
+    const order = await placeOrder('2', 2);
+    const payment = await startPayment(order, 'maya');
+    await approveAtGateway(payment);
+
+    const fetchSpy = jest.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('Gateway timed out'));
+    let res;
+    try {
+      res = await buyer.patch(`/api/orders/${order.id}/status`).send({ status: 'cancelled' }).expect(502);
+    } finally {
+      fetchSpy.mockRestore();
+    }
+    expect(res.body.error).toBe('Order cancelled, but the refund failed at the payment provider. It will be retried.');
+    expect(res.body.order).toMatchObject({ status: 'cancelled', paymentStatus: 'refund_pending' });
+    expect((await buyer.get('/api/products/2')).body.stock).toBe(stockBefore);
+    expect((await getPayment(payment)).status).toBe('succeeded');
+
+    await farmer.post(`/api/payments/${payment.id}/refunds`).send({ reason: 'Order was cancelled' }).expect(201);
+    expect((await getPayment(payment)).status).toBe('refunded');
+    expect((await buyer.get(`/api/orders/${order.id}/payments`)).body.paymentStatus).toBe('refunded');
+  });
+
+  test('cannot be started once the order has shipped', async () => {
+    const order = await placeOrder('1', 1);
+    await moveOrder(order, 'confirmed', 'packed', 'shipped');
+
+    const res = await buyer.post(`/api/orders/${order.id}/payments`).send({ method: 'gcash' }).expect(409);
+    expect(res.body.error).toBe('Cannot pay for a shipped order');
+  });
+});
+
+describe('cash on delivery', () => {
+  test('settles when the order is delivered', async () => {
+    const order = await placeOrder('1', 4);
+    await moveOrder(order, 'confirmed', 'packed', 'shipped', 'delivered');
+
+    const res = await buyer.get(`/api/orders/${order.id}/payments`).expect(200);
+    expect(res.body.paymentStatus).toBe('paid');
+    expect(res.body.payments).toEqual([expect.objectContaining({ method: 'cod', status: 'succeeded', amount: order.total })]);
+
+    // The seller already holds the cash, so only the platform fee is owed
+    const { entries } = await ledgerFor(farmer, order.id);
+    expect(entries.every(entry => entry.availableAt)).toBe(true);
+    expect(Object.fromEntries(entries.map(entry => [entry.type, entry.amount]))).toEqual({
+      sale: order.total,
+      fee: -order.total / 10,
+      cash_collected: -order.total
+    });
+  });
+});
+
+describe('payouts', () => {
+  test('balance counts delivered sales as available and the rest as pending', async () => {
+    // The demo account both sells and administers payouts
+    const seller = admin;
+    const listing = (await seller.post('/api/products').send({ title: 'Payout test rice', pricePerKg: 100, stock: 50 }).expect(201)).body;
+
+    // Cash on delivery, delivered: the seller owes the 10% fee on 200
+    const cod = await placeOrder(listing.id, 2);
+    // E-wallet, delivered: 500 less the fee is owed to the seller
+    const delivered = await placeOrder(listing.id, 5);
+    await approveAtGateway(await startPayment(delivered, 'gcash'));
+    // E-wallet, cancelled and refunded: nets to nothing
+    const cancelled = await placeOrder(listing.id, 1);
+    await approveAtGateway(await startPayment(cancelled, 'gcash'));
+    await moveOrder(cancelled, 'cancelled');
+    // E-wallet, not delivered yet: 300 less the fee is pending
+    const undelivered = await placeOrder(listing.id, 3);
+    await approveAtGateway(await startPayment(undelivered, 'gcash'));
+
+    for (const order of [cod, delivered]) {
+      for (const status of ['confirmed', 'packed', 'shipped', 'delivered']) {
+        await seller.patch(`/api/orders/${order.id}/status`).send({ status }).expect(200);
+      }
+    }
+
+    const before = await ledgerFor(seller);
+    expect(before.balance).toEqual({ pending: 270, available: 430, paidOut: 0 });
+
+    const payout = await admin.post(`/api/admin/payouts/${ACCOUNTS.demo.id}`).send({ reference: 'BANK-123' }).expect(201);
+    expect(payout.body.amount).toBe(430);
+
+    const after = await ledgerFor(seller);
+    expect(after.balance).toEqual({ pending: 270, available: 0, paidOut: 430 });
+    await admin.post(`/api/admin/payouts/${ACCOUNTS.demo.id}`).send({}).expect(409);
+  });
+});
@@ -0,0 +1,128 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+let app;
+let buyer;
+let farmer;
+let demo;
+
+beforeAll(async () => {
+  app = await loadApp();
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+});
+
+const createListing = async (title) =>
+  (await farmer.post('/api/products').send({ title, pricePerKg: 100, stock: 50 }).expect(201)).body;
+
+const placeOrder = async (as, productId) =>
+  (await as.post('/api/orders').send({ items: [{ productId, quantity: 1 }] }).expect(201)).body.order;
+
+const deliver = async (order) => {
+  for (const status of ['confirmed', 'packed', 'shipped', 'delivered']) {
+    await farmer.patch(`/api/orders/${order.id}/status`).send({ status }).expect(200);
+  }
+};
+
+// Reviews list newest first, so keep two in a row from sharing a timestamp
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const review = (as, product, body) => as.post(`/api/products/${product.id}/reviews`).send(body);
+
+describe('writing reviews', () => {
+  test('takes reviews only from buyers whose order was delivered', async () => {
+    const listing = await createListing('Pangasinan rice');
+    const order = await placeOrder(buyer, listing.id);
+
+    const early = await review(buyer, listing, { rating: 5 }).expect(403);
+    expect(early.body.error).toBe('You can only review products from your delivered orders');
+    await review(demo, listing, { rating: 1 }).expect(403);
+    await review(farmer, listing, { rating: 5 }).expect(403);
+
+    await deliver(order);
+    const res = await review(buyer, listing, { rating: 4, comment: 'Clean and dry' }).expect(201);
+    expect(res.body.review).toMatchObject({ buyerId: ACCOUNTS.buyer.id, orderId: order.id, rating: 4, comment: 'Clean and dry' });
+  });
+
+  test('takes one review per buyer and product', async () => {
+    const listing = await createListing('Laguna coconuts');
+    await deliver(await placeOrder(buyer, listing.id));
+    await review(buyer, listing, { rating: 5 }).expect(201);
+
+    // A second delivered order doesn't earn a second review
+    await deliver(await placeOrder(buyer, listing.id));
+    const res = await review(buyer, listing, { rating: 1 }).expect(409);
+    expect(res.body.error).toBe('You have already reviewed this product');
+  });
+
+  test('validates the rating', async () => {
+    const listing = await createListing('Quezon lanzones');
+    await deliver(await placeOrder(buyer, listing.id));
+
+    const res = await review(buyer, listing, { rating: 6 }).expect(400);
+    expect(res.body.details.map(issue => issue.msg)).toContain('Rating must be between 1 and 5');
+    await review(buyer, { id: 'missing' }, { rating: 3 }).expect(404);
+  });
+});
+
+describe('ratings', () => {
+  test('averages the reviews of a listing and of its seller', async () => {
+    const first = await createListing('Albay pili nuts');
+    const second = await createListing('Albay abaca');
+    await deliver(await placeOrder(buyer, first.id));
+    await deliver(await placeOrder(demo, first.id));
+    await deliver(await placeOrder(buyer, second.id));
+
+    await review(buyer, first, { rating: 5 }).expect(201);
+    await tick();
+    const res = await review(demo, first, { rating: 2 }).expect(201);
+    expect(res.body).toMatchObject({ rating: 3.5, reviewCount: 2 });
+    await review(buyer, second, { rating: 1 }).expect(201);
+
+    const listed = await request(app).get(`/api/products/${first.id}/reviews`).expect(200);
+    expect(listed.body).toMatchObject({ rating: 3.5, reviewCount: 2, total: 2 });
+    expect(listed.body.reviews.map(r => r.rating)).toEqual([2, 5]);
+
+    // Every listing of the seller carries the seller's overall rating
+    const seller = (await request(app).get(`/api/products/${second.id}`).expect(200)).body.seller;
+    const sellerReviews = (await Promise.all(
+      (await farmer.get('/api/products/mine').expect(200)).body.products.map(p => request(app).get(`/api/products/${p.id}/reviews?limit=100`))
+    )).flatMap(r => r.body.reviews);
+    expect(seller.reviewCount).toBe(sellerReviews.length);
+    expect(seller.rating).toBe(Math.round(sellerReviews.reduce((sum, r) => sum + r.rating, 0) / sellerReviews.length * 10) / 10);
+    expect((await request(app).get('/api/products/1').expect(200)).body.seller).toMatchObject({ rating: seller.rating, reviewCount: seller.reviewCount });
+  });
+
+  test('pages reviews newest first', async () => {
+    const listing = await createListing('Cotabato corn');
+    await deliver(await placeOrder(buyer, listing.id));
+    await deliver(await placeOrder(demo, listing.id));
+    await review(buyer, listing, { rating: 3 }).expect(201);
+    await tick();
+    await review(demo, listing, { rating: 4 }).expect(201);
+
+    const page = await request(app).get(`/api/products/${listing.id}/reviews?limit=1&page=2`).expect(200);
+    expect(page.body).toMatchObject({ total: 2, page: 2, totalPages: 2 });
+    expect(page.body.reviews.map(r => r.buyerId)).toEqual([ACCOUNTS.buyer.id]);
+  });
+});
+
+describe('seller replies', () => {
+  test('lets only the listing\'s seller answer a review', async () => {
+    const listing = await createListing('Iloilo shrimp paste');
+    await deliver(await placeOrder(buyer, listing.id));
+    const { review: written } = (await review(buyer, listing, { rating: 2, comment: 'Too salty' }).expect(201)).body;
+    const replyPath = `/api/products/${listing.id}/reviews/${written.id}/reply`;
+
+    const outsider = await demo.post(replyPath).send({ reply: 'Sorry' }).expect(403);
+    expect(outsider.body.error).toBe('Only the seller can reply to this review');
+    await buyer.post(replyPath).send({ reply: 'Replying to myself' }).expect(403);
+    await farmer.post(`/api/products/1/reviews/${written.id}/reply`).send({ reply: 'Wrong listing' }).expect(404);
+
+    const res = await farmer.post(replyPath).send({ reply: 'We will use less salt' }).expect(200);
+    expect(res.body.sellerReply).toMatchObject({ body: 'We will use less salt' });
+    expect(res.body.rating).toBe(2);
+  });
+});
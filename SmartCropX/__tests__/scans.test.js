@@ -0,0 +1,110 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+// Photos the offline stub provider always reads the same way
+const PHOTOS = {
+  blight: Buffer.from('leaf photo 7').toString('base64'), // Tomato, early blight
+  healthy: Buffer.from('leaf photo 11').toString('base64'), // Tomato, no disease
+  leafSpot: Buffer.from('leaf photo 0').toString('base64') // Rice, leaf spot
+};
+
+let app;
+let farmer;
+let buyer;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+});
+
+// Scans list newest first, so keep two in a row from sharing a timestamp
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const addPlant = async (as, name) => (await as.post('/api/ai/plants').send({ name, crop: 'tomato' }).expect(201)).body;
+
+const scan = async (as, photo, plantId) => {
+  const res = await as.post('/api/ai/detect-disease').send({ imageBase64: photo, ...(plantId && { plantId }) }).expect(200);
+  await tick();
+  return res.body;
+};
+
+describe('plant health', () => {
+  test('keeps a timeline per plant and follows how its health changes', async () => {
+    const plant = await addPlant(farmer, 'Greenhouse row 1');
+    expect(plant).toMatchObject({ scanCount: 0, latestScan: null, trend: { direction: 'insufficient-data' } });
+
+    const sick = await scan(farmer, PHOTOS.blight, plant.id);
+    expect(sick.healthAssessment.level).toBe(3);
+    const healed = await scan(farmer, PHOTOS.healthy, plant.id);
+    expect(healed.healthAssessment.level).toBe(0);
+
+    const res = await farmer.get(`/api/ai/plants/${plant.id}`).expect(200);
+    expect(res.body.scanCount).toBe(2);
+    expect(res.body.latestScan.id).toBe(healed.scanId);
+    expect(res.body.trend).toMatchObject({ direction: 'improving', resolvedDiseases: ['Early blight'], newDiseases: [] });
+    expect(res.body.timeline.map(entry => entry.id)).toEqual([healed.scanId, sick.scanId]);
+
+    await scan(farmer, PHOTOS.leafSpot, plant.id);
+    const worse = await farmer.get(`/api/ai/plants/${plant.id}`).expect(200);
+    expect(worse.body.trend).toMatchObject({ direction: 'worsening', newDiseases: ['Leaf spot'] });
+  });
+
+  test('keeps plants to their owner', async () => {
+    const plant = await addPlant(farmer, 'Backyard mango');
+
+    const res = await buyer.get(`/api/ai/plants/${plant.id}`).expect(404);
+    expect(res.body.error).toBe('Plant not found');
+    expect((await buyer.get('/api/ai/plants').expect(200)).body.plants.map(p => p.id)).not.toContain(plant.id);
+    await request(app).get('/api/ai/plants').expect(401);
+
+    const unnamed = await farmer.post('/api/ai/plants').send({ name: '  ' }).expect(400);
+    expect(unnamed.body.details.map(issue => issue.msg)).toContain('Plant name is required');
+  });
+});
+
+describe('scan history', () => {
+  test('lists only my own scans, newest first and by plant', async () => {
+    const plant = await addPlant(buyer, 'Balcony pechay');
+    const loose = await scan(buyer, PHOTOS.healthy);
+    const filed = await scan(buyer, PHOTOS.leafSpot, plant.id);
+
+    const all = await buyer.get('/api/ai/scans').expect(200);
+    expect(all.body.scans.map(s => s.id)).toEqual([filed.scanId, loose.scanId]);
+    expect(all.body.scans.every(s => s.userId === ACCOUNTS.buyer.id)).toBe(true);
+
+    const byPlant = await buyer.get(`/api/ai/scans?plantId=${plant.id}`).expect(200);
+    expect(byPlant.body.scans.map(s => s.id)).toEqual([filed.scanId]);
+
+    const paged = await buyer.get('/api/ai/scans?limit=1&page=2').expect(200);
+    expect(paged.body).toMatchObject({ total: 2, page: 2, totalPages: 2 });
+    expect(paged.body.scans.map(s => s.id)).toEqual([loose.scanId]);
+
+    expect((await farmer.get('/api/ai/scans?limit=100').expect(200)).body.scans.map(s => s.id)).not.toContain(loose.scanId);
+    await farmer.get(`/api/ai/scans/${loose.scanId}`).expect(404);
+    expect((await buyer.get(`/api/ai/scans/${loose.scanId}`).expect(200)).body).toMatchObject({
+      plantName: 'Solanum lycopersicum',
+      answeredBy: 'stub',
+      diseases: []
+    });
+  });
+
+  test('moves a scan between the owner\'s plants', async () => {
+    const first = await addPlant(farmer, 'Seedbed A');
+    const second = await addPlant(farmer, 'Seedbed B');
+    const theirs = await addPlant(buyer, 'Not yours');
+    const { scanId } = await scan(farmer, PHOTOS.blight, first.id);
+
+    const moved = await farmer.patch(`/api/ai/scans/${scanId}`).send({ plantId: second.id }).expect(200);
+    expect(moved.body.plantId).toBe(second.id);
+    expect((await farmer.get(`/api/ai/plants/${first.id}`).expect(200)).body.scanCount).toBe(0);
+    expect((await farmer.get(`/api/ai/plants/${second.id}`).expect(200)).body.scanCount).toBe(1);
+
+    await farmer.patch(`/api/ai/scans/${scanId}`).send({ plantId: theirs.id }).expect(404);
+    await buyer.patch(`/api/ai/scans/${scanId}`).send({ plantId: theirs.id }).expect(404);
+
+    const unfiled = await farmer.patch(`/api/ai/scans/${scanId}`).send({ plantId: null }).expect(200);
+    expect(unfiled.body.plantId).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login } from './helpers.js';
+
+let app;
+const listings = {};
+
+beforeAll(async () => {
+  app = await loadApp();
+  const farmer = client(app, await login(app, ACCOUNTS.farmer));
+  const demo = client(app, await login(app, ACCOUNTS.demo));
+
+  const list = async (as, name, listing) => {
+    listings[name] = (await as.post('/api/products').send({ stock: 10, category: 'vegetables', ...listing }).expect(201)).body;
+  };
+  await list(farmer, 'organic', { title: 'Organic tomatoes', pricePerKg: 60, tags: ['organic', 'highland'] });
+  await list(farmer, 'cherry', { title: 'Cherry tomato', description: 'Small and sweet', pricePerKg: 120, tags: ['sweet'] });
+  await list(farmer, 'salad', { title: 'Salad greens', description: 'Goes well with tomato', pricePerKg: 50, tags: ['organic'] });
+  await list(demo, 'roma', { title: 'Roma tomatoes', pricePerKg: 90, stock: 0, tags: ['sauce'] });
+  await list(demo, 'hidden', { title: 'Unpublished tomatoes', pricePerKg: 10, status: 'unpublished' });
+});
+
+const search = async (query) => (await request(app).get('/api/products').query(query).expect(200)).body;
+
+const ids = (body) => body.products.map(p => p.id);
+
+describe('ranking', () => {
+  test('puts title matches ahead of description matches', async () => {
+    const results = await search({ q: 'tomato' });
+    expect(results.sort).toBe('relevance');
+    expect(ids(results)).toHaveLength(4);
+    expect(ids(results).at(-1)).toBe(listings.salad.id);
+    expect(ids(results)).not.toContain(listings.hidden.id);
+  });
+
+  test('matches tags, word beginnings, typos and Filipino names', async () => {
+    expect(ids(await search({ q: 'sauce' }))).toEqual([listings.roma.id]);
+    expect(ids(await search({ q: 'cher' }))).toEqual([listings.cherry.id]);
+    expect(ids(await search({ q: 'tomatos organic' }))).toEqual([listings.organic.id, listings.salad.id]);
+    expect(ids(await search({ q: 'kamatis' }))).toEqual(expect.arrayContaining([listings.organic.id, listings.cherry.id, listings.roma.id]));
+    expect((await search({ q: 'durian' })).total).toBe(0);
+  });
+});
+
+describe('filters and facets', () => {
+  test('narrow the results by price, stock, region and tags', async () => {
+    expect(ids(await search({ q: 'tomato', minPrice: 55, maxPrice: 100, sort: 'price_asc' }))).toEqual([listings.organic.id, listings.roma.id]);
+    expect(ids(await search({ q: 'tomato', inStock: true }))).not.toContain(listings.roma.id);
+    expect(ids(await search({ q: 'tomato', region: 'Metro Manila' }))).toEqual([listings.roma.id]);
+    expect(ids(await search({ q: 'tomato', organic: true, tags: 'highland' }))).toEqual([listings.organic.id]);
+    expect((await search({ q: 'tomato', minRating: 4 })).total).toBe(0);
+  });
+
+  test('count each facet without its own filter', async () => {
+    const { facets, total } = await search({ q: 'tomato', region: 'benguet' });
+    expect(total).toBe(3);
+    expect(facets.regions).toEqual([
+      { value: 'benguet', label: 'Benguet', count: 3 },
+      { value: 'metro manila', label: 'Metro Manila', count: 1 }
+    ]);
+    expect(facets.categories).toEqual([{ value: 'vegetables', count: 3 }]);
+    expect(facets.tags).toEqual(expect.arrayContaining([{ value: 'organic', count: 2 }, { value: 'sweet', count: 1 }]));
+  });
+});
+
+describe('sorting and paging', () => {
+  test('pages through results with a cursor', async () => {
+    const first = await search({ q: 'tomato', sort: 'price_asc', limit: 3 });
+    expect(first.products.map(p => p.pricePerKg)).toEqual([50, 60, 90]);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await search({ q: 'tomato', sort: 'price_asc', limit: 3, cursor: first.nextCursor });
+    expect(second.products.map(p => p.pricePerKg)).toEqual([120]);
+    expect(second).toMatchObject({ page: null, nextCursor: null });
+
+    const byPage = await search({ q: 'tomato', sort: 'price_desc', limit: 3, page: 2 });
+    expect(byPage.products.map(p => p.pricePerKg)).toEqual([50]);
+    expect(byPage).toMatchObject({ page: 2, totalPages: 2 });
+  });
+
+  test('rejects paging and sorting it cannot honour', async () => {
+    const limit = await request(app).get('/api/products?limit=abc').expect(400);
+    expect(limit.body.details.map(issue => issue.path)).toContain('limit');
+    await request(app).get('/api/products?page=0').expect(400);
+    await request(app).get('/api/products?limit=500').expect(400);
+
+    const relevance = await request(app).get('/api/products?sort=relevance').expect(400);
+    expect(relevance.body.error).toBe('A search query is required to sort by relevance');
+
+    const { nextCursor } = await search({ q: 'tomato', sort: 'price_asc', limit: 1 });
+    const mixed = await request(app).get('/api/products').query({ q: 'tomato', sort: 'newest', cursor: nextCursor }).expect(400);
+    expect(mixed.body.error).toBe('Invalid cursor');
+    await request(app).get('/api/products?cursor=garbage').expect(400);
+  });
+});
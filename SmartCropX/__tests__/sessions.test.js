@@ -0,0 +1,77 @@
+import { beforeAll, describe, expect, test } from '@jest/globals';
+import request from 'supertest';
+import { client, loadApp, login } from './helpers.js';
+
+let app;
+
+beforeAll(async () => {
+  app = await loadApp();
+});
+
+const register = async (username) => (await request(app).post('/api/auth/register').send({
+  username,
+  password: 'secret123',
+  fullName: 'Test Buyer',
+  age: 30,
+  region: 'Pangasinan',
+  userType: 'buyer'
+}).expect(201)).body;
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const signedIn = (token) => client(app, token).get('/api/users/me');
+
+const rejected = async (token) => {
+  const res = await signedIn(token).expect(403);
+  expect(res.body.error).toBe('Invalid or expired token');
+};
+
+describe('refresh tokens', () => {
+  test('trade in for new tokens, once each', async () => {
+    const { token, refreshToken } = await register('rotating');
+
+    const refreshed = await refresh(refreshToken).expect(200);
+    expect(refreshed.body.refreshToken).not.toBe(refreshToken);
+    await signedIn(refreshed.body.token).expect(200);
+
+    // Someone replaying the first token ends the session for both of them
+    const replayed = await refresh(refreshToken).expect(401);
+    expect(replayed.body.error).toBe('Invalid or expired refresh token');
+    await refresh(refreshed.body.refreshToken).expect(401);
+    await rejected(token);
+
+    await refresh('not-a-token').expect(401);
+    await request(app).post('/api/auth/refresh').send({}).expect(400);
+  });
+});
+
+describe('logout', () => {
+  test('ends only this device\'s session', async () => {
+    const laptop = await register('leaving');
+    const phone = await login(app, { username: 'leaving', password: 'secret123' });
+
+    await client(app, phone).post('/api/auth/logout').send({}).expect(200, { message: 'Logged out successfully' });
+    await rejected(phone);
+    await signedIn(laptop.token).expect(200);
+
+    // An expired access token is no use, but the refresh token still signs out
+    await request(app).post('/api/auth/logout').send({ refreshToken: laptop.refreshToken }).expect(200);
+    await rejected(laptop.token);
+    await refresh(laptop.refreshToken).expect(401);
+  });
+
+  test('ends every session with allDevices', async () => {
+    const laptop = await register('leaving-everywhere');
+    const phone = await login(app, { username: 'leaving-everywhere', password: 'secret123' });
+
+    await client(app, phone).post('/api/auth/logout').send({ allDevices: true }).expect(200);
+    await rejected(phone);
+    await rejected(laptop.token);
+    await refresh(laptop.refreshToken).expect(401);
+  });
+
+  test('needs a session to end', async () => {
+    await request(app).post('/api/auth/logout').send({}).expect(401);
+    await request(app).post('/api/auth/logout').send({ refreshToken: 'unknown.token' }).expect(401);
+  });
+});
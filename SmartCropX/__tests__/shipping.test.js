@@ -0,0 +1,122 @@
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, daysFromNow, loadApp, login, travelTo } from './helpers.js';
+
+// Right next to the farmer's carrots (product '1') in Benguet
+const NEAR_FARM = { lat: 16.41, lng: 120.6 };
+
+let app;
+let farmer;
+let buyer;
+let demo;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+  demo = client(app, await login(app, ACCOUNTS.demo));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const quote = async (as, body) => (await as.post('/api/shipping/quote').send(body).expect(201)).body;
+
+const optionsOf = (body) => Object.fromEntries(body.shipments[0].options.map(option => [option.method, option]));
+
+describe('delivery options', () => {
+  test('fill in the default fee rules for each method a seller offers', async () => {
+    const res = await farmer.post('/api/products').send({
+      title: 'Baguio strawberries',
+      pricePerKg: 300,
+      stock: 10,
+      deliveryOptions: [{ method: 'pickup', instructions: 'Gate 2, after 8 AM' }, { method: 'seller_delivery', maxDistanceKm: 10 }]
+    }).expect(201);
+    expect(res.body.deliveryOptions).toEqual([
+      { method: 'pickup', instructions: 'Gate 2, after 8 AM' },
+      { method: 'seller_delivery', maxDistanceKm: 10, baseFee: 50, feePerKm: 5, feePerKg: 0, freeOverAmount: null }
+    ]);
+
+    const plain = await farmer.post('/api/products').send({ title: 'Plain kale', pricePerKg: 80, stock: 5 }).expect(201);
+    expect(plain.body.deliveryOptions).toEqual([{ method: 'pickup' }]);
+
+    const invalid = await farmer.post('/api/products').send({ title: 'Teleported kale', pricePerKg: 80, stock: 5, deliveryOptions: [{ method: 'drone' }] }).expect(400);
+    expect(invalid.body.details.map(issue => issue.msg)).toContain('Invalid delivery method');
+  });
+});
+
+describe('quotes', () => {
+  test('price each method by distance and weight', async () => {
+    const far = await quote(buyer, { productId: '1', quantity: 5 });
+    expect(far.destination).toMatchObject({ region: 'Quezon City', source: 'profile' });
+    const { distanceKm } = far.shipments[0];
+    expect(distanceKm).toBeGreaterThan(150);
+
+    const farOptions = optionsOf(far);
+    expect(farOptions.pickup).toMatchObject({ available: true, fee: 0, estimatedDays: 0 });
+    expect(farOptions.seller_delivery).toMatchObject({ available: false, fee: null, reason: 'Only delivers within 30 km' });
+    // 100 base + 1 per km + 10 per kg
+    expect(farOptions.courier.fee).toBeCloseTo(100 + distanceKm + 50, 2);
+
+    const near = optionsOf(await quote(buyer, { productId: '1', quantity: 5, location: NEAR_FARM }));
+    expect(near.seller_delivery.available).toBe(true);
+    expect(near.seller_delivery.fee).toBeGreaterThan(60);
+
+    // Free over ₱2,000, and too heavy for the courier over 50 kg
+    const bulk = optionsOf(await quote(buyer, { productId: '1', quantity: 60, location: NEAR_FARM }));
+    expect(bulk.seller_delivery).toMatchObject({ available: true, fee: 0 });
+    expect(bulk.courier).toMatchObject({ available: false, reason: 'Only ships up to 50 kg' });
+  });
+
+  test('offer only what every listing in a shipment offers', async () => {
+    const res = await quote(buyer, { items: [{ productId: '1', quantity: 2 }, { productId: '2', quantity: 1 }] });
+    expect(res.shipments).toHaveLength(1);
+    expect(res.shipments[0]).toMatchObject({ sellerId: ACCOUNTS.farmer.id, weightKg: 3 });
+    expect(Object.keys(optionsOf(res))).toEqual(['pickup', 'courier']);
+  });
+
+  test('quote the cart by default and warn when the destination is unknown', async () => {
+    await buyer.post('/api/shipping/quote').send({}).expect(400, { error: 'Your cart is empty', code: 'bad_request' });
+
+    const nowhere = await quote(buyer, { productId: '1', region: 'Atlantis' });
+    expect(nowhere).toMatchObject({ destination: null, warning: 'Set a delivery location to see delivery fees' });
+    expect(optionsOf(nowhere).courier).toMatchObject({ available: false, reason: 'Delivery location unknown' });
+  });
+
+  test('are for buyers of someone else\'s listings', async () => {
+    await request(app).post('/api/shipping/quote').send({ productId: '1' }).expect(401);
+    const own = await farmer.post('/api/shipping/quote').send({ productId: '1' }).expect(400);
+    expect(own.body.error).toBe('You cannot order your own product');
+    await buyer.post('/api/shipping/quote').send({ productId: 'missing' }).expect(404);
+  });
+});
+
+describe('orders', () => {
+  test('carry the chosen delivery and add its fee to the total', async () => {
+    const { quoteId, shipments } = await quote(buyer, { productId: '1', quantity: 2 });
+    const courier = shipments[0].options.find(option => option.method === 'courier');
+
+    const res = await buyer.post('/api/orders').send({ items: [{ productId: '1', quantity: 2 }], shippingQuoteId: quoteId, deliveryMethod: 'courier' }).expect(201);
+    expect(res.body.order).toMatchObject({ subtotal: 171, shippingFee: courier.fee, delivery: { method: 'courier', fee: courier.fee, quoteId } });
+    expect(res.body.order.total).toBeCloseTo(171 + courier.fee, 2);
+
+    const details = await farmer.get(`/api/orders/${res.body.order.id}`).expect(200);
+    expect(details.body.delivery).toMatchObject({ method: 'courier', destination: { region: 'Quezon City' } });
+  });
+
+  test('hold the buyer to their own, matching and current quote', async () => {
+    const { quoteId } = await quote(buyer, { productId: '1', quantity: 2 });
+    const order = (body) => buyer.post('/api/orders').send({ items: [{ productId: '1', quantity: 2 }], shippingQuoteId: quoteId, ...body });
+
+    expect((await order({ deliveryMethod: 'seller_delivery' }).expect(400)).body.error).toBe('Delivery method not available for this order');
+    expect((await order({ items: [{ productId: '1', quantity: 3 }], deliveryMethod: 'pickup' }).expect(409)).body.error).toBe('Shipping quote does not match the order items');
+    await order({}).expect(400);
+    await demo.post('/api/orders').send({ items: [{ productId: '1', quantity: 2 }], shippingQuoteId: quoteId, deliveryMethod: 'pickup' }).expect(404);
+
+    travelTo(daysFromNow(1));
+    const later = client(app, await login(app, ACCOUNTS.buyer));
+    const expired = await later.post('/api/orders').send({ items: [{ productId: '1', quantity: 2 }], shippingQuoteId: quoteId, deliveryMethod: 'pickup' }).expect(409);
+    expect(expired.body.error).toBe('Shipping quote has expired');
+  });
+});
@@ -0,0 +1,135 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import migrations from '../migrations.js';
+import { openStore, runMigrations } from '../storage.js';
+import { ACCOUNTS, client, loadApp, login, withEnv } from './helpers.js';
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+const dirs = [];
+const tempDir = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'smartcropx-'));
+  dirs.push(dir);
+  return dir;
+};
+
+// Opens a store the way the server does, with the given environment
+const openWith = async (env) => {
+  const restoreEnv = withEnv(env);
+  try {
+    return await openStore();
+  } finally {
+    restoreEnv();
+  }
+};
+
+// File writes are batched for 100 ms; wait until the collection is on disk
+const waitForFile = async (file, check) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const docs = await fs.readFile(file, 'utf8').then(JSON.parse).catch(() => []);
+    if (check(docs)) return docs;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`${path.basename(file)} never got the expected documents`);
+};
+
+afterAll(async () => {
+  await Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true })));
+});
+
+describe('file driver', () => {
+  let dataDir;
+  let app;
+
+  beforeAll(async () => {
+    dataDir = await tempDir();
+    const restoreEnv = withEnv({ STORAGE_DRIVER: 'file', DATA_DIR: dataDir });
+    app = await loadApp();
+    restoreEnv();
+  });
+
+  test('keeps what the app writes across a restart', async () => {
+    const farmer = client(app, await login(app, ACCOUNTS.farmer));
+    const buyer = client(app, await login(app, ACCOUNTS.buyer));
+
+    const listing = (await farmer.post('/api/products')
+      .send({ title: 'Bukidnon cabbage', pricePerKg: 35, stock: 40, bestBefore: '2030-01-15T00:00:00.000Z' })
+      .expect(201)).body;
+    // A message that reads like a timestamp is still just text
+    const conversation = (await buyer.post('/api/conversations')
+      .send({ productId: listing.id, message: '2026-03-10T08:00:00.000Z' })
+      .expect(201)).body;
+
+    await waitForFile(path.join(dataDir, 'products.json'), docs => docs.some(doc => doc.id === listing.id));
+    await waitForFile(path.join(dataDir, 'messages.json'), docs => docs.some(doc => doc.conversationId === conversation.id));
+
+    const store = await openWith({ STORAGE_DRIVER: 'file', DATA_DIR: dataDir });
+    try {
+      const product = store.collection('products').findById(listing.id);
+      expect(product).toMatchObject({ title: 'Bukidnon cabbage', pricePerKg: 35, stock: 40 });
+      expect(product.createdAt).toBeInstanceOf(Date);
+      expect(product.batches[0].bestBefore).toEqual(new Date('2030-01-15T00:00:00.000Z'));
+
+      const message = store.collection('messages').find(m => m.conversationId === conversation.id);
+      expect(message.body).toBe('2026-03-10T08:00:00.000Z');
+      expect(message.createdAt).toBeInstanceOf(Date);
+
+      expect(store.collection('users').findById(ACCOUNTS.farmer.id).username).toBe('farmer');
+    } finally {
+      await store.close();
+    }
+  });
+});
+
+describe('migrations', () => {
+  test('bring data written by an older version up to date, once', async () => {
+    const dataDir = await tempDir();
+    await fs.writeFile(path.join(dataDir, 'products.json'), JSON.stringify([{
+      id: 'legacy',
+      sellerId: '2',
+      title: 'Old listing',
+      pricePerKg: 50,
+      stock: 12,
+      location: { lat: 0, lng: 0 },
+      createdAt: '2024-05-01T00:00:00.000Z'
+    }]));
+
+    const store = await openWith({ STORAGE_DRIVER: 'file', DATA_DIR: dataDir });
+    try {
+      const schema = store.collection('_meta').findById('schema');
+      expect(schema.version).toBe(LATEST_VERSION);
+      expect(schema.applied.map(entry => entry.version)).toEqual(migrations.map(migration => migration.version));
+
+      const product = store.collection('products').findById('legacy');
+      expect(product).toMatchObject({ status: 'active', location: null, stock: 12 });
+      expect(product.batches).toEqual([expect.objectContaining({ id: 'backfill-legacy', remainingKg: 12 })]);
+      expect(store.collection('priceHistory').filter(change => change.productId === 'legacy'))
+        .toEqual([expect.objectContaining({ pricePerKg: 50, previousPrice: null })]);
+
+      // Nothing left to run the second time
+      expect(await runMigrations(store)).toBe(LATEST_VERSION);
+      expect(store.collection('_meta').findById('schema').applied).toHaveLength(migrations.length);
+      expect(store.collection('priceHistory').count(change => change.productId === 'legacy')).toBe(1);
+    } finally {
+      await store.close();
+    }
+
+    // The schema version is stored with the data, so a restart runs nothing either
+    const reopened = await openWith({ STORAGE_DRIVER: 'file', DATA_DIR: dataDir });
+    try {
+      expect(reopened.collection('_meta').findById('schema').applied).toHaveLength(migrations.length);
+    } finally {
+      await reopened.close();
+    }
+  });
+});
+
+describe('driver selection', () => {
+  test('refuses a driver it does not know or cannot connect', async () => {
+    await expect(openWith({ STORAGE_DRIVER: 'postgres' })).rejects.toThrow('Unknown STORAGE_DRIVER: postgres');
+    await expect(openWith({ STORAGE_DRIVER: 'mongodb', MONGODB_URI: '' }))
+      .rejects.toThrow('MONGODB_URI is required for the mongodb storage driver');
+  });
+});
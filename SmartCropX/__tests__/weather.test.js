@@ -0,0 +1,113 @@
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import { ACCOUNTS, client, loadApp, login, withEnv } from './helpers.js';
+
+// Off the demo regions, so forecasts cached for them do not get in the way
+const OFFSHORE = { lat: 13.5, lng: 123.3 };
+
+let app;
+let farmer;
+let buyer;
+
+beforeAll(async () => {
+  app = await loadApp();
+  farmer = client(app, await login(app, ACCOUNTS.farmer));
+  buyer = client(app, await login(app, ACCOUNTS.buyer));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const types = (advisories) => advisories.map(advisory => advisory.type);
+
+// The fixture provider reads WEATHER_FIXTURE on each fetch; forecasts are then
+// cached per location
+const withScenario = async (scenario, run) => {
+  const restoreEnv = withEnv({ WEATHER_FIXTURE: scenario });
+  try {
+    return await run();
+  } finally {
+    restoreEnv();
+  }
+};
+
+describe('advisories', () => {
+  test('follow the forecast for the signed-in user\'s region', async () => {
+    const rainy = await farmer.get('/api/weather/advisories').expect(200);
+    expect(rainy.body).toMatchObject({ region: 'Benguet', provider: 'fixture', location: { lat: 16.4023, lng: 120.596 } });
+    expect(rainy.body.daily).toHaveLength(5);
+    expect(types(rainy.body.advisories)).toEqual(['spraying', 'disease-risk', 'irrigation']);
+    expect(rainy.body.advisories[0]).toMatchObject({ severity: 'warning', title: 'Postpone spraying' });
+    expect(rainy.body.advisories[0].message).toMatch(/^Rain expected in \d+h: postpone fungicide/);
+    expect(rainy.body.advisories[2].title).toBe('Skip irrigation');
+
+    const hot = await buyer.get('/api/weather/advisories').expect(200);
+    expect(hot.body.region).toBe('Quezon City');
+    expect(hot.body.advisories.map(advisory => advisory.title)).toEqual(['Heat stress expected', 'Good spraying window', 'Dry days ahead']);
+    expect(hot.body.advisories[0].message).toBe(`Up to 37°C expected on ${hot.body.daily[2].date}. Water early in the morning, mulch the beds and avoid transplanting at midday.`);
+  });
+
+  test('put storm warnings first', async () => {
+    const res = await withScenario('typhoon', () => request(app).get('/api/weather/advisories').query(OFFSHORE).expect(200));
+    expect(res.body).toMatchObject({ region: null, location: OFFSHORE });
+    expect(types(res.body.advisories)).toEqual(['strong-wind', 'heavy-rain', 'spraying', 'disease-risk', 'irrigation']);
+    expect(res.body.advisories[0].message).toMatch(/^Winds up to 95 km\/h expected in \d+h/);
+    expect(res.body.advisories[1]).toMatchObject({
+      severity: 'severe',
+      message: expect.stringContaining(`About 120 mm of rain expected on ${res.body.daily[1].date}`)
+    });
+  });
+
+  test('let the caller pick the region and the language', async () => {
+    const res = await farmer.get('/api/weather/advisories?region=Metro Manila').expect(200);
+    expect(res.body.region).toBe('Metro Manila');
+    expect(types(res.body.advisories)).toContain('heat');
+
+    const translated = await request(app).get('/api/weather/advisories?region=Benguet&lang=tl').expect(200);
+    expect(translated.body.advisories[0].title).toBe('Ipagpaliban ang pag-spray');
+  });
+
+  test('need a place with weather coverage', async () => {
+    const anonymous = await request(app).get('/api/weather/advisories').expect(400);
+    expect(anonymous.body.error).toBe('Region or coordinates are required');
+    const nowhere = await request(app).get('/api/weather/advisories?region=Atlantis').expect(400);
+    expect(nowhere.body.error).toBe('No weather coverage for this region yet');
+
+    const half = await request(app).get('/api/weather/advisories?lat=14.6').expect(400);
+    expect(half.body.error).toBe('Validation failed');
+    await request(app).get('/api/weather/advisories?lat=120&lng=14').expect(400);
+    await request(app).get('/api/weather/advisories').set('Authorization', 'Bearer not-a-token').expect(403);
+  });
+
+  test('report the weather service as unavailable when the provider fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await withScenario('locusts', () => request(app).get('/api/weather/advisories').query({ lat: 10.3, lng: 124.9 }).expect(503));
+    expect(res.body.error).toBe('Weather service unavailable');
+  });
+});
+
+describe('farming advice', () => {
+  test('adds the advisories a question touches on after the answer', async () => {
+    const res = await request(app).post('/api/ai/farming-advice').send({ question: 'When should I spray pesticide?', context: { region: 'Benguet' } }).expect(200);
+    expect(res.body.weather).toEqual({
+      provider: 'fixture',
+      advisories: [expect.objectContaining({ type: 'spraying', title: 'Postpone spraying' })]
+    });
+    expect(res.body.response).toMatch(/\n\n---\n\n🌦️ \*\*Weather advisories:\*\*\n• \*\*Postpone spraying\*\*: Rain expected in \d+h/);
+  });
+
+  test('leads with storm warnings whatever the question', async () => {
+    const res = await withScenario('typhoon', () => request(app).post('/api/ai/farming-advice')
+      .send({ question: 'How do I grow tomatoes?', context: { location: OFFSHORE } })
+      .expect(200));
+    expect(types(res.body.weather.advisories)).toEqual(['strong-wind', 'heavy-rain']);
+    expect(res.body.response.startsWith('🌦️ **Weather advisories:**')).toBe(true);
+  });
+
+  test('goes out without weather when the place is unknown', async () => {
+    const res = await request(app).post('/api/ai/farming-advice').send({ question: 'When should I spray fungicide?', context: { region: 'Atlantis' } }).expect(200);
+    expect(res.body.weather).toBeNull();
+    expect(res.body.response).not.toContain('Weather advisories');
+  });
+});
@@ -0,0 +1,161 @@
+// Seller sales analytics. Everything here works on plain arrays of orders,
+// listings and daily view counters, so the routes only pick the data.
+// Series come back as parallel arrays ({ buckets, revenue, kg, orders, views })
+// to keep chart payloads small.
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Orders count as sales once the seller confirms them, until they are cancelled
+export const SALE_STATUSES = ['confirmed', 'packed', 'shipped', 'delivered'];
+
+export const isSale = (order) => SALE_STATUSES.includes(order.status);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const percent = (part, whole) => (whole > 0 ? round(part / whole * 100) : null);
+
+// ==================== BUCKETS ====================
+
+// Start of the bucket `date` falls in (UTC), as YYYY-MM-DD. Weeks start on Monday.
+export const bucketKey = (date, interval) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+  if (interval === 'month') day.setUTCDate(1);
+  return day.toISOString().slice(0, 10);
+};
+
+// Every bucket between `from` and `to`, so quiet days show up as zeros
+export const listBuckets = (from, to, interval) => {
+  const keys = [];
+  const cursor = new Date(`${bucketKey(from, interval)}T00:00:00Z`);
+  while (cursor <= to) {
+    keys.push(cursor.toISOString().slice(0, 10));
+    if (interval === 'day') cursor.setUTCDate(cursor.getUTCDate() + 1);
+    if (interval === 'week') cursor.setUTCDate(cursor.getUTCDate() + 7);
+    if (interval === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return keys;
+};
+
+// Buckets a range may be split into before the interval has to be coarser
+export const MAX_BUCKETS = 366;
+
+// ==================== SALES ====================
+
+const orderKg = (order) => order.items.reduce((total, item) => total + item.quantity, 0);
+
+// Item subtotals only: shipping fees are passed on, not earned
+const orderRevenue = (order) => order.items.reduce((total, item) => total + item.subtotal, 0);
+
+export const summarizeSales = (orders) => {
+  const revenue = round(orders.reduce((total, order) => total + orderRevenue(order), 0));
+  return {
+    revenue,
+    kgSold: round(orders.reduce((total, order) => total + orderKg(order), 0)),
+    orders: orders.length,
+    averageOrderValue: orders.length > 0 ? round(revenue / orders.length) : 0
+  };
+};
+
+// `viewCounters` are daily listing view counters ({ date: 'YYYY-MM-DD', views })
+export const buildSalesSeries = (orders, viewCounters, { from, to, interval }) => {
+  const buckets = listBuckets(from, to, interval);
+  const index = new Map(buckets.map((key, i) => [key, i]));
+  const revenue = buckets.map(() => 0);
+  const kg = buckets.map(() => 0);
+  const count = buckets.map(() => 0);
+  const views = buckets.map(() => 0);
+
+  orders.forEach(order => {
+    const i = index.get(bucketKey(order.createdAt, interval));
+    if (i === undefined) return;
+    revenue[i] += orderRevenue(order);
+    kg[i] += orderKg(order);
+    count[i] += 1;
+  });
+  viewCounters.forEach(counter => {
+    const i = index.get(bucketKey(new Date(`${counter.date}T00:00:00Z`), interval));
+    if (i !== undefined) views[i] += counter.views;
+  });
+
+  return { interval, buckets, revenue: revenue.map(round), kg: kg.map(round), orders: count, views };
+};
+
+// ==================== LISTINGS ====================
+
+// Per listing: what sold, how often it was viewed, and how fast stock moves.
+//   views: Map of productId -> views in the range
+export const analyzeListings = (listings, orders, views, { from, to }) => {
+  const days = Math.max(1, Math.ceil((to - from) / DAY_MS));
+  const byProduct = new Map();
+
+  orders.forEach(order => {
+    order.items.forEach(item => {
+      const entry = byProduct.get(item.productId) || { revenue: 0, kgSold: 0, orderIds: new Set(), title: item.title };
+      entry.revenue += item.subtotal;
+      entry.kgSold += item.quantity;
+      entry.orderIds.add(order.id);
+      byProduct.set(item.productId, entry);
+    });
+  });
+
+  const listingById = new Map(listings.map(product => [product.id, product]));
+  const productIds = new Set([...listings.map(p => p.id), ...byProduct.keys()]);
+
+  return [...productIds].map(productId => {
+    const product = listingById.get(productId);
+    const sold = byProduct.get(productId) || { revenue: 0, kgSold: 0, orderIds: new Set() };
+    const viewCount = views.get(productId) || 0;
+    const stock = product ? product.stock : 0;
+    const dailyKg = sold.kgSold / days;
+
+    return {
+      productId,
+      title: product ? product.title : sold.title,
+      status: product ? product.status : 'deleted',
+      revenue: round(sold.revenue),
+      kgSold: round(sold.kgSold),
+      orders: sold.orderIds.size,
+      views: viewCount,
+      conversionPercent: percent(sold.orderIds.size, viewCount),
+      stock,
+      // Share of what was on hand (sold + left) that sold in the range
+      sellThroughPercent: percent(sold.kgSold, sold.kgSold + stock),
+      daysOfStockLeft: dailyKg > 0 ? Math.round(stock / dailyKg) : null
+    };
+  }).sort((a, b) => b.revenue - a.revenue || b.views - a.views);
+};
+
+// ==================== BUYERS ====================
+
+// Repeat buyers ordered more than once in the range; returning buyers had
+// ordered from the seller before it started
+export const analyzeBuyers = (orders, earlierBuyerIds, limit = 10) => {
+  const byBuyer = new Map();
+  orders.forEach(order => {
+    const entry = byBuyer.get(order.buyerId) || { buyerId: order.buyerId, orders: 0, revenue: 0, lastOrderAt: null };
+    entry.orders += 1;
+    entry.revenue += orderRevenue(order);
+    if (!entry.lastOrderAt || order.createdAt > entry.lastOrderAt) entry.lastOrderAt = order.createdAt;
+    byBuyer.set(order.buyerId, entry);
+  });
+
+  const buyers = [...byBuyer.values()];
+  const repeat = buyers.filter(buyer => buyer.orders > 1);
+  const totalRevenue = buyers.reduce((total, buyer) => total + buyer.revenue, 0);
+
+  return {
+    buyers: buyers.length,
+    repeatBuyers: repeat.length,
+    repeatRatePercent: percent(repeat.length, buyers.length),
+    repeatRevenuePercent: percent(repeat.reduce((total, buyer) => total + buyer.revenue, 0), totalRevenue),
+    returningBuyers: buyers.filter(buyer => earlierBuyerIds.has(buyer.buyerId)).length,
+    newBuyers: buyers.filter(buyer => !earlierBuyerIds.has(buyer.buyerId)).length,
+    top: buyers
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, limit)
+      .map(buyer => ({ ...buyer, revenue: round(buyer.revenue) }))
+  };
+};
@@ -0,0 +1,812 @@
+// Shared schemas for the OpenAPI document (components.schemas). Routes point
+// at them with t.ref('Name'); in development responses are checked against
+// them too, so fields that may be missing or null are marked that way.
+// Objects stay open: new fields don't break the contract.
+
+import { t } from './openapi.js';
+
+const id = () => t.string();
+const timestamp = (options = {}) => t.date(options);
+const nullableTimestamp = () => t.date({ nullable: true });
+const money = () => t.number({ description: 'Philippine pesos' });
+
+const Coordinates = t.object({
+  lat: t.number({ min: -90, max: 90 }),
+  lng: t.number({ min: -180, max: 180 })
+}, { required: ['lat', 'lng'] });
+
+// ==================== ENVELOPES ====================
+
+const ValidationIssue = t.object({
+  type: t.string(),
+  msg: t.string({ description: 'Translated like `error`' }),
+  path: t.string({ description: 'Dotted path of the field, e.g. items[0].quantity' }),
+  location: t.enum(['params', 'query', 'body']),
+  value: t.any('The rejected value')
+});
+
+const Error = t.object({
+  error: t.string({ description: 'Human-readable message in the request\'s language' }),
+  code: t.string({
+    description: 'Stable identifier to branch on',
+    example: 'not_found'
+  }),
+  details: t.array(ValidationIssue)
+}, { required: ['error', 'code'] });
+
+const ValidationError = t.object({
+  error: t.string({ example: 'Validation failed' }),
+  code: t.enum(['validation_failed']),
+  details: t.array(ValidationIssue)
+}, { required: ['error', 'code', 'details'] });
+
+const Confirmation = t.object({ message: t.string() }, { required: ['message'] });
+
+const Deleted = t.object({ message: t.string(), id: id() }, { required: ['message', 'id'] });
+
+// ==================== ACCOUNTS ====================
+
+const User = t.object({
+  id: id(),
+  username: t.string(),
+  fullName: t.string(),
+  userType: t.enum(['buyer', 'seller', 'both']),
+  age: t.integer(),
+  region: t.string({ nullable: true }),
+  avatar: t.string(),
+  locale: t.string({ nullable: true }),
+  email: t.string({ nullable: true }),
+  phone: t.string({ nullable: true }),
+  role: t.string(),
+  status: t.string(),
+  sellerRating: t.number(),
+  sellerReviewCount: t.integer(),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const UserSummary = t.object({
+  id: id(),
+  username: t.string(),
+  fullName: t.string(),
+  userType: t.string(),
+  region: t.string({ nullable: true }),
+  role: t.string(),
+  status: t.string()
+});
+
+const Tokens = t.object({
+  token: t.string({ description: 'Access token (Bearer)' }),
+  refreshToken: t.string(),
+  refreshTokenExpiresAt: timestamp()
+}, { required: ['token', 'refreshToken'] });
+
+const Session = t.object({
+  message: t.string(),
+  token: t.string(),
+  refreshToken: t.string(),
+  refreshTokenExpiresAt: timestamp(),
+  user: t.ref('User')
+}, { required: ['token', 'refreshToken', 'user'] });
+
+// ==================== MARKETPLACE ====================
+
+const ProductImage = t.object({
+  id: id(),
+  url: t.string(),
+  variants: t.object({}, { values: t.string() }),
+  width: t.integer(),
+  height: t.integer(),
+  uploadedAt: timestamp()
+});
+
+const DeliveryOption = t.object({
+  method: t.string(),
+  maxDistanceKm: t.number({ nullable: true }),
+  maxWeightKg: t.number({ nullable: true }),
+  baseFee: t.number({ nullable: true }),
+  feePerKm: t.number({ nullable: true }),
+  feePerKg: t.number({ nullable: true }),
+  freeOverAmount: t.number({ nullable: true }),
+  instructions: t.string()
+});
+
+const HarvestBatch = t.object({
+  id: id(),
+  quantityKg: t.integer({ description: 'Kilos the batch started with' }),
+  remainingKg: t.integer({ description: 'Kilos left to sell' }),
+  harvestedAt: timestamp(),
+  bestBefore: t.date({ nullable: true, description: 'Null for produce that keeps' }),
+  expiredKg: t.integer({ description: 'Kilos written off at the best-before date' }),
+  expiredAt: nullableTimestamp(),
+  expiryNotifiedAt: nullableTimestamp(),
+  createdAt: timestamp()
+});
+
+const Freshness = t.object({
+  batchId: id(),
+  harvestedAt: timestamp(),
+  harvestedDaysAgo: t.integer(),
+  bestBefore: t.date({ nullable: true }),
+  expiresInDays: t.integer({ nullable: true })
+}, { nullable: true, description: 'The batch an order placed now would come from; null when out of stock' });
+
+const AutoDiscount = t.object({
+  percent: t.number(),
+  daysBeforeExpiry: t.integer()
+}, { nullable: true });
+
+const Product = t.object({
+  id: id(),
+  sellerId: id(),
+  title: t.string(),
+  description: t.string(),
+  pricePerKg: money(),
+  category: t.string(),
+  commodity: t.string({ nullable: true }),
+  stock: t.integer({ description: 'Kilos available: what is left of unexpired batches' }),
+  batches: t.array(t.ref('HarvestBatch')),
+  freshness: Freshness,
+  autoDiscount: AutoDiscount,
+  discount: t.object({
+    batchId: id(),
+    percent: t.number(),
+    pricePerKg: money(),
+    startedAt: timestamp()
+  }, { nullable: true, description: 'Running auto-discount: kilos out of batch `batchId` sell at its pricePerKg, the rest at the listing\'s' }),
+  status: t.enum(['active', 'unpublished', 'deleted']),
+  location: { anyOf: [t.ref('Coordinates'), { type: 'null' }] },
+  distanceKm: t.number({ description: 'Only when searching near a point' }),
+  deliveryOptions: t.array(DeliveryOption),
+  seller: t.object({
+    fullName: t.string(),
+    username: t.string(),
+    region: t.string({ nullable: true }),
+    avatar: t.string(),
+    rating: t.number(),
+    reviewCount: t.integer()
+  }),
+  images: t.array(t.ref('ProductImage')),
+  tags: t.array(t.string()),
+  rating: t.number(),
+  reviewCount: t.integer(),
+  cropCycleId: t.string({ description: 'Set when published from farm records' }),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const facet = () => t.array(t.object({
+  value: t.string(),
+  label: t.string({ description: 'Display name where `value` is normalized, e.g. regions' }),
+  count: t.integer()
+}));
+
+const ProductSearchResults = t.object({
+  products: t.array(t.ref('Product')),
+  total: t.integer(),
+  page: t.integer({ nullable: true }),
+  totalPages: t.integer(),
+  limit: t.integer(),
+  sort: t.string(),
+  nextCursor: t.string({ nullable: true }),
+  facets: t.object({ categories: facet(), regions: facet(), tags: facet() })
+});
+
+const Review = t.object({
+  id: id(),
+  productId: id(),
+  sellerId: id(),
+  buyerId: id(),
+  orderId: id(),
+  rating: t.integer({ min: 1, max: 5 }),
+  comment: t.string(),
+  reviewer: t.object({ fullName: t.string(), avatar: t.string() }),
+  sellerReply: t.object({ body: t.string(), createdAt: timestamp() }, { nullable: true }),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const priceSummary = () => t.object({
+  min: money(),
+  max: money(),
+  median: money(),
+  p25: money(),
+  p75: money(),
+  samples: t.integer()
+}, { nullable: true });
+
+const PriceHistory = t.object({
+  productId: id(),
+  currentPrice: money(),
+  commodity: t.string({ nullable: true }),
+  changes: t.array(t.object({ pricePerKg: money(), previousPrice: t.number({ nullable: true }), changedAt: timestamp() })),
+  total: t.integer()
+});
+
+const MarketPrices = t.object({
+  markets: t.array(t.object({
+    commodity: t.string({ nullable: true }),
+    category: t.string(),
+    region: t.string({ nullable: true }),
+    current: priceSummary(),
+    history: t.array(t.object())
+  })),
+  days: t.integer(),
+  total: t.integer()
+});
+
+const SuggestedPrice = t.object({
+  commodity: t.string({ nullable: true }),
+  category: t.string({ nullable: true }),
+  region: t.string({ nullable: true }),
+  basis: t.enum(['region', 'national']),
+  suggestion: t.object({
+    low: money(),
+    high: money(),
+    median: money(),
+    min: money(),
+    max: money(),
+    samples: t.integer()
+  }, { nullable: true }),
+  message: t.string({ description: 'Why there is no suggestion' })
+});
+
+const PriceAlert = t.object({
+  id: id(),
+  userId: id(),
+  commodity: t.string(),
+  maxPricePerKg: money(),
+  region: t.string({ nullable: true }),
+  triggers: t.array(t.object()),
+  lastTriggeredAt: nullableTimestamp(),
+  createdAt: timestamp()
+});
+
+const InventoryListing = t.object({
+  productId: id(),
+  title: t.string(),
+  status: t.string(),
+  stock: t.integer(),
+  signals: t.array(t.enum(['out_of_stock', 'low_stock', 'expiring'])),
+  expiringKg: t.integer(),
+  expiredKg: t.integer(),
+  freshness: Freshness,
+  autoDiscount: AutoDiscount,
+  discount: t.object({}, { nullable: true }),
+  batches: t.array(t.ref('HarvestBatch'))
+});
+
+// ==================== ORDERS ====================
+
+const Order = t.object({
+  id: id(),
+  buyerId: id(),
+  sellerId: id(),
+  checkoutId: t.string({ nullable: true }),
+  items: t.array(t.object({
+    productId: id(),
+    title: t.string(),
+    pricePerKg: money(),
+    quantity: t.integer(),
+    subtotal: money(),
+    batches: t.array(t.object({ batchId: id(), quantityKg: t.integer(), harvestedAt: timestamp(), pricePerKg: money() }), {
+      description: 'Harvest batches the kilos came out of, at the price each sold at; kilos from a discounted batch sell below the item\'s pricePerKg'
+    })
+  })),
+  subtotal: money(),
+  shippingFee: money(),
+  total: money(),
+  status: t.enum(['pending', 'confirmed', 'packed', 'shipped', 'delivered', 'cancelled']),
+  paymentStatus: t.string({ description: 'unpaid, pending, paid, failed, cancelled, refund_pending (a cancellation refund the gateway has not done yet), partially_refunded or refunded' }),
+  paymentMethod: t.string({ nullable: true }),
+  paymentId: t.string({ nullable: true }),
+  statusHistory: t.array(t.object({ status: t.string(), changedBy: t.string(), changedAt: timestamp(), reason: t.string() })),
+  delivery: t.object({}, { nullable: true }),
+  deliveryAddress: t.string(),
+  notes: t.string(),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const cartWarning = () => t.object({ code: t.string(), message: t.string(), productId: t.string() });
+
+const Cart = t.object({
+  sellers: t.array(t.object({
+    sellerId: id(),
+    seller: t.object({}, { nullable: true }),
+    items: t.array(t.object({
+      productId: id(),
+      title: t.string(),
+      sellerId: id(),
+      image: t.string({ nullable: true }),
+      quantity: t.integer(),
+      pricePerKg: money(),
+      addedPricePerKg: money(),
+      subtotal: money(),
+      available: t.boolean(),
+      warnings: t.array(cartWarning())
+    })),
+    subtotal: money()
+  })),
+  itemCount: t.integer(),
+  total: money(),
+  warnings: t.array(cartWarning()),
+  canCheckout: t.boolean(),
+  updatedAt: timestamp()
+});
+
+const CartChange = t.object({ message: t.string(), cart: t.ref('Cart') }, { required: ['cart'] });
+
+const ShippingQuote = t.object({
+  quoteId: id(),
+  expiresAt: timestamp(),
+  destination: t.object({}, { nullable: true }),
+  shipments: t.array(t.object({
+    sellerId: id(),
+    items: t.array(t.object({ productId: id(), title: t.string(), quantity: t.integer() })),
+    distanceKm: t.number({ nullable: true }),
+    weightKg: t.number(),
+    subtotal: money(),
+    options: t.array(t.object({
+      method: t.string(),
+      label: t.string(),
+      available: t.boolean(),
+      fee: t.number({ nullable: true }),
+      estimatedDays: t.integer({ nullable: true }),
+      reason: t.string()
+    }))
+  })),
+  warning: t.string()
+});
+
+const Payment = t.object({
+  id: id(),
+  orderId: id(),
+  buyerId: id(),
+  sellerId: id(),
+  method: t.string(),
+  amount: money(),
+  currency: t.string(),
+  status: t.enum(['pending', 'requires_action', 'succeeded', 'failed', 'cancelled', 'partially_refunded', 'refunded']),
+  providerReference: t.string({ nullable: true }),
+  checkoutUrl: t.string({ nullable: true, description: 'Where to send the buyer for e-wallet payments' }),
+  amountRefunded: money(),
+  refunds: t.array(t.object()),
+  paidAt: nullableTimestamp(),
+  cancelledAt: nullableTimestamp(),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const Ledger = t.object({
+  sellerId: id(),
+  balance: t.object({ pending: money(), available: money(), paidOut: money() }),
+  entries: t.array(t.object({
+    id: id(),
+    type: t.string(),
+    amount: money(),
+    orderId: t.string({ nullable: true }),
+    availableAt: nullableTimestamp(),
+    payoutId: t.string({ nullable: true }),
+    createdAt: timestamp()
+  })),
+  total: t.integer()
+});
+
+// ==================== MESSAGING AND NOTIFICATIONS ====================
+
+const ChatMessage = t.object({
+  id: id(),
+  conversationId: id(),
+  senderId: id(),
+  body: t.string(),
+  readAt: nullableTimestamp(),
+  createdAt: timestamp()
+});
+
+const Conversation = t.object({
+  id: id(),
+  participantIds: t.array(t.string()),
+  productId: t.string({ nullable: true }),
+  orderId: t.string({ nullable: true }),
+  otherParticipant: t.object({ id: id(), fullName: t.string(), avatar: t.string() }, { nullable: true }),
+  lastMessage: { anyOf: [t.ref('ChatMessage'), { type: 'null' }] },
+  lastMessageAt: nullableTimestamp(),
+  unreadCount: t.integer(),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const Notification = t.object({
+  id: id(),
+  type: t.string(),
+  title: t.string({ description: 'Translated for the reader' }),
+  body: t.string(),
+  params: t.object(),
+  data: t.object(),
+  readAt: nullableTimestamp(),
+  createdAt: timestamp(),
+  unreadCount: t.integer({ description: 'Only when marking as read' })
+});
+
+const NotificationPreferences = t.object({}, {
+  values: t.object({ inApp: t.boolean(), email: t.boolean(), sms: t.boolean() }),
+  description: 'Notification type to channel switches'
+});
+
+// ==================== AI, KNOWLEDGE AND WEATHER ====================
+
+const healthAssessment = () => t.object({ level: t.integer(), status: t.string() });
+
+const scanThumbnail = () => t.object({ url: t.string(), key: t.string() }, { nullable: true });
+
+const diseaseList = () => t.array(t.object({ name: t.string(), probability: t.number() }));
+
+const DiseaseDetection = t.object({
+  success: t.boolean(),
+  api: t.string({ description: 'Provider that answered' }),
+  plantName: t.string({ nullable: true }),
+  commonNames: t.array(t.string()),
+  confidence: t.string({ nullable: true, example: '80.0%' }),
+  diseases: diseaseList(),
+  treatment: t.any('Treatment advice in the request\'s language'),
+  healthAssessment: healthAssessment(),
+  providers: t.array(t.object()),
+  fallbackUsed: t.boolean(),
+  scanId: t.string({ description: 'Set when the scan was saved to the caller\'s history' })
+});
+
+const Scan = t.object({
+  id: id(),
+  userId: id(),
+  plantId: t.string({ nullable: true }),
+  plantName: t.string({ nullable: true }),
+  commonNames: t.array(t.string()),
+  confidence: t.string({ nullable: true, example: '80.0%' }),
+  healthAssessment: healthAssessment(),
+  diseases: diseaseList(),
+  recommendations: t.array(t.any()),
+  answeredBy: t.string(),
+  thumbnail: scanThumbnail(),
+  createdAt: timestamp()
+});
+
+const Plant = t.object({
+  id: id(),
+  userId: id(),
+  name: t.string(),
+  crop: t.string(),
+  notes: t.string(),
+  scanCount: t.integer(),
+  latestScan: { anyOf: [t.ref('Scan'), { type: 'null' }] },
+  trend: t.object({ direction: t.enum(['improving', 'worsening', 'stable', 'insufficient-data']) }),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const PlantTimeline = t.object({
+  id: id(),
+  name: t.string(),
+  crop: t.string(),
+  notes: t.string(),
+  scanCount: t.integer(),
+  trend: t.object({ direction: t.string() }),
+  timeline: t.array(t.object({
+    id: id(),
+    createdAt: timestamp(),
+    healthAssessment: healthAssessment(),
+    diseases: diseaseList(),
+    thumbnail: scanThumbnail()
+  }))
+});
+
+const KnowledgeEntry = t.object({
+  id: id(),
+  title: t.string(),
+  crop: t.string({ nullable: true }),
+  topic: t.string(),
+  region: t.string({ nullable: true }),
+  season: t.array(t.integer({ min: 1, max: 12 })),
+  keywords: t.array(t.string()),
+  synonyms: t.array(t.string()),
+  content: t.string(),
+  translations: t.object(),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const WeatherAdvisory = t.object({
+  type: t.string({ example: 'heavy-rain' }),
+  severity: t.string(),
+  title: t.string(),
+  message: t.string(),
+  date: t.string()
+});
+
+const WeatherAdvisories = t.object({
+  region: t.string({ nullable: true }),
+  location: t.ref('Coordinates'),
+  provider: t.string(),
+  generatedAt: timestamp(),
+  current: t.object({}, { nullable: true }),
+  daily: t.array(t.object()),
+  advisories: t.array(WeatherAdvisory)
+});
+
+const FarmingAdvice = t.object({
+  success: t.boolean(),
+  question: t.string(),
+  response: t.string(),
+  sources: t.array(t.object()),
+  weather: t.object({ advisories: t.array(WeatherAdvisory) }, { nullable: true }),
+  context: t.object(),
+  locale: t.string(),
+  timestamp: timestamp()
+});
+
+// ==================== CROP CALENDAR ====================
+
+const Reminder = t.object({
+  id: id(),
+  type: t.string(),
+  task: t.string(),
+  dueAt: timestamp(),
+  endsAt: timestamp(),
+  notifiedAt: nullableTimestamp(),
+  doneAt: nullableTimestamp()
+});
+
+const Planting = t.object({
+  id: id(),
+  userId: id(),
+  crop: t.string(),
+  name: t.string(),
+  plantId: t.string({ nullable: true }),
+  region: t.string({ nullable: true }),
+  zone: t.string(),
+  plantedAt: timestamp(),
+  area: t.number({ nullable: true }),
+  notes: t.string(),
+  inSeason: t.boolean(),
+  harvestWindow: t.object({ from: timestamp(), to: timestamp() }),
+  reminders: t.array(Reminder),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const calendarCrop = () => t.object({
+  crop: t.string(),
+  name: t.string(),
+  daysToHarvest: t.array(t.integer(), { description: 'Fewest and most days' }),
+  opensInMonths: t.integer()
+});
+
+const CalendarOverview = t.object({
+  region: t.string({ nullable: true }),
+  zone: t.string(),
+  month: t.integer({ min: 1, max: 12 }),
+  plantNow: t.array(calendarCrop()),
+  plantSoon: t.array(calendarCrop()),
+  fieldTasks: t.array(t.object()),
+  myTasks: t.array(t.object())
+});
+
+// ==================== FARM RECORDS ====================
+
+const nullableCoordinates = () => ({ anyOf: [t.ref('Coordinates'), { type: 'null' }] });
+
+const Plot = t.object({
+  id: id(),
+  name: t.string(),
+  areaHa: t.number(),
+  soilType: t.string({ nullable: true }),
+  soilNotes: t.string(),
+  location: nullableCoordinates(),
+  createdAt: timestamp()
+});
+
+const Farm = t.object({
+  id: id(),
+  userId: id(),
+  name: t.string(),
+  region: t.string({ nullable: true }),
+  location: nullableCoordinates(),
+  areaHa: t.number({ nullable: true }),
+  notes: t.string(),
+  plots: t.array(t.ref('Plot')),
+  activeCycles: t.integer({ description: 'In the farm list' }),
+  cycles: t.array(t.ref('CropCycle')),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+const CycleRecord = t.object({
+  id: id(),
+  type: t.enum(['input', 'activity', 'harvest', 'sale']),
+  date: timestamp(),
+  notes: t.string(),
+  category: t.string({ nullable: true }),
+  name: t.string({ nullable: true }),
+  quantity: t.number({ nullable: true }),
+  unit: t.string({ nullable: true }),
+  cost: t.number({ nullable: true }),
+  activity: t.string({ nullable: true }),
+  laborHours: t.number({ nullable: true }),
+  quantityKg: t.number({ nullable: true }),
+  grade: t.string({ nullable: true }),
+  amount: t.number({ nullable: true }),
+  buyer: t.string({ nullable: true })
+});
+
+const CycleSummary = t.object({
+  totalCost: money(),
+  costByCategory: t.object({}, { values: t.number() }),
+  laborHours: t.number(),
+  harvestedKg: t.number(),
+  harvestCount: t.integer(),
+  yieldPerHectareKg: t.number({ nullable: true }),
+  costPerKg: t.number({ nullable: true }),
+  revenue: t.object({ total: money(), offline: money(), marketplace: money() }),
+  margin: money(),
+  marginPercent: t.number({ nullable: true }),
+  unsoldKg: t.number(),
+  publishedKg: t.number()
+});
+
+const CropCycle = t.object({
+  id: id(),
+  userId: id(),
+  farmId: id(),
+  plotId: id(),
+  plotName: t.string(),
+  crop: t.string(),
+  variety: t.string({ nullable: true }),
+  plantedAt: timestamp(),
+  areaHa: t.number({ nullable: true }),
+  status: t.enum(['active', 'completed', 'abandoned']),
+  endedAt: nullableTimestamp(),
+  notes: t.string(),
+  records: t.array(t.ref('CycleRecord')),
+  publishedKg: t.number(),
+  listingIds: t.array(t.string()),
+  summary: t.ref('CycleSummary'),
+  createdAt: timestamp(),
+  updatedAt: timestamp()
+});
+
+// ==================== SELLER ANALYTICS ====================
+
+const AnalyticsRange = t.object({ from: timestamp(), to: timestamp(), interval: t.enum(['day', 'week', 'month']) });
+
+const SalesAnalytics = t.object({
+  range: t.ref('AnalyticsRange'),
+  totals: t.object({
+    revenue: money(),
+    kgSold: t.number(),
+    orders: t.integer(),
+    averageOrderValue: money(),
+    views: t.integer(),
+    conversionPercent: t.number({ nullable: true })
+  }),
+  series: t.object({
+    interval: t.string(),
+    buckets: t.array(t.string({ description: 'Start of each bucket, YYYY-MM-DD' })),
+    revenue: t.array(t.number()),
+    kg: t.array(t.number()),
+    orders: t.array(t.integer()),
+    views: t.array(t.integer())
+  }, { description: 'Parallel arrays, one entry per bucket' })
+});
+
+const ListingPerformance = t.object({
+  productId: id(),
+  title: t.string(),
+  status: t.string(),
+  revenue: money(),
+  kgSold: t.number(),
+  orders: t.integer(),
+  views: t.integer(),
+  conversionPercent: t.number({ nullable: true }),
+  stock: t.integer(),
+  sellThroughPercent: t.number({ nullable: true }),
+  daysOfStockLeft: t.integer({ nullable: true })
+});
+
+const BuyerAnalytics = t.object({
+  range: t.ref('AnalyticsRange'),
+  buyers: t.integer(),
+  repeatBuyers: t.integer(),
+  repeatRatePercent: t.number({ nullable: true }),
+  repeatRevenuePercent: t.number({ nullable: true }),
+  returningBuyers: t.integer(),
+  newBuyers: t.integer(),
+  top: t.array(t.object({
+    buyerId: id(),
+    name: t.string({ nullable: true }),
+    orders: t.integer(),
+    revenue: money(),
+    lastOrderAt: timestamp()
+  }))
+});
+
+// ==================== MODERATION ====================
+
+const Report = t.object({
+  id: id(),
+  reporterId: id(),
+  targetType: t.enum(['product', 'review', 'user', 'message']),
+  targetId: id(),
+  reason: t.string(),
+  details: t.string(),
+  status: t.enum(['open', 'dismissed', 'actioned']),
+  resolution: t.string({ nullable: true }),
+  resolvedBy: t.string({ nullable: true }),
+  resolvedAt: nullableTimestamp(),
+  target: t.object({}, { nullable: true, description: 'In the moderation queue' }),
+  openReportsOnTarget: t.integer(),
+  createdAt: timestamp()
+});
+
+const AuditEntry = t.object({
+  id: id(),
+  actorId: t.string({ nullable: true }),
+  actorUsername: t.string(),
+  action: t.string({ example: 'user.suspend' }),
+  targetType: t.string(),
+  targetId: id(),
+  reason: t.string({ nullable: true }),
+  details: t.object(),
+  createdAt: timestamp()
+});
+
+export const API_SCHEMAS = {
+  Error,
+  ValidationError,
+  Confirmation,
+  Deleted,
+  Coordinates,
+  User,
+  UserSummary,
+  Tokens,
+  Session,
+  ProductImage,
+  HarvestBatch,
+  Product,
+  ProductSearchResults,
+  Review,
+  PriceHistory,
+  MarketPrices,
+  SuggestedPrice,
+  PriceAlert,
+  InventoryListing,
+  Order,
+  Cart,
+  CartChange,
+  ShippingQuote,
+  Payment,
+  Ledger,
+  ChatMessage,
+  Conversation,
+  Notification,
+  NotificationPreferences,
+  DiseaseDetection,
+  Scan,
+  Plant,
+  PlantTimeline,
+  KnowledgeEntry,
+  WeatherAdvisories,
+  FarmingAdvice,
+  Planting,
+  CalendarOverview,
+  Plot,
+  Farm,
+  CycleRecord,
+  CycleSummary,
+  CropCycle,
+  AnalyticsRange,
+  SalesAnalytics,
+  ListingPerformance,
+  BuyerAnalytics,
+  Report,
+  AuditEntry
+};
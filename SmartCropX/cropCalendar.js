@@ -0,0 +1,204 @@
+import { normalizeCommodity, normalizeRegion } from './market.js';
+
+// Structured version of the planting seasons the advice text describes.
+// Windows are the months (1-12) to plant in each growing zone; task days
+// count from planting (transplanting for seedlings). Text is English and
+// translated where it is shown.
+
+// Cool upland areas plant on a different calendar from the lowlands
+const HIGHLAND_REGIONS = ['benguet', 'baguio', 'mountain province', 'ifugao', 'bukidnon'];
+
+export const ZONES = ['lowland', 'highland'];
+
+export const getZone = (region) => (HIGHLAND_REGIONS.includes(normalizeRegion(region)) ? 'highland' : 'lowland');
+
+export const CROP_CALENDAR = {
+  rice: {
+    name: 'Rice',
+    windows: { lowland: [6, 7, 11, 12], highland: [1, 2] },
+    daysToHarvest: [110, 125],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 25, task: 'Top-dress urea at tillering' },
+      { day: 50, task: 'Top-dress urea at panicle initiation' },
+      { day: 95, task: 'Drain the field before harvest' }
+    ]
+  },
+  corn: {
+    name: 'Corn',
+    windows: { lowland: [5, 6, 10, 11], highland: [4, 5] },
+    daysToHarvest: [95, 110],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 14, task: 'Scout for fall armyworm' },
+      { day: 28, task: 'Side-dress urea and hill up' }
+    ]
+  },
+  tomato: {
+    name: 'Tomato',
+    windows: { lowland: [10, 11, 12, 1], highland: [9, 10, 11, 12, 1, 2] },
+    daysToHarvest: [70, 90],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 14, task: 'Stake or trellis the plants' },
+      { day: 21, task: 'Side-dress urea' },
+      { day: 42, task: 'Side-dress urea' },
+      { day: 63, task: 'Side-dress urea' }
+    ]
+  },
+  eggplant: {
+    name: 'Eggplant',
+    windows: { lowland: [10, 11, 12, 1], highland: [] },
+    daysToHarvest: [75, 90],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 21, task: 'Side-dress urea' },
+      { day: 30, task: 'Check for fruit and shoot borer' },
+      { day: 45, task: 'Side-dress urea' }
+    ]
+  },
+  ampalaya: {
+    name: 'Ampalaya',
+    windows: { lowland: [10, 11, 12, 1, 5, 6], highland: [] },
+    daysToHarvest: [60, 75],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 14, task: 'Set up the trellis' },
+      { day: 30, task: 'Side-dress urea' }
+    ]
+  },
+  squash: {
+    name: 'Squash',
+    windows: { lowland: [5, 6, 10, 11, 12], highland: [] },
+    daysToHarvest: [75, 100],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 30, task: 'Side-dress urea' }
+    ]
+  },
+  pechay: {
+    name: 'Pechay',
+    windows: { lowland: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], highland: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] },
+    daysToHarvest: [25, 35],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 10, task: 'Side-dress urea' }
+    ]
+  },
+  cabbage: {
+    name: 'Cabbage',
+    windows: { lowland: [10, 11, 12], highland: [10, 11, 12, 1, 2] },
+    daysToHarvest: [70, 90],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 21, task: 'Side-dress urea' },
+      { day: 28, task: 'Check for diamondback moth' },
+      { day: 42, task: 'Side-dress urea' }
+    ]
+  },
+  carrot: {
+    name: 'Carrot',
+    windows: { lowland: [11, 12], highland: [9, 10, 11, 12, 1, 2, 3] },
+    daysToHarvest: [75, 100],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 21, task: 'Thin the seedlings' },
+      { day: 35, task: 'Side-dress urea' }
+    ]
+  },
+  potato: {
+    name: 'Potato',
+    windows: { lowland: [11, 12], highland: [10, 11, 12, 1] },
+    daysToHarvest: [90, 110],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 30, task: 'Side-dress urea and hill up' },
+      { day: 45, task: 'Check for late blight' }
+    ]
+  },
+  onion: {
+    name: 'Onion',
+    windows: { lowland: [11, 12, 1], highland: [] },
+    daysToHarvest: [90, 120],
+    tasks: [
+      { day: 0, task: 'Apply basal fertilizer' },
+      { day: 21, task: 'Side-dress urea' },
+      { day: 45, task: 'Side-dress urea' },
+      { day: 80, task: 'Stop irrigating before harvest' }
+    ]
+  }
+};
+
+export const findCrop = (value) => {
+  const crop = normalizeCommodity(value);
+  return CROP_CALENDAR[crop] ? crop : null;
+};
+
+// Planting months for each crop in one zone, omitting crops that don't grow there
+export const getCalendar = (zone) => Object.entries(CROP_CALENDAR)
+  .filter(([, entry]) => entry.windows[zone].length > 0)
+  .map(([crop, entry]) => ({
+    crop,
+    name: entry.name,
+    plantingMonths: entry.windows[zone],
+    daysToHarvest: entry.daysToHarvest,
+    tasks: entry.tasks
+  }));
+
+export const isPlantingMonth = (crop, zone, month) => CROP_CALENDAR[crop].windows[zone].includes(month);
+
+// Months until the crop's next planting window opens (0 = open now), or null
+export const monthsUntilPlanting = (crop, zone, month) => {
+  const windows = CROP_CALENDAR[crop].windows[zone];
+  for (let ahead = 0; ahead < 12; ahead++) {
+    if (windows.includes((month - 1 + ahead) % 12 + 1)) return ahead;
+  }
+  return null;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dated tasks plus the expected harvest window for a crop planted on `plantedAt`
+export const buildSchedule = (crop, plantedAt) => {
+  const entry = CROP_CALENDAR[crop];
+  const start = new Date(plantedAt).getTime();
+  const [earliest, latest] = entry.daysToHarvest;
+
+  return [
+    ...entry.tasks.map(({ day, task }) => ({ type: 'task', task, day, dueAt: new Date(start + day * DAY_MS) })),
+    {
+      type: 'harvest',
+      task: 'Harvest window opens',
+      day: earliest,
+      dueAt: new Date(start + earliest * DAY_MS),
+      endsAt: new Date(start + latest * DAY_MS)
+    }
+  ];
+};
+
+// Tasks falling in the next `days` days for fields planted when each crop's
+// season opened, i.e. what most farmers in the zone are busy with
+export const regionalFieldTasks = (zone, now = new Date(), days = 30) => {
+  const until = new Date(now.getTime() + days * DAY_MS);
+
+  return Object.entries(CROP_CALENDAR).flatMap(([crop, entry]) => {
+    const windows = entry.windows[zone];
+    if (windows.length === 0) return [];
+
+    // First day of every month that starts a planting window, over the last five months
+    // (a crop planted all year is simply planted this month)
+    const seasonStarts = [];
+    for (let back = 0; back <= 5; back++) {
+      const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - back, 1));
+      const month = date.getUTCMonth() + 1;
+      const previous = (month + 10) % 12 + 1;
+      if (windows.includes(month) && (!windows.includes(previous) || (windows.length === 12 && back === 0))) {
+        seasonStarts.push(date);
+      }
+    }
+
+    return seasonStarts.flatMap(plantedAt => buildSchedule(crop, plantedAt)
+      .filter(item => item.dueAt >= now && item.dueAt <= until)
+      .map(item => ({ crop, name: entry.name, plantedAt, ...item })));
+  }).sort((a, b) => a.dueAt - b.dueAt);
+};
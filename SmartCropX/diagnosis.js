@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+// ==================== PROVIDERS ====================
+//
+// A diagnosis provider looks at one image and returns plain findings; advice
+// text (treatment, health status) is added by the caller. Each provider has:
+//   kind         'identification' (names the plant) or 'health' (adds findings)
+//   isConfigured() whether it can run (API key present, ...)
+//   diagnose(imageBase64, { signal }) resolves findings or throws
+// Errors with `retryable: false` are not retried (bad key, bad request).
+
+const providerError = (message, retryable = true) => Object.assign(new Error(message), { retryable });
+
+const plantIdProvider = {
+  name: 'plant.id',
+  kind: 'identification',
+  defaults: { timeoutMs: 20000, retries: 1 },
+  isConfigured: () => Boolean(process.env.PLANT_ID_API_KEY),
+  async diagnose(imageBase64, { signal }) {
+    const response = await fetch('https://api.plant.id/v2/identify', {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        api_key: process.env.PLANT_ID_API_KEY,
+        images: [imageBase64],
+        modifiers: ["crops_fast"],
+        plant_details: ["common_names", "url", "description", "treatment"],
+        disease_details: ["common_names", "url", "description", "treatment"]
+      })
+    });
+
+    if (!response.ok) {
+      throw providerError(`Plant.id responded with ${response.status}`, response.status >= 500 || response.status === 429);
+    }
+
+    const data = await response.json();
+
+    if (!data.suggestions || data.suggestions.length === 0) {
+      throw providerError('Plant not recognized by Plant.id', false);
+    }
+
+    const plant = data.suggestions[0];
+    return {
+      plantName: plant.plant_name,
+      confidence: (plant.probability * 100).toFixed(1) + '%',
+      commonNames: plant.plant_details?.common_names || [],
+      scientificName: plant.plant_details?.scientific_name,
+      description: plant.plant_details?.description || '',
+      diseases: plant.diseases || [],
+      plantTreatment: plant.plant_details?.treatment || null,
+      similarImages: plant.similar_images || []
+    };
+  }
+};
+
+const cropHealthProvider = {
+  name: 'crop.health',
+  kind: 'health',
+  defaults: { timeoutMs: 15000, retries: 1 },
+  isConfigured: () => Boolean(process.env.CROP_HEALTH_API_KEY),
+  async diagnose(imageBase64, { signal }) {
+    // Note: Crop.health endpoint might be different - adjust based on their documentation
+    const response = await fetch('https://api.crop.health/v1/analyze', {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.CROP_HEALTH_API_KEY}`
+      },
+      body: JSON.stringify({
+        image: imageBase64,
+        features: ['disease', 'pest', 'deficiency']
+      })
+    });
+
+    if (!response.ok) {
+      throw providerError(`Crop.health responded with ${response.status}`, response.status >= 500 || response.status === 429);
+    }
+
+    const data = await response.json();
+
+    if (!data.analysis) {
+      throw providerError('Crop.health returned no analysis', false);
+    }
+
+    return {
+      diseases: data.analysis.diseases || [],
+      pests: data.analysis.pests || [],
+      deficiencies: data.analysis.nutrient_deficiencies || [],
+      healthScore: data.analysis.health_score,
+      recommendations: data.analysis.recommendations || []
+    };
+  }
+};
+
+// Offline provider for development and tests: the same image always gives
+// the same answer, and no key or network is needed
+const STUB_OUTCOMES = [
+  { plantName: 'Solanum lycopersicum', commonNames: ['Tomato', 'Kamatis'], diseases: [] },
+  { plantName: 'Solanum lycopersicum', commonNames: ['Tomato', 'Kamatis'], diseases: [{ name: 'Early blight', probability: 0.72 }] },
+  { plantName: 'Oryza sativa', commonNames: ['Rice', 'Palay'], diseases: [{ name: 'Leaf spot', probability: 0.64 }] },
+  { plantName: 'Zea mays', commonNames: ['Corn', 'Mais'], diseases: [{ name: 'Rust', probability: 0.58 }] },
+  { plantName: 'Daucus carota', commonNames: ['Carrot'], diseases: [] },
+  { plantName: 'Mangifera indica', commonNames: ['Mango', 'Mangga'], diseases: [{ name: 'Powdery mildew', probability: 0.61 }] }
+];
+
+const stubProvider = {
+  name: 'stub',
+  kind: 'identification',
+  defaults: { timeoutMs: 1000, retries: 0 },
+  isConfigured: () => true,
+  async diagnose(imageBase64) {
+    const digest = crypto.createHash('sha256').update(imageBase64).digest();
+    const outcome = STUB_OUTCOMES[digest[0] % STUB_OUTCOMES.length];
+
+    return {
+      plantName: outcome.plantName,
+      confidence: (60 + digest[1] % 40) + '.0%',
+      commonNames: outcome.commonNames,
+      scientificName: outcome.plantName,
+      description: 'Offline stub diagnosis - configure a real provider for actual results.',
+      diseases: outcome.diseases,
+      plantTreatment: null,
+      similarImages: []
+    };
+  }
+};
+
+// New providers only need to be added here and listed in DIAGNOSIS_PROVIDERS
+const PROVIDERS = {
+  plantid: plantIdProvider,
+  crophealth: cropHealthProvider,
+  stub: stubProvider
+};
+
+// ==================== RESILIENCE ====================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Wraps a provider with a per-attempt timeout, retries with backoff and a
+// circuit breaker that skips the provider for a while after repeated failures
+const createResilientProvider = (key, provider) => {
+  const prefix = `DIAGNOSIS_${key.toUpperCase()}`;
+  const timeoutMs = envNumber(`${prefix}_TIMEOUT_MS`, provider.defaults.timeoutMs);
+  const retries = envNumber(`${prefix}_RETRIES`, provider.defaults.retries);
+  const failureThreshold = envNumber('DIAGNOSIS_BREAKER_THRESHOLD', 3);
+  const cooldownMs = envNumber('DIAGNOSIS_BREAKER_COOLDOWN_MS', 60000);
+
+  const breaker = { failures: 0, openUntil: 0 };
+
+  const attempt = async (imageBase64) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await provider.diagnose(imageBase64, { signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw Object.assign(providerError(`Timed out after ${timeoutMs}ms`), { timedOut: true });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    name: provider.name,
+    kind: provider.kind,
+    // Never throws: returns { report, result } where report says what happened
+    async run(imageBase64) {
+      const started = Date.now();
+      const report = (status, extra = {}) => ({
+        provider: provider.name,
+        kind: provider.kind,
+        status,
+        durationMs: Date.now() - started,
+        ...extra
+      });
+
+      if (!provider.isConfigured()) {
+        return { report: report('not-configured') };
+      }
+      if (breaker.openUntil > Date.now()) {
+        return { report: report('circuit-open', { retryAfterMs: breaker.openUntil - Date.now() }) };
+      }
+
+      let lastError;
+      for (let i = 0; i <= retries; i++) {
+        if (i > 0) await sleep(250 * i);
+        try {
+          const result = await attempt(imageBase64);
+          breaker.failures = 0;
+          return { report: report('answered', { attempts: i + 1 }), result };
+        } catch (error) {
+          lastError = error;
+          if (error.retryable === false) break;
+        }
+      }
+
+      breaker.failures += 1;
+      if (breaker.failures >= failureThreshold) {
+        breaker.openUntil = Date.now() + cooldownMs;
+        breaker.failures = 0;
+      }
+
+      console.error(`Diagnosis provider ${provider.name} failed:`, lastError.message);
+      return {
+        report: report(lastError.timedOut ? 'timeout' : 'failed', { error: lastError.message })
+      };
+    }
+  };
+};
+
+// ==================== PIPELINE ====================
+
+// DIAGNOSIS_PROVIDERS lists providers in fallback order. By default every
+// configured API provider is used, with the stub as the last resort outside
+// production.
+const resolveProviderKeys = () => {
+  if (process.env.DIAGNOSIS_PROVIDERS) {
+    return process.env.DIAGNOSIS_PROVIDERS.split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+  }
+  const keys = ['plantid', 'crophealth'];
+  if (process.env.NODE_ENV !== 'production') keys.push('stub');
+  return keys;
+};
+
+export const createDiagnosisPipeline = () => {
+  const providers = resolveProviderKeys().map(key => {
+    if (!PROVIDERS[key]) throw new Error(`Unknown diagnosis provider: ${key}`);
+    return createResilientProvider(key, PROVIDERS[key]);
+  });
+
+  return {
+    providers: providers.map(p => ({ name: p.name, kind: p.kind })),
+    // Tries identification providers in order until one answers, then lets
+    // every health provider add its findings. Returns null findings when no
+    // identification provider answered.
+    async diagnose(imageBase64) {
+      const reports = [];
+      let identification = null;
+      let answeredBy = null;
+
+      for (const provider of providers.filter(p => p.kind === 'identification')) {
+        if (identification) {
+          reports.push({ provider: provider.name, kind: provider.kind, status: 'skipped' });
+          continue;
+        }
+        const { report, result } = await provider.run(imageBase64);
+        reports.push(report);
+        if (result) {
+          identification = result;
+          answeredBy = provider.name;
+        }
+      }
+
+      const healthResults = [];
+      if (identification) {
+        const outcomes = await Promise.all(
+          providers.filter(p => p.kind === 'health').map(p => p.run(imageBase64))
+        );
+        outcomes.forEach(({ report, result }) => {
+          reports.push(report);
+          if (result) healthResults.push({ provider: report.provider, ...result });
+        });
+      }
+
+      const firstChoice = providers.find(p => p.kind === 'identification');
+      return {
+        findings: identification,
+        answeredBy,
+        healthResults,
+        // True when the answer did not come from the first-choice provider
+        fallbackUsed: Boolean(answeredBy) && answeredBy !== firstChoice?.name,
+        providers: reports
+      };
+    }
+  };
+};
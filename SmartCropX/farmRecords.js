@@ -0,0 +1,56 @@
+// Farm record keeping: what goes into a crop cycle and what comes out of it.
+// A cycle is one crop grown on one plot, from planting to the last harvest.
+// Its `records` hold every logged input, activity, harvest and offline sale.
+
+export const CYCLE_STATUSES = ['active', 'completed', 'abandoned'];
+
+export const RECORD_TYPES = ['input', 'activity', 'harvest', 'sale'];
+
+export const INPUT_CATEGORIES = ['seed', 'fertilizer', 'pesticide', 'labor', 'water', 'equipment', 'transport', 'other'];
+
+export const ACTIVITY_TYPES = ['land-preparation', 'planting', 'fertilizing', 'spraying', 'weeding', 'irrigation', 'pruning', 'scouting', 'other'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sum = (records, field) => round(records.reduce((total, record) => total + (record[field] || 0), 0));
+
+// Harvested kilos not yet sold offline or put up for sale in the marketplace
+export const getUnsoldKg = (cycle) => {
+  const harvestedKg = sum(cycle.records.filter(r => r.type === 'harvest'), 'quantityKg');
+  const soldKg = sum(cycle.records.filter(r => r.type === 'sale'), 'quantityKg');
+  return round(harvestedKg - soldKg - (cycle.publishedKg || 0));
+};
+
+// Cost, yield and margin for one cycle. `marketplaceRevenue` is what delivered
+// orders of the cycle's listings brought in; offline sales are logged as records.
+export const summarizeCycle = (cycle, { marketplaceRevenue = 0 } = {}) => {
+  const inputs = cycle.records.filter(r => r.type === 'input');
+  const harvests = cycle.records.filter(r => r.type === 'harvest');
+  const sales = cycle.records.filter(r => r.type === 'sale');
+
+  const totalCost = sum(inputs, 'cost');
+  const harvestedKg = sum(harvests, 'quantityKg');
+  const revenue = round(sum(sales, 'amount') + marketplaceRevenue);
+  const margin = round(revenue - totalCost);
+
+  return {
+    totalCost,
+    costByCategory: Object.fromEntries(INPUT_CATEGORIES
+      .map(category => [category, sum(inputs.filter(r => r.category === category), 'cost')])
+      .filter(([, cost]) => cost > 0)),
+    laborHours: sum(cycle.records.filter(r => r.type === 'activity'), 'laborHours'),
+    harvestedKg,
+    harvestCount: harvests.length,
+    yieldPerHectareKg: cycle.areaHa ? round(harvestedKg / cycle.areaHa) : null,
+    costPerKg: harvestedKg > 0 ? round(totalCost / harvestedKg) : null,
+    revenue: {
+      total: revenue,
+      offline: sum(sales, 'amount'),
+      marketplace: round(marketplaceRevenue)
+    },
+    margin,
+    marginPercent: revenue > 0 ? round(margin / revenue * 100) : null,
+    unsoldKg: getUnsoldKg(cycle),
+    publishedKg: cycle.publishedKg || 0
+  };
+};
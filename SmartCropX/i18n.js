@@ -0,0 +1,70 @@
+import en from './locales/en.js';
+import tl from './locales/tl.js';
+import ceb from './locales/ceb.js';
+import ilo from './locales/ilo.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, tl, ceb, ilo };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Language tags people actually send, mapped to our catalogs
+const LOCALE_ALIASES = {
+  fil: 'tl',
+  tagalog: 'tl',
+  filipino: 'tl',
+  bisaya: 'ceb',
+  cebuano: 'ceb',
+  ilocano: 'ilo',
+  iloko: 'ilo'
+};
+
+// 'fil-PH' -> 'tl', 'en-US' -> 'en', unknown -> null
+export const normalizeLocale = (tag) => {
+  if (!tag) return null;
+  const base = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+  const locale = LOCALE_ALIASES[base] || base;
+  return CATALOGS[locale] ? locale : null;
+};
+
+// Picks the best supported locale from an Accept-Language header
+export const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const ranked = header.split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.find(p => p.trim().startsWith('q='));
+      return { tag, quality: q ? parseFloat(q.split('=')[1]) : 1 };
+    })
+    .filter(entry => entry.tag && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+
+  for (const { tag } of ranked) {
+    const locale = normalizeLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+};
+
+const interpolate = (text, params = {}) => {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? params[key] : match));
+};
+
+// Server messages are keyed by their English text, so a missing translation
+// simply shows the English original
+export const translate = (locale, text, params) => {
+  if (typeof text !== 'string') return text;
+  const translated = CATALOGS[locale]?.messages[text];
+  return interpolate(translated || text, params);
+};
+
+const lookup = (source, keyPath) => keyPath.split('.').reduce((value, key) => value?.[key], source);
+
+// Advice content by dotted path ('health.critical.status'), falling back to
+// English per key so partially translated locales still work
+export const getContent = (locale, keyPath, params) => {
+  const value = lookup(CATALOGS[locale]?.content, keyPath) ?? lookup(CATALOGS[DEFAULT_LOCALE].content, keyPath);
+  return typeof value === 'string' ? interpolate(value, params) : value;
+};
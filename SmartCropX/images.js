@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Sizes generated for every upload (longest side in px)
+const IMAGE_VARIANTS = {
+  original: { width: 1600, height: 1600, fit: 'inside' },
+  medium: { width: 800, height: 800, fit: 'inside' },
+  thumbnail: { width: 240, height: 240, fit: 'cover' }
+};
+
+// Identify the real format from the file's magic bytes instead of trusting
+// the client-supplied Content-Type or file name
+export const sniffImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+};
+
+// ==================== STORAGE DRIVERS ====================
+//
+// A driver stores a finished file under a key and returns its public URL.
+
+const createLocalImageStorage = ({ directory, publicPath }) => ({
+  name: 'local',
+  directory,
+  publicPath,
+  async save(key, buffer) {
+    const file = path.join(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${publicPath}/${key}`;
+  },
+  async remove(key) {
+    await fs.rm(path.join(directory, key), { force: true });
+  }
+});
+
+export const createImageStorage = () => {
+  const driverName = process.env.IMAGE_STORAGE || 'local';
+
+  switch (driverName) {
+    case 'local':
+      return createLocalImageStorage({
+        directory: process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'),
+        publicPath: '/uploads'
+      });
+    default:
+      throw new Error(`Unknown IMAGE_STORAGE: ${driverName}`);
+  }
+};
+
+// Validates an uploaded buffer and writes all variants as WebP.
+// Throws an error with `status` set when the file is not a usable image.
+export const processProductImage = async (imageStorage, productId, buffer) => {
+  const detectedType = sniffImageType(buffer);
+  if (!ALLOWED_IMAGE_TYPES.includes(detectedType)) {
+    throw Object.assign(new Error('File is not a JPEG, PNG or WebP image'), { status: 415 });
+  }
+
+  // metadata() only reads the header, so a truncated file gets this far and
+  // fails once decoded. Decode every size before storing any of them.
+  let metadata;
+  const outputs = {};
+  try {
+    metadata = await sharp(buffer).metadata();
+    for (const [variant, resize] of Object.entries(IMAGE_VARIANTS)) {
+      outputs[variant] = await sharp(buffer)
+        .rotate()
+        .resize({ ...resize, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw Object.assign(new Error('Image file is corrupted or unreadable'), { status: 400 });
+  }
+
+  const id = crypto.randomUUID();
+  const variants = {};
+  const keys = [];
+
+  for (const [variant, output] of Object.entries(outputs)) {
+    const key = `products/${productId}/${id}-${variant}.webp`;
+    variants[variant] = await imageStorage.save(key, output);
+    keys.push(key);
+  }
+
+  return {
+    id,
+    url: variants.original,
+    variants,
+    keys,
+    width: metadata.width,
+    height: metadata.height,
+    uploadedAt: new Date()
+  };
+};
+
+// Stores a small preview of a diagnosed photo. Accepts raw base64 or a data URL.
+export const saveScanThumbnail = async (imageStorage, userId, scanId, imageBase64) => {
+  const buffer = Buffer.from(imageBase64.replace(/^data:[^;]+;base64,/, ''), 'base64');
+
+  if (!ALLOWED_IMAGE_TYPES.includes(sniffImageType(buffer))) {
+    throw new Error('Scan image is not a JPEG, PNG or WebP image');
+  }
+
+  const output = await sharp(buffer)
+    .rotate()
+    .resize({ ...IMAGE_VARIANTS.thumbnail, withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toBuffer();
+  const key = `scans/${userId}/${scanId}-thumbnail.webp`;
+
+  return { url: await imageStorage.save(key, output), key };
+};
+
+export const removeProductImage = async (imageStorage, image) => {
+  await Promise.all((image.keys || []).map(key => imageStorage.remove(key)));
+};
@@ -0,0 +1,125 @@
+// Listing stock as dated harvest batches. A listing's `stock` is the sum of
+// what is left in its batches that have not passed their best-before date;
+// orders draw down the oldest harvest first. Everything here works on the
+// plain `batches` array of one listing, so the routes decide what to save.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const byHarvest = (a, b) => a.harvestedAt - b.harvestedAt || a.createdAt - b.createdAt;
+
+export const createBatch = (id, { quantityKg, harvestedAt, bestBefore }, now = new Date()) => ({
+  id,
+  quantityKg,
+  remainingKg: quantityKg,
+  harvestedAt: harvestedAt ? new Date(harvestedAt) : now,
+  // null for produce that keeps, e.g. rice or dried goods
+  bestBefore: bestBefore ? new Date(bestBefore) : null,
+  expiredKg: 0,
+  expiredAt: null,
+  expiryNotifiedAt: null,
+  createdAt: now
+});
+
+export const isExpired = (batch, now = new Date()) =>
+  Boolean(batch.expiredAt) || (batch.bestBefore !== null && batch.bestBefore <= now);
+
+// Batches that can still be sold, oldest harvest first
+export const sellableBatches = (batches = [], now = new Date()) =>
+  batches.filter(batch => batch.remainingKg > 0 && !isExpired(batch, now)).sort(byHarvest);
+
+export const countStock = (batches, now = new Date()) =>
+  sellableBatches(batches, now).reduce((total, batch) => total + batch.remainingKg, 0);
+
+export const daysUntilExpiry = (batch, now = new Date()) =>
+  (batch.bestBefore === null ? null : Math.ceil((batch.bestBefore - now) / DAY_MS));
+
+// ==================== ORDERS ====================
+
+// Which batches `quantityKg` would come out of, oldest first, or null when
+// the listing doesn't have that much left
+export const allocate = (batches, quantityKg, now = new Date()) => {
+  const allocations = [];
+  let needed = quantityKg;
+  for (const batch of sellableBatches(batches, now)) {
+    if (needed === 0) break;
+    const taken = Math.min(batch.remainingKg, needed);
+    allocations.push({ batchId: batch.id, quantityKg: taken, harvestedAt: batch.harvestedAt });
+    needed -= taken;
+  }
+  return needed > 0 ? null : allocations;
+};
+
+// Prices each allocation: kilos out of the discounted batch at the
+// discount's price, all others at the listing's own
+export const priceAllocations = (allocations, pricePerKg, discount = null) =>
+  allocations.map(allocation => ({
+    ...allocation,
+    pricePerKg: discount && discount.batchId === allocation.batchId ? discount.pricePerKg : pricePerKg
+  }));
+
+export const takeFromBatches = (batches, allocations) => {
+  allocations.forEach(({ batchId, quantityKg }) => {
+    const batch = batches.find(b => b.id === batchId);
+    batch.remainingKg -= quantityKg;
+  });
+};
+
+// Puts cancelled kilos back where they came from. Kilos of a batch that has
+// expired since are written off with it; a removed batch takes them along.
+export const returnToBatches = (batches, allocations, now = new Date()) => {
+  allocations.forEach(({ batchId, quantityKg }) => {
+    const batch = batches.find(b => b.id === batchId);
+    if (!batch) return;
+    if (isExpired(batch, now)) {
+      batch.expiredKg += quantityKg;
+    } else {
+      batch.remainingKg += quantityKg;
+    }
+  });
+};
+
+// ==================== EXPIRY ====================
+
+// Writes off what is left of batches past their best-before date. Returns
+// the batches that expired in this pass.
+export const expireBatches = (batches = [], now = new Date()) => {
+  const expired = batches.filter(batch => !batch.expiredAt && batch.bestBefore !== null && batch.bestBefore <= now);
+  expired.forEach(batch => {
+    batch.expiredKg += batch.remainingKg;
+    batch.remainingKg = 0;
+    batch.expiredAt = now;
+  });
+  return expired;
+};
+
+// Sellable batches with stock left that expire within `withinDays`
+export const expiringBatches = (batches, withinDays, now = new Date()) =>
+  sellableBatches(batches, now).filter(batch => {
+    const days = daysUntilExpiry(batch, now);
+    return days !== null && days <= withinDays;
+  });
+
+// The batch an auto-discount applies to: the next one to sell, once it is
+// within `daysBeforeExpiry` of its best-before date
+export const discountedBatch = (batches, autoDiscount, now = new Date()) => {
+  if (!autoDiscount) return null;
+  const next = sellableBatches(batches, now)[0];
+  if (!next) return null;
+  const days = daysUntilExpiry(next, now);
+  return days !== null && days <= autoDiscount.daysBeforeExpiry ? next : null;
+};
+
+// ==================== FRESHNESS ====================
+
+// What a buyer ordering now would get: the next batch to sell
+export const describeFreshness = (batches, now = new Date()) => {
+  const next = sellableBatches(batches, now)[0];
+  if (!next) return null;
+  return {
+    batchId: next.id,
+    harvestedAt: next.harvestedAt,
+    harvestedDaysAgo: Math.max(0, Math.floor((now - next.harvestedAt) / DAY_MS)),
+    bestBefore: next.bestBefore,
+    expiresInDays: daysUntilExpiry(next, now)
+  };
+};
@@ -0,0 +1,383 @@
+// Farming knowledge base: default entries and the matcher that picks the
+// entries relevant to a question. Entries live in the `knowledge` collection
+// so admins can edit them; these defaults are loaded by migration 4.
+//
+// Entry fields:
+//   crop      crop the entry is about, or null for general topics
+//   topic     'growing-guide', 'pest', 'soil', 'disease', 'fertilizer', ...
+//   region    region the advice is specific to, or null for nationwide
+//   season    months (1-12) when it is most relevant, empty for all year
+//   keywords  words that identify the entry in a question
+//   synonyms  alternative and local (Tagalog, Cebuano, Ilocano) names
+//   content   markdown; {region} is replaced with the asker's region
+//   translations  optional { <locale>: { title, content } }
+
+import { DEFAULT_LOCALE, getContent } from './i18n.js';
+
+export const DEFAULT_KNOWLEDGE_ENTRIES = [
+  {
+    id: 'tomato-growing-guide',
+    title: 'Tomato Growing Guide',
+    crop: 'tomato',
+    topic: 'growing-guide',
+    region: null,
+    season: [10, 11, 12, 1],
+    keywords: ['tomato', 'tomatoes'],
+    synonyms: ['kamatis'],
+    content: `🍅 **Tomato Growing Guide ({region}):**
+
+**Best Varieties:** Diamante Max, Apollo, Improved Pope
+**Planting Season:** October-January (dry season)
+**Spacing:** 50-60cm between plants
+**Fertilizer:**
+• Basal: 10-15 tons compost/hectare + complete fertilizer
+• Side dress: Urea every 3-4 weeks
+
+**Common Issues & Solutions:**
+• Blossom end rot - Add calcium, maintain even moisture
+• Early blight - Remove infected leaves, use copper fungicide
+• Fruit worms - Handpick or use BT insecticide
+• Yellow leaves - Check for nutrient deficiency or overwatering
+
+**Smart Tips:**
+• Use stakes or trellises for support
+• Mulch to conserve moisture and control weeds
+• Rotate crops annually to prevent disease buildup`,
+    translations: {
+      tl: {
+        title: 'Gabay sa Pagtatanim ng Kamatis',
+        content: `🍅 **Gabay sa Pagtatanim ng Kamatis ({region}):**
+
+**Pinakamahusay na Barayti:** Diamante Max, Apollo, Improved Pope
+**Panahon ng Pagtatanim:** Oktubre-Enero (tag-araw)
+**Pagitan:** 50-60cm sa bawat halaman
+**Pataba:**
+• Basal: 10-15 tonelada ng compost/ektarya + complete fertilizer
+• Side dress: Urea tuwing 3-4 na linggo
+
+**Karaniwang Problema at Solusyon:**
+• Blossom end rot - Magdagdag ng calcium, panatilihing pantay ang halumigmig
+• Early blight - Alisin ang mga nahawaang dahon, gumamit ng copper fungicide
+• Fruit worm (uod sa bunga) - Pulutin ng kamay o gumamit ng BT insecticide
+• Naninilaw na dahon - Suriin kung kulang sa sustansya o sobra sa dilig
+
+**Matalinong Tip:**
+• Gumamit ng tukod o trellis bilang suporta
+• Maglagay ng mulch para mapanatili ang halumigmig at mapigilan ang damo
+• Magsalitan ng pananim taun-taon para maiwasan ang pagdami ng sakit`
+      }
+    }
+  },
+  {
+    id: 'rice-farming-guide',
+    title: 'Rice Farming Guide',
+    crop: 'rice',
+    topic: 'growing-guide',
+    region: null,
+    season: [6, 7, 11, 12],
+    keywords: ['rice', 'paddy'],
+    synonyms: ['palay', 'bigas', 'humay', 'pagay'],
+    content: `🌾 **Rice Farming Guide ({region}):**
+
+**Popular Varieties:** IR64, PSB Rc18, NSIC Rc222
+**Planting Seasons:**
+• Wet season: June-July
+• Dry season: November-December
+
+**Water Management:**
+• Maintain 2-5cm water depth during vegetative stage
+• Drain field 1-2 weeks before harvest
+
+**Fertilizer Schedule:**
+• Basal: 4-6 bags complete (14-14-14)/hectare
+• Top dress: 2-3 bags urea at tillering and panicle initiation
+
+**Pest Management:**
+• Rice bugs - Use light traps, harvest early
+• Stem borers - Plant resistant varieties
+• Blast disease - Avoid excessive nitrogen`,
+    translations: {
+      tl: {
+        title: 'Gabay sa Pagtatanim ng Palay',
+        content: `🌾 **Gabay sa Pagtatanim ng Palay ({region}):**
+
+**Kilalang Barayti:** IR64, PSB Rc18, NSIC Rc222
+**Panahon ng Pagtatanim:**
+• Tag-ulan: Hunyo-Hulyo
+• Tag-araw: Nobyembre-Disyembre
+
+**Pamamahala ng Tubig:**
+• Panatilihin ang 2-5cm na lalim ng tubig habang lumalaki ang halaman
+• Patuyuin ang palayan 1-2 linggo bago mag-ani
+
+**Iskedyul ng Pataba:**
+• Basal: 4-6 na sako ng complete (14-14-14)/ektarya
+• Top dress: 2-3 sako ng urea sa pag-suwi at panicle initiation
+
+**Pamamahala ng Peste:**
+• Atangya (rice bug) - Gumamit ng light trap, mag-ani nang maaga
+• Stem borer - Magtanim ng matibay na barayti
+• Blast - Iwasan ang sobrang nitrogen`
+      }
+    }
+  },
+  {
+    id: 'corn-growing-guide',
+    title: 'Corn Growing Guide',
+    crop: 'corn',
+    topic: 'growing-guide',
+    region: null,
+    season: [5, 6, 10, 11],
+    keywords: ['corn', 'maize'],
+    synonyms: ['mais'],
+    content: `🌽 **Corn Growing Guide ({region}):**
+
+**Popular Varieties:** Yellow hybrids (e.g. Pioneer, Dekalb), white IPB Var 6, glutinous (lagkitan)
+**Planting Seasons:**
+• Wet season: May-June
+• Dry season: October-November
+
+**Spacing:** 75cm between rows, 20-25cm between hills
+
+**Fertilizer Schedule:**
+• Basal: 4-6 bags complete (14-14-14)/hectare at planting
+• Side dress: 2-3 bags urea 25-30 days after emergence
+
+**Common Issues & Solutions:**
+• Fall armyworm - Scout whorls weekly, apply BT or recommended insecticide early
+• Corn borer - Detassel 2-3 rows out of 4, use Trichogramma
+• Downy mildew - Use resistant varieties, treat seeds before planting
+
+**Smart Tips:**
+• Harvest at 20-25% grain moisture and dry promptly to avoid aflatoxin
+• Rotate with legumes such as mungbean to restore soil nitrogen`,
+    translations: {
+      tl: {
+        title: 'Gabay sa Pagtatanim ng Mais',
+        content: `🌽 **Gabay sa Pagtatanim ng Mais ({region}):**
+
+**Kilalang Barayti:** Dilaw na hybrid (hal. Pioneer, Dekalb), puting IPB Var 6, malagkit (lagkitan)
+**Panahon ng Pagtatanim:**
+• Tag-ulan: Mayo-Hunyo
+• Tag-araw: Oktubre-Nobyembre
+
+**Pagitan:** 75cm sa pagitan ng hanay, 20-25cm sa pagitan ng butas
+
+**Iskedyul ng Pataba:**
+• Basal: 4-6 na sako ng complete (14-14-14)/ektarya sa pagtatanim
+• Side dress: 2-3 sako ng urea 25-30 araw matapos tumubo
+
+**Karaniwang Problema at Solusyon:**
+• Fall armyworm - Silipin ang usbong linggu-linggo, gumamit agad ng BT o rekomendadong insecticide
+• Corn borer - Alisan ng tassel ang 2-3 sa bawat 4 na hanay, gumamit ng Trichogramma
+• Downy mildew - Gumamit ng matibay na barayti, gamutin ang binhi bago itanim
+
+**Matalinong Tip:**
+• Mag-ani kapag 20-25% ang moisture ng butil at patuyuin agad para iwas aflatoxin
+• Isalitan ng munggo para maibalik ang nitrogen sa lupa`
+      }
+    }
+  },
+  {
+    id: 'organic-pest-control',
+    title: 'Organic Pest Control Methods',
+    crop: null,
+    topic: 'pest',
+    region: null,
+    season: [],
+    keywords: ['pest', 'pests', 'insect', 'insects', 'bug', 'bugs', 'aphid', 'aphids', 'worm', 'worms'],
+    synonyms: ['peste', 'insekto', 'kulisap', 'uod', 'kuto', 'ulod', 'igges'],
+    content: `🐛 **Organic Pest Control Methods:**
+
+**Natural Solutions:**
+• Neem oil spray - Effective against most insects
+• Chili-garlic spray - For aphids and mites
+• Wood ash - Deters crawling insects
+• Companion planting - Marigolds repel nematodes
+
+**Biological Control:**
+• Ladybugs - Eat aphids
+• Praying mantis - General predator
+• Trichoderma - Fungal disease control
+
+**Prevention:**
+• Keep field clean of plant debris
+• Practice crop rotation
+• Use resistant varieties
+• Monitor plants regularly`,
+    translations: {
+      tl: {
+        title: 'Organikong Pagkontrol ng Peste',
+        content: `🐛 **Organikong Paraan ng Pagkontrol ng Peste:**
+
+**Natural na Solusyon:**
+• Neem oil spray - Mabisa sa karamihan ng insekto
+• Sili at bawang na spray - Para sa aphids at mites
+• Abo ng kahoy - Pantaboy sa gumagapang na insekto
+• Companion planting - Ang marigold ay pantaboy sa nematodes
+
+**Biyolohikal na Kontrol:**
+• Ladybug - Kumakain ng aphids
+• Sasambang (praying mantis) - Pangkalahatang mandaragit
+• Trichoderma - Kontrol sa sakit na dulot ng fungus
+
+**Pag-iwas:**
+• Panatilihing malinis ang bukid mula sa tirang halaman
+• Magsalitan ng pananim
+• Gumamit ng matibay na barayti
+• Regular na bantayan ang mga halaman`
+      }
+    }
+  },
+  {
+    id: 'soil-health-management',
+    title: 'Soil Health Management',
+    crop: null,
+    topic: 'soil',
+    region: null,
+    season: [],
+    keywords: ['soil', 'compost', 'ph', 'lime', 'manure'],
+    synonyms: ['lupa', 'abono', 'pataba', 'yuta'],
+    content: `🌱 **Soil Health Management:**
+
+**Soil Testing:**
+• Test pH annually (ideal: 5.5-6.5 for most crops)
+• Check NPK levels and organic matter
+
+**Improvement Methods:**
+• Add compost (2-3 kg/m²)
+• Use green manure (legumes)
+• Apply lime if acidic, sulfur if alkaline
+• Practice minimum tillage
+
+**Organic Matter:**
+• Target 3-5% organic matter
+• Use crop residues as mulch
+• Apply well-decomposed manure`,
+    translations: {
+      tl: {
+        title: 'Pangangalaga sa Kalusugan ng Lupa',
+        content: `🌱 **Pangangalaga sa Kalusugan ng Lupa:**
+
+**Pagsusuri ng Lupa:**
+• Suriin ang pH taun-taon (mainam: 5.5-6.5 para sa karamihan ng pananim)
+• Alamin ang antas ng NPK at organikong materyal
+
+**Paraan ng Pagpapabuti:**
+• Magdagdag ng compost (2-3 kg/m²)
+• Gumamit ng green manure (mga legume)
+• Maglagay ng apog kung maasim, sulfur kung alkaline
+• Bawasan ang pag-aararo (minimum tillage)
+
+**Organikong Materyal:**
+• Layuning 3-5% na organikong materyal
+• Gamitin ang tirang pananim bilang mulch
+• Gumamit ng mabuting nabulok na dumi ng hayop`
+      }
+    }
+  }
+];
+
+export const defaultAdvice = (question, locale = DEFAULT_LOCALE) => getContent(locale, 'defaultAdvice', { question });
+
+// ==================== MATCHING ====================
+
+export const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const levenshtein = (a, b) => {
+  if (Math.abs(a.length - b.length) > 2) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words must match exactly; longer ones may carry a typo or two
+export const isFuzzyMatch = (word, term) => {
+  if (term.length < 4) return false;
+  return levenshtein(word, term) <= (term.length >= 7 ? 2 : 1);
+};
+
+// How strongly one term (a keyword or synonym) appears in the question tokens
+const termScore = (tokens, term, weight) => {
+  const termTokens = tokenize(term);
+  if (termTokens.length === 0) return 0;
+  if (termTokens.every(t => tokens.includes(t))) return weight;
+  if (termTokens.every(t => tokens.some(word => isFuzzyMatch(word, t)))) return weight * 0.6;
+  return 0;
+};
+
+const scoreEntry = (entry, tokens, context) => {
+  const bestOf = (terms, weight) => Math.max(0, ...terms.map(term => termScore(tokens, term, weight)));
+
+  const keywordScore = Math.max(
+    bestOf(entry.keywords || [], 3),
+    bestOf(entry.synonyms || [], 3),
+    entry.crop ? termScore(tokens, entry.crop, 3) : 0
+  );
+  if (keywordScore === 0) return 0;
+
+  let score = keywordScore;
+  if (entry.topic && termScore(tokens, entry.topic.replace(/-/g, ' '), 1)) score += 1;
+
+  if (entry.region) {
+    score += context.region && context.region.toLowerCase() === entry.region.toLowerCase() ? 1 : -1;
+  }
+  if (entry.season && entry.season.includes((context.month || new Date().getMonth() + 1))) {
+    score += 0.5;
+  }
+  return score;
+};
+
+// Ranks entries against a question, best first. Each result carries its score.
+export const rankKnowledgeEntries = (entries, question, context = {}) => {
+  const tokens = tokenize(question);
+
+  return entries
+    .map(entry => ({ entry, score: scoreEntry(entry, tokens, context) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+// An entry's title and content in the requested locale, English otherwise
+const localizeEntry = (entry, locale) => ({ ...entry, ...(entry.translations?.[locale] || {}) });
+
+// Builds the answer from the best matches. Questions that touch several
+// topics ("tomato pest") get one section per matching entry.
+export const answerFromKnowledge = (entries, question, context = {}, maxSections = 3) => {
+  const locale = context.locale || DEFAULT_LOCALE;
+  const region = context.region || getContent(locale, 'defaultRegion');
+  const ranked = rankKnowledgeEntries(entries, question, context);
+
+  if (ranked.length === 0) {
+    return { text: defaultAdvice(question, locale), sources: [] };
+  }
+
+  const topScore = ranked[0].score;
+  const selected = ranked
+    .filter(match => match.score >= topScore * 0.5)
+    .slice(0, maxSections);
+
+  return {
+    text: selected
+      .map(({ entry }) => localizeEntry(entry, locale).content.replace(/\{region\}/g, region))
+      .join('\n\n---\n\n'),
+    sources: selected.map(({ entry, score }) => ({
+      id: entry.id,
+      title: localizeEntry(entry, locale).title,
+      crop: entry.crop,
+      topic: entry.topic,
+      region: entry.region,
+      score: Math.round(score * 100) / 100
+    }))
+  };
+};
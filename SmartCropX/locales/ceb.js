@@ -0,0 +1,262 @@
+// Cebuano / Bisaya. Anything missing here falls back to English.
+
+export default {
+  messages: {
+    'Validation failed': 'Wala makapasar sa pagsusi',
+    'Invalid value': 'Dili husto nga bili',
+    'Access token required': 'Gikinahanglan ang access token',
+    'Invalid or expired token': 'Dili husto o expired na ang token',
+    'Too many requests': 'Daghan kaayo nga request',
+    'Endpoint not found': 'Wala makit-an ang endpoint',
+    'Internal server error': 'Adunay sayop sa server',
+    'Too many authentication attempts': 'Daghan kaayo nga pagsulay sa pag-login',
+    'Invalid JSON in request body': 'Dili husto nga JSON sa request body',
+
+    'User registered successfully': 'Malampuson nga narehistro ang user',
+    'Login successful': 'Malampuson nga naka-login',
+    'Logged out successfully': 'Malampuson nga naka-logout',
+    'Username already exists': 'Aduna nay naggamit niini nga username',
+    'Invalid username or password': 'Sayop ang username o password',
+    'User not found': 'Wala makit-an ang user',
+    'Preferences updated successfully': 'Malampuson nga na-update ang mga gusto',
+
+    'Product not found': 'Wala makit-an ang produkto',
+    'Only seller accounts can create listings': 'Ang mga seller account lang ang makahimo og listing',
+    'You can only manage your own listings': 'Ang imong kaugalingong mga listing lang ang imong madumala',
+    'Product deleted successfully': 'Malampuson nga napapas ang produkto',
+    'Images uploaded successfully': 'Malampuson nga na-upload ang mga hulagway',
+    'Image removed successfully': 'Malampuson nga natangtang ang hulagway',
+    'Image not found': 'Wala makit-an ang hulagway',
+    'Only JPEG, PNG and WebP images are allowed': 'JPEG, PNG ug WebP nga hulagway lang ang gitugotan',
+    'File is not a JPEG, PNG or WebP image': 'Dili JPEG, PNG o WebP nga hulagway ang file',
+    'Order placed successfully': 'Malampuson nga nabutang ang order',
+    'Order not found': 'Wala makit-an ang order',
+    'At least one item is required': 'Gikinahanglan ang labing menos usa ka item',
+    'Quantity must be at least 1 kg': 'Kinahanglan labing menos 1 kg ang gidaghanon',
+    'Invalid order status': 'Dili husto nga status sa order',
+    'You cannot order your own product': 'Dili ka maka-order sa imong kaugalingong produkto',
+    'All items in an order must come from the same seller': 'Kinahanglan gikan sa usa ka nagbaligya ang tanang item sa order',
+    'Not authorized to view this order': 'Wala kay pagtugot nga motan-aw niini nga order',
+    'Not authorized to update this order': 'Wala kay pagtugot nga mo-update niini nga order',
+    'Review submitted successfully': 'Malampuson nga napadala ang review',
+    'Rating must be between 1 and 5': 'Kinahanglan tali sa 1 ug 5 ang rating',
+    'You have already reviewed this product': 'Na-review na nimo kini nga produkto',
+    'You can only review products from your delivered orders': 'Ang mga produkto lang sa imong nahatod nga order ang imong ma-review',
+    'Review not found': 'Wala makit-an ang review',
+    'Conversation not found': 'Wala makit-an ang panag-istorya',
+    'Recipient not found': 'Wala makit-an ang makadawat',
+    'You cannot message yourself': 'Dili ka makapadala og mensahe sa imong kaugalingon',
+    'Image is required': 'Gikinahanglan ang hulagway',
+    'Question is required': 'Gikinahanglan ang pangutana',
+    'Scan not found': 'Wala makit-an ang scan',
+    'Plant not found': 'Wala makit-an ang tanom',
+    'Plant name is required': 'Gikinahanglan ang ngalan sa tanom',
+    'Plant analysis service unavailable': 'Dili available ang serbisyo sa pagsusi sa tanom',
+    'No plant analysis provider could process the image': 'Walay provider sa pagsusi sa tanom nga makaproseso sa hulagway',
+    'AI service temporarily unavailable': 'Dili una available ang AI nga serbisyo',
+    'Knowledge entry not found': 'Wala makit-an ang entry sa kahibalo',
+
+    'Profile updated successfully': 'Malampuson nga na-update ang profile',
+    'Password changed successfully': 'Malampuson nga nausab ang password',
+    'Current password is incorrect': 'Sayop ang kasamtangang password',
+    'Invalid or expired refresh token': 'Dili husto o expired na ang refresh token',
+    'If the account exists, a reset code has been sent': 'Kung anaa ang account, napadala na ang reset code',
+    'Invalid or expired reset code': 'Dili husto o expired na ang reset code',
+    'Password has been reset. Please log in again.': 'Na-reset na ang password. Palihug pag-login pag-usab.',
+    'Unpublish your listings before switching to a buyer account': 'I-unpublish una ang imong mga listing sa dili pa mobalhin sa buyer account',
+
+    'Insufficient permissions': 'Kulang ang imong pagtugot',
+    'Your account has been suspended': 'Gisuspinde ang imong account',
+    'Your account has been banned': 'Gi-ban ang imong account',
+    'Reported content not found': 'Wala makit-an ang gi-report nga sulod',
+    'You have already reported this': 'Na-report na nimo kini',
+    'Report submitted. Thank you for keeping the marketplace safe.': 'Napadala na ang report. Salamat sa pagtabang nga luwas ang marketplace.',
+    'This listing was unpublished by a moderator': 'Gitangtang sa moderator kini nga listing',
+
+    'Price alert created': 'Nahimo na ang price alert',
+    'Price alert deleted': 'Natangtang na ang price alert',
+    'Price alert not found': 'Wala makit-an ang price alert',
+    'Price alert limit reached': 'Naabot na nimo ang limitasyon sa price alert',
+    'Commodity or category is required': 'Gikinahanglan ang produkto o kategorya',
+    'Not enough market data for a suggestion': 'Kulang pa ang datos sa merkado aron makasugyot og presyo',
+
+    'A search query is required to sort by relevance': 'Gikinahanglan ang pangitaon aron mahan-ay sumala sa kalabotan',
+    'lat and lng are required to sort by distance': 'Gikinahanglan ang lat ug lng aron mahan-ay sumala sa gilay-on',
+    'Invalid cursor': 'Dili husto nga cursor',
+
+    'Added to cart': 'Nadugang sa cart',
+    'Cart updated': 'Na-update ang cart',
+    'Removed from cart': 'Natangtang sa cart',
+    'Cart cleared': 'Nahawan ang cart',
+    'Item not in cart': 'Wala sa cart ang item',
+    'Your cart is full': 'Puno na ang imong cart',
+    'Your cart is empty': 'Walay sulod ang imong cart',
+    'Some items in your cart are no longer available': 'Ang ubang item sa imong cart dili na available',
+    'Prices changed since you added these items': 'Nausab ang presyo sukad nimo gidugang kini nga mga item',
+    'This listing is no longer available': 'Dili na available kini nga listing',
+    'Out of stock': 'Nahurot na',
+    'Only {available} kg left in stock': '{available} kg na lang ang nahibilin',
+    'Price changed from ₱{from} to ₱{to} per kg': 'Nausab ang presyo gikan sa ₱{from} ngadto sa ₱{to} matag kg',
+
+    'Payment started': 'Nasugdan ang pagbayad',
+    'Payment already started': 'Nasugdan na ang pagbayad',
+    'Payment not found': 'Wala makit-an ang bayad',
+    'Unsupported payment method': 'Dili suportado nga paagi sa pagbayad',
+    'Only the buyer can pay for this order': 'Ang pumapalit lang ang makabayad niini nga order',
+    'Order already has an active payment': 'Aduna nay aktibong bayad kini nga order',
+    'Payment is still being started': 'Gisugdan pa ang bayad',
+    'Order has not been paid yet': 'Wala pa nabayri kini nga order',
+    'Payment provider unavailable': 'Dili available ang payment provider',
+    'Refund issued': 'Naibalik ang bayad',
+    'Only the seller can refund this payment': 'Ang nagbaligya lang ang maka-refund niini nga bayad',
+    'Only completed payments can be refunded': 'Ang nahuman nga bayad lang ang ma-refund',
+    'Refund failed at the payment provider': 'Napakyas ang refund sa payment provider',
+    'A refund of this payment is already in progress': 'Adunay refund nga gipahigayon na alang niini nga bayad',
+    'Order cancelled, but the refund failed at the payment provider. It will be retried.': 'Nakansela ang order, apan napakyas ang refund sa payment provider. Sulayan kini pag-usab.',
+    'Payout recorded': 'Natala ang payout',
+    'Nothing to pay out': 'Walay mabayran',
+
+    'Pickup at farm': 'Kuhaon sa umahan',
+    'Seller delivery': 'Hatod sa nagbaligya',
+    'Courier': 'Courier',
+    'Delivery location unknown': 'Wala mahibaw-i ang lokasyon sa paghatod',
+    'Only delivers within {km} km': 'Naghatod lang sulod sa {km} km',
+    'Only ships up to {kg} kg': 'Nagpadala lang hangtod {kg} kg',
+    'Set a delivery location to see delivery fees': 'Pagbutang og lokasyon sa paghatod aron makita ang bayad sa paghatod',
+    'Shipping quote not found': 'Wala makit-an ang quote sa pagpadala',
+    'Shipping quote has expired': 'Na-expire na ang quote sa pagpadala',
+    'Shipping quote does not match the order items': 'Dili motakdo ang quote sa pagpadala sa mga item sa order',
+    'Delivery method not available for this order': 'Dili available ang paagi sa paghatod niini nga order',
+    'Choose a delivery method for every seller': 'Pagpili og paagi sa paghatod alang sa matag nagbaligya',
+
+    'New order': 'Bag-ong order',
+    '{buyer} ordered {items} for ₱{total}': 'Nag-order si {buyer} og {items} sa kantidad nga ₱{total}',
+    'Order update': 'Update sa order',
+    'Order {orderId} is now {status}': 'Ang order {orderId} {status} na karon',
+    'New message': 'Bag-ong mensahe',
+    'Low stock': 'Hapit na mahurot ang stock',
+    'Only {stock} kg of "{title}" left': '{stock} kg na lang sa "{title}" ang nahibilin',
+    'Price alert': 'Alerto sa presyo',
+    '{title} is now ₱{pricePerKg} per kg': 'Ang {title} ₱{pricePerKg} na matag kg',
+    'Disease outbreak nearby': 'Adunay pagkaylap sa sakit duol kanimo',
+    '{disease} was reported by {reports} farmers in {region} this week': 'Gi-report sa {reports} ka mag-uuma sa {region} ang {disease} karong semanaha',
+    'Notification not found': 'Wala makit-an ang pahibalo',
+    'Notifications marked as read': 'Gimarkahan nga nabasa na ang mga pahibalo',
+    'Notification preferences updated': 'Na-update ang mga setting sa pahibalo',
+    'Unknown notification type': 'Wala mailhi nga matang sa pahibalo',
+
+    'Field task reminder': 'Pahinumdom sa buluhaton sa umahan',
+    '{task} for your {crop} is due on {date}': '{task} alang sa imong {crop} sa {date}',
+    '{crop} is usually not planted in this month in your area': 'Kasagaran dili gitanom ang {crop} niini nga bulan sa inyong lugar',
+    'Unknown crop': 'Wala mailhi nga tanom',
+    'Planting saved': 'Natala ang pagtanom',
+    'Planting deleted': 'Napapas ang pagtanom',
+    'Planting not found': 'Wala makit-an ang pagtanom',
+    'Reminder not found': 'Wala makit-an ang pahinumdom',
+    'Rice': 'Humay',
+    'Corn': 'Mais',
+    'Tomato': 'Kamatis',
+    'Eggplant': 'Talong',
+    'Ampalaya': 'Ampalaya',
+    'Squash': 'Kalabasa',
+    'Pechay': 'Petsay',
+    'Cabbage': 'Repolyo',
+    'Carrot': 'Karot',
+    'Potato': 'Patatas',
+    'Onion': 'Sibuyas',
+    'Apply basal fertilizer': 'Pagbutang og basal nga abono',
+    'Top-dress urea at tillering': 'Pag-top dress og urea sa pagsaha',
+    'Top-dress urea at panicle initiation': 'Pag-top dress og urea sa panicle initiation',
+    'Drain the field before harvest': 'Hubsi ang basakan sa dili pa mag-ani',
+    'Scout for fall armyworm': 'Susiha kung aduna bay fall armyworm',
+    'Side-dress urea and hill up': 'Pag-side dress og urea ug tabuni og yuta ang punoan',
+    'Stake or trellis the plants': 'Butangi og tukod o balag ang mga tanom',
+    'Side-dress urea': 'Pag-side dress og urea',
+    'Check for fruit and shoot borer': 'Susiha kung aduna bay fruit and shoot borer',
+    'Set up the trellis': 'Ipatindog ang balag',
+    'Check for diamondback moth': 'Susiha kung aduna bay diamondback moth',
+    'Thin the seedlings': 'Kunhoran ang mga semilya',
+    'Check for late blight': 'Susiha kung aduna bay late blight',
+    'Stop irrigating before harvest': 'Hunong sa pagpatubig sa dili pa mag-ani',
+    'Harvest window opens': 'Sugod na ang panahon sa ani',
+
+    'Farm not found': 'Wala makit-an ang umahan',
+    'Farm deleted': 'Napapas ang umahan',
+    'Plot not found': 'Wala makit-an ang tanaman',
+    'Plot deleted': 'Napapas ang tanaman',
+    'Crop cycle not found': 'Wala makit-an ang siklo sa tanom',
+    'Crop cycle deleted': 'Napapas ang siklo sa tanom',
+    'Record not found': 'Wala makit-an ang rekord',
+    'Record deleted': 'Napapas ang rekord',
+    'Delete this farm\'s crop cycles first': 'Papasa una ang mga siklo sa tanom niini nga umahan',
+    'Delete this plot\'s crop cycles first': 'Papasa una ang mga siklo sa tanom niini nga tanaman',
+    'This crop already has an active cycle on this plot': 'Aduna nay aktibong siklo kini nga tanom niini nga tanaman',
+    'Part of this harvest has already been sold or listed': 'Ang bahin niini nga ani nabaligya o nalista na',
+    'Log a harvest before publishing it': 'Itala una ang ani sa dili pa kini ilista',
+    'Harvest published to the marketplace': 'Nalista na sa marketplace ang ani',
+
+    'Weather advisories': 'Mga pahibalo sa panahon',
+    'Region or coordinates are required': 'Gikinahanglan ang rehiyon o mga coordinate',
+    'No weather coverage for this region yet': 'Wala pay datos sa panahon alang niini nga rehiyon',
+    'Weather service unavailable': 'Dili available ang serbisyo sa panahon',
+    'Strong winds expected': 'Gilauman ang kusog nga hangin',
+    'Winds up to {windKph} km/h expected in {hours}h. Harvest mature crops early, secure trellises and greenhouses, and clear drainage canals.': 'Gilauman ang hangin hangtod {windKph} km/h sulod sa {hours} ka oras. Ani-a og sayo ang mga hinog nga tanom, lig-ona ang mga balag ug greenhouse, ug limpyohi ang mga kanal.',
+    'Heavy rain expected': 'Gilauman ang kusog nga ulan',
+    'About {rainMm} mm of rain expected on {date}. Clear drainage canals and hold off on fertilizer until it passes.': 'Mga {rainMm} mm nga ulan ang gilauman sa {date}. Limpyohi ang mga kanal ug ayaw una pag-abono hangtod molabay kini.',
+    'Postpone spraying': 'Ipalahay ang pag-spray',
+    'Rain expected in {hours}h: postpone fungicide and pesticide spraying so it is not washed off.': 'Adunay ulan sulod sa {hours} ka oras: ipalahay ang pag-spray og fungicide ug pestisidyo aron dili kini maanod.',
+    'Too windy to spray': 'Hangin kaayo para mag-spray',
+    'Winds up to {windKph} km/h in the next 12h: avoid spraying so it does not drift.': 'Hangin hangtod {windKph} km/h sulod sa sunod nga 12 ka oras: likayi ang pag-spray aron dili kini madala sa hangin.',
+    'Good spraying window': 'Maayong panahon sa pag-spray',
+    'No rain expected in the next 24h and winds are light: spray early in the morning or late in the afternoon.': 'Walay gilauman nga ulan sa sunod nga 24 ka oras ug hinay ang hangin: pag-spray sayo sa buntag o sa hapon.',
+    'Heat stress expected': 'Gilauman ang grabe nga kainit',
+    'Up to {tempC}°C expected on {date}. Water early in the morning, mulch the beds and avoid transplanting at midday.': 'Hangtod {tempC}°C ang gilauman sa {date}. Pagbisibis sayo sa buntag, butangi og mulch ang mga tanaman ug likayi ang pagbalhin og tanom sa udto.',
+    'Skip irrigation': 'Ayaw una pagpatubig',
+    'Rain expected in {hours}h: skip irrigation and let the rain water the field.': 'Adunay ulan sulod sa {hours} ka oras: ayaw una pagpatubig ug pasagdi ang ulan nga mobisibis sa umahan.',
+    'Dry days ahead': 'Umaabot ang mga uga nga adlaw',
+    'Only {rainMm} mm of rain expected over the next {days} days: irrigate early in the morning or late in the afternoon.': '{rainMm} mm lang nga ulan ang gilauman sulod sa sunod nga {days} ka adlaw: pagpatubig sayo sa buntag o sa hapon.',
+    'High fungal disease risk': 'Taas ang peligro sa sakit gikan sa fungus',
+    'Wet, humid days ahead: scout for blight and leaf spots, remove infected leaves and improve air flow between plants.': 'Umaabot ang basa ug alimuot nga mga adlaw: bantayi ang blight ug mga buling sa dahon, kuhaa ang mga apektadong dahon ug lapdi ang gintang sa mga tanom.',
+
+    'Only seller accounts can use this feature': 'Para lang sa mga seller account kini nga feature',
+    'from must be a date': 'Kinahanglan petsa ang from',
+    'to must be a date': 'Kinahanglan petsa ang to',
+    'from must be before to': 'Kinahanglan mas sayo ang from kaysa sa to',
+    'Date range too long for this interval: pick a shorter range or a longer interval': 'Taas kaayo ang gilay-on sa petsa alang niini nga interval: pagpili og mas mubo nga gilay-on o mas taas nga interval',
+
+    'Stock expiring soon': 'Hapit na ma-expire ang stock',
+    '{kg} kg of "{title}" is best before {date}': 'Ang {kg} kg sa "{title}" best before {date}',
+    'Stock expired': 'Na-expire ang stock',
+    '{kg} kg of "{title}" passed its best-before date and was taken out of stock': 'Milapas na sa best-before date ang {kg} kg sa "{title}" ug gikuha na sa stock',
+    'Harvest batch added': 'Nadugang ang batch sa ani',
+    'Harvest batch updated': 'Na-update ang batch sa ani',
+    'Harvest batch removed': 'Natangtang ang batch sa ani',
+    'Batch not found': 'Wala makit-an ang batch',
+    'This batch has expired': 'Na-expire na kini nga batch',
+    'Stock changes through harvest batches': 'Sa mga batch sa ani mausab ang stock',
+    'bestBefore must be in the future': 'Kinahanglan sa umaabot ang bestBefore',
+    'harvestedAt cannot be in the future': 'Dili mahimo nga sa umaabot ang harvestedAt'
+  },
+
+  content: {
+    defaultRegion: 'Pilipinas',
+
+    health: {
+      healthy: { status: 'Himsog', description: 'Walay sakit nga nakit-an' },
+      needsAttention: { status: 'Kinahanglan Bantayan', description: 'Adunay gagmay nga problema nga nakit-an' },
+      poor: { status: 'Huyang', description: 'Daghang problema nga nakit-an' },
+      critical: { status: 'Kritikal', description: 'Kinahanglan dayon tambalan' }
+    },
+
+    treatmentAdvice: {
+      healthy: 'Walay sakit nga nakit-an. Morag himsog ang imong tanom! 🌱',
+      heading: '**🦠 Mga Problema nga Nakit-an ug mga Solusyon:**',
+      generalCare: '**🌱 Kinatibuk-ang Pag-atiman sa Tanom:**'
+    },
+
+    treatments: {
+      'default': 'Pangutana sa lokal nga eksperto sa agrikultura alang sa saktong pagtambal.',
+      'unknown': 'Bantayi ang kahimsog sa tanom ug padayona ang maayong pamaagi.'
+    }
+  }
+};
@@ -0,0 +1,87 @@
+// English is the source language: server messages are written in English in
+// server.js, so only advice content lives here. Other locales fall back to
+// this file for anything they do not translate.
+
+export default {
+  messages: {},
+
+  content: {
+    defaultRegion: 'Philippines',
+
+    health: {
+      healthy: { status: 'Healthy', description: 'No diseases detected' },
+      needsAttention: { status: 'Needs Attention', description: 'Minor issues detected' },
+      poor: { status: 'Poor', description: 'Multiple issues detected' },
+      critical: { status: 'Critical', description: 'Immediate treatment needed' }
+    },
+
+    treatmentAdvice: {
+      healthy: 'No diseases detected. Your plant appears healthy! 🌱',
+      heading: '**🦠 Detected Issues & Solutions:**',
+      generalCare: '**🌱 General Plant Care:**'
+    },
+
+    // Keys are matched against the (English) disease name in this order
+    treatments: {
+      'powdery mildew': 'Apply neem oil or sulfur-based fungicide. Improve air circulation.',
+      'leaf spot': 'Remove affected leaves. Use copper-based fungicide.',
+      'blight': 'Apply appropriate fungicide. Avoid overhead watering.',
+      'rust': 'Use fungicide and remove infected plant parts.',
+      'mosaic': 'Remove infected plants. Control insect vectors.',
+      'rot': 'Improve drainage. Reduce watering. Apply fungicide.',
+      'wilt': 'Check soil moisture. Improve drainage.',
+      'spot': 'Remove affected leaves. Apply fungicide.',
+      'mildew': 'Improve air circulation. Apply fungicide.',
+      'default': 'Consult local agricultural expert for specific treatment.',
+      'unknown': 'Monitor plant health and maintain good practices.'
+    },
+
+    manualIdentificationTips: `**🔍 Manual Plant Identification Tips:**
+
+**Take Clear Photos Of:**
+• Leaves (upper and lower surfaces)
+• Stems and branches
+• Flowers or fruits
+• Overall plant structure
+
+**Common Philippine Plant Issues:**
+
+**🍅 Tomato Problems:**
+• Yellow leaves: Nutrient deficiency or overwatering
+• Brown spots: Fungal infection
+• Wilting: Root issues or water stress
+
+**🌾 Rice Issues:**
+• Yellowing: Nitrogen deficiency
+• Brown spots: Fungal disease
+• Stunted growth: Soil or water issue
+
+**Next Steps:**
+1. Take multiple clear photos
+2. Note symptoms and patterns
+3. Check soil condition
+4. Consult local agricultural expert
+
+**Emergency Contact:**
+• Local Agricultural Office
+• DA Hotline: 0920-946-2474`,
+
+    defaultAdvice: `🌾 **SmartCropX Farming Advice:**
+
+I understand you need help with: "{question}"
+
+**General Best Practices:**
+• Always use certified seeds from reputable sources
+• Test soil before planting
+• Practice crop rotation
+• Monitor weather patterns
+• Keep farming records
+
+**For Specific Advice:**
+• Consult your local Agricultural Extension Office
+• Visit the Department of Agriculture website
+• Join farmers' associations in your area
+
+**Remember:** Good farming practices combined with timely action lead to better yields!`
+  }
+};
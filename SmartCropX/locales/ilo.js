@@ -0,0 +1,262 @@
+// Ilocano. Anything missing here falls back to English.
+
+export default {
+  messages: {
+    'Validation failed': 'Saan a nakapasar iti panangsukimat',
+    'Invalid value': 'Saan a husto a pateg',
+    'Access token required': 'Masapul ti access token',
+    'Invalid or expired token': 'Saan a husto wenno expired ti token',
+    'Endpoint not found': 'Saan a nasarakan ti endpoint',
+    'Too many requests': 'Adu unay ti request',
+    'Too many authentication attempts': 'Adu unay ti panangpadas nga ag-login',
+    'Internal server error': 'Adda biddut iti server',
+    'Invalid JSON in request body': 'Saan a husto a JSON iti request body',
+
+    'User registered successfully': 'Naballigi a nairehistro ti user',
+    'Login successful': 'Naballigi ti panag-login',
+    'Logged out successfully': 'Naballigi ti panag-logout',
+    'Invalid username or password': 'Biddut ti username wenno password',
+    'Username already exists': 'Adda metten ti agus-usar iti daytoy a username',
+    'User not found': 'Saan a nasarakan ti user',
+    'Preferences updated successfully': 'Naballigi a na-update dagiti kaykayat',
+
+    'Product not found': 'Saan a nasarakan ti produkto',
+    'Only seller accounts can create listings': 'Dagiti laeng seller account ti makaaramid iti listing',
+    'You can only manage your own listings': 'Dagiti laeng bukodmo a listing ti maimatonam',
+    'Product deleted successfully': 'Naballigi a naikkat ti produkto',
+    'Images uploaded successfully': 'Naballigi a na-upload dagiti ladawan',
+    'Image removed successfully': 'Naballigi a naikkat ti ladawan',
+    'Image not found': 'Saan a nasarakan ti ladawan',
+    'Only JPEG, PNG and WebP images are allowed': 'JPEG, PNG ken WebP a ladawan laeng ti maipalubos',
+    'File is not a JPEG, PNG or WebP image': 'Saan a JPEG, PNG wenno WebP a ladawan ti file',
+    'Order placed successfully': 'Naballigi a naikabil ti order',
+    'Order not found': 'Saan a nasarakan ti order',
+    'At least one item is required': 'Masapul ti uray maysa nga item',
+    'Quantity must be at least 1 kg': 'Masapul a saan a kurang iti 1 kg ti kaadu',
+    'Invalid order status': 'Saan a husto a status ti order',
+    'You cannot order your own product': 'Saanmo a ma-order ti bukodmo a produkto',
+    'All items in an order must come from the same seller': 'Masapul nga aggapu iti maymaysa a lakuan ti amin nga item ti order',
+    'Not authorized to view this order': 'Awan ti pammalubosmo a mangkita iti daytoy nga order',
+    'Not authorized to update this order': 'Awan ti pammalubosmo a mangbaliw iti daytoy nga order',
+    'Review submitted successfully': 'Naballigi a naipatulod ti review',
+    'Rating must be between 1 and 5': 'Masapul a nagbaetan ti 1 ken 5 ti rating',
+    'You have already reviewed this product': 'Na-reviewmo metten daytoy a produkto',
+    'You can only review products from your delivered orders': 'Dagiti laeng produkto dagiti naitulod nga ordermo ti ma-reviewmo',
+    'Review not found': 'Saan a nasarakan ti review',
+    'Conversation not found': 'Saan a nasarakan ti panagsasarita',
+    'Recipient not found': 'Saan a nasarakan ti umawat',
+    'You cannot message yourself': 'Saanmo a maipatulodan ti mensahe ti bagim',
+    'Image is required': 'Masapul ti ladawan',
+    'Question is required': 'Masapul ti saludsod',
+    'Scan not found': 'Saan a nasarakan ti scan',
+    'Plant not found': 'Saan a nasarakan ti mula',
+    'Plant name is required': 'Masapul ti nagan ti mula',
+    'Plant analysis service unavailable': 'Saan a magun-od ti serbisio a panangsukimat iti mula',
+    'No plant analysis provider could process the image': 'Awan ti provider a makaproseso iti ladawan ti mula',
+    'AI service temporarily unavailable': 'Saan a magun-od pay ti AI a serbisio',
+    'Knowledge entry not found': 'Saan a nasarakan ti entry ti pannakaammo',
+
+    'Profile updated successfully': 'Naballigi a na-update ti profile',
+    'Password changed successfully': 'Naballigi a nasukatan ti password',
+    'Current password is incorrect': 'Biddut ti agdama a password',
+    'Invalid or expired refresh token': 'Saan a husto wenno expired ti refresh token',
+    'If the account exists, a reset code has been sent': 'No adda ti account, naipatulod ti reset code',
+    'Invalid or expired reset code': 'Saan a husto wenno expired ti reset code',
+    'Password has been reset. Please log in again.': 'Na-reset ti password. Pangngaasi ta ag-login manen.',
+    'Unpublish your listings before switching to a buyer account': 'I-unpublish pay dagiti listingmo sakbay nga agbalin a buyer account',
+
+    'Insufficient permissions': 'Kurang ti pammalubosmo',
+    'Your account has been suspended': 'Nasuspender ti accountmo',
+    'Your account has been banned': 'Na-ban ti accountmo',
+    'Reported content not found': 'Saan a nasarakan ti naireport a linaon',
+    'You have already reported this': 'Naireportmo metten daytoy',
+    'Report submitted. Thank you for keeping the marketplace safe.': 'Naipatulod ti report. Agyamankami iti panangtaginayonmo a natalged ti marketplace.',
+    'This listing was unpublished by a moderator': 'Inikkat ti moderator daytoy a listing',
+
+    'Price alert created': 'Naaramid ti price alert',
+    'Price alert deleted': 'Naikkat ti price alert',
+    'Price alert not found': 'Saan a nasarakan ti price alert',
+    'Price alert limit reached': 'Nadanonmo ti pagpatinggaan ti price alert',
+    'Commodity or category is required': 'Masapul ti produkto wenno kategoria',
+    'Not enough market data for a suggestion': 'Kurang pay ti datos ti merkado tapno makaisingasing iti presio',
+
+    'A search query is required to sort by relevance': 'Masapul ti birokem tapno mauray a maibatay iti kinapateg',
+    'lat and lng are required to sort by distance': 'Masapul ti lat ken lng tapno mauray a maibatay iti kaadayo',
+    'Invalid cursor': 'Saan a husto a cursor',
+
+    'Added to cart': 'Nainayon iti cart',
+    'Cart updated': 'Na-update ti cart',
+    'Removed from cart': 'Naikkat iti cart',
+    'Cart cleared': 'Nadalusan ti cart',
+    'Item not in cart': 'Awan iti cart ti item',
+    'Your cart is full': 'Napno ti cartmo',
+    'Your cart is empty': 'Awan ti linaon ti cartmo',
+    'Some items in your cart are no longer available': 'Adda dagiti item iti cartmo a saanen nga available',
+    'Prices changed since you added these items': 'Nagbaliw ti presio manipud idi innayonmo dagitoy nga item',
+    'This listing is no longer available': 'Saanen nga available daytoy a listing',
+    'Out of stock': 'Naibusen',
+    'Only {available} kg left in stock': '{available} kg laengen ti nabati',
+    'Price changed from ₱{from} to ₱{to} per kg': 'Nagbaliw ti presio manipud ₱{from} agingga iti ₱{to} tunggal kg',
+
+    'Payment started': 'Nangrugi ti panagbayad',
+    'Payment already started': 'Nangrugin ti panagbayad',
+    'Payment not found': 'Saan a nasarakan ti bayad',
+    'Unsupported payment method': 'Saan a suportado a wagas ti panagbayad',
+    'Only the buyer can pay for this order': 'Ti gumatang laeng ti makabayad iti daytoy nga order',
+    'Order already has an active payment': 'Adda aktibo a bayad daytoy nga order',
+    'Payment is still being started': 'Mairugrugi pay laeng ti bayad',
+    'Order has not been paid yet': 'Saan pay a nabayadan daytoy nga order',
+    'Payment provider unavailable': 'Saan nga available ti payment provider',
+    'Refund issued': 'Naisubli ti bayad',
+    'Only the seller can refund this payment': 'Ti aglaklako laeng ti maka-refund iti daytoy a bayad',
+    'Only completed payments can be refunded': 'Dagiti nalpas a bayad laeng ti mabalin a ma-refund',
+    'Refund failed at the payment provider': 'Napaay ti refund iti payment provider',
+    'A refund of this payment is already in progress': 'Adda refund a mapaspasamak pay para iti daytoy a bayad',
+    'Order cancelled, but the refund failed at the payment provider. It will be retried.': 'Nakansel ti order, ngem napaay ti refund iti payment provider. Padasen manen daytoy.',
+    'Payout recorded': 'Nairekord ti payout',
+    'Nothing to pay out': 'Awan ti maibayad',
+
+    'Pickup at farm': 'Alaen iti talon',
+    'Seller delivery': 'Iyatod ti aglaklako',
+    'Courier': 'Courier',
+    'Delivery location unknown': 'Saan nga ammo ti lokasion ti pangiyatodan',
+    'Only delivers within {km} km': 'Agiyatod laeng iti uneg ti {km} km',
+    'Only ships up to {kg} kg': 'Agipatulod laeng agingga iti {kg} kg',
+    'Set a delivery location to see delivery fees': 'Mangikabil iti lokasion ti pangiyatodan tapno makita ti bayad ti panangiyatod',
+    'Shipping quote not found': 'Saan a nasarakan ti quote ti panangipatulod',
+    'Shipping quote has expired': 'Nag-expire ti quote ti panangipatulod',
+    'Shipping quote does not match the order items': 'Saan nga agpada ti quote ti panangipatulod ken dagiti item ti order',
+    'Delivery method not available for this order': 'Saan nga available ti wagas ti panangiyatod iti daytoy nga order',
+    'Choose a delivery method for every seller': 'Agpili iti wagas ti panangiyatod para iti tunggal aglaklako',
+
+    'New order': 'Baro nga order',
+    '{buyer} ordered {items} for ₱{total}': 'Nag-order ni {buyer} iti {items} iti gatad a ₱{total}',
+    'Order update': 'Update ti order',
+    'Order {orderId} is now {status}': 'Ti order {orderId} ket {status} itan',
+    'New message': 'Baro a mensahe',
+    'Low stock': 'Dandanin maibus ti stock',
+    'Only {stock} kg of "{title}" left': '{stock} kg laengen ti "{title}" ti nabati',
+    'Price alert': 'Alerto ti presio',
+    '{title} is now ₱{pricePerKg} per kg': 'Ti {title} ket ₱{pricePerKg} itan tunggal kg',
+    'Disease outbreak nearby': 'Adda panagwaras ti sakit iti asideg',
+    '{disease} was reported by {reports} farmers in {region} this week': 'Inreport ti {reports} a mannalon iti {region} ti {disease} iti daytoy a lawas',
+    'Notification not found': 'Saan a nasarakan ti pakaammo',
+    'Notifications marked as read': 'Namarkaan a nabasan dagiti pakaammo',
+    'Notification preferences updated': 'Na-update dagiti setting ti pakaammo',
+    'Unknown notification type': 'Saan a nailasin a kita ti pakaammo',
+
+    'Field task reminder': 'Palagip iti trabaho iti talon',
+    '{task} for your {crop} is due on {date}': '{task} para iti {crop}-mo inton {date}',
+    '{crop} is usually not planted in this month in your area': 'Kadawyan a saan a maimula ti {crop} iti daytoy a bulan iti lugaryo',
+    'Unknown crop': 'Saan a nailasin a mula',
+    'Planting saved': 'Nairekord ti panagmula',
+    'Planting deleted': 'Naikkat ti panagmula',
+    'Planting not found': 'Saan a nasarakan ti panagmula',
+    'Reminder not found': 'Saan a nasarakan ti palagip',
+    'Rice': 'Pagay',
+    'Corn': 'Mais',
+    'Tomato': 'Kamatis',
+    'Eggplant': 'Tarong',
+    'Ampalaya': 'Paria',
+    'Squash': 'Karabasa',
+    'Pechay': 'Petsay',
+    'Cabbage': 'Repolyo',
+    'Carrot': 'Karot',
+    'Potato': 'Patatas',
+    'Onion': 'Sibuyas',
+    'Apply basal fertilizer': 'Mangikabil iti basal nga abono',
+    'Top-dress urea at tillering': 'Ag-top dress iti urea iti panagsaringit',
+    'Top-dress urea at panicle initiation': 'Ag-top dress iti urea iti panicle initiation',
+    'Drain the field before harvest': 'Ibelleng ti danum iti taltalon sakbay ti apit',
+    'Scout for fall armyworm': 'Kitaen no adda fall armyworm',
+    'Side-dress urea and hill up': 'Ag-side dress iti urea ken gabsuonan ti daga',
+    'Stake or trellis the plants': 'Tukodan wenno ikkan iti balag dagiti mula',
+    'Side-dress urea': 'Ag-side dress iti urea',
+    'Check for fruit and shoot borer': 'Kitaen no adda fruit and shoot borer',
+    'Set up the trellis': 'Ipatakder ti balag',
+    'Check for diamondback moth': 'Kitaen no adda diamondback moth',
+    'Thin the seedlings': 'Kissayan dagiti bunubon',
+    'Check for late blight': 'Kitaen no adda late blight',
+    'Stop irrigating before harvest': 'Isardeng ti panagpadanum sakbay ti apit',
+    'Harvest window opens': 'Mangrugi ti panawen ti apit',
+
+    'Farm not found': 'Saan a nasarakan ti talon',
+    'Farm deleted': 'Naikkat ti talon',
+    'Plot not found': 'Saan a nasarakan ti pagmulaan',
+    'Plot deleted': 'Naikkat ti pagmulaan',
+    'Crop cycle not found': 'Saan a nasarakan ti siklo ti mula',
+    'Crop cycle deleted': 'Naikkat ti siklo ti mula',
+    'Record not found': 'Saan a nasarakan ti rekord',
+    'Record deleted': 'Naikkat ti rekord',
+    'Delete this farm\'s crop cycles first': 'Ikkaten pay dagiti siklo ti mula daytoy a talon',
+    'Delete this plot\'s crop cycles first': 'Ikkaten pay dagiti siklo ti mula daytoy a pagmulaan',
+    'This crop already has an active cycle on this plot': 'Adda aktibo a siklo daytoy a mula iti daytoy a pagmulaan',
+    'Part of this harvest has already been sold or listed': 'Nailako wenno nailista ti paset daytoy nga apit',
+    'Log a harvest before publishing it': 'Irekord pay ti apit sakbay nga ilista',
+    'Harvest published to the marketplace': 'Nailista iti marketplace ti apit',
+
+    'Weather advisories': 'Dagiti pakaammo maipapan iti tiempo',
+    'Region or coordinates are required': 'Masapul ti rehion wenno dagiti coordinate',
+    'No weather coverage for this region yet': 'Awan pay ti datos ti tiempo para iti daytoy a rehion',
+    'Weather service unavailable': 'Saan nga available ti serbisio ti tiempo',
+    'Strong winds expected': 'Manamnama ti napigsa nga angin',
+    'Winds up to {windKph} km/h expected in {hours}h. Harvest mature crops early, secure trellises and greenhouses, and clear drainage canals.': 'Manamnama ti angin agingga iti {windKph} km/h iti uneg ti {hours} nga oras. Apiten a nasapa dagiti naluom a mula, patibkeren dagiti balag ken greenhouse, ken dalusan dagiti kanal.',
+    'Heavy rain expected': 'Manamnama ti napigsa a tudo',
+    'About {rainMm} mm of rain expected on {date}. Clear drainage canals and hold off on fertilizer until it passes.': 'Agarup {rainMm} mm a tudo ti manamnama inton {date}. Dalusan dagiti kanal ken saan pay nga agabono agingga a lumabas.',
+    'Postpone spraying': 'Itantan ti panag-spray',
+    'Rain expected in {hours}h: postpone fungicide and pesticide spraying so it is not washed off.': 'Adda tudo iti uneg ti {hours} nga oras: itantan ti panag-spray iti fungicide ken pestisidio tapno saan a mayanud.',
+    'Too windy to spray': 'Naangin unay tapno ag-spray',
+    'Winds up to {windKph} km/h in the next 12h: avoid spraying so it does not drift.': 'Angin agingga iti {windKph} km/h iti sumaruno a 12 nga oras: liklikan ti panag-spray tapno saan nga itayab ti angin.',
+    'Good spraying window': 'Nasayaat a panawen ti panag-spray',
+    'No rain expected in the next 24h and winds are light: spray early in the morning or late in the afternoon.': 'Awan ti manamnama a tudo iti sumaruno a 24 nga oras ken nalag-an ti angin: ag-spray a nasapa iti bigat wenno iti malem.',
+    'Heat stress expected': 'Manamnama ti nakaro a pudot',
+    'Up to {tempC}°C expected on {date}. Water early in the morning, mulch the beds and avoid transplanting at midday.': 'Agingga iti {tempC}°C ti manamnama inton {date}. Agsibog a nasapa iti bigat, ikkan iti mulch dagiti pagmulaan ken liklikan ti panagyakar iti mula iti tengnga ti aldaw.',
+    'Skip irrigation': 'Saan pay nga agpadanum',
+    'Rain expected in {hours}h: skip irrigation and let the rain water the field.': 'Adda tudo iti uneg ti {hours} nga oras: saan pay nga agpadanum ket bay-an a ti tudo ti mangsibog iti talon.',
+    'Dry days ahead': 'Umay dagiti namaga nga aldaw',
+    'Only {rainMm} mm of rain expected over the next {days} days: irrigate early in the morning or late in the afternoon.': '{rainMm} mm laeng a tudo ti manamnama iti sumaruno a {days} nga aldaw: agpadanum a nasapa iti bigat wenno iti malem.',
+    'High fungal disease risk': 'Nangato ti peligro ti sakit a gapuanan ti fungus',
+    'Wet, humid days ahead: scout for blight and leaf spots, remove infected leaves and improve air flow between plants.': 'Umay dagiti nabasa ken naalinsaay nga aldaw: bantayan ti blight ken dagiti mansa iti bulong, ikkaten dagiti naapektaran a bulong ken palawaen ti baet dagiti mula.',
+
+    'Only seller accounts can use this feature': 'Para laeng kadagiti seller account daytoy a feature',
+    'from must be a date': 'Masapul a petsa ti from',
+    'to must be a date': 'Masapul a petsa ti to',
+    'from must be before to': 'Masapul a nasapsapa ti from ngem ti to',
+    'Date range too long for this interval: pick a shorter range or a longer interval': 'Atiddog unay ti sakup ti petsa para iti daytoy nga interval: agpili iti naab-ab-ay a sakup wenno at-atiddog nga interval',
+
+    'Stock expiring soon': 'Dandanin ma-expire ti stock',
+    '{kg} kg of "{title}" is best before {date}': 'Ti {kg} kg ti "{title}" ket best before {date}',
+    'Stock expired': 'Na-expire ti stock',
+    '{kg} kg of "{title}" passed its best-before date and was taken out of stock': 'Nalabsan ti {kg} kg ti "{title}" ti best-before date ket naikkat iti stock',
+    'Harvest batch added': 'Nainayon ti batch ti apit',
+    'Harvest batch updated': 'Na-update ti batch ti apit',
+    'Harvest batch removed': 'Naikkat ti batch ti apit',
+    'Batch not found': 'Saan a nasarakan ti batch',
+    'This batch has expired': 'Na-expire daytoy a batch',
+    'Stock changes through harvest batches': 'Kadagiti batch ti apit nga agbaliw ti stock',
+    'bestBefore must be in the future': 'Masapul nga iti masakbayan ti bestBefore',
+    'harvestedAt cannot be in the future': 'Saan a mabalin nga iti masakbayan ti harvestedAt'
+  },
+
+  content: {
+    defaultRegion: 'Filipinas',
+
+    health: {
+      healthy: { status: 'Nasalun-at', description: 'Awan ti sakit a nakita' },
+      needsAttention: { status: 'Masapul a Bantayan', description: 'Adda bassit a problema a nakita' },
+      poor: { status: 'Nakapuy', description: 'Adu ti problema a nakita' },
+      critical: { status: 'Kritikal', description: 'Masapul ti dagus a panangagas' }
+    },
+
+    treatmentAdvice: {
+      healthy: 'Awan ti sakit a nakita. Kasla nasalun-at ti mulam! 🌱',
+      heading: '**🦠 Dagiti Problema a Nakita ken dagiti Solusion:**',
+      generalCare: '**🌱 Sapasap a Panangtaripato iti Mula:**'
+    },
+
+    treatments: {
+      'default': 'Agsaludsod iti lokal nga eksperto iti agrikultura para iti umno a panangagas.',
+      'unknown': 'Bantayan ti salun-at ti mula ken ituloy ti nasayaat a wagas.'
+    }
+  }
+};
@@ -0,0 +1,318 @@
+// Tagalog / Filipino
+
+export default {
+  messages: {
+    'Validation failed': 'Hindi pumasa sa beripikasyon',
+    'Invalid value': 'Hindi wastong halaga',
+    'Access token required': 'Kailangan ang access token',
+    'Invalid or expired token': 'Hindi wasto o expired na ang token',
+    'Insufficient permissions': 'Wala kang sapat na pahintulot',
+    'Your account has been suspended': 'Sinuspinde ang iyong account',
+    'Your account has been banned': 'Na-ban ang iyong account',
+    'Too many authentication attempts': 'Masyadong maraming pagtatangkang mag-login',
+    'Too many requests': 'Masyadong maraming request',
+    'Endpoint not found': 'Hindi nahanap ang endpoint',
+    'Internal server error': 'May error sa server',
+    'Invalid JSON in request body': 'Hindi wastong JSON sa request body',
+
+    'User registered successfully': 'Matagumpay na nairehistro ang user',
+    'Login successful': 'Matagumpay na naka-login',
+    'Username already exists': 'May gumagamit na ng username na ito',
+    'Invalid username or password': 'Mali ang username o password',
+    'User not found': 'Hindi nahanap ang user',
+    'Preferences updated successfully': 'Matagumpay na na-update ang mga kagustuhan',
+    'Profile updated successfully': 'Matagumpay na na-update ang profile',
+    'Password changed successfully': 'Matagumpay na napalitan ang password',
+    'Current password is incorrect': 'Mali ang kasalukuyang password',
+    'Logged out successfully': 'Matagumpay na naka-logout',
+    'Invalid or expired refresh token': 'Hindi wasto o expired na ang refresh token',
+    'If the account exists, a reset code has been sent': 'Kung umiiral ang account, naipadala na ang reset code',
+    'Invalid or expired reset code': 'Hindi wasto o expired na ang reset code',
+    'Password has been reset. Please log in again.': 'Na-reset na ang password. Mag-login muli.',
+    'Unpublish your listings before switching to a buyer account': 'I-unpublish muna ang iyong mga listing bago lumipat sa buyer account',
+
+    'Product not found': 'Hindi nahanap ang produkto',
+    'A search query is required to sort by relevance': 'Kailangan ng hahanapin para maiayos ayon sa kaugnayan',
+    'lat and lng are required to sort by distance': 'Kailangan ang lat at lng para maiayos ayon sa layo',
+    'Invalid cursor': 'Hindi wastong cursor',
+    'Only seller accounts can create listings': 'Ang mga seller account lamang ang maaaring maglista ng produkto',
+    'You can only manage your own listings': 'Sarili mong mga listing lamang ang maaari mong pamahalaan',
+    'Product deleted successfully': 'Matagumpay na natanggal ang produkto',
+    'Images uploaded successfully': 'Matagumpay na na-upload ang mga larawan',
+    'Image removed successfully': 'Matagumpay na natanggal ang larawan',
+    'Image not found': 'Hindi nahanap ang larawan',
+    'Price alert created': 'Nagawa na ang price alert',
+    'Price alert deleted': 'Natanggal na ang price alert',
+    'Price alert not found': 'Hindi nahanap ang price alert',
+    'Price alert limit reached': 'Naabot mo na ang limitasyon ng price alert',
+    'Commodity or category is required': 'Kailangan ang produkto o kategorya',
+    'Not enough market data for a suggestion': 'Kulang pa ang datos ng merkado para makapagmungkahi ng presyo',
+    'Only JPEG, PNG and WebP images are allowed': 'JPEG, PNG at WebP na larawan lamang ang pinapayagan',
+    'File is not a JPEG, PNG or WebP image': 'Ang file ay hindi JPEG, PNG o WebP na larawan',
+
+    'Order placed successfully': 'Matagumpay na nailagay ang order',
+    'Order not found': 'Hindi nahanap ang order',
+    'At least one item is required': 'Kailangan ng kahit isang item',
+    'Quantity must be at least 1 kg': 'Dapat hindi bababa sa 1 kg ang dami',
+    'Invalid order status': 'Hindi wastong status ng order',
+    'You cannot order your own product': 'Hindi mo maaaring i-order ang sarili mong produkto',
+    'All items in an order must come from the same seller': 'Dapat galing sa iisang seller ang lahat ng item sa isang order',
+    'Not authorized to view this order': 'Wala kang pahintulot na tingnan ang order na ito',
+    'Not authorized to update this order': 'Wala kang pahintulot na baguhin ang order na ito',
+
+    'Added to cart': 'Naidagdag sa cart',
+    'Cart updated': 'Na-update ang cart',
+    'Removed from cart': 'Natanggal sa cart',
+    'Cart cleared': 'Nalinis ang cart',
+    'Item not in cart': 'Wala sa cart ang item',
+    'Your cart is full': 'Puno na ang iyong cart',
+    'Your cart is empty': 'Walang laman ang iyong cart',
+    'Some items in your cart are no longer available': 'May mga item sa iyong cart na hindi na available',
+    'Prices changed since you added these items': 'Nagbago ang presyo mula nang idagdag mo ang mga item na ito',
+    'This listing is no longer available': 'Hindi na available ang listing na ito',
+    'Out of stock': 'Ubos na',
+    'Only {available} kg left in stock': '{available} kg na lamang ang natitira',
+    'Price changed from ₱{from} to ₱{to} per kg': 'Nagbago ang presyo mula ₱{from} tungo sa ₱{to} bawat kg',
+
+    'New order': 'Bagong order',
+    '{buyer} ordered {items} for ₱{total}': 'Nag-order si {buyer} ng {items} sa halagang ₱{total}',
+    'Order update': 'Update sa order',
+    'Order {orderId} is now {status}': 'Ang order {orderId} ay {status} na',
+    'New message': 'Bagong mensahe',
+    'Low stock': 'Paubos na ang stock',
+    'Only {stock} kg of "{title}" left': '{stock} kg na lamang ng "{title}" ang natitira',
+    'Stock expiring soon': 'Malapit nang mag-expire ang stock',
+    '{kg} kg of "{title}" is best before {date}': 'Ang {kg} kg ng "{title}" ay best before {date}',
+    'Stock expired': 'Nag-expire ang stock',
+    '{kg} kg of "{title}" passed its best-before date and was taken out of stock': 'Lumampas sa best-before date ang {kg} kg ng "{title}" at inalis na sa stock',
+    'Price alert': 'Alerto sa presyo',
+    '{title} is now ₱{pricePerKg} per kg': 'Ang {title} ay ₱{pricePerKg} na bawat kg',
+    'Disease outbreak nearby': 'May pagkalat ng sakit sa malapit',
+    '{disease} was reported by {reports} farmers in {region} this week': 'Iniulat ng {reports} magsasaka sa {region} ang {disease} ngayong linggo',
+    'Notification not found': 'Hindi nahanap ang abiso',
+    'Notifications marked as read': 'Namarkahang nabasa na ang mga abiso',
+    'Notification preferences updated': 'Na-update ang mga setting ng abiso',
+    'Unknown notification type': 'Hindi kilalang uri ng abiso',
+
+    'Field task reminder': 'Paalala sa gawain sa bukid',
+    '{task} for your {crop} is due on {date}': '{task} para sa iyong {crop} sa {date}',
+    '{crop} is usually not planted in this month in your area': 'Karaniwang hindi itinatanim ang {crop} sa buwang ito sa inyong lugar',
+    'Unknown crop': 'Hindi kilalang pananim',
+    'Planting saved': 'Naitala ang pagtatanim',
+    'Planting deleted': 'Nabura ang pagtatanim',
+    'Planting not found': 'Hindi nahanap ang pagtatanim',
+    'Reminder not found': 'Hindi nahanap ang paalala',
+    'Only seller accounts can use this feature': 'Para lamang sa mga seller account ang feature na ito',
+    'Farm not found': 'Hindi nahanap ang bukid',
+    'Farm deleted': 'Nabura ang bukid',
+    'Plot not found': 'Hindi nahanap ang taniman',
+    'Plot deleted': 'Nabura ang taniman',
+    'Crop cycle not found': 'Hindi nahanap ang siklo ng pananim',
+    'Crop cycle deleted': 'Nabura ang siklo ng pananim',
+    'Record not found': 'Hindi nahanap ang rekord',
+    'Record deleted': 'Nabura ang rekord',
+    'Delete this farm\'s crop cycles first': 'Burahin muna ang mga siklo ng pananim ng bukid na ito',
+    'Delete this plot\'s crop cycles first': 'Burahin muna ang mga siklo ng pananim ng taniman na ito',
+    'This crop already has an active cycle on this plot': 'May aktibong siklo na ang pananim na ito sa taniman',
+    'Part of this harvest has already been sold or listed': 'Naibenta o nailista na ang bahagi ng aning ito',
+    'Log a harvest before publishing it': 'Magtala muna ng ani bago ito ilista',
+    'Harvest published to the marketplace': 'Nailista na sa marketplace ang ani',
+    'Harvest batch added': 'Naidagdag ang batch ng ani',
+    'Harvest batch updated': 'Na-update ang batch ng ani',
+    'Harvest batch removed': 'Naalis ang batch ng ani',
+    'Batch not found': 'Hindi nahanap ang batch',
+    'This batch has expired': 'Nag-expire na ang batch na ito',
+    'Stock changes through harvest batches': 'Sa mga batch ng ani binabago ang stock',
+    'bestBefore must be in the future': 'Dapat nasa hinaharap ang bestBefore',
+    'harvestedAt cannot be in the future': 'Hindi maaaring nasa hinaharap ang harvestedAt',
+
+    'from must be a date': 'Dapat petsa ang from',
+    'to must be a date': 'Dapat petsa ang to',
+    'from must be before to': 'Dapat mas maaga ang from kaysa sa to',
+    'Date range too long for this interval: pick a shorter range or a longer interval': 'Masyadong mahaba ang saklaw ng petsa para sa interval na ito: pumili ng mas maikling saklaw o mas mahabang interval',
+
+    'Weather advisories': 'Mga abiso sa panahon',
+    'Region or coordinates are required': 'Kailangan ang rehiyon o mga coordinate',
+    'No weather coverage for this region yet': 'Wala pang datos ng panahon para sa rehiyong ito',
+    'Weather service unavailable': 'Hindi available ang serbisyo ng panahon',
+    'Strong winds expected': 'Inaasahan ang malakas na hangin',
+    'Winds up to {windKph} km/h expected in {hours}h. Harvest mature crops early, secure trellises and greenhouses, and clear drainage canals.': 'Inaasahan ang hanging hanggang {windKph} km/h sa loob ng {hours} oras. Anihin nang maaga ang mga hinog na pananim, patibayin ang mga balag at greenhouse, at linisin ang mga kanal.',
+    'Heavy rain expected': 'Inaasahan ang malakas na ulan',
+    'About {rainMm} mm of rain expected on {date}. Clear drainage canals and hold off on fertilizer until it passes.': 'Mga {rainMm} mm na ulan ang inaasahan sa {date}. Linisin ang mga kanal at ipagpaliban ang pag-aabono hanggang makalipas ito.',
+    'Postpone spraying': 'Ipagpaliban ang pag-spray',
+    'Rain expected in {hours}h: postpone fungicide and pesticide spraying so it is not washed off.': 'May ulan sa loob ng {hours} oras: ipagpaliban ang pag-spray ng fungicide at pestisidyo para hindi ito maanod.',
+    'Too windy to spray': 'Masyadong mahangin para mag-spray',
+    'Winds up to {windKph} km/h in the next 12h: avoid spraying so it does not drift.': 'Hanging hanggang {windKph} km/h sa susunod na 12 oras: iwasan ang pag-spray para hindi ito tangayin.',
+    'Good spraying window': 'Magandang panahon para mag-spray',
+    'No rain expected in the next 24h and winds are light: spray early in the morning or late in the afternoon.': 'Walang inaasahang ulan sa susunod na 24 oras at mahina ang hangin: mag-spray nang maaga sa umaga o sa hapon.',
+    'Heat stress expected': 'Inaasahan ang matinding init',
+    'Up to {tempC}°C expected on {date}. Water early in the morning, mulch the beds and avoid transplanting at midday.': 'Hanggang {tempC}°C ang inaasahan sa {date}. Magdilig nang maaga sa umaga, maglagay ng mulch at iwasang maglipat-tanim sa tanghali.',
+    'Skip irrigation': 'Huwag munang magpatubig',
+    'Rain expected in {hours}h: skip irrigation and let the rain water the field.': 'May ulan sa loob ng {hours} oras: huwag munang magpatubig at hayaang ang ulan ang magdilig sa bukid.',
+    'Dry days ahead': 'Tuyong mga araw ang darating',
+    'Only {rainMm} mm of rain expected over the next {days} days: irrigate early in the morning or late in the afternoon.': '{rainMm} mm lamang na ulan ang inaasahan sa susunod na {days} araw: magpatubig nang maaga sa umaga o sa hapon.',
+    'High fungal disease risk': 'Mataas ang panganib ng sakit dulot ng fungus',
+    'Wet, humid days ahead: scout for blight and leaf spots, remove infected leaves and improve air flow between plants.': 'Basa at maalinsangang mga araw ang darating: bantayan ang blight at batik sa dahon, alisin ang mga apektadong dahon at paluwagin ang pagitan ng mga halaman.',
+    'Rice': 'Palay',
+    'Corn': 'Mais',
+    'Tomato': 'Kamatis',
+    'Eggplant': 'Talong',
+    'Ampalaya': 'Ampalaya',
+    'Squash': 'Kalabasa',
+    'Pechay': 'Pechay',
+    'Cabbage': 'Repolyo',
+    'Carrot': 'Karot',
+    'Potato': 'Patatas',
+    'Onion': 'Sibuyas',
+    'Apply basal fertilizer': 'Maglagay ng basal na pataba',
+    'Top-dress urea at tillering': 'Mag-top dress ng urea sa pag-suwi',
+    'Top-dress urea at panicle initiation': 'Mag-top dress ng urea sa panicle initiation',
+    'Drain the field before harvest': 'Patuyuin ang palayan bago mag-ani',
+    'Scout for fall armyworm': 'Suriin kung may fall armyworm',
+    'Side-dress urea and hill up': 'Mag-side dress ng urea at magbunton ng lupa',
+    'Stake or trellis the plants': 'Lagyan ng tukod o balag ang mga halaman',
+    'Side-dress urea': 'Mag-side dress ng urea',
+    'Check for fruit and shoot borer': 'Suriin kung may fruit and shoot borer',
+    'Set up the trellis': 'Itayo ang balag',
+    'Check for diamondback moth': 'Suriin kung may diamondback moth',
+    'Thin the seedlings': 'Bawasan ang mga punla',
+    'Check for late blight': 'Suriin kung may late blight',
+    'Stop irrigating before harvest': 'Itigil ang pagpapatubig bago mag-ani',
+    'Harvest window opens': 'Simula ng panahon ng anihan',
+
+    'Pickup at farm': 'Kunin sa bukid',
+    'Seller delivery': 'Hatid ng nagbebenta',
+    'Courier': 'Courier',
+    'Delivery location unknown': 'Hindi alam ang lokasyon ng paghahatid',
+    'Only delivers within {km} km': 'Naghahatid lamang sa loob ng {km} km',
+    'Only ships up to {kg} kg': 'Nagpapadala lamang hanggang {kg} kg',
+    'Set a delivery location to see delivery fees': 'Magtakda ng lokasyon ng paghahatid upang makita ang bayad sa paghahatid',
+    'Shipping quote not found': 'Hindi nahanap ang quote sa pagpapadala',
+    'Shipping quote has expired': 'Nag-expire na ang quote sa pagpapadala',
+    'Shipping quote does not match the order items': 'Hindi tugma ang quote sa pagpapadala sa mga item ng order',
+    'Delivery method not available for this order': 'Hindi available ang paraan ng paghahatid para sa order na ito',
+    'Choose a delivery method for every seller': 'Pumili ng paraan ng paghahatid para sa bawat nagbebenta',
+
+    'Payment started': 'Nasimulan ang pagbabayad',
+    'Payment already started': 'Nasimulan na ang pagbabayad',
+    'Payment not found': 'Hindi nahanap ang bayad',
+    'Unsupported payment method': 'Hindi suportadong paraan ng pagbabayad',
+    'Only the buyer can pay for this order': 'Ang mamimili lamang ang maaaring magbayad para sa order na ito',
+    'Order already has an active payment': 'May aktibong bayad na ang order na ito',
+    'Payment is still being started': 'Sinisimulan pa ang bayad',
+    'Order has not been paid yet': 'Hindi pa bayad ang order na ito',
+    'Payment provider unavailable': 'Hindi available ang payment provider',
+    'Refund issued': 'Naibalik ang bayad',
+    'Only the seller can refund this payment': 'Ang nagbebenta lamang ang maaaring mag-refund ng bayad na ito',
+    'Only completed payments can be refunded': 'Mga nakumpletong bayad lamang ang maaaring i-refund',
+    'Refund failed at the payment provider': 'Nabigo ang refund sa payment provider',
+    'A refund of this payment is already in progress': 'May kasalukuyang refund na para sa bayad na ito',
+    'Order cancelled, but the refund failed at the payment provider. It will be retried.': 'Nakansela ang order, pero nabigo ang refund sa payment provider. Susubukan itong muli.',
+    'Payout recorded': 'Naitala ang payout',
+    'Nothing to pay out': 'Walang maibabayad',
+
+    'Review submitted successfully': 'Matagumpay na naipasa ang review',
+    'Rating must be between 1 and 5': 'Dapat nasa pagitan ng 1 at 5 ang rating',
+    'You have already reviewed this product': 'Nakapag-review ka na ng produktong ito',
+    'You can only review products from your delivered orders': 'Maaari ka lamang mag-review ng produkto mula sa mga order na naihatid na',
+    'Review not found': 'Hindi nahanap ang review',
+
+    'Conversation not found': 'Hindi nahanap ang usapan',
+    'Recipient not found': 'Hindi nahanap ang tatanggap',
+    'You cannot message yourself': 'Hindi mo maaaring padalhan ng mensahe ang sarili mo',
+
+    'Image is required': 'Kailangan ang larawan',
+    'Question is required': 'Kailangan ang tanong',
+    'Plant analysis service unavailable': 'Hindi available ang serbisyo ng pagsusuri ng halaman',
+    'No plant analysis provider could process the image': 'Walang serbisyong nakapagsuri ng larawan',
+    'AI service temporarily unavailable': 'Pansamantalang hindi available ang AI service',
+    'Scan not found': 'Hindi nahanap ang scan',
+    'Plant not found': 'Hindi nahanap ang halaman',
+    'Plant name is required': 'Kailangan ang pangalan ng halaman',
+    'Knowledge entry not found': 'Hindi nahanap ang entry sa knowledge base',
+
+    'Reported content not found': 'Hindi nahanap ang nireport na nilalaman',
+    'You have already reported this': 'Nai-report mo na ito',
+    'Report submitted. Thank you for keeping the marketplace safe.': 'Naipasa na ang report. Salamat sa pagpapanatiling ligtas ng marketplace.',
+    'This listing was unpublished by a moderator': 'Ang listing na ito ay inalis ng moderator'
+  },
+
+  content: {
+    defaultRegion: 'Pilipinas',
+
+    health: {
+      healthy: { status: 'Malusog', description: 'Walang nakitang sakit' },
+      needsAttention: { status: 'Kailangang Bantayan', description: 'May maliliit na problemang nakita' },
+      poor: { status: 'Mahina', description: 'Maraming problemang nakita' },
+      critical: { status: 'Kritikal', description: 'Kailangan ng agarang lunas' }
+    },
+
+    treatmentAdvice: {
+      healthy: 'Walang nakitang sakit. Mukhang malusog ang iyong halaman! 🌱',
+      heading: '**🦠 Mga Nakitang Problema at Solusyon:**',
+      generalCare: '**🌱 Pangkalahatang Pag-aalaga ng Halaman:**'
+    },
+
+    treatments: {
+      'powdery mildew': 'Mag-spray ng neem oil o fungicide na may sulfur. Pagandahin ang daloy ng hangin.',
+      'leaf spot': 'Alisin ang mga apektadong dahon. Gumamit ng copper-based na fungicide.',
+      'blight': 'Gumamit ng angkop na fungicide. Iwasan ang pagdidilig mula sa itaas.',
+      'rust': 'Gumamit ng fungicide at alisin ang mga nahawaang bahagi ng halaman.',
+      'mosaic': 'Bunutin ang mga nahawaang halaman. Kontrolin ang mga insektong nagkakalat ng sakit.',
+      'rot': 'Pagandahin ang drainage. Bawasan ang pagdidilig. Gumamit ng fungicide.',
+      'wilt': 'Suriin ang halumigmig ng lupa. Pagandahin ang drainage.',
+      'spot': 'Alisin ang mga apektadong dahon. Gumamit ng fungicide.',
+      'mildew': 'Pagandahin ang daloy ng hangin. Gumamit ng fungicide.',
+      'default': 'Kumonsulta sa lokal na eksperto sa agrikultura para sa tiyak na lunas.',
+      'unknown': 'Bantayan ang kalusugan ng halaman at ipagpatuloy ang mabuting gawi.'
+    },
+
+    manualIdentificationTips: `**🔍 Mga Tip sa Manwal na Pagkilala ng Halaman:**
+
+**Kumuha ng Malinaw na Litrato ng:**
+• Mga dahon (itaas at ilalim na bahagi)
+• Tangkay at mga sanga
+• Mga bulaklak o bunga
+• Kabuuang hitsura ng halaman
+
+**Karaniwang Problema ng Halaman sa Pilipinas:**
+
+**🍅 Problema sa Kamatis:**
+• Naninilaw na dahon: Kakulangan sa sustansya o sobrang pagdidilig
+• Kayumangging batik: Impeksyon ng fungus
+• Pagkalanta: Problema sa ugat o kakulangan sa tubig
+
+**🌾 Problema sa Palay:**
+• Paninilaw: Kakulangan sa nitrogen
+• Kayumangging batik: Sakit na dulot ng fungus
+• Bansot na paglaki: Problema sa lupa o tubig
+
+**Susunod na Hakbang:**
+1. Kumuha ng ilang malinaw na litrato
+2. Itala ang mga sintomas at pattern
+3. Suriin ang kondisyon ng lupa
+4. Kumonsulta sa lokal na eksperto sa agrikultura
+
+**Emergency Contact:**
+• Lokal na Tanggapan ng Agrikultura
+• DA Hotline: 0920-946-2474`,
+
+    defaultAdvice: `🌾 **Payo sa Pagsasaka mula sa SmartCropX:**
+
+Naiintindihan kong kailangan mo ng tulong tungkol sa: "{question}"
+
+**Pangkalahatang Mabuting Gawi:**
+• Gumamit lamang ng sertipikadong binhi mula sa mapagkakatiwalaang pinagmulan
+• Suriin ang lupa bago magtanim
+• Magsalitan ng pananim (crop rotation)
+• Bantayan ang lagay ng panahon
+• Magtala ng mga rekord ng pagsasaka
+
+**Para sa Tiyak na Payo:**
+• Kumonsulta sa inyong lokal na Agricultural Extension Office
+• Bisitahin ang website ng Department of Agriculture
+• Sumali sa mga samahan ng magsasaka sa inyong lugar
+
+**Tandaan:** Ang mabuting gawi sa pagsasaka at napapanahong aksyon ay nagdudulot ng mas magandang ani!`
+  }
+};
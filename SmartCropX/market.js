@@ -0,0 +1,111 @@
+import { tokenize } from './knowledgeBase.js';
+
+// Commodities we can recognise from a listing's title or tags when the seller
+// did not pick one. Keys are the canonical name; values include plurals and
+// the Filipino names farmers actually use.
+const COMMODITY_NAMES = {
+  rice: ['rice', 'palay', 'bigas', 'humay'],
+  corn: ['corn', 'mais'],
+  tomato: ['tomato', 'tomatoes', 'kamatis'],
+  carrot: ['carrot', 'carrots'],
+  cabbage: ['cabbage', 'repolyo'],
+  potato: ['potato', 'potatoes', 'patatas'],
+  onion: ['onion', 'onions', 'sibuyas'],
+  garlic: ['garlic', 'bawang'],
+  eggplant: ['eggplant', 'eggplants', 'talong'],
+  squash: ['squash', 'kalabasa'],
+  ampalaya: ['ampalaya', 'bitter gourd'],
+  pechay: ['pechay', 'bok choy'],
+  mango: ['mango', 'mangoes', 'mangga'],
+  banana: ['banana', 'bananas', 'saging'],
+  pineapple: ['pineapple', 'pineapples', 'pinya'],
+  calamansi: ['calamansi', 'kalamansi'],
+  coconut: ['coconut', 'coconuts', 'niyog', 'buko'],
+  coffee: ['coffee', 'kape'],
+  cacao: ['cacao', 'cocoa']
+};
+
+const COMMODITY_LOOKUP = new Map(
+  Object.entries(COMMODITY_NAMES).flatMap(([commodity, names]) => names.map(name => [name, commodity]))
+);
+
+export const normalizeCommodity = (value) => {
+  if (!value) return null;
+  const name = String(value).trim().toLowerCase();
+  return COMMODITY_LOOKUP.get(name) || name;
+};
+
+// The seller's explicit choice wins; otherwise look for a known name in the title and tags
+export const getCommodity = (product) => {
+  if (product.commodity) return normalizeCommodity(product.commodity);
+
+  const tokens = tokenize([product.title, ...(product.tags || [])].join(' '));
+  for (const token of tokens) {
+    if (COMMODITY_LOOKUP.has(token)) return COMMODITY_LOOKUP.get(token);
+  }
+  return null;
+};
+
+export const normalizeRegion = (region) => (region ? String(region).trim().toLowerCase() : null);
+
+// ==================== STATISTICS ====================
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Linear interpolation between closest ranks
+const percentile = (sorted, p) => {
+  if (sorted.length === 1) return sorted[0];
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+};
+
+// { min, p25, median, p75, max, samples } or null when there are no prices
+export const summarizePrices = (prices) => {
+  if (prices.length === 0) return null;
+  const sorted = [...prices].sort((a, b) => a - b);
+  return {
+    min: round(sorted[0]),
+    p25: round(percentile(sorted, 0.25)),
+    median: round(percentile(sorted, 0.5)),
+    p75: round(percentile(sorted, 0.75)),
+    max: round(sorted[sorted.length - 1]),
+    samples: sorted.length
+  };
+};
+
+// ==================== HISTORY ====================
+
+// Price a listing had at the end of `date`, from its change log (oldest first).
+// Returns null when the listing did not exist yet.
+export const priceAt = (product, changes, date) => {
+  if (product.createdAt > date) return null;
+  if (product.deletedAt && product.deletedAt <= date) return null;
+
+  let price = changes.length > 0 ? changes[0].previousPrice ?? changes[0].pricePerKg : product.pricePerKg;
+  for (const change of changes) {
+    if (change.changedAt > date) break;
+    price = change.pricePerKg;
+  }
+  return price;
+};
+
+// One summary per day for the last `days` days, oldest first
+export const buildDailySeries = (listings, days, now = new Date()) => {
+  const series = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const endOfDay = new Date(now);
+    endOfDay.setUTCHours(23, 59, 59, 999);
+    endOfDay.setUTCDate(endOfDay.getUTCDate() - offset);
+
+    const prices = listings
+      .map(({ product, changes }) => priceAt(product, changes, endOfDay))
+      .filter(price => price !== null);
+
+    const summary = summarizePrices(prices);
+    if (summary) {
+      series.push({ date: endOfDay.toISOString().slice(0, 10), min: summary.min, median: summary.median, max: summary.max, samples: summary.samples });
+    }
+  }
+  return series;
+};
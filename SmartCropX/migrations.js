@@ -0,0 +1,206 @@
+import { createBatch } from './inventory.js';
+import { DEFAULT_KNOWLEDGE_ENTRIES } from './knowledgeBase.js';
+import { DEFAULT_DELIVERY_OPTIONS, normalizeDeliveryOptions } from './shipping.js';
+
+// Schema migrations, applied in order by runMigrations() in storage.js.
+// Never edit a migration that has shipped: add a new one with the next version.
+
+export default [
+  {
+    version: 1,
+    name: 'backfill-userdata-username',
+    up: async (store) => {
+      // Early accounts were stored without userData.username, which product
+      // listings copy into their `seller` block
+      const users = store.collection('users');
+      users.filter(user => !user.userData.username).forEach(user => {
+        user.userData.username = user.username;
+        users.save(user);
+      });
+    }
+  },
+  {
+    version: 2,
+    name: 'product-status',
+    up: async (store) => {
+      // Listings gained a publish status so they can be unpublished or soft-deleted
+      const products = store.collection('products');
+      products.filter(product => !product.status).forEach(product => {
+        product.status = 'active';
+        products.save(product);
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'clear-placeholder-locations',
+    up: async (store) => {
+      // Listings used to be created at { lat: 0, lng: 0 }, which is in the
+      // Gulf of Guinea. Treat those as "no location" so distance search skips them.
+      const products = store.collection('products');
+      products.filter(product => product.location && product.location.lat === 0 && product.location.lng === 0)
+        .forEach(product => {
+          product.location = null;
+          products.save(product);
+        });
+    }
+  },
+  {
+    version: 4,
+    name: 'seed-knowledge-base',
+    up: async (store) => {
+      // The advice topics used to be hard-coded in server.js
+      const knowledge = store.collection('knowledge');
+      DEFAULT_KNOWLEDGE_ENTRIES
+        .filter(entry => !knowledge.findById(entry.id))
+        .forEach(entry => knowledge.insert({ ...entry, createdAt: new Date(), updatedAt: new Date() }));
+    }
+  },
+  {
+    version: 5,
+    name: 'localize-knowledge-base',
+    up: async (store) => {
+      // Seeded topics gained Filipino synonyms and translations. Keep any
+      // synonyms an admin added and never overwrite edited translations.
+      const knowledge = store.collection('knowledge');
+      DEFAULT_KNOWLEDGE_ENTRIES.forEach(defaults => {
+        const entry = knowledge.findById(defaults.id);
+        if (!entry) return;
+
+        entry.synonyms = [...new Set([...(entry.synonyms || []), ...defaults.synonyms])];
+        entry.translations = { ...defaults.translations, ...(entry.translations || {}) };
+        knowledge.save(entry);
+      });
+    }
+  },
+  {
+    version: 6,
+    name: 'backfill-price-history',
+    up: async (store) => {
+      // Prices used to be overwritten in place; start each listing's history
+      // with the price it has now
+      const products = store.collection('products');
+      const priceHistory = store.collection('priceHistory');
+      products.filter(product => !priceHistory.some(change => change.productId === product.id))
+        .forEach(product => priceHistory.insert({
+          id: `backfill-${product.id}`,
+          productId: product.id,
+          pricePerKg: product.pricePerKg,
+          previousPrice: null,
+          changedBy: product.sellerId,
+          changedAt: product.createdAt || new Date()
+        }));
+    }
+  },
+  {
+    version: 7,
+    name: 'default-delivery-options',
+    up: async (store) => {
+      // Listings gained per-listing delivery methods; existing ones offer farm pickup
+      const products = store.collection('products');
+      products.filter(product => !product.deliveryOptions).forEach(product => {
+        product.deliveryOptions = normalizeDeliveryOptions(DEFAULT_DELIVERY_OPTIONS);
+        products.save(product);
+      });
+    }
+  },
+  {
+    version: 8,
+    name: 'harvest-batches',
+    up: async (store) => {
+      // Stock moved into dated harvest batches. What a listing has left becomes
+      // one batch harvested when it was listed, with no best-before date, and
+      // open orders point at it so cancelling them still returns their kilos.
+      const products = store.collection('products');
+      const orders = store.collection('orders');
+      products.filter(product => !product.batches).forEach(product => {
+        product.batches = [createBatch(`backfill-${product.id}`, {
+          quantityKg: product.stock || 0,
+          harvestedAt: product.createdAt
+        })];
+        product.autoDiscount = null;
+        product.discount = null;
+        products.save(product);
+      });
+      orders.filter(order => ['pending', 'confirmed', 'packed'].includes(order.status))
+        .forEach(order => {
+          order.items.filter(item => !item.batches).forEach(item => {
+            const product = products.findById(item.productId);
+            item.batches = product
+              ? [{ batchId: `backfill-${product.id}`, quantityKg: item.quantity, harvestedAt: product.createdAt }]
+              : [];
+          });
+          orders.save(order);
+        });
+    }
+  },
+  {
+    version: 9,
+    name: 'ratings-from-reviews',
+    up: async (store) => {
+      // The demo listings were seeded with ratings no review backed, and
+      // without the seller's rating in their `seller` block. A listing's
+      // rating now only ever comes from its reviews.
+      const products = store.collection('products');
+      const reviews = store.collection('reviews');
+      const users = store.collection('users');
+      products.all().forEach(product => {
+        const ratings = reviews.filter(r => r.productId === product.id).map(r => r.rating);
+        const sellerData = users.findById(product.sellerId)?.userData;
+        const staleRating = ratings.length !== (product.reviewCount || 0);
+        const missingSellerRating = product.seller && product.seller.rating === undefined;
+        if (!staleRating && !missingSellerRating) return;
+
+        if (staleRating) {
+          product.rating = ratings.length === 0
+            ? 0
+            : Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length * 10) / 10;
+          product.reviewCount = ratings.length;
+        }
+        if (missingSellerRating) {
+          product.seller.rating = sellerData?.sellerRating || 0;
+          product.seller.reviewCount = sellerData?.sellerReviewCount || 0;
+        }
+        products.save(product);
+      });
+    }
+  },
+  {
+    version: 10,
+    name: 'batch-priced-discounts',
+    up: async (store) => {
+      // Auto-discounts used to lower the whole listing's price and log each
+      // start and end in its price history. They now only price the kilos of
+      // the batch they cover: the listing gets its own price back, and the
+      // auto-discount entries go, with every remaining change re-linked to
+      // the one before it.
+      const products = store.collection('products');
+      const priceHistory = store.collection('priceHistory');
+      products.filter(product => product.discount && product.discount.originalPrice !== undefined).forEach(product => {
+        const { batchId, percent, originalPrice, startedAt } = product.discount;
+        product.discount = { batchId, percent, pricePerKg: product.pricePerKg, startedAt };
+        product.pricePerKg = originalPrice;
+        products.save(product);
+      });
+
+      const discountChanges = priceHistory.filter(change => change.changedBy === 'auto-discount');
+      discountChanges.forEach(change => priceHistory.remove(change.id));
+      new Set(discountChanges.map(change => change.productId)).forEach(productId => {
+        let previous;
+        priceHistory.filter(change => change.productId === productId)
+          .sort((a, b) => a.changedAt - b.changedAt)
+          .forEach(change => {
+            if (previous === undefined) {
+              previous = change.pricePerKg;
+            } else if (change.pricePerKg === previous) {
+              priceHistory.remove(change.id);
+            } else {
+              change.previousPrice = previous;
+              priceHistory.save(change);
+              previous = change.pricePerKg;
+            }
+          });
+      });
+    }
+  }
+];
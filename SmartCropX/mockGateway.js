@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import express from 'express';
+import { signWebhook } from './payments.js';
+
+// A stand-in for a GCash/Maya-style gateway so the e-wallet flow can be run
+// end to end without credentials. Mounted at /mock-gateway outside production.
+//
+//   POST /v1/payment-intents          create an intent (Bearer secret key)
+//   POST /v1/payment-intents/:id/cancel  void an intent that is still awaiting payment
+//   POST /v1/refunds                  refund part or all of a paid intent
+//   GET  /checkout/:id                what the buyer would see
+//   POST /checkout/:id/approve|fail   simulate the buyer paying or giving up; with
+//                                     ?hold=1 the webhook waits for /replay
+//   POST /checkout/:id/replay         resend the last webhook (idempotency checks)
+
+export const createMockGateway = ({ secretKey, webhookSecret, publicUrl }) => {
+  const router = express.Router();
+  const intents = new Map();
+  const idempotentResponses = new Map();
+
+  const requireKey = (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${secretKey}`) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+  };
+
+  // Same key, same answer - the way real gateways dedupe retried requests
+  const idempotent = (handler) => (req, res) => {
+    const key = req.headers['idempotency-key'];
+    if (key && idempotentResponses.has(key)) {
+      return res.status(200).json(idempotentResponses.get(key));
+    }
+    const result = handler(req, res);
+    if (result && key) idempotentResponses.set(key, result);
+  };
+
+  const createEvent = (intent, type) => {
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { payment_intent: intent.id, reference: intent.reference, amount: intent.amount, channel: intent.channel }
+    };
+    intent.lastEvent = event;
+    return event;
+  };
+
+  const deliver = async (intent, event) => {
+    const rawBody = JSON.stringify(event);
+    const response = await fetch(intent.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Gateway-Signature': signWebhook(webhookSecret, rawBody) },
+      body: rawBody,
+      signal: AbortSignal.timeout(10000)
+    });
+    return { event: event.id, delivered: response.ok, status: response.status };
+  };
+
+  router.post('/v1/payment-intents', requireKey, idempotent((req, res) => {
+    const { amount, currency, channel, reference, description, webhook_url: webhookUrl } = req.body;
+    if (!Number.isInteger(amount) || amount <= 0 || !webhookUrl) {
+      res.status(400).json({ error: 'amount and webhook_url are required' });
+      return null;
+    }
+
+    const id = `pi_${crypto.randomUUID().replace(/-/g, '')}`;
+    const intent = { id, amount, amountRefunded: 0, currency, channel, reference, description, webhookUrl, status: 'awaiting_payment' };
+    intents.set(id, intent);
+
+    const body = { id, status: intent.status, checkout_url: `${publicUrl}/checkout/${id}` };
+    res.status(201).json(body);
+    return body;
+  }));
+
+  router.post('/v1/payment-intents/:id/cancel', requireKey, idempotent((req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) {
+      res.status(404).json({ error: 'Unknown payment intent' });
+      return null;
+    }
+    if (intent.status !== 'awaiting_payment') {
+      res.status(409).json({ error: `Payment intent is already ${intent.status}` });
+      return null;
+    }
+
+    intent.status = 'cancelled';
+    const body = { id: intent.id, status: intent.status };
+    res.json(body);
+    return body;
+  }));
+
+  router.post('/v1/refunds', requireKey, idempotent((req, res) => {
+    const intent = intents.get(req.body.payment_intent);
+    if (!intent || intent.status !== 'succeeded') {
+      res.status(400).json({ error: 'Payment intent is not refundable' });
+      return null;
+    }
+    if (req.body.amount > intent.amount - intent.amountRefunded) {
+      res.status(400).json({ error: 'Refund exceeds captured amount' });
+      return null;
+    }
+
+    intent.amountRefunded += req.body.amount;
+    const body = { id: `re_${crypto.randomUUID().replace(/-/g, '')}`, status: 'succeeded', amount: req.body.amount };
+    res.status(201).json(body);
+    return body;
+  }));
+
+  router.get('/checkout/:id', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) return res.status(404).json({ error: 'Unknown payment intent' });
+
+    const { webhookUrl, lastEvent, ...visible } = intent;
+    res.json({ ...visible, approve: `POST ${publicUrl}/checkout/${intent.id}/approve`, fail: `POST ${publicUrl}/checkout/${intent.id}/fail` });
+  });
+
+  const settle = (status, eventType) => async (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) return res.status(404).json({ error: 'Unknown payment intent' });
+    if (intent.status !== 'awaiting_payment') {
+      return res.status(409).json({ error: `Payment intent is already ${intent.status}` });
+    }
+
+    intent.status = status;
+    const event = createEvent(intent, eventType);
+    // A late webhook, e.g. one that arrives after the order was cancelled
+    if (req.query.hold) {
+      return res.json({ id: intent.id, status, webhook: { event: event.id, delivered: false } });
+    }
+    try {
+      res.json({ id: intent.id, status, webhook: await deliver(intent, event) });
+    } catch (error) {
+      res.status(502).json({ id: intent.id, status, error: `Webhook delivery failed: ${error.message}` });
+    }
+  };
+
+  router.post('/checkout/:id/approve', settle('succeeded', 'payment.succeeded'));
+  router.post('/checkout/:id/fail', settle('failed', 'payment.failed'));
+
+  router.post('/checkout/:id/replay', async (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent?.lastEvent) return res.status(404).json({ error: 'No webhook to replay' });
+
+    try {
+      res.json({ id: intent.id, webhook: await deliver(intent, intent.lastEvent) });
+    } catch (error) {
+      res.status(502).json({ id: intent.id, error: `Webhook delivery failed: ${error.message}` });
+    }
+  });
+
+  return router;
+};
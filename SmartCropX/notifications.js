@@ -0,0 +1,73 @@
+// Events a user can be notified about, with the English text each one shows
+// (translated when read) and which channels are on until the user says otherwise.
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'email', 'sms'];
+
+export const NOTIFICATION_TYPES = {
+  'order.created': {
+    title: 'New order',
+    body: '{buyer} ordered {items} for ₱{total}',
+    defaults: { inApp: true, email: true, sms: false }
+  },
+  'order.status': {
+    title: 'Order update',
+    body: 'Order {orderId} is now {status}',
+    defaults: { inApp: true, email: true, sms: false }
+  },
+  'message.new': {
+    title: 'New message',
+    body: '{sender}: {preview}',
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  'stock.low': {
+    title: 'Low stock',
+    body: 'Only {stock} kg of "{title}" left',
+    defaults: { inApp: true, email: true, sms: false }
+  },
+  'stock.expiring': {
+    title: 'Stock expiring soon',
+    body: '{kg} kg of "{title}" is best before {date}',
+    defaults: { inApp: true, email: true, sms: false }
+  },
+  'stock.expired': {
+    title: 'Stock expired',
+    body: '{kg} kg of "{title}" passed its best-before date and was taken out of stock',
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  'price.alert': {
+    title: 'Price alert',
+    body: '{title} is now ₱{pricePerKg} per kg',
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  'task.reminder': {
+    title: 'Field task reminder',
+    body: '{task} for your {crop} is due on {date}',
+    defaults: { inApp: true, email: false, sms: true }
+  },
+  'disease.outbreak': {
+    title: 'Disease outbreak nearby',
+    body: '{disease} was reported by {reports} farmers in {region} this week',
+    defaults: { inApp: true, email: true, sms: true }
+  }
+};
+
+// The user's saved choices on top of the defaults, for every event type
+export const getNotificationPreferences = (userData) => {
+  const saved = userData.notificationPreferences || {};
+  return Object.fromEntries(Object.entries(NOTIFICATION_TYPES).map(([type, { defaults }]) => [
+    type,
+    { ...defaults, ...(saved[type] || {}) }
+  ]));
+};
+
+// Applies a partial update ({ 'order.status': { sms: true } }) and returns what to store
+export const mergeNotificationPreferences = (current, changes) => {
+  const merged = { ...(current || {}) };
+  Object.entries(changes).forEach(([type, channels]) => {
+    const picked = Object.fromEntries(NOTIFICATION_CHANNELS
+      .filter(channel => typeof channels[channel] === 'boolean')
+      .map(channel => [channel, channels[channel]]));
+    merged[type] = { ...(merged[type] || {}), ...picked };
+  });
+  return merged;
+};
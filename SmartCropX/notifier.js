@@ -0,0 +1,67 @@
+// Delivers messages to users outside the app: password reset codes and
+// notifications the user asked to also get by e-mail or SMS.
+//
+// A driver exposes `send({ to, channel, template, data, locale })` where `to`
+// carries whatever contact details the user has on file. NOTIFIER picks the
+// driver for every channel; NOTIFIER_EMAIL / NOTIFIER_SMS override it per channel.
+
+export const DELIVERY_CHANNELS = ['email', 'sms'];
+
+const createConsoleNotifier = () => ({
+  name: 'console',
+  async send({ to, channel, template, data }) {
+    // Development stub: nothing leaves the machine, the message is only logged
+    console.log(`📨 [${template}]${channel ? ` via ${channel}` : ''} to ${to.username}:`, JSON.stringify(data));
+  }
+});
+
+// Hands the message to an SMS/e-mail gateway that speaks plain JSON
+const createWebhookNotifier = ({ url, secret }) => ({
+  name: 'webhook',
+  async send(message) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(secret ? { Authorization: `Bearer ${secret}` } : {})
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Notifier webhook responded with ${response.status}`);
+    }
+  }
+});
+
+// `prefix` is NOTIFIER or NOTIFIER_<CHANNEL>; channel settings fall back to the shared ones
+const createDriver = (prefix) => {
+  const setting = (name) => process.env[`${prefix}${name}`] || process.env[`NOTIFIER${name}`];
+  const driverName = process.env[prefix] || process.env.NOTIFIER || 'console';
+
+  switch (driverName) {
+    case 'console':
+      if (process.env.NODE_ENV === 'production') {
+        console.warn(`⚠️  ${prefix}=console in production: messages are only written to the log`);
+      }
+      return createConsoleNotifier();
+    case 'webhook':
+      if (!setting('_WEBHOOK_URL')) {
+        throw new Error(`${prefix}=webhook requires ${prefix}_WEBHOOK_URL`);
+      }
+      return createWebhookNotifier({
+        url: setting('_WEBHOOK_URL'),
+        secret: setting('_WEBHOOK_SECRET')
+      });
+    default:
+      throw new Error(`Unknown ${prefix}: ${driverName}`);
+  }
+};
+
+export const createNotifier = () => createDriver('NOTIFIER');
+
+// One driver per delivery channel: { email, sms }
+export const createChannelNotifiers = () => Object.fromEntries(
+  DELIVERY_CHANNELS.map(channel => [channel, createDriver(`NOTIFIER_${channel.toUpperCase()}`)])
+);
@@ -0,0 +1,453 @@
+// Route contracts: one definition per route drives request validation, the
+// OpenAPI document served at /api/openapi.json and the endpoint lists.
+//
+// Schemas are plain JSON Schema (as used by OpenAPI 3.1), usually built with
+// the `t` shorthands below. A few `x-` keywords cover what JSON Schema can't:
+//   x-trim, x-lowercase   clean up strings before they are checked
+//   x-sanitize(value)     normalizes a value that passed its type and length checks (not published)
+//   x-check(value)        extra test; false fails the field (not published)
+//   x-checks              [{ path, message, test(object) }] rules across fields
+//   x-message             error message for the field instead of 'Invalid value'
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// ==================== SCHEMA SHORTHANDS ====================
+
+const withCommon = (schema, { nullable, description, example, default: fallback, message, sanitize, check } = {}) => {
+  const result = { ...schema };
+  if (nullable) result.type = [result.type, 'null'];
+  if (description) result.description = description;
+  if (example !== undefined) result.example = example;
+  if (fallback !== undefined) result.default = fallback;
+  if (message) result['x-message'] = message;
+  if (sanitize) result['x-sanitize'] = sanitize;
+  if (check) result['x-check'] = check;
+  return result;
+};
+
+const dropUndefined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+export const t = {
+  string: ({ min, max, enum: values, format, pattern, trim, lowercase, ...common } = {}) => withCommon(dropUndefined({
+    type: 'string',
+    minLength: min,
+    maxLength: max,
+    enum: values,
+    format,
+    pattern,
+    'x-trim': trim || undefined,
+    'x-lowercase': lowercase || undefined
+  }), common),
+  // Any ISO 8601 date or timestamp
+  date: (options = {}) => t.string({ format: 'date-time', ...options }),
+  enum: (values, options = {}) => t.string({ enum: values, ...options }),
+  number: ({ min, max, gt, lt, ...common } = {}) => withCommon(dropUndefined({
+    type: 'number',
+    minimum: min,
+    maximum: max,
+    exclusiveMinimum: gt,
+    exclusiveMaximum: lt
+  }), common),
+  integer: ({ min, max, ...common } = {}) => withCommon(dropUndefined({ type: 'integer', minimum: min, maximum: max }), common),
+  boolean: (common = {}) => withCommon({ type: 'boolean' }, common),
+  array: (items, { min, max, ...common } = {}) => withCommon(dropUndefined({
+    type: 'array',
+    items,
+    minItems: min,
+    maxItems: max
+  }), common),
+  // `required` lists property names; `values` describes a map's values
+  object: (properties = {}, { required, values, checks, dependentRequired, ...common } = {}) => withCommon(dropUndefined({
+    type: 'object',
+    properties,
+    required: required?.length ? required : undefined,
+    additionalProperties: values,
+    dependentRequired,
+    'x-checks': checks
+  }), common),
+  ref: (name) => ({ $ref: `#/components/schemas/${name}` }),
+  any: (description) => (description ? { description } : {})
+};
+
+// ==================== VALIDATION ====================
+
+const ISO_8601 = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  'date-time': (value) => ISO_8601.test(value) && !Number.isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => EMAIL.test(value)
+};
+
+const typesOf = (schema) => (Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : []);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    default: return typeof value === type;
+  }
+};
+
+// Query strings and form fields only carry text; read "5" as 5 and "true" as true
+// where the schema asks for a number or a boolean
+const coerce = (types, value) => {
+  if (typeof value !== 'string' || types.includes('string')) return value;
+  const text = value.trim();
+  if ((types.includes('integer') || types.includes('number')) && text !== '' && Number.isFinite(Number(text))) {
+    return Number(text);
+  }
+  if (types.includes('boolean') && ['true', 'false', '1', '0'].includes(text)) {
+    return text === 'true' || text === '1';
+  }
+  return value;
+};
+
+const joinPath = (parent, key) => (typeof key === 'number' ? `${parent}[${key}]` : parent ? `${parent}.${key}` : key);
+
+const resolve = (schema, components) => {
+  if (!schema?.$ref) return schema;
+  return components[schema.$ref.split('/').pop()];
+};
+
+// Checks `value` against `schema` and returns it cleaned up (trimmed,
+// coerced, defaults filled in). Problems are pushed onto ctx.errors in the
+// express-validator shape clients already handle: { type, msg, path, location, value }.
+export const validateValue = (rawSchema, value, ctx, path = '') => {
+  const schema = resolve(rawSchema, ctx.components || {});
+  if (!schema) return value;
+  const fail = (message, failedPath = path, failedValue = value) => {
+    ctx.errors.push({
+      type: 'field',
+      msg: message || schema['x-message'] || 'Invalid value',
+      path: failedPath,
+      location: ctx.location,
+      ...(failedValue !== undefined && { value: failedValue })
+    });
+    return value;
+  };
+
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    for (const option of options) {
+      const attempt = { ...ctx, errors: [] };
+      const result = validateValue(option, value, attempt, path);
+      if (attempt.errors.length === 0) return result;
+    }
+    return fail();
+  }
+
+  const types = typesOf(schema);
+  if (types.length > 0) {
+    value = coerce(types, value);
+    if (!types.some(type => matchesType(type, value))) return fail();
+  }
+  if (value === null) return value;
+
+  if (typeof value === 'string') {
+    if (schema['x-trim']) value = value.trim();
+    if (schema['x-lowercase']) value = value.toLowerCase();
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail();
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail();
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) return fail();
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail();
+  }
+
+  // Sanitizers map aliases onto canonical values, so the enum is checked afterwards
+  if (schema['x-sanitize']) value = schema['x-sanitize'](value);
+  if (schema.enum && !schema.enum.includes(value)) return fail();
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail();
+    if (schema.maximum !== undefined && value > schema.maximum) return fail();
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return fail();
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) return fail();
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail();
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail();
+    if (schema.items) value = value.map((item, i) => validateValue(schema.items, item, ctx, joinPath(path, i)));
+  }
+
+  if (isPlainObject(value) && (schema.properties || schema.additionalProperties || schema.required)) {
+    value = validateObject(schema, value, ctx, path);
+  }
+
+  if (schema['x-check'] && !schema['x-check'](value)) return fail();
+  return value;
+};
+
+const validateObject = (schema, object, ctx, path) => {
+  const result = { ...object };
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+  Object.entries(schema.dependentRequired || {}).forEach(([trigger, names]) => {
+    if (object[trigger] !== undefined) names.forEach(name => required.add(name));
+  });
+
+  Object.entries(properties).forEach(([key, propertySchema]) => {
+    const property = resolve(propertySchema, ctx.components || {});
+    if (result[key] === undefined) {
+      if (required.has(key)) {
+        ctx.errors.push({ type: 'field', msg: property?.['x-message'] || 'Invalid value', path: joinPath(path, key), location: ctx.location });
+      } else if (property?.default !== undefined && ctx.applyDefaults) {
+        result[key] = property.default;
+      }
+      return;
+    }
+    result[key] = validateValue(property, result[key], ctx, joinPath(path, key));
+  });
+
+  if (isPlainObject(schema.additionalProperties)) {
+    Object.keys(result).filter(key => !(key in properties)).forEach(key => {
+      result[key] = validateValue(schema.additionalProperties, result[key], ctx, joinPath(path, key));
+    });
+  }
+
+  (schema['x-checks'] || []).forEach(({ path: field, message, test }) => {
+    if (!test(result)) {
+      ctx.errors.push({ type: 'field', msg: message, path: joinPath(path, field), location: ctx.location, value: result[field] });
+    }
+  });
+
+  return result;
+};
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+// Validates req.params/query/body against the route's schemas and replaces
+// them with the cleaned-up values. Answers 400 with every problem found.
+export const createRequestValidator = (spec) => (req, res, next) => {
+  const errors = [];
+  REQUEST_PARTS.filter(part => spec[part]).forEach(part => {
+    const ctx = { errors, location: part, applyDefaults: true };
+    const input = isPlainObject(req[part]) ? req[part] : {};
+    const cleaned = validateValue(spec[part], input, ctx);
+    if (part === 'params') Object.assign(req.params, cleaned);
+    else req[part] = cleaned;
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+  next();
+};
+
+// ==================== ERROR ENVELOPE ====================
+//
+// Every error response is { error, code, details? }: `error` is a readable
+// (translated) message, `code` a stable identifier for clients to branch on.
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable'
+};
+
+export const errorCode = (status, payload = {}) => {
+  if (status === 400 && Array.isArray(payload.details)) return 'validation_failed';
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+};
+
+// ==================== ROUTER ====================
+
+// Wraps `app` so routes are declared together with their contract:
+//   api.post(path, { tags, summary, params, query, body, responses, errors }, ...handlers)
+// Requests are validated once the caller is authenticated. `auth` names the
+// authentication middlewares so the document can mark secured routes.
+export const createApiRouter = (app, { auth = {}, components = {}, checkResponses = false } = {}) => {
+  const routes = [];
+  const authentication = new Map([[auth.required, 'required'], [auth.optional, 'optional']].filter(([middleware]) => middleware));
+
+  const register = (method) => (path, spec, ...handlers) => {
+    const route = {
+      method,
+      path,
+      spec,
+      auth: handlers.map(handler => authentication.get(handler)).find(Boolean) || 'none',
+      permission: handlers.map(handler => handler.permission).find(Boolean) || null
+    };
+    routes.push(route);
+
+    // Validation goes after the leading authentication and permission checks,
+    // so callers learn they may not use a route before what's wrong with their input
+    const chain = [...handlers];
+    if (REQUEST_PARTS.some(part => spec[part])) {
+      const guards = chain.findIndex(handler => !authentication.has(handler) && !handler.permission);
+      chain.splice(guards === -1 ? chain.length : guards, 0, createRequestValidator(spec));
+    }
+    if (checkResponses) chain.unshift(createResponseChecker(route, components));
+
+    app[method](path, ...chain);
+  };
+
+  return {
+    routes,
+    ...Object.fromEntries(HTTP_METHODS.map(method => [method, register(method)]))
+  };
+};
+
+// ==================== RESPONSE CHECKS ====================
+
+const responseSchema = (route, status) => {
+  const documented = route.spec.responses?.[status];
+  if (documented) return documented.content ? null : documented;
+  return status >= 400 ? t.ref('Error') : null;
+};
+
+// Development aid: warns when a route answers with something its contract
+// doesn't describe. Each mismatch is reported once.
+const reported = new Set();
+
+const createResponseChecker = (route, components) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    const schema = responseSchema(route, res.statusCode);
+    if (schema) {
+      const ctx = { errors: [], location: 'response', components };
+      const body = JSON.parse(JSON.stringify(payload ?? null));
+      // The error code is added on the way out, after this check
+      if (res.statusCode >= 400 && isPlainObject(body) && !body.code) body.code = errorCode(res.statusCode, body);
+      validateValue(schema, body, ctx);
+      ctx.errors.forEach(error => {
+        const key = `${route.method} ${route.path} ${res.statusCode} ${error.path}`;
+        if (reported.has(key)) return;
+        reported.add(key);
+        console.warn(`⚠️  ${route.method.toUpperCase()} ${route.path} answered ${res.statusCode} outside its schema at "${error.path || '(root)'}"`);
+      });
+    }
+    return json(payload);
+  };
+  next();
+};
+
+// ==================== DOCUMENT ====================
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content',
+  400: 'Invalid request',
+  401: 'Missing or invalid access token',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  410: 'No longer available',
+  413: 'Payload too large',
+  429: 'Too many requests',
+  500: 'Server error',
+  502: 'Upstream provider failed',
+  503: 'Temporarily unavailable'
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const describeResponse = (status, entry) => {
+  if (entry.content) return { description: entry.description || STATUS_TEXT[status] || 'Response', content: entry.content };
+  return {
+    description: entry.description || STATUS_TEXT[status] || 'Response',
+    content: { 'application/json': { schema: entry } }
+  };
+};
+
+const buildOperation = (route) => {
+  const { spec } = route;
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: spec.params?.properties?.[name] || { type: 'string' }
+  }));
+  const queryParams = Object.entries(spec.query?.properties || {}).map(([name, schema]) => dropUndefined({
+    name,
+    in: 'query',
+    required: spec.query.required?.includes(name) || undefined,
+    description: schema.description,
+    schema
+  }));
+
+  const responses = {};
+  Object.entries(spec.responses || { 200: t.object() }).forEach(([status, entry]) => {
+    responses[status] = describeResponse(status, entry);
+  });
+  if (REQUEST_PARTS.some(part => spec[part]) && !responses[400]) {
+    responses[400] = describeResponse(400, t.ref('ValidationError'));
+  }
+  if (route.auth === 'required' && !responses[401]) {
+    responses[401] = describeResponse(401, t.ref('Error'));
+  }
+  (spec.errors || []).filter(status => !responses[status]).forEach(status => {
+    responses[status] = describeResponse(status, t.ref('Error'));
+  });
+
+  let requestBody;
+  if (spec.body) {
+    requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+  } else if (spec.upload) {
+    requestBody = { required: true, content: { 'multipart/form-data': { schema: spec.upload } } };
+  }
+
+  return dropUndefined({
+    tags: spec.tags,
+    summary: spec.summary,
+    description: spec.description,
+    security: route.auth === 'required' ? [{ bearerAuth: [] }] : route.auth === 'optional' ? [{}, { bearerAuth: [] }] : undefined,
+    'x-permission': route.permission || undefined,
+    parameters: pathParams.length + queryParams.length > 0 ? [...pathParams, ...queryParams] : undefined,
+    requestBody,
+    responses
+  });
+};
+
+// Functions (sanitizers, checks) are dropped by JSON.stringify, so the
+// document only carries what clients can use
+export const buildOpenApiDocument = ({ info, servers, routes, components }) => {
+  const paths = {};
+  routes.filter(route => !route.spec.hidden).forEach(route => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...(paths[path] || {}), [route.method]: buildOperation(route) };
+  });
+
+  const tags = [...new Set(routes.flatMap(route => route.spec.tags || []))].map(name => ({ name }));
+
+  return JSON.parse(JSON.stringify({
+    openapi: '3.1.0',
+    info,
+    servers,
+    tags,
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  }));
+};
+
+// "GET /api/products" for every documented route, grouped by first tag
+export const listEndpoints = (routes) => {
+  const groups = {};
+  routes.filter(route => !route.spec.hidden).forEach(route => {
+    const group = route.spec.tags?.[0] || 'Other';
+    (groups[group] = groups[group] || []).push(`${route.method.toUpperCase()} ${route.path}`);
+  });
+  return groups;
+};
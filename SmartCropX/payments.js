@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+
+// Payment providers share one interface:
+//   createIntent({ payment, description, webhookUrl }) -> { status, providerReference, checkoutUrl }
+//   cancel({ payment })                                -> { status }, voids an intent nobody paid yet
+//   refund({ payment, amount, reason })                -> { status, providerReference }
+//   verifyWebhook(rawBody, headers)                    -> event, throws when the signature is bad
+// Amounts are in pesos here; gateways get centavos.
+
+export const PAYMENT_STATUSES = ['pending', 'requires_action', 'succeeded', 'failed', 'cancelled', 'refunded', 'partially_refunded'];
+
+// ==================== WEBHOOK SIGNATURES ====================
+//
+// Header format: `t=<unix seconds>,v1=<hex hmac-sha256 of "<t>.<raw body>">`
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+export const signWebhook = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+export const verifyWebhookSignature = (secret, rawBody, header) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) throw new Error('Missing webhook signature');
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook signature expired');
+  }
+
+  const expected = Buffer.from(signWebhook(secret, rawBody, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+};
+
+// ==================== PROVIDERS ====================
+
+// Cash on delivery: nothing to call. The payment succeeds when the order is delivered.
+const createCashOnDeliveryProvider = () => ({
+  name: 'cod',
+  label: 'Cash on Delivery',
+  kind: 'offline',
+  async createIntent({ payment }) {
+    return { status: 'pending', providerReference: `COD-${payment.id}`, checkoutUrl: null };
+  },
+  async cancel() {
+    return { status: 'cancelled' };
+  },
+  // The seller hands the cash back; we only record it
+  async refund({ payment }) {
+    return { status: 'succeeded', providerReference: `COD-REFUND-${payment.id}-${Date.now()}` };
+  },
+  verifyWebhook() {
+    throw new Error('Cash on delivery has no webhooks');
+  }
+});
+
+// GCash/Maya-style hosted checkout: create an intent, send the buyer to its
+// checkout URL, learn the outcome from a signed webhook
+const createEwalletProvider = ({ name, label, channel, baseUrl, secretKey, webhookSecret }) => {
+  const call = async (endpoint, body, idempotencyKey) => {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${secretKey}`,
+        'Idempotency-Key': idempotencyKey
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(10000)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${label} gateway error ${response.status}: ${data.error || 'unknown error'}`);
+    }
+    return data;
+  };
+
+  return {
+    name,
+    label,
+    kind: 'redirect',
+    async createIntent({ payment, description, webhookUrl }) {
+      const intent = await call('/v1/payment-intents', {
+        amount: Math.round(payment.amount * 100),
+        currency: payment.currency,
+        channel,
+        reference: payment.id,
+        description,
+        webhook_url: webhookUrl
+      }, payment.id);
+      return { status: 'requires_action', providerReference: intent.id, checkoutUrl: intent.checkout_url };
+    },
+    // Fails when the buyer already paid; that webhook then settles it
+    async cancel({ payment }) {
+      const intent = await call(`/v1/payment-intents/${payment.providerReference}/cancel`, {}, `${payment.id}-cancel`);
+      return { status: intent.status };
+    },
+    async refund({ payment, amount, reason }) {
+      const refund = await call('/v1/refunds', {
+        payment_intent: payment.providerReference,
+        amount: Math.round(amount * 100),
+        reason
+      }, `${payment.id}-refund-${payment.refunds.length + 1}`);
+      return { status: refund.status === 'succeeded' ? 'succeeded' : 'pending', providerReference: refund.id };
+    },
+    verifyWebhook(rawBody, headers) {
+      verifyWebhookSignature(webhookSecret, rawBody, headers['x-gateway-signature']);
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.type,
+        providerReference: event.data?.payment_intent,
+        reference: event.data?.reference,
+        amount: event.data?.amount !== undefined ? event.data.amount / 100 : null
+      };
+    }
+  };
+};
+
+// Shared by the e-wallet adapter and the mock gateway so both sides agree in development
+export const getGatewayCredentials = () => ({
+  secretKey: process.env.EWALLET_SECRET_KEY || 'mock-secret-key',
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret'
+});
+
+// Builds the enabled providers. E-wallets need a gateway URL; outside
+// production they fall back to the local mock gateway (see mockGateway.js).
+export const createPaymentProviders = ({ mockGatewayUrl } = {}) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const names = (process.env.PAYMENT_PROVIDERS || 'cod,gcash,maya').split(',').map(name => name.trim()).filter(Boolean);
+  const gatewayUrl = process.env.EWALLET_GATEWAY_URL || (isProduction ? null : mockGatewayUrl);
+
+  const ewallet = (name, label) => {
+    if (!gatewayUrl) {
+      console.warn(`⚠️  ${label} disabled: EWALLET_GATEWAY_URL is not set`);
+      return null;
+    }
+    return createEwalletProvider({
+      name,
+      label,
+      channel: name,
+      baseUrl: gatewayUrl,
+      ...getGatewayCredentials()
+    });
+  };
+
+  const factories = {
+    cod: () => createCashOnDeliveryProvider(),
+    gcash: () => ewallet('gcash', 'GCash'),
+    maya: () => ewallet('maya', 'Maya')
+  };
+
+  const providers = new Map();
+  names.forEach(name => {
+    if (!factories[name]) throw new Error(`Unknown payment provider: ${name}`);
+    const provider = factories[name]();
+    if (provider) providers.set(name, provider);
+  });
+
+  return {
+    providers,
+    usesMockGateway: !process.env.EWALLET_GATEWAY_URL && !isProduction,
+    get: (name) => providers.get(name) || null
+  };
+};
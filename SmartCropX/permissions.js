@@ -0,0 +1,34 @@
+// Role-based access control. A user's `role` is independent of `userType`
+// (buyer/seller/both): any account can also be a moderator or admin.
+
+export const ROLES = ['user', 'moderator', 'admin'];
+
+const MODERATOR_PERMISSIONS = [
+  'users:read',
+  'users:suspend',
+  'products:moderate',
+  'reviews:moderate',
+  'reports:review',
+  'audit:read',
+  'stats:read'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: [
+    ...MODERATOR_PERMISSIONS,
+    'users:ban',
+    'users:manage-roles',
+    'knowledge:manage',
+    'payments:refund',
+    'payouts:manage'
+  ]
+};
+
+// Accounts created before roles existed have no `role` field
+export const getRole = (userData) => (ROLES.includes(userData?.role) ? userData.role : 'user');
+
+export const getPermissions = (userData) => ROLE_PERMISSIONS[getRole(userData)];
+
+export const hasPermission = (userData, permission) => getPermissions(userData).includes(permission);
@@ -0,0 +1,110 @@
+import { isFuzzyMatch, tokenize } from './knowledgeBase.js';
+import { getCommodity, normalizeCommodity } from './market.js';
+
+// ==================== RELEVANCE ====================
+
+// Where a query word can match and how much each field counts
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  commodity: 2,
+  description: 1
+};
+
+const productFields = (product) => ({
+  title: tokenize(product.title),
+  tags: tokenize((product.tags || []).join(' ')),
+  commodity: tokenize(getCommodity(product) || ''),
+  description: tokenize(product.description)
+});
+
+// Exact word > prefix ("carr" -> "carrots") > typo
+const wordScore = (words, term) => {
+  if (words.includes(term)) return 1;
+  if (term.length >= 3 && words.some(word => word.startsWith(term))) return 0.7;
+  if (words.some(word => isFuzzyMatch(word, term))) return 0.4;
+  return 0;
+};
+
+// Every query word has to match somewhere; 0 means "not a result".
+// Filipino commodity names ("kamatis") also match the canonical commodity.
+export const scoreProduct = (product, terms) => {
+  const fields = productFields(product);
+  let total = 0;
+
+  for (const term of terms) {
+    const aliases = [...new Set([term, normalizeCommodity(term)])];
+    const best = Math.max(...Object.entries(FIELD_WEIGHTS).flatMap(([field, weight]) =>
+      aliases.map(alias => wordScore(fields[field], alias) * weight)
+    ));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+};
+
+export const parseSearchTerms = (query) => [...new Set(tokenize(query))];
+
+// ==================== FACETS ====================
+
+// Counts per value, most common first. `valuesOf` may return several values.
+// For values normalized before counting, `labelOf(item)` gives the text to
+// show; the first item seen for a value names it.
+export const countFacet = (items, valuesOf, { labelOf = null, max = 20 } = {}) => {
+  const counts = new Map();
+  const labels = new Map();
+  items.forEach(item => {
+    new Set(valuesOf(item).filter(Boolean)).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+      if (labelOf && !labels.has(value)) labels.set(value, labelOf(item));
+    });
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => (labelOf ? { value, label: labels.get(value), count } : { value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    .slice(0, max);
+};
+
+// ==================== SORTING & CURSORS ====================
+
+// Each sort orders by one key, then by id so the order is total and a
+// cursor can point between two items
+export const SORTS = {
+  relevance: { key: (item) => item.score, direction: -1 },
+  newest: { key: (item) => new Date(item.product.createdAt).getTime(), direction: -1 },
+  price_asc: { key: (item) => item.product.pricePerKg, direction: 1 },
+  price_desc: { key: (item) => item.product.pricePerKg, direction: -1 },
+  rating: { key: (item) => item.product.rating || 0, direction: -1 },
+  distance: { key: (item) => item.product.distanceKm, direction: 1 }
+};
+
+const compareKeys = (sort, [keyA, idA], [keyB, idB]) => {
+  if (keyA !== keyB) return (keyA < keyB ? -1 : 1) * sort.direction;
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+};
+
+const keyOf = (sort, item) => [sort.key(item), item.product.id];
+
+export const sortResults = (items, sortName) => {
+  const sort = SORTS[sortName];
+  return [...items].sort((a, b) => compareKeys(sort, keyOf(sort, a), keyOf(sort, b)));
+};
+
+// Cursors are opaque to clients: the sort they belong to plus the last item's key
+export const encodeCursor = (sortName, item) =>
+  Buffer.from(JSON.stringify({ s: sortName, k: keyOf(SORTS[sortName], item) })).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return SORTS[s] && Array.isArray(k) && k.length === 2 ? { sortName: s, key: k } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Items that come after the cursor in an already sorted list
+export const itemsAfterCursor = (sortedItems, sortName, cursorKey) => {
+  const sort = SORTS[sortName];
+  return sortedItems.filter(item => compareKeys(sort, keyOf(sort, item), cursorKey) > 0);
+};
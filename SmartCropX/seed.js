@@ -0,0 +1,162 @@
+import bcrypt from 'bcryptjs';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createBatch } from './inventory.js';
+import { openStore } from './storage.js';
+
+// Demo accounts: demo/demo123, farmer/farm123, buyer/buy123
+const demoUsers = [
+  {
+    username: 'demo',
+    password: 'demo123',
+    userData: {
+      id: '1',
+      fullName: 'Demo User',
+      userType: 'both',
+      age: 30,
+      region: 'Metro Manila',
+      avatar: '👨‍💼'
+    }
+  },
+  {
+    username: 'farmer',
+    password: 'farm123',
+    userData: {
+      id: '2',
+      fullName: 'Juan Dela Cruz',
+      userType: 'seller',
+      age: 45,
+      region: 'Benguet',
+      avatar: '👨‍🌾'
+    }
+  },
+  {
+    username: 'buyer',
+    password: 'buy123',
+    userData: {
+      id: '3',
+      fullName: 'Maria Santos',
+      userType: 'buyer',
+      age: 28,
+      region: 'Quezon City',
+      avatar: '👩‍💼'
+    }
+  }
+];
+
+const sampleProducts = [
+  {
+    id: '1',
+    sellerId: '2',
+    title: 'Fresh Organic Carrots',
+    description: 'Freshly harvested organic carrots from Benguet highlands',
+    pricePerKg: 85.50,
+    category: 'vegetables',
+    stock: 50,
+    // Days since harvest and days it keeps; becomes the listing's first batch
+    harvest: { daysAgo: 2, shelfLifeDays: 21 },
+    status: 'active',
+    location: { lat: 16.4023, lng: 120.5960 },
+    deliveryOptions: [
+      { method: 'pickup' },
+      { method: 'seller_delivery', maxDistanceKm: 30, baseFee: 60, feePerKm: 4, feePerKg: 0, freeOverAmount: 2000 },
+      { method: 'courier', maxDistanceKm: null, maxWeightKg: 50, baseFee: 100, feePerKm: 1, feePerKg: 10, freeOverAmount: null }
+    ],
+    images: [],
+    tags: ['organic', 'fresh', 'vegetables'],
+    rating: 0,
+    reviewCount: 0
+  },
+  {
+    id: '2',
+    sellerId: '2',
+    title: 'Sweet Guimaras Mangoes',
+    description: 'Premium sweet mangoes from Guimaras Island',
+    pricePerKg: 180.75,
+    category: 'fruits',
+    stock: 30,
+    harvest: { daysAgo: 1, shelfLifeDays: 7 },
+    status: 'active',
+    location: { lat: 10.5921, lng: 122.6321 },
+    deliveryOptions: [
+      { method: 'pickup' },
+      { method: 'courier', maxDistanceKm: null, maxWeightKg: 30, baseFee: 120, feePerKm: 1, feePerKg: 12, freeOverAmount: null }
+    ],
+    images: [],
+    tags: ['premium', 'sweet', 'fruits'],
+    rating: 0,
+    reviewCount: 0
+  }
+];
+
+// Inserts the demo accounts and listings into an empty store.
+// Returns false and leaves existing data alone otherwise.
+export const seedDemoData = async (store) => {
+  const users = store.collection('users');
+  const products = store.collection('products');
+  const priceHistory = store.collection('priceHistory');
+
+  if (users.count() > 0) return false;
+
+  for (const demoUser of demoUsers) {
+    users.insert({
+      username: demoUser.username,
+      password: await bcrypt.hash(demoUser.password, 12),
+      userData: {
+        ...demoUser.userData,
+        username: demoUser.username,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    });
+  }
+
+  const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  sampleProducts.forEach(({ harvest, ...sample }) => {
+    const { userData } = users.findById(sample.sellerId);
+    products.insert({
+      ...sample,
+      batches: [createBatch(`seed-${sample.id}`, {
+        quantityKg: sample.stock,
+        harvestedAt: daysFromNow(-harvest.daysAgo),
+        bestBefore: daysFromNow(harvest.shelfLifeDays - harvest.daysAgo)
+      })],
+      autoDiscount: null,
+      discount: null,
+      seller: {
+        fullName: userData.fullName,
+        username: userData.username,
+        region: userData.region,
+        avatar: userData.avatar,
+        rating: 0,
+        reviewCount: 0
+      },
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+    priceHistory.insert({
+      id: `seed-${sample.id}`,
+      productId: sample.id,
+      pricePerKg: sample.pricePerKg,
+      previousPrice: null,
+      changedBy: sample.sellerId,
+      changedAt: new Date()
+    });
+  });
+
+  await store.flush();
+  return true;
+};
+
+// `npm run seed`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+
+  const store = await openStore();
+  const seeded = await seedDemoData(store);
+  console.log(seeded
+    ? `🌱 Demo data seeded (${store.driver} storage)`
+    : `ℹ️  Store already has users, skipping seed (${store.driver} storage)`);
+  await store.close();
+}
@@ -2,15 +2,37 @@ import express from 'express';
 import http from 'http';
 import cors from 'cors';
 import path from 'path';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import compression from 'compression';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import fetch from 'node-fetch';
+import { WebSocketServer } from 'ws';
+import multer from 'multer';
+import { openStore } from './storage.js';
+import { buildOpenApiDocument, createApiRouter, errorCode, listEndpoints, t } from './openapi.js';
+import { API_SCHEMAS } from './apiSchemas.js';
+import { seedDemoData } from './seed.js';
+import { createDiagnosisPipeline } from './diagnosis.js';
+import { createChannelNotifiers, createNotifier, DELIVERY_CHANNELS } from './notifier.js';
+import { buildSchedule, CROP_CALENDAR, findCrop, getCalendar, getZone, isPlantingMonth, monthsUntilPlanting, regionalFieldTasks } from './cropCalendar.js';
+import { analyzeBuyers, analyzeListings, ANALYTICS_INTERVALS, buildSalesSeries, isSale, listBuckets, MAX_BUCKETS, percent, summarizeSales } from './analytics.js';
+import { ACTIVITY_TYPES, CYCLE_STATUSES, getUnsoldKg, INPUT_CATEGORIES, RECORD_TYPES, summarizeCycle } from './farmRecords.js';
+import { getNotificationPreferences, mergeNotificationPreferences, NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } from './notifications.js';
+import { getPermissions, getRole, hasPermission, ROLES } from './permissions.js';
+import { createPaymentProviders, getGatewayCredentials } from './payments.js';
+import { advisoriesForQuestion, buildAdvisories, createWeatherService } from './weather.js';
+import { createMockGateway } from './mockGateway.js';
+import { buildDailySeries, getCommodity, normalizeCommodity, normalizeRegion, summarizePrices } from './market.js';
+import { DEFAULT_DELIVERY_OPTIONS, DELIVERY_METHODS, normalizeDeliveryOptions, quoteShipment } from './shipping.js';
+import { countFacet, decodeCursor, encodeCursor, itemsAfterCursor, parseSearchTerms, scoreProduct, SORTS, sortResults } from './search.js';
+import { answerFromKnowledge, rankKnowledgeEntries } from './knowledgeBase.js';
+import { DEFAULT_LOCALE, getContent, normalizeLocale, parseAcceptLanguage, SUPPORTED_LOCALES, translate } from './i18n.js';
+import { ALLOWED_IMAGE_TYPES, createImageStorage, processProductImage, removeProductImage, saveScanThumbnail } from './images.js';
+import { allocate, countStock, createBatch, describeFreshness, discountedBatch, expireBatches, expiringBatches, isExpired, priceAllocations, returnToBatches, takeFromBatches } from './inventory.js';
 
 // Load environment variables
 dotenv.config();
@@ -58,14 +80,72 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Localization: ?lang= beats the signed-in user's saved preference, which
+// beats Accept-Language. Registered before anything that can respond.
+const resolveLocale = (req) => {
+  const fromQuery = normalizeLocale(req.query.lang);
+  if (fromQuery) return fromQuery;
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (token) {
+    try {
+      const user = findUserById(verifyAccessToken(token).userId);
+      const preferred = normalizeLocale(user?.userData.locale);
+      if (preferred) return preferred;
+    } catch (error) {
+      // Invalid tokens are rejected later by authenticateToken
+    }
+  }
+
+  return parseAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE;
+};
+
+app.use((req, res, next) => {
+  req.locale = resolveLocale(req);
+  req.t = (text, params) => translate(req.locale, text, params);
+
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+
+  // Every route answers with { error } / { message } in English; translate
+  // those (and validation details) on the way out. Errors also get their
+  // machine-readable code (see openapi.js).
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+      payload = { ...payload };
+      if (res.statusCode >= 400 && typeof payload.error === 'string' && !payload.code) {
+        payload.code = errorCode(res.statusCode, payload);
+      }
+      if (typeof payload.error === 'string') payload.error = req.t(payload.error);
+      if (typeof payload.message === 'string') payload.message = req.t(payload.message);
+      if (Array.isArray(payload.details)) {
+        payload.details = payload.details.map(detail => ({ ...detail, msg: req.t(detail.msg) }));
+      }
+    }
+    return json(payload);
+  };
+
+  next();
+});
+
 // Rate limiting
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 10,
   message: { error: 'Too many authentication attempts' },
+  // Clients refresh every few minutes; only credential checks are limited
+  skip: (req) => req.path === '/refresh' || req.path === '/logout',
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -73,7 +153,9 @@ const authLimiter = rateLimit({
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
-  message: { error: 'Too many requests' }
+  message: { error: 'Too many requests' },
+  // Gateways retry webhooks and must never be throttled
+  skip: (req) => req.path.startsWith('/payments/webhooks/')
 });
 
 app.use('/api/auth/', authLimiter);
@@ -82,120 +164,131 @@ app.use('/api/', apiLimiter);
 // Serve static files
 app.use(express.static(path.join(__dirname, '../frontend')));
 
-// In-memory storage
-let users = [];
-let products = [];
-let orders = [];
-let messages = [];
-
-// Enhanced demo users with hashed passwords
-const createDemoUsers = async () => {
-  const demoUsers = [
-    { 
-      username: 'demo', 
-      password: await bcrypt.hash('demo123', 12),
-      userData: { 
-        id: '1', 
-        fullName: 'Demo User', 
-        userType: 'both', 
-        age: 30, 
-        region: 'Metro Manila',
-        avatar: '👨‍💼',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }
-    },
-    { 
-      username: 'farmer', 
-      password: await bcrypt.hash('farm123', 12),
-      userData: { 
-        id: '2', 
-        fullName: 'Juan Dela Cruz', 
-        userType: 'seller', 
-        age: 45, 
-        region: 'Benguet',
-        avatar: '👨‍🌾',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }
-    },
-    { 
-      username: 'buyer', 
-      password: await bcrypt.hash('buy123', 12),
-      userData: { 
-        id: '3', 
-        fullName: 'Maria Santos', 
-        userType: 'buyer', 
-        age: 28, 
-        region: 'Quezon City',
-        avatar: '👩‍💼',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }
-    }
-  ];
-  
-  users = [...demoUsers];
-};
-
-// Initialize demo data
-createDemoUsers();
-
-// Sample products
-products = [
-  {
-    id: '1',
-    sellerId: '2',
-    title: 'Fresh Organic Carrots',
-    description: 'Freshly harvested organic carrots from Benguet highlands',
-    pricePerKg: 85.50,
-    category: 'vegetables',
-    stock: 50,
-    location: { lat: 16.4023, lng: 120.5960 },
-    seller: { 
-      fullName: 'Juan Dela Cruz', 
-      username: 'farmer', 
-      region: 'Benguet',
-      avatar: '👨‍🌾'
-    },
-    images: [],
-    tags: ['organic', 'fresh', 'vegetables'],
-    rating: 4.5,
-    reviewCount: 24,
-    createdAt: new Date(),
-    updatedAt: new Date()
-  },
-  {
-    id: '2',
-    sellerId: '2', 
-    title: 'Sweet Guimaras Mangoes',
-    description: 'Premium sweet mangoes from Guimaras Island',
-    pricePerKg: 180.75,
-    category: 'fruits',
-    stock: 30,
-    location: { lat: 10.5921, lng: 122.6321 },
-    seller: { 
-      fullName: 'Juan Dela Cruz', 
-      username: 'farmer', 
-      region: 'Benguet',
-      avatar: '👨‍🌾'
-    },
-    images: [],
-    tags: ['premium', 'sweet', 'fruits'],
-    rating: 4.8,
-    reviewCount: 36,
-    createdAt: new Date(),
-    updatedAt: new Date()
-  }
-];
+// Listing photos (local disk by default - see images.js)
+const imageStorage = createImageStorage();
+if (imageStorage.directory) {
+  app.use(imageStorage.publicPath, express.static(imageStorage.directory, { maxAge: '7d' }));
+}
+
+// Persistent storage (memory, JSON files or MongoDB - see storage.js)
+const store = await openStore();
+
+if (process.env.SEED_DEMO_DATA !== 'false' && await seedDemoData(store)) {
+  console.log('🌱 Seeded demo users and sample products');
+}
+
+const users = store.collection('users');
+const products = store.collection('products');
+const orders = store.collection('orders');
+const conversations = store.collection('conversations');
+const messages = store.collection('messages');
+const reviews = store.collection('reviews');
+const scans = store.collection('scans');
+const plants = store.collection('plants');
+const knowledge = store.collection('knowledge');
+const sessions = store.collection('sessions');
+const passwordResets = store.collection('passwordResets');
+const reports = store.collection('reports');
+const auditLog = store.collection('auditLog');
+const priceHistory = store.collection('priceHistory');
+const priceAlerts = store.collection('priceAlerts');
+const carts = store.collection('carts');
+const shippingQuotes = store.collection('shippingQuotes');
+const payments = store.collection('payments');
+const paymentEvents = store.collection('paymentEvents');
+const ledger = store.collection('ledger');
+const notifications = store.collection('notifications');
+const outbreaks = store.collection('outbreaks');
+const plantings = store.collection('plantings');
+const farms = store.collection('farms');
+const cropCycles = store.collection('cropCycles');
+const listingViews = store.collection('listingViews');
+
+// Password reset codes and other account messages (console stub or webhook - see notifier.js)
+const notifier = createNotifier();
+// E-mail and SMS copies of notifications
+const channelNotifiers = createChannelNotifiers();
 
 // Utility functions
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Access tokens are short-lived JWTs tied to a session, so revoking the
+// session (logout, password change) invalidates them immediately
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+// Suspensions lapse on their own once `suspendedUntil` passes; bans do not
+const isAccountBlocked = (userData) => {
+  if (userData.status === 'banned') return true;
+  return userData.status === 'suspended' && (!userData.suspendedUntil || userData.suspendedUntil > new Date());
+};
+
+// Throws when the token is malformed, expired or its session was revoked
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  const session = payload.sid && sessions.findById(payload.sid);
+  if (!session || session.revokedAt || session.userId !== payload.userId) {
+    throw new Error('Session revoked');
+  }
+  return payload;
+};
+
+// Refresh tokens are `<sessionId>.<secret>`; only a hash of the secret is stored
+const issueTokens = (userId, req, session = null) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  if (!session) {
+    session = {
+      id: crypto.randomUUID(),
+      userId,
+      userAgent: req.headers['user-agent'] || null,
+      createdAt: now,
+      revokedAt: null
+    };
+    sessions.insert(session);
+  }
+  session.refreshTokenHash = hashToken(secret);
+  session.lastUsedAt = now;
+  session.expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  sessions.save(session);
+
+  return {
+    token: generateToken(userId, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+const revokeSessions = (userId, exceptSessionId = null) => {
+  const now = new Date();
+  sessions.filter(session => session.userId === userId && !session.revokedAt && session.id !== exceptSessionId)
+    .forEach(session => {
+      session.revokedAt = now;
+      sessions.save(session);
+    });
+};
+
+// Expired sessions are useless; drop them whenever the user signs in
+const pruneSessions = (userId) => {
+  const now = new Date();
+  sessions.filter(session => session.userId === userId && session.expiresAt < now)
+    .forEach(session => sessions.remove(session.id));
+};
+
+// Random, so two records made in the same millisecond can't share an id
+const generateId = () => crypto.randomUUID();
+
+const findUserById = (userId) => users.findById(userId);
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -204,145 +297,90 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  try {
+    req.user = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  const user = findUserById(req.user.userId);
+  if (user && isAccountBlocked(user.userData)) {
+    return res.status(403).json({ error: 'Your account has been suspended' });
+  }
+  next();
 };
 
-// Validation middleware
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ 
-      error: 'Validation failed', 
-      details: errors.array() 
-    });
+// Accounts named here are promoted to admin at startup, so a fresh
+// deployment always has someone who can hand out roles
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+
+users.filter(user => ADMIN_USERNAMES.includes(user.username) && getRole(user.userData) !== 'admin')
+  .forEach(user => {
+    user.userData.role = 'admin';
+    users.save(user);
+    console.log(`🛡️  Promoted ${user.username} to admin`);
+  });
+
+// Use after authenticateToken. Leaves the caller's account in req.currentUser.
+// The permission is kept on the middleware so the API document can list it.
+const requirePermission = (permission) => Object.assign((req, res, next) => {
+  const user = findUserById(req.user.userId);
+  if (!user || !hasPermission(user.userData, permission)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
   }
+  req.currentUser = user;
   next();
+}, { permission });
+
+// Like authenticateToken, but lets anonymous requests through without req.user
+const optionalAuthentication = (req, res, next) => {
+  if (!req.headers['authorization']) return next();
+  authenticateToken(req, res, next);
+};
+
+// Routes are declared with their request/response contract (see openapi.js):
+// it validates requests and generates /api/openapi.json. Outside production
+// responses are checked against it too.
+const api = createApiRouter(app, {
+  auth: { required: authenticateToken, optional: optionalAuthentication },
+  components: API_SCHEMAS,
+  checkResponses: NODE_ENV !== 'production' && process.env.OPENAPI_CHECK_RESPONSES !== 'false'
+});
+
+const paginationQuery = {
+  page: t.integer({ min: 1 }),
+  limit: t.integer({ min: 1, max: 100 })
+};
+
+const paginate = (items, req) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    total: items.length,
+    page,
+    totalPages: Math.ceil(items.length / limit)
+  };
 };
 
 // ==================== AI SERVICES ====================
 
-// Plant.id API Integration
-async function identifyWithPlantID(imageBase64) {
-  try {
-    const response = await fetch('https://api.plant.id/v2/identify', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        api_key: process.env.PLANT_ID_API_KEY,
-        images: [imageBase64],
-        modifiers: ["crops_fast"],
-        plant_details: ["common_names", "url", "description", "treatment"],
-        disease_details: ["common_names", "url", "description", "treatment"]
-      })
-    });
-    
-    const data = await response.json();
-    
-    if (data.suggestions && data.suggestions.length > 0) {
-      const plant = data.suggestions[0];
-      return {
-        success: true,
-        api: 'plant.id',
-        plantName: plant.plant_name,
-        confidence: (plant.probability * 100).toFixed(1) + '%',
-        commonNames: plant.plant_details?.common_names || [],
-        scientificName: plant.plant_details?.scientific_name,
-        description: plant.plant_details?.description || '',
-        diseases: plant.diseases || [],
-        treatment: generateTreatmentAdvice(plant.diseases, plant.plant_details?.treatment),
-        healthAssessment: assessPlantHealth(plant.diseases),
-        similarImages: plant.similar_images || []
-      };
-    }
-    
-    return {
-      success: false,
-      message: 'Plant not recognized by Plant.id'
-    };
-    
-  } catch (error) {
-    console.error('Plant.id API Error:', error);
-    throw error;
-  }
-}
+// Plant diagnosis providers (Plant.id, Crop.health, offline stub - see diagnosis.js)
+const diagnosisPipeline = createDiagnosisPipeline();
 
-// Crop.health API Integration
-async function analyzeWithCropHealth(imageBase64) {
-  try {
-    // Note: Crop.health endpoint might be different - adjust based on their documentation
-    const response = await fetch('https://api.crop.health/v1/analyze', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.CROP_HEALTH_API_KEY}`
-      },
-      body: JSON.stringify({
-        image: imageBase64,
-        features: ['disease', 'pest', 'deficiency']
-      })
-    });
-    
-    // If endpoint doesn't work, return mock data for now
-    if (!response.ok) {
-      return {
-        success: true,
-        api: 'crop.health',
-        diseases: [],
-        pests: [],
-        deficiencies: [],
-        healthScore: 85,
-        recommendations: ['Maintain current care practices']
-      };
-    }
-    
-    const data = await response.json();
-    
-    if (data.analysis) {
-      return {
-        success: true,
-        api: 'crop.health',
-        diseases: data.analysis.diseases || [],
-        pests: data.analysis.pests || [],
-        deficiencies: data.analysis.nutrient_deficiencies || [],
-        healthScore: data.analysis.health_score,
-        recommendations: data.analysis.recommendations || []
-      };
-    }
-    
-    return { success: false };
-    
-  } catch (error) {
-    console.error('Crop.health API Error:', error);
-    return { 
-      success: true, // Still return success with basic data
-      api: 'crop.health',
-      diseases: [],
-      pests: [],
-      deficiencies: [],
-      healthScore: 80,
-      recommendations: ['Image processed successfully']
-    };
-  }
-}
+// Forecasts for weather-aware advice (fixture or Open-Meteo - see weather.js)
+const weatherService = createWeatherService();
 
 // Enhanced treatment advice
-function generateTreatmentAdvice(diseases, plantTreatment) {
+function generateTreatmentAdvice(diseases, plantTreatment, locale = DEFAULT_LOCALE) {
   if (!diseases || diseases.length === 0) {
-    return "No diseases detected. Your plant appears healthy! 🌱";
+    return getContent(locale, 'treatmentAdvice.healthy');
   }
   
-  let advice = ["**🦠 Detected Issues & Solutions:**"];
+  let advice = [getContent(locale, 'treatmentAdvice.heading')];
   
   diseases.forEach(disease => {
-    const treatment = getDiseaseTreatment(disease.name);
+    const treatment = getDiseaseTreatment(disease.name, locale);
     advice.push(`• **${disease.name}**: ${treatment}`);
     
     if (disease.disease_details && disease.disease_details.treatment) {
@@ -351,41 +389,34 @@ function generateTreatmentAdvice(diseases, plantTreatment) {
   });
   
   if (plantTreatment && plantTreatment.description) {
-    advice.push("", "**🌱 General Plant Care:**", plantTreatment.description);
+    advice.push("", getContent(locale, 'treatmentAdvice.generalCare'), plantTreatment.description);
   }
   
   return advice.join('\n');
 }
 
-// Disease treatment database
-function getDiseaseTreatment(diseaseName) {
-  if (!diseaseName) return 'Monitor plant health and maintain good practices.';
+// Disease treatment database (texts live in the locale catalogs)
+function getDiseaseTreatment(diseaseName, locale = DEFAULT_LOCALE) {
+  if (!diseaseName) return getContent(locale, 'treatments.unknown');
   
-  const treatments = {
-    'powdery mildew': 'Apply neem oil or sulfur-based fungicide. Improve air circulation.',
-    'leaf spot': 'Remove affected leaves. Use copper-based fungicide.',
-    'blight': 'Apply appropriate fungicide. Avoid overhead watering.',
-    'rust': 'Use fungicide and remove infected plant parts.',
-    'mosaic': 'Remove infected plants. Control insect vectors.',
-    'rot': 'Improve drainage. Reduce watering. Apply fungicide.',
-    'wilt': 'Check soil moisture. Improve drainage.',
-    'spot': 'Remove affected leaves. Apply fungicide.',
-    'mildew': 'Improve air circulation. Apply fungicide.',
-    'default': 'Consult local agricultural expert for specific treatment.'
-  };
+  // Keys are English disease-name fragments, most specific first
+  const keys = Object.keys(getContent(DEFAULT_LOCALE, 'treatments'))
+    .filter(key => key !== 'default' && key !== 'unknown');
   
   const lowerDisease = diseaseName.toLowerCase();
-  for (const [key, treatment] of Object.entries(treatments)) {
+  for (const key of keys) {
     if (lowerDisease.includes(key)) {
-      return treatment;
+      return getContent(locale, `treatments.${key}`);
     }
   }
-  return treatments.default;
+  return getContent(locale, 'treatments.default');
 }
 
-function assessPlantHealth(diseases) {
+function assessPlantHealth(diseases, locale = DEFAULT_LOCALE) {
+  const health = (level, key, emoji) => ({ level, ...getContent(locale, `health.${key}`), emoji });
+
   if (!diseases || diseases.length === 0) {
-    return { status: "Healthy", emoji: "✅", description: "No diseases detected" };
+    return health(0, 'healthy', "✅");
   }
   
   const severeDiseases = diseases.filter(d => 
@@ -395,420 +426,6007 @@ function assessPlantHealth(diseases) {
   );
   
   if (severeDiseases.length > 0) {
-    return { status: "Critical", emoji: "🚨", description: "Immediate treatment needed" };
+    return health(3, 'critical', "🚨");
   } else if (diseases.length > 2) {
-    return { status: "Poor", emoji: "⚠️", description: "Multiple issues detected" };
+    return health(2, 'poor', "⚠️");
   } else {
-    return { status: "Needs Attention", emoji: "🔍", description: "Minor issues detected" };
+    return health(1, 'needsAttention', "🔍");
   }
 }
 
 // Free AI Farming Advice
-async function getFreeFarmingAdvice(question, context = {}) {
+async function getFreeFarmingAdvice(question, context = {}, locale = DEFAULT_LOCALE) {
   try {
     // Using a simple AI approach - can be enhanced with Hugging Face later
-    return getSmartFarmingResponse(question, context);
+    const advice = getSmartFarmingResponse(question, context, locale);
+    return await addWeatherAdvice(advice, question, context, locale);
   } catch (error) {
     console.error('AI Service Error:', error);
-    return getSmartFarmingResponse(question, context);
+    return getSmartFarmingResponse(question, context, locale);
   }
 }
 
-function getSmartFarmingResponse(question, context) {
-  const lowerQuestion = question.toLowerCase();
-  const region = context.region || 'Philippines';
-  
-  const knowledgeBase = {
-    'tomato': `🍅 **Tomato Growing Guide (${region}):**
-
-**Best Varieties:** Diamante Max, Apollo, Improved Pope
-**Planting Season:** October-January (dry season)
-**Spacing:** 50-60cm between plants
-**Fertilizer:** 
-• Basal: 10-15 tons compost/hectare + complete fertilizer
-• Side dress: Urea every 3-4 weeks
-
-**Common Issues & Solutions:**
-• Blossom end rot - Add calcium, maintain even moisture
-• Early blight - Remove infected leaves, use copper fungicide
-• Fruit worms - Handpick or use BT insecticide
-• Yellow leaves - Check for nutrient deficiency or overwatering
-
-**Smart Tips:**
-• Use stakes or trellises for support
-• Mulch to conserve moisture and control weeds
-• Rotate crops annually to prevent disease buildup`,
-
-    'rice': `🌾 **Rice Farming Guide (${region}):**
-
-**Popular Varieties:** IR64, PSB Rc18, NSIC Rc222
-**Planting Seasons:** 
-• Wet season: June-July
-• Dry season: November-December
-
-**Water Management:**
-• Maintain 2-5cm water depth during vegetative stage
-• Drain field 1-2 weeks before harvest
-
-**Fertilizer Schedule:**
-• Basal: 4-6 bags complete (14-14-14)/hectare
-• Top dress: 2-3 bags urea at tillering and panicle initiation
-
-**Pest Management:**
-• Rice bugs - Use light traps, harvest early
-• Stem borers - Plant resistant varieties
-• Blast disease - Avoid excessive nitrogen`,
-
-    'pest': `🐛 **Organic Pest Control Methods:**
-
-**Natural Solutions:**
-• Neem oil spray - Effective against most insects
-• Chili-garlic spray - For aphids and mites
-• Wood ash - Deters crawling insects
-• Companion planting - Marigolds repel nematodes
-
-**Biological Control:**
-• Ladybugs - Eat aphids
-• Praying mantis - General predator
-• Trichoderma - Fungal disease control
-
-**Prevention:**
-• Keep field clean of plant debris
-• Practice crop rotation
-• Use resistant varieties
-• Monitor plants regularly`,
-
-    'soil': `🌱 **Soil Health Management:**
-
-**Soil Testing:**
-• Test pH annually (ideal: 5.5-6.5 for most crops)
-• Check NPK levels and organic matter
-
-**Improvement Methods:**
-• Add compost (2-3 kg/m²)
-• Use green manure (legumes)
-• Apply lime if acidic, sulfur if alkaline
-• Practice minimum tillage
-
-**Organic Matter:**
-• Target 3-5% organic matter
-• Use crop residues as mulch
-• Apply well-decomposed manure`,
-
-    'default': `🌾 **SmartCropX Farming Advice:**
-
-I understand you need help with: "${question}"
-
-**General Best Practices:**
-• Always use certified seeds from reputable sources
-• Test soil before planting
-• Practice crop rotation
-• Monitor weather patterns
-• Keep farming records
-
-**For Specific Advice:**
-• Consult your local Agricultural Extension Office
-• Visit the Department of Agriculture website
-• Join farmers' associations in your area
-
-**Remember:** Good farming practices combined with timely action lead to better yields!`
-  };
+// Coordinates to fetch a forecast for: explicit ones win, else the region's
+const resolveWeatherLocation = (region, coordinates) => {
+  if (hasLocation(coordinates)) return { lat: coordinates.lat, lng: coordinates.lng, region: region || null };
+  const regionCoordinates = getRegionCoordinates(region);
+  return regionCoordinates ? { ...regionCoordinates, region } : null;
+};
 
-  if (lowerQuestion.includes('tomato')) return knowledgeBase.tomato;
-  if (lowerQuestion.includes('rice')) return knowledgeBase.rice;
-  if (lowerQuestion.includes('pest')) return knowledgeBase.pest;
-  if (lowerQuestion.includes('soil')) return knowledgeBase.soil;
-  if (lowerQuestion.includes('corn')) return knowledgeBase.corn;
-  
-  return knowledgeBase.default;
+// Advisories are built in English and translated for whoever reads them
+const localizeAdvisory = ({ type, severity, title, message, params, startsAt }, locale) => ({
+  type,
+  severity,
+  title: translate(locale, title),
+  message: translate(locale, message, params),
+  startsAt
+});
+
+// Puts the advisories the question touches on (and any severe ones) next to
+// the answer. Advice still goes out without them when the location is
+// unknown or the weather provider is down.
+async function addWeatherAdvice(advice, question, context, locale = DEFAULT_LOCALE) {
+  const location = resolveWeatherLocation(context.region, context.location);
+  if (!location) return advice;
+
+  let forecast;
+  try {
+    forecast = await weatherService.getForecast(location);
+  } catch (error) {
+    console.warn('Weather unavailable for advice:', error.message);
+    return advice;
+  }
+
+  const relevant = advisoriesForQuestion(buildAdvisories(forecast), question);
+  const advisories = relevant.map(advisory => localizeAdvisory(advisory, locale));
+  const weather = { provider: forecast.provider, advisories };
+  if (advisories.length === 0) return { ...advice, weather };
+
+  const section = [
+    `🌦️ **${translate(locale, 'Weather advisories')}:**`,
+    ...advisories.map(advisory => `• **${advisory.title}**: ${advisory.message}`)
+  ].join('\n');
+  // Storm warnings go first; everything else follows the answer
+  const text = relevant.some(advisory => advisory.severity === 'severe')
+    ? `${section}\n\n---\n\n${advice.text}`
+    : `${advice.text}\n\n---\n\n${section}`;
+
+  return { ...advice, text, weather };
+}
+
+// Answers from the knowledge base (see knowledgeBase.js); returns the
+// advice text plus the entries it was built from
+function getSmartFarmingResponse(question, context, locale = DEFAULT_LOCALE) {
+  return answerFromKnowledge(knowledge.all(), question, { ...context, locale });
 }
 
 // ==================== AI ROUTES ====================
 
 // Plant Disease Detection
-app.post('/api/ai/detect-disease', async (req, res) => {
+api.post('/api/ai/detect-disease', {
+  tags: ['AI'],
+  summary: 'Diagnose a plant photo (saved to the scan history when signed in)',
+  body: t.object({
+    imageBase64: t.string({ min: 1, message: 'Image is required' }),
+    plantId: t.string({ nullable: true, message: 'plantId must be a string or null' })
+  }, { required: ['imageBase64'] }),
+  responses: { 200: t.ref('DiseaseDetection') },
+  errors: [404, 503]
+}, optionalAuthentication, async (req, res) => {
   try {
-    const { imageBase64 } = req.body;
+    const { imageBase64, plantId } = req.body;
+
+    if (plantId && (!req.user || !findOwnedPlant(plantId, req.user.userId))) {
+      return res.status(404).json({ error: 'Plant not found' });
+    }
     
-    if (!imageBase64) {
-      return res.status(400).json({
-        success: false,
-        message: 'Image is required'
+    const diagnosis = await diagnosisPipeline.diagnose(imageBase64);
+
+    if (!diagnosis.findings) {
+      return res.status(503).json({
+        error: 'No plant analysis provider could process the image',
+        providers: diagnosis.providers,
+        fallback: getManualIdentificationTips(req.locale)
       });
     }
-    
-    // Try Plant.id first
-    let result = await identifyWithPlantID(imageBase64);
-    
-    // Enhance with Crop.health if available
-    if (result.success) {
-      const cropHealthResult = await analyzeWithCropHealth(imageBase64);
-      if (cropHealthResult.success) {
-        // Merge results
-        result.cropHealth = cropHealthResult;
-        result.recommendations = cropHealthResult.recommendations;
-      }
+
+    const { plantTreatment, ...findings } = diagnosis.findings;
+    const diseases = [
+      ...findings.diseases,
+      ...diagnosis.healthResults.flatMap(h => h.diseases)
+    ];
+
+    const result = {
+      success: true,
+      api: diagnosis.answeredBy,
+      ...findings,
+      diseases,
+      treatment: generateTreatmentAdvice(diseases, plantTreatment, req.locale),
+      healthAssessment: assessPlantHealth(diseases, req.locale),
+      providers: diagnosis.providers,
+      fallbackUsed: diagnosis.fallbackUsed
+    };
+
+    const cropHealthResult = diagnosis.healthResults.find(h => h.provider === 'crop.health');
+    if (cropHealthResult) {
+      result.cropHealth = cropHealthResult;
+      result.recommendations = cropHealthResult.recommendations;
     }
-    
+
+    // Signed-in users get the scan saved to their history
+    if (req.user) {
+      const scan = await saveScan(req.user.userId, plantId, imageBase64, result);
+      result.scanId = scan.id;
+      checkDiseaseOutbreak(scan);
+    }
+
     res.json(result);
     
   } catch (error) {
     console.error('Disease Detection Error:', error);
     res.status(500).json({
-      success: false,
-      message: 'Plant analysis service unavailable',
-      fallback: getManualIdentificationTips()
+      error: 'Plant analysis service unavailable',
+      fallback: getManualIdentificationTips(req.locale)
     });
   }
 });
 
 // Farming Advice
-app.post('/api/ai/farming-advice', [
-  body('question').notEmpty().withMessage('Question is required')
-], handleValidationErrors, async (req, res) => {
+api.post('/api/ai/farming-advice', {
+  tags: ['AI'],
+  summary: 'Answer a farming question from the knowledge base, with weather advisories for the area',
+  body: t.object({
+    question: t.string({ min: 1, message: 'Question is required' }),
+    context: t.object({
+      region: t.string({ nullable: true }),
+      month: t.integer({ min: 1, max: 12 }),
+      location: t.ref('Coordinates')
+    })
+  }, { required: ['question'] }),
+  responses: { 200: t.ref('FarmingAdvice') }
+}, async (req, res) => {
   try {
     const { question, context = {} } = req.body;
     
-    const advice = await getFreeFarmingAdvice(question, context);
+    const advice = await getFreeFarmingAdvice(question, context, req.locale);
     
     res.json({
       success: true,
       question,
-      response: advice,
+      response: advice.text,
+      sources: advice.sources,
+      weather: advice.weather || null,
       context: context,
+      locale: req.locale,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
     console.error('Farming Advice Error:', error);
     res.status(500).json({
-      success: false,
       error: 'AI service temporarily unavailable',
-      response: getSmartFarmingResponse(question, req.body.context || {})
+      response: getSmartFarmingResponse(req.body.question, req.body.context || {}, req.locale).text
     });
   }
 });
 
-function getManualIdentificationTips() {
-  return `**🔍 Manual Plant Identification Tips:**
+// ==================== WEATHER ROUTES ====================
+
+// Actionable advisories (spraying, irrigation, heat, storms) for the next few
+// days. Location: ?lat&lng, else ?region, else the signed-in user's region.
+api.get('/api/weather/advisories', {
+  tags: ['Weather'],
+  summary: 'Farm advisories from the forecast for a place',
+  query: t.object({
+    region: t.string({ max: 100 }),
+    lat: t.number({ min: -90, max: 90 }),
+    lng: t.number({ min: -180, max: 180 })
+  }, { dependentRequired: { lat: ['lng'], lng: ['lat'] } }),
+  responses: { 200: t.ref('WeatherAdvisories') },
+  errors: [503]
+}, optionalAuthentication, async (req, res) => {
+  try {
+    const user = req.user ? findUserById(req.user.userId) : null;
+    const region = req.query.region || user?.userData.region || null;
+    const coordinates = req.query.lat !== undefined && req.query.lng !== undefined
+      ? { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) }
+      : null;
 
-**Take Clear Photos Of:**
-• Leaves (upper and lower surfaces)
-• Stems and branches
-• Flowers or fruits
-• Overall plant structure
+    const location = resolveWeatherLocation(region, coordinates);
+    if (!location) {
+      return res.status(400).json({ error: region ? 'No weather coverage for this region yet' : 'Region or coordinates are required' });
+    }
 
-**Common Philippine Plant Issues:**
+    let forecast;
+    try {
+      forecast = await weatherService.getForecast(location);
+    } catch (error) {
+      console.error('Weather provider error:', error.message);
+      return res.status(503).json({ error: 'Weather service unavailable' });
+    }
 
-**🍅 Tomato Problems:**
-• Yellow leaves: Nutrient deficiency or overwatering
-• Brown spots: Fungal infection
-• Wilting: Root issues or water stress
+    res.json({
+      region: location.region,
+      location: { lat: location.lat, lng: location.lng },
+      provider: forecast.provider,
+      generatedAt: forecast.generatedAt,
+      current: forecast.hourly[0] || null,
+      daily: forecast.daily,
+      advisories: buildAdvisories(forecast).map(advisory => localizeAdvisory(advisory, req.locale))
+    });
 
-**🌾 Rice Issues:**
-• Yellowing: Nitrogen deficiency
-• Brown spots: Fungal disease
-• Stunted growth: Soil or water issue
+  } catch (error) {
+    console.error('Weather advisories error:', error);
+    res.status(500).json({ error: 'Failed to fetch weather advisories' });
+  }
+});
 
-**Next Steps:**
-1. Take multiple clear photos
-2. Note symptoms and patterns
-3. Check soil condition
-4. Consult local agricultural expert
+// ==================== KNOWLEDGE BASE ROUTES ====================
 
-**Emergency Contact:**
-• Local Agricultural Office
-• DA Hotline: 0920-946-2474`;
-}
+const knowledgeEntryBody = t.object({
+  title: t.string({ trim: true, min: 3, message: 'Title is required' }),
+  topic: t.string({ trim: true, min: 2, message: 'Topic is required' }),
+  content: t.string({ trim: true, min: 10, message: 'Content is required' }),
+  keywords: t.array(t.string(), { min: 1, message: 'At least one keyword is required' }),
+  synonyms: t.array(t.string()),
+  crop: t.string({ nullable: true }),
+  region: t.string({ nullable: true }),
+  season: t.array(t.integer({ min: 1, max: 12, message: 'Season months must be 1-12' }))
+}, { required: ['title', 'topic', 'content', 'keywords'] });
 
-// ==================== AUTHENTICATION ROUTES ====================
+const buildKnowledgeEntry = (input) => ({
+  title: input.title,
+  crop: input.crop ? input.crop.toLowerCase() : null,
+  topic: input.topic.toLowerCase(),
+  region: input.region || null,
+  season: (input.season || []).map(month => parseInt(month)),
+  keywords: input.keywords.map(k => k.toLowerCase()),
+  synonyms: (input.synonyms || []).map(k => k.toLowerCase()),
+  content: input.content
+});
 
-app.post('/api/auth/register', [
-  body('username').isLength({ min: 3 }),
-  body('password').isLength({ min: 6 }),
-  body('fullName').isLength({ min: 2 }),
-  body('age').isInt({ min: 18, max: 100 }),
-  body('region').isLength({ min: 2 }),
-  body('userType').isIn(['buyer', 'seller', 'both'])
-], handleValidationErrors, async (req, res) => {
+api.get('/api/knowledge', {
+  tags: ['Knowledge base'],
+  summary: 'List knowledge entries, optionally ranked against a question',
+  query: t.object({ crop: t.string(), topic: t.string(), q: t.string() }),
+  responses: { 200: t.object({ entries: t.array(t.ref('KnowledgeEntry')), total: t.integer() }) }
+}, (req, res) => {
   try {
-    const { username, password, fullName, age, region, userType, avatar = '👤' } = req.body;
-    
-    const existingUser = users.find(user => user.username === username);
-    if (existingUser) {
-      return res.status(409).json({ error: 'Username already exists' });
-    }
+    const { crop, topic, q } = req.query;
 
-    const hashedPassword = await bcrypt.hash(password, 12);
-
-    const newUser = {
-      username,
-      password: hashedPassword,
-      userData: {
-        id: Date.now().toString(),
-        username,
-        fullName,
-        userType,
-        age: parseInt(age),
-        region,
-        avatar,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }
-    };
+    let entries = knowledge.filter(entry =>
+      (!crop || entry.crop === crop.toLowerCase()) &&
+      (!topic || entry.topic === topic.toLowerCase())
+    );
 
-    users.push(newUser);
-    const token = generateToken(newUser.userData.id);
+    if (q) {
+      entries = rankKnowledgeEntries(entries, q).map(({ entry, score }) => ({ ...entry, score }));
+    }
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: newUser.userData
-    });
+    res.json({ entries, total: entries.length });
 
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Server error during registration' });
+    console.error('Knowledge fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch knowledge base' });
   }
 });
 
-app.post('/api/auth/login', [
-  body('username').notEmpty(),
-  body('password').notEmpty()
-], handleValidationErrors, async (req, res) => {
-  try {
-    const { username, password } = req.body;
-
-    const user = users.find(u => u.username === username);
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid username or password' });
-    }
-
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid username or password' });
-    }
+api.get('/api/knowledge/:id', {
+  tags: ['Knowledge base'],
+  summary: 'Get a knowledge entry',
+  responses: { 200: t.ref('KnowledgeEntry') },
+  errors: [404]
+}, (req, res) => {
+  const entry = knowledge.findById(req.params.id);
 
-    const token = generateToken(user.userData.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Knowledge entry not found' });
+  }
+  res.json(entry);
+});
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: user.userData
+api.post('/api/knowledge', {
+  tags: ['Knowledge base'],
+  summary: 'Add a knowledge entry',
+  body: knowledgeEntryBody,
+  responses: { 201: t.ref('KnowledgeEntry') },
+  errors: [403]
+}, authenticateToken, requirePermission('knowledge:manage'), (req, res) => {
+  try {
+    const now = new Date();
+    const entry = knowledge.insert({
+      id: generateId(),
+      ...buildKnowledgeEntry(req.body),
+      createdAt: now,
+      updatedAt: now
     });
 
+    res.status(201).json(entry);
+
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Server error during login' });
+    console.error('Knowledge creation error:', error);
+    res.status(500).json({ error: 'Failed to create knowledge entry' });
   }
 });
 
-// ==================== PRODUCT ROUTES ====================
-
-app.get('/api/products', (req, res) => {
+api.put('/api/knowledge/:id', {
+  tags: ['Knowledge base'],
+  summary: 'Replace a knowledge entry',
+  body: knowledgeEntryBody,
+  responses: { 200: t.ref('KnowledgeEntry') },
+  errors: [403, 404]
+}, authenticateToken, requirePermission('knowledge:manage'), (req, res) => {
   try {
-    const { category, search, page = 1, limit = 20 } = req.query;
-    
-    let filteredProducts = [...products];
+    const entry = knowledge.findById(req.params.id);
 
-    if (category) {
-      filteredProducts = filteredProducts.filter(p => p.category === category);
-    }
-    
-    if (search) {
-      const searchLower = search.toLowerCase();
-      filteredProducts = filteredProducts.filter(p => 
-        p.title.toLowerCase().includes(searchLower) ||
-        p.description.toLowerCase().includes(searchLower)
-      );
+    if (!entry) {
+      return res.status(404).json({ error: 'Knowledge entry not found' });
     }
 
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
+    Object.assign(entry, buildKnowledgeEntry(req.body), { updatedAt: new Date() });
+    knowledge.save(entry);
 
-    res.json({
-      products: paginatedProducts,
-      total: filteredProducts.length,
-      page: parseInt(page),
-      totalPages: Math.ceil(filteredProducts.length / limit)
-    });
+    res.json(entry);
 
   } catch (error) {
-    console.error('Products fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch products' });
+    console.error('Knowledge update error:', error);
+    res.status(500).json({ error: 'Failed to update knowledge entry' });
   }
 });
 
-app.post('/api/products', [
-  body('title').isLength({ min: 3 }),
-  body('pricePerKg').isFloat({ min: 0 }),
-  body('stock').isInt({ min: 0 })
-], handleValidationErrors, (req, res) => {
+api.delete('/api/knowledge/:id', {
+  tags: ['Knowledge base'],
+  summary: 'Delete a knowledge entry',
+  responses: { 200: t.ref('Deleted') },
+  errors: [403, 404]
+}, authenticateToken, requirePermission('knowledge:manage'), (req, res) => {
   try {
-    const { title, description, pricePerKg, category, stock } = req.body;
-    
-    const sellerUser = users.find(u => u.userData.id === '2');
-
-    const newProduct = {
-      id: Date.now().toString(),
-      sellerId: sellerUser.userData.id,
-      title,
-      description: description || '',
-      pricePerKg: parseFloat(pricePerKg),
-      category: category || 'general',
-      stock: parseInt(stock),
-      location: { lat: 0, lng: 0 },
-      seller: { 
-        fullName: sellerUser.userData.fullName, 
-        username: sellerUser.userData.username, 
-        region: sellerUser.userData.region,
-        avatar: sellerUser.userData.avatar
-      },
-      images: [],
-      tags: [],
-      rating: 0,
-      reviewCount: 0,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    if (!knowledge.remove(req.params.id)) {
+      return res.status(404).json({ error: 'Knowledge entry not found' });
+    }
 
-    products.push(newProduct);
-    
-    res.status(201).json(newProduct);
+    res.json({ message: 'Knowledge entry deleted successfully', id: req.params.id });
 
   } catch (error) {
-    console.error('Product creation error:', error);
-    res.status(500).json({ error: 'Failed to create product' });
+    console.error('Knowledge deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete knowledge entry' });
   }
 });
 
-// ==================== USER ROUTES ====================
+// ==================== SCAN HISTORY ====================
+
+const findOwnedPlant = (plantId, userId) => {
+  const plant = plants.findById(plantId);
+  return plant && plant.userId === userId ? plant : null;
+};
+
+const saveScan = async (userId, plantId, imageBase64, result) => {
+  const id = generateId();
+  let thumbnail = null;
 
-app.get('/api/users', (req, res) => {
   try {
-    const safeUsers = users.map(user => ({
-      id: user.userData.id,
-      username: user.userData.username,
-      fullName: user.userData.fullName,
-      userType: user.userData.userType,
-      region: user.userData.region,
-      age: user.userData.age,
-      avatar: user.userData.avatar
-    }));
-    
-    res.json(safeUsers);
+    thumbnail = await saveScanThumbnail(imageStorage, userId, id, imageBase64);
   } catch (error) {
-    console.error('Users fetch error:', error);
+    // The diagnosis is still worth keeping without a picture
+    console.warn('Scan thumbnail skipped:', error.message);
+  }
+
+  return scans.insert({
+    id,
+    userId,
+    plantId: plantId || null,
+    plantName: result.plantName,
+    commonNames: result.commonNames || [],
+    confidence: result.confidence,
+    healthAssessment: result.healthAssessment,
+    diseases: result.diseases.map(d => ({ name: d.name, probability: d.probability })),
+    treatment: result.treatment,
+    recommendations: result.recommendations || [],
+    answeredBy: result.api,
+    thumbnail,
+    createdAt: new Date()
+  });
+};
+
+// Compares the latest scan of a plant with the one before it
+const getHealthTrend = (plantScans) => {
+  if (plantScans.length < 2) {
+    return { direction: 'insufficient-data' };
+  }
+
+  const [latest, previous] = plantScans;
+  const latestNames = latest.diseases.map(d => d.name);
+  const previousNames = previous.diseases.map(d => d.name);
+  const change = previous.healthAssessment.level - latest.healthAssessment.level;
+
+  return {
+    direction: change > 0 ? 'improving' : change < 0 ? 'worsening' : 'stable',
+    from: previous.healthAssessment.status,
+    to: latest.healthAssessment.status,
+    resolvedDiseases: previousNames.filter(name => !latestNames.includes(name)),
+    newDiseases: latestNames.filter(name => !previousNames.includes(name)),
+    since: previous.createdAt
+  };
+};
+
+const summarizePlant = (plant) => {
+  const plantScans = scans
+    .filter(scan => scan.plantId === plant.id)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  return {
+    ...plant,
+    scanCount: plantScans.length,
+    latestScan: plantScans[0] || null,
+    trend: getHealthTrend(plantScans)
+  };
+};
+
+api.get('/api/ai/scans', {
+  tags: ['Scan history'],
+  summary: 'List my plant scans, newest first',
+  query: t.object({ ...paginationQuery, plantId: t.string() }),
+  responses: { 200: t.object({ scans: t.array(t.ref('Scan')), total: t.integer(), page: t.integer(), totalPages: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const { plantId } = req.query;
+
+    const userScans = scans
+      .filter(scan => scan.userId === req.user.userId && (!plantId || scan.plantId === plantId))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    const { items, ...pageInfo } = paginate(userScans, req);
+
+    res.json({ scans: items, ...pageInfo });
+
+  } catch (error) {
+    console.error('Scans fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch scans' });
+  }
+});
+
+api.get('/api/ai/scans/:id', {
+  tags: ['Scan history'],
+  summary: 'Get one of my scans',
+  responses: { 200: t.ref('Scan') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const scan = scans.findById(req.params.id);
+
+    if (!scan || scan.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    res.json(scan);
+
+  } catch (error) {
+    console.error('Scan fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch scan' });
+  }
+});
+
+// Moves a scan under a plant (or out of one with plantId: null)
+api.patch('/api/ai/scans/:id', {
+  tags: ['Scan history'],
+  summary: 'Assign a scan to a plant',
+  body: t.object({
+    plantId: t.string({ nullable: true, message: 'plantId must be a string or null' })
+  }, { required: ['plantId'] }),
+  responses: { 200: t.ref('Scan') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const scan = scans.findById(req.params.id);
+    const { plantId } = req.body;
+
+    if (!scan || scan.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    if (plantId && !findOwnedPlant(plantId, req.user.userId)) {
+      return res.status(404).json({ error: 'Plant not found' });
+    }
+
+    scan.plantId = plantId;
+    scans.save(scan);
+
+    res.json(scan);
+
+  } catch (error) {
+    console.error('Scan update error:', error);
+    res.status(500).json({ error: 'Failed to update scan' });
+  }
+});
+
+api.post('/api/ai/plants', {
+  tags: ['Scan history'],
+  summary: 'Register a plant to track scans against',
+  body: t.object({
+    name: t.string({ trim: true, min: 1, max: 100, message: 'Plant name is required' }),
+    crop: t.string(),
+    notes: t.string()
+  }, { required: ['name'] }),
+  responses: { 201: t.ref('Plant') }
+}, authenticateToken, (req, res) => {
+  try {
+    const { name, crop = '', notes = '' } = req.body;
+    const now = new Date();
+
+    const plant = plants.insert({
+      id: generateId(),
+      userId: req.user.userId,
+      name,
+      crop,
+      notes,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json(summarizePlant(plant));
+
+  } catch (error) {
+    console.error('Plant creation error:', error);
+    res.status(500).json({ error: 'Failed to create plant' });
+  }
+});
+
+api.get('/api/ai/plants', {
+  tags: ['Scan history'],
+  summary: 'List my plants with their latest scan and health trend',
+  responses: { 200: t.object({ plants: t.array(t.ref('Plant')), total: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const userPlants = plants
+      .filter(plant => plant.userId === req.user.userId)
+      .map(summarizePlant);
+
+    res.json({ plants: userPlants, total: userPlants.length });
+
+  } catch (error) {
+    console.error('Plants fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch plants' });
+  }
+});
+
+// A plant with its full scan timeline, newest first
+api.get('/api/ai/plants/:id', {
+  tags: ['Scan history'],
+  summary: 'Get a plant with its scan timeline',
+  responses: { 200: t.ref('PlantTimeline') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const plant = findOwnedPlant(req.params.id, req.user.userId);
+
+    if (!plant) {
+      return res.status(404).json({ error: 'Plant not found' });
+    }
+
+    const timeline = scans
+      .filter(scan => scan.plantId === plant.id)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(scan => ({
+        id: scan.id,
+        createdAt: scan.createdAt,
+        healthAssessment: scan.healthAssessment,
+        diseases: scan.diseases,
+        thumbnail: scan.thumbnail
+      }));
+
+    res.json({ ...summarizePlant(plant), timeline });
+
+  } catch (error) {
+    console.error('Plant fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch plant' });
+  }
+});
+
+function getManualIdentificationTips(locale = DEFAULT_LOCALE) {
+  return getContent(locale, 'manualIdentificationTips');
+}
+
+// ==================== AUTHENTICATION ROUTES ====================
+
+api.post('/api/auth/register', {
+  tags: ['Authentication'],
+  summary: 'Create an account',
+  body: t.object({
+    username: t.string({ min: 3 }),
+    password: t.string({ min: 6 }),
+    fullName: t.string({ min: 2 }),
+    age: t.integer({ min: 18, max: 100 }),
+    region: t.string({ min: 2 }),
+    userType: t.enum(['buyer', 'seller', 'both']),
+    avatar: t.string(),
+    locale: t.enum(SUPPORTED_LOCALES, { sanitize: normalizeLocale })
+  }, { required: ['username', 'password', 'fullName', 'age', 'region', 'userType'] }),
+  responses: { 201: t.ref('Session') },
+  errors: [409]
+}, async (req, res) => {
+  try {
+    const { username, password, fullName, age, region, userType, avatar = '👤', locale = req.locale } = req.body;
+    
+    const existingUser = users.find(user => user.username === username);
+    if (existingUser) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const newUser = {
+      username,
+      password: hashedPassword,
+      userData: {
+        id: generateId(),
+        username,
+        fullName,
+        userType,
+        age: parseInt(age),
+        region,
+        avatar,
+        locale,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    };
+
+    users.insert(newUser);
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      ...issueTokens(newUser.userData.id, req),
+      user: newUser.userData
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Server error during registration' });
+  }
+});
+
+api.post('/api/auth/login', {
+  tags: ['Authentication'],
+  summary: 'Log in with username and password',
+  body: t.object({
+    username: t.string({ min: 1 }),
+    password: t.string({ min: 1 })
+  }, { required: ['username', 'password'] }),
+  responses: { 200: t.ref('Session') },
+  errors: [401, 403]
+}, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = users.find(u => u.username === username);
+    
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    if (isAccountBlocked(user.userData)) {
+      return res.status(403).json({
+        error: user.userData.status === 'banned' ? 'Your account has been banned' : 'Your account has been suspended',
+        reason: user.userData.statusReason,
+        until: user.userData.suspendedUntil || null
+      });
+    }
+    // A suspension that ran out: bring the account and its listings back
+    if (user.userData.status === 'suspended') {
+      reinstateAccount(user, null, 'Suspension expired');
+    }
+
+    pruneSessions(user.userData.id);
+
+    res.json({
+      message: 'Login successful',
+      ...issueTokens(user.userData.id, req),
+      user: user.userData
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+// Looks up the session a refresh token belongs to; null when unknown or malformed
+const findSessionByRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  const session = sessionId && secret && sessions.findById(sessionId);
+  return session ? { session, secret } : null;
+};
+
+// Exchanges a refresh token for a new access token. Refresh tokens rotate on
+// every use; presenting an old one means it leaked, so the session is revoked.
+api.post('/api/auth/refresh', {
+  tags: ['Authentication'],
+  summary: 'Exchange a refresh token for new tokens',
+  body: t.object({ refreshToken: t.string({ min: 1 }) }, { required: ['refreshToken'] }),
+  responses: { 200: t.ref('Tokens') },
+  errors: [401]
+}, (req, res) => {
+  try {
+    const found = findSessionByRefreshToken(req.body.refreshToken);
+    if (!found || found.session.revokedAt || found.session.expiresAt < new Date()) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { session, secret } = found;
+    if (hashToken(secret) !== session.refreshTokenHash) {
+      session.revokedAt = new Date();
+      sessions.save(session);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = findUserById(session.userId);
+    if (!user || isAccountBlocked(user.userData)) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(issueTokens(session.userId, req, session));
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Works with either the access token or the refresh token, so a client whose
+// access token already expired can still sign out
+api.post('/api/auth/logout', {
+  tags: ['Authentication'],
+  summary: 'End this session, or every session with allDevices',
+  body: t.object({ refreshToken: t.string(), allDevices: t.boolean() }),
+  responses: { 200: t.ref('Confirmation') },
+  errors: [401]
+}, optionalAuthentication, (req, res) => {
+  try {
+    let session = req.user ? sessions.findById(req.user.sid) : null;
+    if (!session && req.body.refreshToken) {
+      const found = findSessionByRefreshToken(req.body.refreshToken);
+      if (found && hashToken(found.secret) === found.session.refreshTokenHash) {
+        session = found.session;
+      }
+    }
+
+    if (!session) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    if (req.body.allDevices) {
+      revokeSessions(session.userId);
+    } else if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      sessions.save(session);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+const PASSWORD_RESET_TTL_MINUTES = 15;
+const PASSWORD_RESET_MAX_ATTEMPTS = 5;
+
+// Always answers the same way so the endpoint cannot be used to probe usernames
+api.post('/api/auth/password-reset/request', {
+  tags: ['Authentication'],
+  summary: 'Send a password reset code to the account\'s e-mail or phone',
+  body: t.object({ username: t.string({ min: 1 }) }, { required: ['username'] }),
+  responses: { 200: t.ref('Confirmation') }
+}, async (req, res) => {
+  try {
+    const user = users.find(u => u.username === req.body.username);
+
+    if (user) {
+      const userId = user.userData.id;
+      // Only the newest code is valid
+      passwordResets.filter(reset => reset.userId === userId).forEach(reset => passwordResets.remove(reset.id));
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      const reset = {
+        id: crypto.randomUUID(),
+        userId,
+        attempts: 0,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+      };
+      reset.codeHash = hashToken(`${reset.id}:${code}`);
+      passwordResets.insert(reset);
+
+      await notifier.send({
+        to: {
+          userId,
+          username: user.username,
+          email: user.userData.email || null,
+          phone: user.userData.phone || null
+        },
+        template: 'password-reset',
+        locale: user.userData.locale || req.locale,
+        data: { code, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }
+      });
+    }
+
+    res.json({ message: 'If the account exists, a reset code has been sent' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Failed to send reset code' });
+  }
+});
+
+api.post('/api/auth/password-reset/confirm', {
+  tags: ['Authentication'],
+  summary: 'Set a new password with a reset code',
+  body: t.object({
+    username: t.string({ min: 1 }),
+    code: t.string({ min: 6, max: 6 }),
+    newPassword: t.string({ min: 6 })
+  }, { required: ['username', 'code', 'newPassword'] }),
+  responses: { 200: t.ref('Confirmation') }
+}, async (req, res) => {
+  try {
+    const { username, code, newPassword } = req.body;
+    const user = users.find(u => u.username === username);
+    const reset = user && passwordResets.find(r => r.userId === user.userData.id);
+
+    if (!reset || reset.expiresAt < new Date() || reset.attempts >= PASSWORD_RESET_MAX_ATTEMPTS) {
+      return res.status(400).json({ error: 'Invalid or expired reset code' });
+    }
+
+    if (hashToken(`${reset.id}:${code}`) !== reset.codeHash) {
+      reset.attempts += 1;
+      passwordResets.save(reset);
+      return res.status(400).json({ error: 'Invalid or expired reset code' });
+    }
+
+    passwordResets.remove(reset.id);
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    user.userData.updatedAt = new Date();
+    users.save(user);
+    revokeSessions(user.userData.id);
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// ==================== LOCATION HELPERS ====================
+
+// Approximate centre of the provinces/cities users pick as their `region`,
+// used when a listing is created without coordinates
+const REGION_COORDINATES = {
+  'metro manila': { lat: 14.5995, lng: 120.9842 },
+  'manila': { lat: 14.5995, lng: 120.9842 },
+  'quezon city': { lat: 14.6760, lng: 121.0437 },
+  'benguet': { lat: 16.4023, lng: 120.5960 },
+  'baguio': { lat: 16.4023, lng: 120.5960 },
+  'ilocos norte': { lat: 18.1647, lng: 120.7116 },
+  'ilocos sur': { lat: 17.2278, lng: 120.5740 },
+  'pangasinan': { lat: 15.8949, lng: 120.2863 },
+  'nueva ecija': { lat: 15.5784, lng: 121.1113 },
+  'tarlac': { lat: 15.4755, lng: 120.5963 },
+  'pampanga': { lat: 15.0794, lng: 120.6200 },
+  'bulacan': { lat: 14.7943, lng: 120.8799 },
+  'cavite': { lat: 14.4791, lng: 120.8970 },
+  'laguna': { lat: 14.1407, lng: 121.4692 },
+  'batangas': { lat: 13.7565, lng: 121.0583 },
+  'quezon': { lat: 13.9347, lng: 121.9473 },
+  'mindoro': { lat: 13.1000, lng: 121.0833 },
+  'palawan': { lat: 9.8349, lng: 118.7384 },
+  'camarines sur': { lat: 13.5250, lng: 123.3486 },
+  'albay': { lat: 13.1775, lng: 123.5280 },
+  'iloilo': { lat: 10.7202, lng: 122.5621 },
+  'guimaras': { lat: 10.5921, lng: 122.6321 },
+  'negros occidental': { lat: 10.6407, lng: 122.9689 },
+  'cebu': { lat: 10.3157, lng: 123.8854 },
+  'bohol': { lat: 9.8500, lng: 124.1435 },
+  'leyte': { lat: 11.2500, lng: 124.9667 },
+  'bukidnon': { lat: 8.0515, lng: 124.9230 },
+  'davao': { lat: 7.1907, lng: 125.4553 },
+  'cotabato': { lat: 7.2047, lng: 124.2310 },
+  'south cotabato': { lat: 6.2969, lng: 124.8515 },
+  'zamboanga': { lat: 6.9214, lng: 122.0790 }
+};
+
+const getRegionCoordinates = (region) => {
+  if (!region) return null;
+  const coordinates = REGION_COORDINATES[region.trim().toLowerCase()];
+  return coordinates ? { ...coordinates } : null;
+};
+
+const hasLocation = (location) => Boolean(location) && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+
+// Great-circle distance in kilometres (haversine)
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// ==================== PRODUCT ROUTES ====================
+
+const listParam = (value) => (value ? String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean) : null);
+
+// Coordinates come in pairs; a lone lat or lng is a client bug worth reporting
+const coordinateChecks = [
+  { path: 'lng', message: 'lng is required with lat', test: (q) => q.lat === undefined || q.lng !== undefined },
+  { path: 'lat', message: 'lat is required with lng', test: (q) => q.lng === undefined || q.lat !== undefined }
+];
+
+api.get('/api/products', {
+  tags: ['Products'],
+  summary: 'Search and browse live listings',
+  description: 'Comma-separated `category`, `region` and `tags` match any (category, region) or all (tags) of the values. ' +
+    'Facet counts ignore the facet\'s own filter. Pass `cursor` from a previous page to keep scrolling.',
+  query: t.object({
+    q: t.string({ max: 200 }),
+    search: t.string({ max: 200, description: 'Alias of q' }),
+    category: t.string(),
+    region: t.string(),
+    tags: t.string(),
+    lat: t.number({ min: -90, max: 90 }),
+    lng: t.number({ min: -180, max: 180 }),
+    radiusKm: t.number({ gt: 0 }),
+    minPrice: t.number({ min: 0 }),
+    maxPrice: t.number({ min: 0 }),
+    minRating: t.number({ min: 0, max: 5 }),
+    inStock: t.boolean(),
+    organic: t.boolean(),
+    sort: t.enum(Object.keys(SORTS)),
+    ...paginationQuery,
+    cursor: t.string()
+  }, {
+    checks: [
+      ...coordinateChecks,
+      { path: 'sort', message: 'lat and lng are required to sort by distance', test: (q) => q.sort !== 'distance' || q.lat !== undefined }
+    ]
+  }),
+  responses: { 200: t.ref('ProductSearchResults') }
+}, (req, res) => {
+  try {
+    const { lat, lng, radiusKm, minPrice, maxPrice, minRating, cursor } = req.query;
+    const terms = parseSearchTerms(req.query.q || req.query.search);
+    const hasOrigin = lat !== undefined && lng !== undefined;
+    const sortName = req.query.sort || (terms.length > 0 ? 'relevance' : hasOrigin ? 'distance' : 'newest');
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Relevance needs something to be relevant to
+    if (sortName === 'relevance' && terms.length === 0) {
+      return res.status(400).json({ error: 'A search query is required to sort by relevance' });
+    }
+
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && (!decodedCursor || decodedCursor.sortName !== sortName)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Candidates: live listings matching the text query, inside the radius.
+    // Stock as of now, so listings whose batches all expired since the last
+    // sweep don't pass as in stock.
+    const now = new Date();
+    let candidates = products.filter(p => p.status === 'active').map(product => ({ product: refreshListing(product, now), score: 0 }));
+
+    if (terms.length > 0) {
+      candidates = candidates
+        .map(item => ({ ...item, score: scoreProduct(item.product, terms) }))
+        .filter(item => item.score > 0);
+    }
+
+    if (hasOrigin) {
+      const origin = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      candidates = candidates
+        .filter(({ product }) => hasLocation(product.location))
+        .map(item => ({
+          ...item,
+          product: { ...item.product, distanceKm: Math.round(distanceKm(origin, item.product.location) * 10) / 10 }
+        }))
+        .filter(({ product }) => !radiusKm || product.distanceKm <= parseFloat(radiusKm));
+    }
+
+    const categories = listParam(req.query.category);
+    const regions = listParam(req.query.region);
+    const tags = listParam(req.query.tags);
+
+    // Named so each facet can be counted with every filter except its own
+    const filters = {
+      category: (p) => !categories || categories.includes(p.category),
+      region: (p) => !regions || regions.includes(getProductRegion(p)),
+      tags: (p) => !tags || tags.every(tag => (p.tags || []).includes(tag)),
+      organic: (p) => !req.query.organic || (p.tags || []).includes('organic'),
+      inStock: (p) => !req.query.inStock || p.stock > 0,
+      price: (p) => (minPrice === undefined || p.pricePerKg >= parseFloat(minPrice)) &&
+        (maxPrice === undefined || p.pricePerKg <= parseFloat(maxPrice)),
+      rating: (p) => minRating === undefined || (p.rating || 0) >= parseFloat(minRating)
+    };
+    const passes = (product, except = null) => Object.entries(filters).every(([name, test]) => name === except || test(product));
+
+    const results = sortResults(candidates.filter(({ product }) => passes(product)), sortName);
+
+    const facets = {
+      categories: countFacet(candidates.filter(({ product }) => passes(product, 'category')), ({ product }) => [product.category]),
+      regions: countFacet(candidates.filter(({ product }) => passes(product, 'region')), ({ product }) => [getProductRegion(product)], {
+        labelOf: ({ product }) => product.seller.region.trim()
+      }),
+      tags: countFacet(candidates.filter(({ product }) => passes(product, 'tags')), ({ product }) => product.tags || [])
+    };
+
+    // Cursor paging for clients that scroll; page numbers for everyone else
+    let pageItems;
+    let page = null;
+    if (decodedCursor || req.query.page === undefined) {
+      const remaining = decodedCursor ? itemsAfterCursor(results, sortName, decodedCursor.key) : results;
+      pageItems = remaining.slice(0, limit);
+      if (!decodedCursor) page = 1;
+    } else {
+      page = parseInt(req.query.page);
+      pageItems = results.slice((page - 1) * limit, page * limit);
+    }
+
+    const lastItem = pageItems[pageItems.length - 1];
+    const hasMore = lastItem && results.indexOf(lastItem) < results.length - 1;
+
+    res.json({
+      products: pageItems.map(({ product }) => withFreshness(product)),
+      total: results.length,
+      page,
+      totalPages: Math.ceil(results.length / limit),
+      limit,
+      sort: sortName,
+      nextCursor: hasMore ? encodeCursor(sortName, lastItem) : null,
+      facets
+    });
+
+  } catch (error) {
+    console.error('Products fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+const buildSellerProfile = (userData) => ({
+  fullName: userData.fullName,
+  username: userData.username,
+  region: userData.region,
+  avatar: userData.avatar,
+  rating: userData.sellerRating || 0,
+  reviewCount: userData.sellerReviewCount || 0
+});
+
+// Refreshes the denormalized `seller` block on every listing by this user
+const syncSellerProfile = (userData) => {
+  products.filter(p => p.sellerId === userData.id).forEach(p => {
+    p.seller = buildSellerProfile(userData);
+    products.save(p);
+  });
+};
+
+const isSellerAccount = (userData) => userData.userType === 'seller' || userData.userType === 'both';
+
+// For seller-only tools; loads the account into req.currentUser
+const requireSellerAccount = (req, res, next) => {
+  const user = findUserById(req.user.userId);
+  if (!user || !isSellerAccount(user.userData)) {
+    return res.status(403).json({ error: 'Only seller accounts can use this feature' });
+  }
+  req.currentUser = user;
+  next();
+};
+
+// Fields a seller may set on their own listing, with how each is stored.
+// Stock is not one of them: it follows the listing's harvest batches.
+const EDITABLE_PRODUCT_FIELDS = {
+  title: (value) => value,
+  description: (value) => value,
+  pricePerKg: (value) => parseFloat(value),
+  category: (value) => value,
+  tags: (value) => value.map(tag => String(tag).toLowerCase()),
+  status: (value) => value,
+  commodity: (value) => normalizeCommodity(value),
+  deliveryOptions: (value) => normalizeDeliveryOptions(value),
+  location: (value) => ({ lat: parseFloat(value.lat), lng: parseFloat(value.lng) }),
+  autoDiscount: (value) => value && { percent: parseFloat(value.percent), daysBeforeExpiry: parseInt(value.daysBeforeExpiry) }
+};
+
+const deliveryFee = () => t.number({ min: 0, nullable: true });
+
+// A best-before date in the past would expire the batch on arrival
+const bestBeforeCheck = {
+  path: 'bestBefore',
+  message: 'bestBefore must be in the future',
+  test: (body) => !body.bestBefore || new Date(body.bestBefore) > new Date()
+};
+
+const harvestedAtCheck = {
+  path: 'harvestedAt',
+  message: 'harvestedAt cannot be in the future',
+  test: (body) => !body.harvestedAt || new Date(body.harvestedAt) <= new Date()
+};
+
+// Listing body; PATCH sends only the fields that change. New listings bring
+// their first harvest batch along as `stock`, `harvestedAt` and `bestBefore`;
+// after that stock only changes through the batch routes.
+const productBody = (partial = false, { firstBatch = false } = {}) => t.object({
+  title: t.string({ min: 3 }),
+  pricePerKg: t.number({ min: 0 }),
+  ...(firstBatch && {
+    stock: t.integer({ min: 0, description: 'Kilos in the first harvest batch' }),
+    harvestedAt: t.date({ description: 'Defaults to now' }),
+    bestBefore: t.date({ description: 'Leave out for produce that keeps' })
+  }),
+  description: t.string(),
+  category: t.string(),
+  tags: t.array(t.string()),
+  commodity: t.string({ nullable: true }),
+  status: t.enum(['active', 'unpublished']),
+  location: t.ref('Coordinates'),
+  deliveryOptions: t.array(t.object({
+    method: t.enum(Object.keys(DELIVERY_METHODS), { message: 'Invalid delivery method' }),
+    maxDistanceKm: deliveryFee(),
+    maxWeightKg: deliveryFee(),
+    baseFee: deliveryFee(),
+    feePerKm: deliveryFee(),
+    feePerKg: deliveryFee(),
+    freeOverAmount: deliveryFee(),
+    instructions: t.string({ max: 500 })
+  }, { required: ['method'] }), { min: 1, max: Object.keys(DELIVERY_METHODS).length }),
+  autoDiscount: t.object({
+    percent: t.number({ gt: 0, max: 90 }),
+    daysBeforeExpiry: t.integer({ min: 0, max: 30 })
+  }, {
+    required: ['percent', 'daysBeforeExpiry'],
+    nullable: true,
+    description: 'Takes `percent` off the price while the next batch to sell is this close to its best-before date'
+  })
+}, {
+  required: partial ? [] : ['title', 'pricePerKg', ...(firstBatch ? ['stock'] : [])],
+  checks: firstBatch ? [harvestedAtCheck, bestBeforeCheck] : [{
+    path: 'stock',
+    message: 'Stock changes through harvest batches',
+    test: (body) => body.stock === undefined
+  }]
+});
+
+const MAX_PRICE_ALERTS = 20;
+
+// An alert fires for active listings of its commodity, in its region, priced
+// under the threshold - never for the buyer's own listings
+const alertMatches = (alert, product) =>
+  product.status === 'active' &&
+  product.sellerId !== alert.userId &&
+  product.pricePerKg < alert.maxPricePerKg &&
+  getCommodity(product) === alert.commodity &&
+  (!alert.region || getProductRegion(product) === alert.region);
+
+// `previousPrice` is null for listings that just went on sale; otherwise only
+// a drop across the threshold triggers, not every change below it
+const checkPriceAlerts = (product, previousPrice) => {
+  priceAlerts.filter(alert =>
+    alertMatches(alert, product) && (previousPrice === null || previousPrice >= alert.maxPricePerKg)
+  ).forEach(alert => {
+    const trigger = { productId: product.id, title: product.title, pricePerKg: product.pricePerKg, triggeredAt: new Date() };
+    alert.triggers = [trigger, ...alert.triggers].slice(0, 20);
+    alert.lastTriggeredAt = trigger.triggeredAt;
+    priceAlerts.save(alert);
+
+    notify(alert.userId, 'price.alert', { title: product.title, pricePerKg: product.pricePerKg }, {
+      alertId: alert.id,
+      commodity: alert.commodity,
+      maxPricePerKg: alert.maxPricePerKg,
+      ...trigger
+    });
+  });
+};
+
+// Every price a listing has had, so history and market trends can be rebuilt
+const recordPriceChange = (product, previousPrice, changedBy) => {
+  if (previousPrice === product.pricePerKg) return;
+
+  priceHistory.insert({
+    id: generateId(),
+    productId: product.id,
+    pricePerKg: product.pricePerKg,
+    previousPrice,
+    changedBy,
+    changedAt: new Date()
+  });
+};
+
+// Records price changes and fires alerts after a seller edits a listing
+const afterProductChange = (product, before, changedBy) => {
+  recordPriceChange(product, before.pricePerKg, changedBy);
+
+  const wentLive = before.status !== 'active' && product.status === 'active';
+  if (wentLive) {
+    checkPriceAlerts(product, null);
+  } else if (before.pricePerKg !== product.pricePerKg) {
+    checkPriceAlerts(product, before.pricePerKg);
+  }
+};
+
+const applyProductChanges = (product, changes) => {
+  Object.entries(EDITABLE_PRODUCT_FIELDS).forEach(([field, normalize]) => {
+    if (changes[field] !== undefined) {
+      product[field] = normalize(changes[field]);
+    }
+  });
+  product.updatedAt = new Date();
+};
+
+// Loads :id into req.product and rejects anyone but its seller
+const requireProductOwner = (req, res, next) => {
+  const product = products.findById(req.params.id);
+
+  if (!product || product.status === 'deleted') {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  if (product.sellerId !== req.user.userId) {
+    return res.status(403).json({ error: 'You can only manage your own listings' });
+  }
+
+  req.product = product;
+  next();
+};
+
+// Listings a moderator unpublished stay hidden until a moderator restores them
+const blockModeratedRepublish = (req, res, next) => {
+  if (req.product.moderation && req.body.status === 'active') {
+    return res.status(403).json({ error: 'This listing was unpublished by a moderator' });
+  }
+  next();
+};
+
+// What each editable field holds when the seller leaves it out
+const listingDefaults = (sellerData) => ({
+  description: '',
+  category: 'general',
+  tags: [],
+  commodity: null,
+  status: 'active',
+  // Falls back to the seller's region when no coordinates are given
+  location: getRegionCoordinates(sellerData.region),
+  deliveryOptions: DEFAULT_DELIVERY_OPTIONS,
+  autoDiscount: null
+});
+
+// PUT replaces the whole listing, so omitted fields go back to their defaults
+const fillListingDefaults = (req, res, next) => {
+  const seller = users.findById(req.product.sellerId);
+  req.body = { ...listingDefaults(seller.userData), ...req.body };
+  next();
+};
+
+// Stores a new active listing for `sellerUser`. A positive `changes.stock`
+// becomes its first harvest batch. `extra` holds fields the seller can't
+// edit themselves (e.g. the crop cycle a listing came from).
+const createListing = (sellerUser, changes, extra = {}) => {
+  const newProduct = {
+    id: generateId(),
+    sellerId: sellerUser.userData.id,
+    title: '',
+    pricePerKg: 0,
+    stock: 0,
+    batches: [],
+    discount: null,
+    seller: buildSellerProfile(sellerUser.userData),
+    images: [],
+    rating: 0,
+    reviewCount: 0,
+    ...extra,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  applyProductChanges(newProduct, { ...listingDefaults(sellerUser.userData), ...changes });
+
+  const quantityKg = parseInt(changes.stock) || 0;
+  if (quantityKg > 0) {
+    newProduct.batches.push(createBatch(generateId(), { quantityKg, harvestedAt: changes.harvestedAt, bestBefore: changes.bestBefore }));
+  }
+  newProduct.stock = countStock(newProduct.batches);
+
+  products.insert(newProduct);
+  recordPriceChange(newProduct, null, newProduct.sellerId);
+  checkPriceAlerts(newProduct, null);
+
+  // A first batch already close to its best-before date starts out discounted
+  if (refreshInventory(newProduct)) products.save(newProduct);
+  return newProduct;
+};
+
+api.post('/api/products', {
+  tags: ['Products'],
+  summary: 'Create a listing',
+  body: productBody(false, { firstBatch: true }),
+  responses: { 201: t.ref('Product') },
+  errors: [403, 404]
+}, authenticateToken, (req, res) => {
+  try {
+    const sellerUser = findUserById(req.user.userId);
+
+    if (!sellerUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!isSellerAccount(sellerUser.userData)) {
+      return res.status(403).json({ error: 'Only seller accounts can create listings' });
+    }
+
+    const newProduct = createListing(sellerUser, req.body);
+    
+    res.status(201).json(withFreshness(newProduct));
+
+  } catch (error) {
+    console.error('Product creation error:', error);
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// "My listings": everything the caller sells except deleted listings
+api.get('/api/products/mine', {
+  tags: ['Products'],
+  summary: 'List my listings',
+  query: t.object({ status: t.enum(['active', 'unpublished']) }),
+  responses: { 200: t.object({ products: t.array(t.ref('Product')), total: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const myProducts = products.filter(p =>
+      p.sellerId === req.user.userId &&
+      p.status !== 'deleted' &&
+      (!status || p.status === status)
+    );
+
+    res.json({
+      products: myProducts.sort((a, b) => b.createdAt - a.createdAt).map(product => withFreshness(refreshListing(product))),
+      total: myProducts.length
+    });
+
+  } catch (error) {
+    console.error('My listings fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch your listings' });
+  }
+});
+
+// Who is looking, if they sent a valid token. Public pages never reject a
+// stale token over this.
+const getViewerId = (req) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+  if (!token) return null;
+  try {
+    return verifyAccessToken(token).userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+// One counter per listing per day feeds the seller's views-to-orders numbers.
+// Sellers looking at their own listings don't count.
+const recordListingView = (product, viewerId) => {
+  if (viewerId === product.sellerId) return;
+
+  const date = new Date().toISOString().slice(0, 10);
+  const id = `${product.id}:${date}`;
+  const counter = listingViews.findById(id);
+  if (counter) {
+    counter.views += 1;
+    listingViews.save(counter);
+  } else {
+    listingViews.insert({ id, productId: product.id, sellerId: product.sellerId, date, views: 1 });
+  }
+};
+
+api.get('/api/products/:id', {
+  tags: ['Products'],
+  summary: 'Get a live listing',
+  responses: { 200: t.ref('Product') },
+  errors: [404]
+}, (req, res) => {
+  try {
+    const product = products.findById(req.params.id);
+
+    if (!product || product.status !== 'active') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    refreshListing(product);
+    recordListingView(product, getViewerId(req));
+    res.json(withFreshness(product));
+
+  } catch (error) {
+    console.error('Product fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch product' });
+  }
+});
+
+api.put('/api/products/:id', {
+  tags: ['Products'],
+  summary: 'Replace a listing',
+  body: productBody(),
+  responses: { 200: t.ref('Product') },
+  errors: [403, 404]
+}, authenticateToken, requireProductOwner, fillListingDefaults, blockModeratedRepublish, (req, res) => {
+  try {
+    const before = { pricePerKg: req.product.pricePerKg, status: req.product.status };
+
+    applyProductChanges(req.product, req.body);
+    products.save(req.product);
+    afterProductChange(req.product, before, req.user.userId);
+    if (refreshInventory(req.product)) products.save(req.product);
+
+    res.json(withFreshness(req.product));
+
+  } catch (error) {
+    console.error('Product update error:', error);
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+api.patch('/api/products/:id', {
+  tags: ['Products'],
+  summary: 'Update some fields of a listing',
+  body: productBody(true),
+  responses: { 200: t.ref('Product') },
+  errors: [403, 404]
+}, authenticateToken, requireProductOwner, blockModeratedRepublish, (req, res) => {
+  try {
+    const before = { pricePerKg: req.product.pricePerKg, status: req.product.status };
+
+    applyProductChanges(req.product, req.body);
+    products.save(req.product);
+    afterProductChange(req.product, before, req.user.userId);
+    if (refreshInventory(req.product)) products.save(req.product);
+
+    res.json(withFreshness(req.product));
+
+  } catch (error) {
+    console.error('Product update error:', error);
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+// Soft delete: the listing disappears from the marketplace but stays in
+// storage so existing orders can still resolve it
+api.delete('/api/products/:id', {
+  tags: ['Products'],
+  summary: 'Delete a listing',
+  responses: { 200: t.ref('Deleted') },
+  errors: [403, 404]
+}, authenticateToken, requireProductOwner, async (req, res) => {
+  try {
+    const images = req.product.images;
+
+    req.product.status = 'deleted';
+    req.product.images = [];
+    req.product.deletedAt = new Date();
+    req.product.updatedAt = new Date();
+    products.save(req.product);
+
+    await Promise.all(images.map(image => removeProductImage(imageStorage, image)));
+
+    res.json({ message: 'Product deleted successfully', id: req.product.id });
+
+  } catch (error) {
+    console.error('Product deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete product' });
+  }
+});
+
+// ==================== MARKET PRICE ROUTES ====================
+
+// Change log per listing, oldest first
+const getPriceChanges = (productId) => priceHistory
+  .filter(change => change.productId === productId)
+  .sort((a, b) => a.changedAt - b.changedAt);
+
+const getProductRegion = (product) => normalizeRegion(product.seller?.region);
+
+// Filters shared by the market endpoints. `commodity` beats `category`.
+const matchesMarket = (product, { commodity, category, region }) =>
+  (!commodity || getCommodity(product) === commodity) &&
+  (!category || product.category === category) &&
+  (!region || getProductRegion(product) === region);
+
+const marketFilterQuery = {
+  commodity: t.string({ sanitize: normalizeCommodity }),
+  category: t.string(),
+  region: t.string({ sanitize: normalizeRegion })
+};
+
+api.get('/api/products/:id/price-history', {
+  tags: ['Market prices'],
+  summary: 'Price changes of a listing, oldest first',
+  responses: { 200: t.ref('PriceHistory') },
+  errors: [404]
+}, (req, res) => {
+  try {
+    const product = products.findById(req.params.id);
+
+    if (!product || product.status === 'deleted') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const changes = getPriceChanges(product.id).map(({ pricePerKg, previousPrice, changedAt }) => ({ pricePerKg, previousPrice, changedAt }));
+
+    res.json({
+      productId: product.id,
+      currentPrice: product.pricePerKg,
+      commodity: getCommodity(product),
+      changes,
+      total: changes.length
+    });
+
+  } catch (error) {
+    console.error('Price history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// Current and daily historical price ranges per commodity (or category) and region
+api.get('/api/market/prices', {
+  tags: ['Market prices'],
+  summary: 'Current and daily price ranges per commodity and region',
+  query: t.object({ ...marketFilterQuery, days: t.integer({ min: 1, max: 180, default: 30 }) }),
+  responses: { 200: t.ref('MarketPrices') }
+}, (req, res) => {
+  try {
+    const { days } = req.query;
+    const windowStart = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const groups = new Map();
+    products.filter(p =>
+      matchesMarket(p, req.query) &&
+      (p.status !== 'deleted' || (p.deletedAt && p.deletedAt >= windowStart))
+    ).forEach(product => {
+      const commodity = getCommodity(product);
+      const region = getProductRegion(product);
+      const key = `${commodity || product.category}|${region}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { commodity, category: product.category, region, listings: [] });
+      }
+      groups.get(key).listings.push({ product, changes: getPriceChanges(product.id) });
+    });
+
+    const markets = [...groups.values()].map(({ listings, ...group }) => ({
+      ...group,
+      current: summarizePrices(listings.filter(({ product }) => product.status === 'active').map(({ product }) => product.pricePerKg)),
+      history: buildDailySeries(listings, days)
+    })).sort((a, b) => (b.current?.samples || 0) - (a.current?.samples || 0));
+
+    res.json({ markets, days, total: markets.length });
+
+  } catch (error) {
+    console.error('Market prices fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch market prices' });
+  }
+});
+
+const MIN_SUGGESTION_SAMPLES = 3;
+
+// Price range for a new listing, from what comparable listings sell for now.
+// Uses the seller's region when there is enough data there, otherwise nationwide.
+api.get('/api/market/suggested-price', {
+  tags: ['Market prices'],
+  summary: 'Suggested price range for a new listing',
+  query: t.object(marketFilterQuery),
+  responses: { 200: t.ref('SuggestedPrice') }
+}, optionalAuthentication, (req, res) => {
+  try {
+    const { commodity, category } = req.query;
+    if (!commodity && !category) {
+      return res.status(400).json({ error: 'Commodity or category is required' });
+    }
+
+    const userId = req.user?.userId;
+    const region = req.query.region || normalizeRegion(userId && findUserById(userId)?.userData.region);
+    const comparable = (regionFilter) => products
+      .filter(p => p.status === 'active' && p.sellerId !== userId && matchesMarket(p, { commodity, category, region: regionFilter }))
+      .map(p => p.pricePerKg);
+
+    let basis = 'region';
+    let prices = region ? comparable(region) : [];
+    if (prices.length < MIN_SUGGESTION_SAMPLES) {
+      basis = 'national';
+      prices = comparable(null);
+    }
+
+    const summary = summarizePrices(prices);
+    if (!summary) {
+      return res.json({ commodity: commodity || null, category: category || null, region, suggestion: null, message: 'Not enough market data for a suggestion' });
+    }
+
+    res.json({
+      commodity: commodity || null,
+      category: category || null,
+      region: basis === 'region' ? region : null,
+      basis,
+      suggestion: {
+        low: summary.p25,
+        high: summary.p75,
+        median: summary.median,
+        min: summary.min,
+        max: summary.max,
+        samples: summary.samples
+      }
+    });
+
+  } catch (error) {
+    console.error('Suggested price error:', error);
+    res.status(500).json({ error: 'Failed to suggest a price' });
+  }
+});
+
+api.post('/api/market/alerts', {
+  tags: ['Market prices'],
+  summary: 'Get notified when a commodity drops under a price',
+  body: t.object({
+    commodity: t.string({ trim: true, min: 1, sanitize: normalizeCommodity }),
+    maxPricePerKg: t.number({ min: 0.01 }),
+    region: t.string({ nullable: true, sanitize: normalizeRegion, description: 'Defaults to your region; null watches the whole country' })
+  }, { required: ['commodity', 'maxPricePerKg'] }),
+  responses: { 201: t.object({ message: t.string(), alert: t.ref('PriceAlert'), currentMatches: t.array(t.object()) }) },
+  errors: [404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (priceAlerts.count(a => a.userId === req.user.userId) >= MAX_PRICE_ALERTS) {
+      return res.status(409).json({ error: 'Price alert limit reached' });
+    }
+
+    const alert = {
+      id: generateId(),
+      userId: req.user.userId,
+      commodity: req.body.commodity,
+      maxPricePerKg: parseFloat(req.body.maxPricePerKg),
+      // Defaults to the buyer's own region; pass null to watch the whole country
+      region: req.body.region !== undefined ? req.body.region : normalizeRegion(user.userData.region),
+      triggers: [],
+      lastTriggeredAt: null,
+      createdAt: new Date()
+    };
+    priceAlerts.insert(alert);
+
+    res.status(201).json({
+      message: 'Price alert created',
+      alert,
+      // Listings that are already below the threshold
+      currentMatches: products.filter(p => alertMatches(alert, p)).map(p => ({ productId: p.id, title: p.title, pricePerKg: p.pricePerKg }))
+    });
+
+  } catch (error) {
+    console.error('Price alert creation error:', error);
+    res.status(500).json({ error: 'Failed to create price alert' });
+  }
+});
+
+api.get('/api/market/alerts', {
+  tags: ['Market prices'],
+  summary: 'List my price alerts',
+  responses: { 200: t.object({ alerts: t.array(t.ref('PriceAlert')), total: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const myAlerts = priceAlerts
+      .filter(a => a.userId === req.user.userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({ alerts: myAlerts, total: myAlerts.length });
+
+  } catch (error) {
+    console.error('Price alerts fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch price alerts' });
+  }
+});
+
+api.delete('/api/market/alerts/:id', {
+  tags: ['Market prices'],
+  summary: 'Delete a price alert',
+  responses: { 200: t.ref('Deleted') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const alert = priceAlerts.findById(req.params.id);
+
+    if (!alert || alert.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Price alert not found' });
+    }
+
+    priceAlerts.remove(alert.id);
+    res.json({ message: 'Price alert deleted', id: alert.id });
+
+  } catch (error) {
+    console.error('Price alert deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete price alert' });
+  }
+});
+
+// ==================== PRODUCT IMAGE ROUTES ====================
+
+const MAX_IMAGES_PER_PRODUCT = 8;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024,
+    files: MAX_IMAGES_PER_PRODUCT
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return callback(Object.assign(new Error('Only JPEG, PNG and WebP images are allowed'), { status: 415 }));
+    }
+    callback(null, true);
+  }
+});
+
+// Runs multer and turns its errors into JSON responses
+const uploadProductImages = (req, res, next) => {
+  imageUpload.array('images', MAX_IMAGES_PER_PRODUCT)(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    res.status(error.status || 400).json({ error: error.message });
+  });
+};
+
+api.post('/api/products/:id/images', {
+  tags: ['Products'],
+  summary: 'Upload listing photos',
+  description: `JPEG, PNG or WebP, at most ${MAX_IMAGES_PER_PRODUCT} per listing. Each photo is resized and stored in several sizes.`,
+  upload: t.object({ images: t.array(t.string({ format: 'binary' }), { max: MAX_IMAGES_PER_PRODUCT }) }, { required: ['images'] }),
+  responses: { 201: t.object({ message: t.string(), images: t.array(t.ref('ProductImage')), product: t.ref('Product') }) },
+  errors: [400, 403, 404, 413, 415]
+}, authenticateToken, requireProductOwner, uploadProductImages, async (req, res) => {
+  const uploaded = [];
+
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Upload at least one image in the "images" field' });
+    }
+    if (req.product.images.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+      return res.status(400).json({ error: `A listing can have at most ${MAX_IMAGES_PER_PRODUCT} images` });
+    }
+
+    for (const file of files) {
+      uploaded.push(await processProductImage(imageStorage, req.product.id, file.buffer));
+    }
+
+    req.product.images.push(...uploaded);
+    req.product.updatedAt = new Date();
+    products.save(req.product);
+
+    res.status(201).json({
+      message: 'Images uploaded successfully',
+      images: uploaded,
+      product: withFreshness(req.product)
+    });
+
+  } catch (error) {
+    // Don't leave files from a half-processed batch behind
+    await Promise.all(uploaded.map(image => removeProductImage(imageStorage, image)));
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Image upload error:', error);
+    res.status(500).json({ error: 'Failed to upload images' });
+  }
+});
+
+api.delete('/api/products/:id/images/:imageId', {
+  tags: ['Products'],
+  summary: 'Remove a listing photo',
+  responses: { 200: t.object({ message: t.string(), images: t.array(t.ref('ProductImage')) }) },
+  errors: [403, 404]
+}, authenticateToken, requireProductOwner, async (req, res) => {
+  try {
+    const image = req.product.images.find(img => img.id === req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    req.product.images = req.product.images.filter(img => img.id !== image.id);
+    req.product.updatedAt = new Date();
+    products.save(req.product);
+
+    await removeProductImage(imageStorage, image);
+
+    res.json({ message: 'Image removed successfully', images: req.product.images });
+
+  } catch (error) {
+    console.error('Image deletion error:', error);
+    res.status(500).json({ error: 'Failed to remove image' });
+  }
+});
+
+// ==================== ORDER ROUTES ====================
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'packed', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next statuses and who may move an order there
+const ORDER_TRANSITIONS = {
+  pending: { confirmed: ['seller'], cancelled: ['buyer', 'seller'] },
+  confirmed: { packed: ['seller'], cancelled: ['buyer', 'seller'] },
+  packed: { shipped: ['seller'], cancelled: ['seller'] },
+  shipped: { delivered: ['seller', 'buyer'] },
+  delivered: {},
+  cancelled: {}
+};
+
+const getOrderRole = (order, userId) => {
+  if (order.buyerId === userId) return 'buyer';
+  if (order.sellerId === userId) return 'seller';
+  return null;
+};
+
+const allocationsTotal = (allocations) =>
+  roundMoney(allocations.reduce((sum, allocation) => sum + allocation.quantityKg * allocation.pricePerKg, 0));
+
+// What `quantity` kg of a listing costs right now, batch by batch, so only
+// kilos out of a discounted batch get its discount. At the listing's price
+// when there isn't that much in stock.
+const quoteSubtotal = (product, quantity, now = new Date()) => {
+  const allocations = allocate(product.batches, quantity, now);
+  return allocations
+    ? allocationsTotal(priceAllocations(allocations, product.pricePerKg, product.discount))
+    : roundMoney(product.pricePerKg * quantity);
+};
+
+// Checks and draws down stock, oldest harvest batch first, for every line in
+// one synchronous pass, so no other request can interleave between the check
+// and the write. Each line keeps the batches it came out of (`line.batches`),
+// each with the price its kilos sold at, which a discount ending right after
+// can't change.
+const reserveStock = (lines) => {
+  const now = new Date();
+  // Discounts that started or ended since the last sweep
+  lines.forEach(line => {
+    if (refreshInventory(line.product, now)) products.save(line.product);
+  });
+  for (const line of lines) {
+    line.batches = allocate(line.product.batches, line.quantity, now);
+    if (!line.batches) {
+      return `Only ${countStock(line.product.batches, now)} kg of "${line.product.title}" left in stock`;
+    }
+  }
+
+  lines.forEach(line => {
+    line.pricePerKg = line.product.pricePerKg;
+    line.batches = priceAllocations(line.batches, line.product.pricePerKg, line.product.discount);
+    line.subtotal = allocationsTotal(line.batches);
+    takeFromBatches(line.product.batches, line.batches);
+    refreshInventory(line.product, now);
+    line.product.updatedAt = now;
+    products.save(line.product);
+  });
+  return null;
+};
+
+// Cancelled orders put their kilos back into the batches they came from
+const releaseStock = (order) => {
+  const now = new Date();
+  order.items.forEach(item => {
+    const product = products.findById(item.productId);
+    if (product) {
+      returnToBatches(product.batches, item.batches || [], now);
+      refreshInventory(product, now);
+      product.updatedAt = now;
+      products.save(product);
+    }
+  });
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Builds and stores a pending order from lines whose stock is already reserved.
+// `delivery` comes from a shipping quote; its fee is added to the total.
+const createOrder = (buyerId, lines, { deliveryAddress = '', notes = '', checkoutId = null, delivery = null } = {}) => {
+  const orderItems = lines.map(line => ({
+    productId: line.product.id,
+    title: line.product.title,
+    pricePerKg: line.pricePerKg,
+    quantity: line.quantity,
+    subtotal: line.subtotal,
+    batches: line.batches
+  }));
+
+  const subtotal = roundMoney(orderItems.reduce((sum, item) => sum + item.subtotal, 0));
+  const shippingFee = delivery ? delivery.fee : 0;
+
+  const now = new Date();
+  const newOrder = {
+    id: generateId(),
+    buyerId,
+    sellerId: lines[0].product.sellerId,
+    checkoutId,
+    items: orderItems,
+    subtotal,
+    shippingFee,
+    total: roundMoney(subtotal + shippingFee),
+    status: 'pending',
+    paymentStatus: 'unpaid',
+    paymentMethod: null,
+    paymentId: null,
+    statusHistory: [{ status: 'pending', changedBy: buyerId, changedAt: now }],
+    delivery,
+    deliveryAddress,
+    notes,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  orders.insert(newOrder);
+
+  const buyer = findUserById(buyerId);
+  notify(newOrder.sellerId, 'order.created', {
+    buyer: buyer ? buyer.userData.fullName : 'A buyer',
+    items: orderItems.map(item => `${item.title} (${item.quantity} kg)`).join(', '),
+    total: newOrder.total
+  }, { orderId: newOrder.id });
+
+  return newOrder;
+};
+
+// Listing ids are strings, but older clients send the numeric form
+const productIdField = () => ({ type: ['string', 'integer'], minLength: 1, 'x-message': 'Product ID is required' });
+
+const quantityField = () => t.integer({ min: 1, message: 'Quantity must be at least 1 kg' });
+
+const orderItemsField = (options = {}) => t.array(t.object({
+  productId: productIdField(),
+  quantity: quantityField()
+}, { required: ['productId', 'quantity'] }), { min: 1, message: 'At least one item is required', ...options });
+
+api.post('/api/orders', {
+  tags: ['Orders'],
+  summary: 'Order from one seller',
+  description: 'Pass a `shippingQuoteId` from POST /api/shipping/quote together with the chosen `deliveryMethod` to add delivery.',
+  body: t.object({
+    items: orderItemsField(),
+    deliveryAddress: t.string(),
+    notes: t.string(),
+    shippingQuoteId: t.string(),
+    deliveryMethod: t.enum(Object.keys(DELIVERY_METHODS), { message: 'Invalid delivery method' })
+  }, { required: ['items'], dependentRequired: { shippingQuoteId: ['deliveryMethod'] } }),
+  responses: { 201: t.object({ message: t.string(), order: t.ref('Order') }) },
+  errors: [404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const { items, deliveryAddress = '', notes = '', shippingQuoteId, deliveryMethod } = req.body;
+    const buyerId = req.user.userId;
+
+    const lines = [];
+    for (const item of items) {
+      const product = products.findById(String(item.productId));
+      if (!product || product.status === 'deleted') {
+        return res.status(404).json({ error: `Product ${item.productId} not found` });
+      }
+      if (product.status !== 'active') {
+        return res.status(409).json({ error: `"${product.title}" is not currently available` });
+      }
+      if (product.sellerId === buyerId) {
+        return res.status(400).json({ error: 'You cannot order your own product' });
+      }
+      const existing = lines.find(line => line.product.id === product.id);
+      if (existing) {
+        existing.quantity += parseInt(item.quantity);
+      } else {
+        lines.push({ product, quantity: parseInt(item.quantity) });
+      }
+    }
+
+    const sellerId = lines[0].product.sellerId;
+    if (lines.some(line => line.product.sellerId !== sellerId)) {
+      return res.status(400).json({ error: 'All items in an order must come from the same seller' });
+    }
+
+    let delivery = null;
+    if (shippingQuoteId) {
+      const selection = selectDelivery(shippingQuoteId, buyerId, lines, deliveryMethod);
+      if (selection.error) {
+        return res.status(selection.status).json({ error: selection.error });
+      }
+      delivery = selection.delivery;
+    }
+
+    const stockError = reserveStock(lines);
+    if (stockError) {
+      return res.status(409).json({ error: stockError });
+    }
+
+    const newOrder = createOrder(buyerId, lines, { deliveryAddress, notes, delivery });
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order: newOrder
+    });
+
+  } catch (error) {
+    console.error('Order creation error:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
+
+api.get('/api/orders', {
+  tags: ['Orders'],
+  summary: 'List orders I placed or received',
+  query: t.object({ role: t.enum(['buyer', 'seller']), status: t.enum(ORDER_STATUSES) }),
+  responses: { 200: t.object({ orders: t.array(t.ref('Order')), total: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const { role, status } = req.query;
+    const userId = req.user.userId;
+
+    let userOrders = orders.filter(order => {
+      if (role === 'buyer') return order.buyerId === userId;
+      if (role === 'seller') return order.sellerId === userId;
+      return order.buyerId === userId || order.sellerId === userId;
+    });
+
+    if (status) {
+      userOrders = userOrders.filter(order => order.status === status);
+    }
+
+    res.json({
+      orders: [...userOrders].sort((a, b) => b.createdAt - a.createdAt),
+      total: userOrders.length
+    });
+
+  } catch (error) {
+    console.error('Orders fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+api.get('/api/orders/:id', {
+  tags: ['Orders'],
+  summary: 'Get an order I am the buyer or seller of',
+  responses: { 200: t.ref('Order') },
+  errors: [403, 404]
+}, authenticateToken, (req, res) => {
+  try {
+    const order = orders.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!getOrderRole(order, req.user.userId)) {
+      return res.status(403).json({ error: 'Not authorized to view this order' });
+    }
+
+    res.json(order);
+
+  } catch (error) {
+    console.error('Order fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+api.patch('/api/orders/:id/status', {
+  tags: ['Orders'],
+  summary: 'Move an order to its next status',
+  body: t.object({
+    status: t.enum(ORDER_STATUSES, { message: 'Invalid order status' }),
+    reason: t.string()
+  }, { required: ['status'] }),
+  responses: { 200: t.object({ message: t.string(), order: t.ref('Order') }) },
+  errors: [403, 404, 409, 502]
+}, authenticateToken, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const order = orders.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const role = getOrderRole(order, req.user.userId);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized to update this order' });
+    }
+
+    const allowedRoles = ORDER_TRANSITIONS[order.status][status];
+    if (!allowedRoles) {
+      return res.status(409).json({ error: `Cannot change order from ${order.status} to ${status}` });
+    }
+    if (!allowedRoles.includes(role)) {
+      return res.status(403).json({ error: `Only the ${allowedRoles.join(' or ')} can mark this order ${status}` });
+    }
+
+    // E-wallet orders only leave the farm once the money is in
+    const paidOnline = order.paymentMethod && order.paymentMethod !== 'cod';
+    if (paidOnline && (status === 'packed' || status === 'shipped') && order.paymentStatus !== 'paid') {
+      return res.status(409).json({ error: 'Order has not been paid yet' });
+    }
+
+    if (status === 'cancelled') {
+      releaseStock(order);
+    }
+
+    const now = new Date();
+    order.status = status;
+    order.statusHistory.push({ status, changedBy: req.user.userId, changedAt: now, ...(reason && { reason }) });
+    order.updatedAt = now;
+    orders.save(order);
+
+    let refundFailed = false;
+    if (status === 'cancelled') {
+      // The cancellation stands either way; a failed refund is retried later
+      await onOrderCancelled(order, req.user.userId).catch(error => {
+        console.error('Cancellation refund error:', error);
+        refundFailed = true;
+      });
+    } else if (status === 'delivered') {
+      await onOrderDelivered(order);
+    }
+
+    notify(role === 'buyer' ? order.sellerId : order.buyerId, 'order.status', { orderId: order.id, status }, {
+      orderId: order.id,
+      status,
+      ...(reason && { reason })
+    });
+
+    if (refundFailed) {
+      return res.status(502).json({ error: 'Order cancelled, but the refund failed at the payment provider. It will be retried.', order });
+    }
+
+    res.json({
+      message: `Order ${status}`,
+      order
+    });
+
+  } catch (error) {
+    console.error('Order status update error:', error);
+    res.status(500).json({ error: 'Failed to update order status' });
+  }
+});
+
+// ==================== CART ROUTES ====================
+
+const MAX_CART_ITEMS = 50;
+
+// One cart per user, keyed by the user's id
+const getCart = (userId) => {
+  let cart = carts.findById(userId);
+  if (!cart) {
+    cart = { id: userId, items: [], createdAt: new Date(), updatedAt: new Date() };
+    carts.insert(cart);
+  }
+  return cart;
+};
+
+// Warnings that stop checkout until the buyer changes the cart
+const BLOCKING_WARNINGS = ['unavailable', 'out_of_stock', 'insufficient_stock'];
+
+// Re-reads every item against the live listing and groups the cart by seller.
+// Each item carries warnings for anything that changed since it was added.
+const buildCartView = (cart, t) => {
+  const sellers = new Map();
+
+  const items = cart.items.map(item => {
+    const product = products.findById(item.productId);
+    const warnings = [];
+    const warn = (code, message, params = {}) => warnings.push({ code, message: t(message, params), ...params });
+
+    // Batches may have expired, or a discount started, since the last sweep
+    if (product) refreshListing(product);
+
+    if (!product || product.status !== 'active') {
+      warn('unavailable', 'This listing is no longer available');
+    } else if (product.stock === 0) {
+      warn('out_of_stock', 'Out of stock');
+    } else if (product.stock < item.quantity) {
+      warn('insufficient_stock', 'Only {available} kg left in stock', { available: product.stock });
+    }
+    if (product && product.pricePerKg !== item.pricePerKg) {
+      warn('price_changed', 'Price changed from ₱{from} to ₱{to} per kg', { from: item.pricePerKg, to: product.pricePerKg });
+    }
+
+    const line = {
+      productId: item.productId,
+      title: product ? product.title : item.title,
+      sellerId: item.sellerId,
+      image: product?.images?.[0]?.variants?.thumbnail || null,
+      quantity: item.quantity,
+      pricePerKg: product ? product.pricePerKg : item.pricePerKg,
+      addedPricePerKg: item.pricePerKg,
+      subtotal: product ? quoteSubtotal(product, item.quantity) : roundMoney(item.pricePerKg * item.quantity),
+      available: !warnings.some(w => BLOCKING_WARNINGS.includes(w.code)),
+      warnings
+    };
+
+    if (!sellers.has(item.sellerId)) {
+      sellers.set(item.sellerId, {
+        sellerId: item.sellerId,
+        seller: product?.seller || null,
+        items: [],
+        subtotal: 0
+      });
+    }
+    const group = sellers.get(item.sellerId);
+    group.items.push(line);
+    if (line.available) group.subtotal = roundMoney(group.subtotal + line.subtotal);
+    if (!group.seller && product) group.seller = product.seller;
+
+    return line;
+  });
+
+  const warnings = items.flatMap(line => line.warnings.map(w => ({ productId: line.productId, ...w })));
+
+  return {
+    sellers: [...sellers.values()],
+    itemCount: items.length,
+    total: roundMoney(items.filter(line => line.available).reduce((sum, line) => sum + line.subtotal, 0)),
+    warnings,
+    canCheckout: items.length > 0 && items.every(line => line.available),
+    updatedAt: cart.updatedAt
+  };
+};
+
+// Loads an active listing the caller may buy, or answers with an error
+const findPurchasableProduct = (req, res, productId) => {
+  const product = products.findById(String(productId));
+  if (!product || product.status !== 'active') {
+    res.status(404).json({ error: 'Product not found' });
+    return null;
+  }
+  if (product.sellerId === req.user.userId) {
+    res.status(400).json({ error: 'You cannot order your own product' });
+    return null;
+  }
+  return product;
+};
+
+api.get('/api/cart', {
+  tags: ['Cart'],
+  summary: 'Get my cart, checked against the live listings',
+  responses: { 200: t.ref('Cart') }
+}, authenticateToken, (req, res) => {
+  try {
+    res.json(buildCartView(getCart(req.user.userId), req.t));
+  } catch (error) {
+    console.error('Cart fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch cart' });
+  }
+});
+
+// Adds kilos of a listing; adding the same listing again increases the quantity
+api.post('/api/cart/items', {
+  tags: ['Cart'],
+  summary: 'Add kilos of a listing to my cart',
+  body: t.object({ productId: productIdField(), quantity: quantityField() }, { required: ['productId', 'quantity'] }),
+  responses: { 201: t.ref('CartChange') },
+  errors: [404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const product = findPurchasableProduct(req, res, req.body.productId);
+    if (!product) return;
+
+    const cart = getCart(req.user.userId);
+    const existing = cart.items.find(item => item.productId === product.id);
+    const quantity = parseInt(req.body.quantity) + (existing ? existing.quantity : 0);
+
+    if (quantity > product.stock) {
+      return res.status(409).json({ error: `Only ${product.stock} kg of "${product.title}" left in stock` });
+    }
+    if (!existing && cart.items.length >= MAX_CART_ITEMS) {
+      return res.status(409).json({ error: 'Your cart is full' });
+    }
+
+    const now = new Date();
+    if (existing) {
+      existing.quantity = quantity;
+      existing.pricePerKg = product.pricePerKg;
+      existing.updatedAt = now;
+    } else {
+      cart.items.push({
+        productId: product.id,
+        sellerId: product.sellerId,
+        title: product.title,
+        quantity,
+        pricePerKg: product.pricePerKg,
+        addedAt: now,
+        updatedAt: now
+      });
+    }
+    cart.updatedAt = now;
+    carts.save(cart);
+
+    res.status(201).json({ message: 'Added to cart', cart: buildCartView(cart, req.t) });
+
+  } catch (error) {
+    console.error('Cart add error:', error);
+    res.status(500).json({ error: 'Failed to add to cart' });
+  }
+});
+
+// Setting a quantity also accepts the listing's current price
+api.put('/api/cart/items/:productId', {
+  tags: ['Cart'],
+  summary: 'Set the quantity of a cart item',
+  body: t.object({ quantity: quantityField() }, { required: ['quantity'] }),
+  responses: { 200: t.ref('CartChange') },
+  errors: [404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const cart = getCart(req.user.userId);
+    const item = cart.items.find(i => i.productId === req.params.productId);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not in cart' });
+    }
+
+    const product = findPurchasableProduct(req, res, item.productId);
+    if (!product) return;
+
+    const quantity = parseInt(req.body.quantity);
+    if (quantity > product.stock) {
+      return res.status(409).json({ error: `Only ${product.stock} kg of "${product.title}" left in stock` });
+    }
+
+    item.quantity = quantity;
+    item.pricePerKg = product.pricePerKg;
+    item.updatedAt = new Date();
+    cart.updatedAt = item.updatedAt;
+    carts.save(cart);
+
+    res.json({ message: 'Cart updated', cart: buildCartView(cart, req.t) });
+
+  } catch (error) {
+    console.error('Cart update error:', error);
+    res.status(500).json({ error: 'Failed to update cart' });
+  }
+});
+
+api.delete('/api/cart/items/:productId', {
+  tags: ['Cart'],
+  summary: 'Remove an item from my cart',
+  responses: { 200: t.ref('CartChange') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const cart = getCart(req.user.userId);
+    const remaining = cart.items.filter(item => item.productId !== req.params.productId);
+    if (remaining.length === cart.items.length) {
+      return res.status(404).json({ error: 'Item not in cart' });
+    }
+
+    cart.items = remaining;
+    cart.updatedAt = new Date();
+    carts.save(cart);
+
+    res.json({ message: 'Removed from cart', cart: buildCartView(cart, req.t) });
+
+  } catch (error) {
+    console.error('Cart remove error:', error);
+    res.status(500).json({ error: 'Failed to remove from cart' });
+  }
+});
+
+api.delete('/api/cart', {
+  tags: ['Cart'],
+  summary: 'Empty my cart',
+  responses: { 200: t.ref('CartChange') }
+}, authenticateToken, (req, res) => {
+  try {
+    const cart = getCart(req.user.userId);
+    cart.items = [];
+    cart.updatedAt = new Date();
+    carts.save(cart);
+
+    res.json({ message: 'Cart cleared', cart: buildCartView(cart, req.t) });
+
+  } catch (error) {
+    console.error('Cart clear error:', error);
+    res.status(500).json({ error: 'Failed to clear cart' });
+  }
+});
+
+// Places one order per seller. Refuses while any item is unavailable, and
+// until the buyer accepts prices that changed since the items were added.
+api.post('/api/cart/checkout', {
+  tags: ['Cart'],
+  summary: 'Place one order per seller from my cart',
+  body: t.object({
+    deliveryAddress: t.string(),
+    notes: t.string(),
+    acceptPriceChanges: t.boolean(),
+    shippingQuoteId: t.string(),
+    deliveryMethods: t.object({}, {
+      values: t.string(),
+      message: 'deliveryMethods must map each seller to a delivery method',
+      description: 'Seller id to delivery method'
+    })
+  }, { dependentRequired: { shippingQuoteId: ['deliveryMethods'] } }),
+  responses: {
+    201: t.object({ message: t.string(), checkoutId: t.string(), orders: t.array(t.ref('Order')), total: t.number() }),
+    409: t.object({ error: t.string(), code: t.string(), cart: t.ref('Cart') })
+  },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const { deliveryAddress = '', notes = '', shippingQuoteId, deliveryMethods = {} } = req.body;
+    const buyerId = req.user.userId;
+    const cart = getCart(buyerId);
+    const view = buildCartView(cart, req.t);
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+    if (!view.canCheckout) {
+      return res.status(409).json({ error: 'Some items in your cart are no longer available', cart: view });
+    }
+    if (!req.body.acceptPriceChanges && view.warnings.some(w => w.code === 'price_changed')) {
+      return res.status(409).json({ error: 'Prices changed since you added these items', cart: view });
+    }
+
+    const lines = cart.items.map(item => ({ product: products.findById(item.productId), quantity: item.quantity }));
+    const sellerIds = [...new Set(lines.map(line => line.product.sellerId))];
+
+    // A quote covers the whole cart; the buyer picks one method per seller
+    const deliveries = new Map();
+    if (shippingQuoteId) {
+      for (const sellerId of sellerIds) {
+        if (!deliveryMethods[sellerId]) {
+          return res.status(400).json({ error: 'Choose a delivery method for every seller' });
+        }
+        const sellerLines = lines.filter(line => line.product.sellerId === sellerId);
+        const selection = selectDelivery(shippingQuoteId, buyerId, sellerLines, deliveryMethods[sellerId]);
+        if (selection.error) {
+          return res.status(selection.status).json({ error: selection.error });
+        }
+        deliveries.set(sellerId, selection.delivery);
+      }
+    }
+
+    // All sellers' stock in one pass: either every order is placed or none
+    const stockError = reserveStock(lines);
+    if (stockError) {
+      return res.status(409).json({ error: stockError, cart: view });
+    }
+
+    const checkoutId = generateId();
+    const placedOrders = sellerIds.map(sellerId => createOrder(
+      buyerId,
+      lines.filter(line => line.product.sellerId === sellerId),
+      { deliveryAddress, notes, checkoutId, delivery: deliveries.get(sellerId) || null }
+    ));
+
+    cart.items = [];
+    cart.updatedAt = new Date();
+    carts.save(cart);
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      checkoutId,
+      orders: placedOrders,
+      total: roundMoney(placedOrders.reduce((sum, order) => sum + order.total, 0))
+    });
+
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ error: 'Failed to check out' });
+  }
+});
+
+// ==================== SHIPPING ROUTES ====================
+
+const SHIPPING_QUOTE_TTL_MINUTES = 30;
+
+// Where the buyer wants things delivered: explicit coordinates, then a named
+// region, then the region on their profile
+const resolveDestination = (body, userData) => {
+  if (body.location) {
+    return { lat: parseFloat(body.location.lat), lng: parseFloat(body.location.lng), source: 'location' };
+  }
+  const region = body.region || userData.region;
+  const coordinates = getRegionCoordinates(region);
+  return coordinates ? { ...coordinates, region, source: body.region ? 'region' : 'profile' } : null;
+};
+
+// One shipment per seller, each with the delivery options its listings allow
+const buildShipments = (lines, destination) => {
+  const sellerIds = [...new Set(lines.map(line => line.product.sellerId))];
+
+  return sellerIds.map(sellerId => {
+    const sellerLines = lines.filter(line => line.product.sellerId === sellerId);
+    const listings = sellerLines.map(({ product }) => ({
+      product,
+      distanceKm: destination && hasLocation(product.location)
+        ? Math.round(distanceKm(product.location, destination) * 10) / 10
+        : null
+    }));
+    const weightKg = sellerLines.reduce((sum, line) => sum + line.quantity, 0);
+    const subtotal = roundMoney(sellerLines.reduce((sum, line) => sum + quoteSubtotal(line.product, line.quantity), 0));
+    const distances = listings.map(listing => listing.distanceKm).filter(distance => distance !== null);
+
+    return {
+      sellerId,
+      seller: sellerLines[0].product.seller,
+      origin: sellerLines[0].product.location,
+      items: sellerLines.map(line => ({ productId: line.product.id, title: line.product.title, quantity: line.quantity })),
+      distanceKm: distances.length ? Math.max(...distances) : null,
+      weightKg,
+      subtotal,
+      options: quoteShipment(listings, { weightKg, subtotal })
+    };
+  });
+};
+
+// Quotes are stored in English; labels and reasons are translated on the way out
+const localizeShipments = (shipments, t) => shipments.map(shipment => ({
+  ...shipment,
+  options: shipment.options.map(({ reasonParams, ...option }) => ({
+    ...option,
+    label: t(option.label),
+    ...(option.reason && { reason: t(option.reason, reasonParams) })
+  }))
+}));
+
+const sameItems = (shipment, lines) => {
+  const key = (items) => items.map(item => `${item.productId}:${item.quantity}`).sort().join(',');
+  return key(shipment.items) === key(lines.map(line => ({ productId: line.product.id, quantity: line.quantity })));
+};
+
+// Turns the buyer's pick from a stored quote into the order's delivery
+// details. Returns { delivery } or { status, error }.
+const selectDelivery = (quoteId, buyerId, lines, method) => {
+  const quote = shippingQuotes.findById(quoteId);
+  if (!quote || quote.userId !== buyerId) {
+    return { status: 404, error: 'Shipping quote not found' };
+  }
+  if (quote.expiresAt < new Date()) {
+    return { status: 409, error: 'Shipping quote has expired' };
+  }
+
+  const shipment = quote.shipments.find(s => s.sellerId === lines[0].product.sellerId);
+  if (!shipment || !sameItems(shipment, lines)) {
+    return { status: 409, error: 'Shipping quote does not match the order items' };
+  }
+  const option = shipment.options.find(o => o.method === method);
+  if (!option || !option.available) {
+    return { status: 400, error: 'Delivery method not available for this order' };
+  }
+
+  return {
+    delivery: {
+      method: option.method,
+      label: option.label,
+      fee: option.fee,
+      estimatedDays: option.estimatedDays,
+      distanceKm: shipment.distanceKm,
+      weightKg: shipment.weightKg,
+      destination: quote.destination,
+      ...(method === 'pickup' && { pickupLocation: shipment.origin, instructions: option.instructions || null }),
+      quoteId: quote.id
+    }
+  };
+};
+
+// Quotes delivery for one product, a list of items or (by default) the caller's cart.
+// The returned quoteId is what orders and checkout accept to lock in a fee.
+api.post('/api/shipping/quote', {
+  tags: ['Shipping'],
+  summary: 'Quote delivery for a listing, a list of items or my cart',
+  description: 'Delivers to `location` or `region` when given, otherwise to the caller\'s saved location.',
+  body: t.object({
+    productId: t.string(),
+    quantity: t.integer({ min: 1 }),
+    items: orderItemsField({ max: MAX_CART_ITEMS }),
+    location: t.ref('Coordinates'),
+    region: t.string()
+  }),
+  responses: { 201: t.ref('ShippingQuote') },
+  errors: [404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    let requested;
+    if (req.body.productId) {
+      requested = [{ productId: req.body.productId, quantity: req.body.quantity || 1 }];
+    } else if (req.body.items) {
+      requested = req.body.items;
+    } else {
+      requested = getCart(req.user.userId).items;
+      if (requested.length === 0) {
+        return res.status(400).json({ error: 'Your cart is empty' });
+      }
+    }
+
+    const lines = [];
+    for (const item of requested) {
+      const product = products.findById(String(item.productId));
+      if (!product || product.status === 'deleted') {
+        return res.status(404).json({ error: `Product ${item.productId} not found` });
+      }
+      if (product.status !== 'active') {
+        return res.status(409).json({ error: `"${product.title}" is not currently available` });
+      }
+      if (product.sellerId === req.user.userId) {
+        return res.status(400).json({ error: 'You cannot order your own product' });
+      }
+      const existing = lines.find(line => line.product.id === product.id);
+      if (existing) {
+        existing.quantity += parseInt(item.quantity);
+      } else {
+        lines.push({ product, quantity: parseInt(item.quantity) });
+      }
+    }
+
+    const destination = resolveDestination(req.body, user.userData);
+    const now = new Date();
+
+    shippingQuotes.filter(quote => quote.userId === req.user.userId && quote.expiresAt < now)
+      .forEach(quote => shippingQuotes.remove(quote.id));
+
+    const quote = shippingQuotes.insert({
+      id: generateId(),
+      userId: req.user.userId,
+      destination,
+      shipments: buildShipments(lines, destination),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + SHIPPING_QUOTE_TTL_MINUTES * 60 * 1000)
+    });
+
+    res.status(201).json({
+      quoteId: quote.id,
+      expiresAt: quote.expiresAt,
+      destination,
+      shipments: localizeShipments(quote.shipments, req.t),
+      ...(!destination && { warning: req.t('Set a delivery location to see delivery fees') })
+    });
+
+  } catch (error) {
+    console.error('Shipping quote error:', error);
+    res.status(500).json({ error: 'Failed to quote shipping' });
+  }
+});
+
+// ==================== PAYMENT ROUTES ====================
+
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+const PLATFORM_FEE_PERCENT = parseFloat(process.env.PLATFORM_FEE_PERCENT) || 0;
+
+// Cash on delivery plus GCash/Maya through a gateway adapter (see payments.js)
+const paymentProviders = createPaymentProviders({ mockGatewayUrl: `${PUBLIC_BASE_URL}/mock-gateway` });
+
+if (paymentProviders.usesMockGateway) {
+  app.use('/mock-gateway', createMockGateway({ ...getGatewayCredentials(), publicUrl: `${PUBLIC_BASE_URL}/mock-gateway` }));
+}
+
+// Payments that still count against an order; a failed or cancelled one can be retried
+const ACTIVE_PAYMENT_STATUSES = ['pending', 'requires_action', 'succeeded', 'partially_refunded'];
+
+// Once an order is on its way, whatever is still owed is paid in cash on delivery
+const PAYABLE_ORDER_STATUSES = ['pending', 'confirmed', 'packed'];
+
+const isAwaitingPayment = (payment) => payment.status === 'pending' || payment.status === 'requires_action';
+
+// Cancelled here first, so a webhook racing the gateway call finds it
+// cancelled and refunds it. Then voided at the gateway so the buyer can no
+// longer pay; if that fails, a capture that still comes in is refunded too.
+const cancelPayment = async (payment) => {
+  payment.status = 'cancelled';
+  payment.cancelledAt = new Date();
+  payment.updatedAt = new Date();
+  payments.save(payment);
+
+  try {
+    await paymentProviders.get(payment.method).cancel({ payment });
+  } catch (error) {
+    console.warn(`Could not void payment ${payment.id} at ${payment.method}: ${error.message}`);
+  }
+};
+
+const getOrderPayment = (order) => (order.paymentId ? payments.findById(order.paymentId) : null);
+
+const setOrderPaymentStatus = (order, paymentStatus) => {
+  order.paymentStatus = paymentStatus;
+  order.updatedAt = new Date();
+  orders.save(order);
+};
+
+// Seller payout ledger. Amounts are what the platform owes the seller
+// (negative when the seller owes the platform); entries become available
+// for payout once their order is delivered.
+const addLedgerEntry = (order, payment, type, amount, available = false) => {
+  return ledger.insert({
+    id: generateId(),
+    sellerId: order.sellerId,
+    orderId: order.id,
+    paymentId: payment.id,
+    type,
+    amount: roundMoney(amount),
+    currency: payment.currency,
+    availableAt: available ? new Date() : null,
+    payoutId: null,
+    createdAt: new Date()
+  });
+};
+
+const summarizeLedger = (entries) => {
+  const sum = (list) => roundMoney(list.reduce((total, entry) => total + entry.amount, 0));
+  return {
+    pending: sum(entries.filter(entry => !entry.availableAt)),
+    available: sum(entries.filter(entry => entry.availableAt && !entry.payoutId)),
+    paidOut: -sum(entries.filter(entry => entry.type === 'payout'))
+  };
+};
+
+const recordSale = (payment, order) => {
+  const available = order.status === 'delivered';
+  addLedgerEntry(order, payment, 'sale', payment.amount, available);
+  if (PLATFORM_FEE_PERCENT > 0) {
+    addLedgerEntry(order, payment, 'fee', -payment.amount * PLATFORM_FEE_PERCENT / 100, available);
+  }
+  // With cash on delivery the seller is already holding the money
+  if (payment.method === 'cod') {
+    addLedgerEntry(order, payment, 'cash_collected', -payment.amount, available);
+  }
+};
+
+// Payments whose refund is with the gateway right now. A second refund
+// started meanwhile would see the same amount still owed and pay it twice.
+const refundsInProgress = new Set();
+
+const refundPayment = async (payment, amount, reason, requestedBy) => {
+  if (refundsInProgress.has(payment.id)) {
+    throw new Error(`A refund of payment ${payment.id} is already in progress`);
+  }
+  const order = orders.findById(payment.orderId);
+  let result;
+  refundsInProgress.add(payment.id);
+  try {
+    result = await paymentProviders.get(payment.method).refund({ payment, amount, reason });
+  } finally {
+    refundsInProgress.delete(payment.id);
+  }
+
+  const refund = {
+    id: generateId(),
+    amount: roundMoney(amount),
+    reason,
+    status: result.status,
+    providerReference: result.providerReference,
+    requestedBy,
+    createdAt: new Date()
+  };
+  payment.refunds.push(refund);
+  payment.amountRefunded = roundMoney(payment.amountRefunded + amount);
+  payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+  payment.updatedAt = new Date();
+  payments.save(payment);
+  // A replaced payment refunded late says nothing about how the order is paid
+  if (order.paymentId === payment.id) {
+    setOrderPaymentStatus(order, payment.status);
+  }
+
+  const sale = ledger.find(entry => entry.paymentId === payment.id && entry.type === 'sale');
+  const available = Boolean(sale?.availableAt);
+  addLedgerEntry(order, payment, 'refund', -amount, available);
+  if (PLATFORM_FEE_PERCENT > 0) {
+    // Rounded the way the fee was, so a full refund cancels it to the centavo
+    addLedgerEntry(order, payment, 'fee_refund', -roundMoney(-amount * PLATFORM_FEE_PERCENT / 100), available);
+  }
+  // The seller handed the cash back themselves
+  if (payment.method === 'cod') {
+    addLedgerEntry(order, payment, 'cash_returned', amount, available);
+  }
+
+  return refund;
+};
+
+// Safe to call more than once for the same payment (webhook retries): a
+// refund that failed the first time is tried again. A cancelled payment can
+// still be captured when the buyer paid before the gateway voided it.
+const markPaymentSucceeded = async (payment) => {
+  const order = orders.findById(payment.orderId);
+
+  if (isAwaitingPayment(payment) || payment.status === 'cancelled') {
+    payment.status = 'succeeded';
+    payment.paidAt = new Date();
+    payment.updatedAt = new Date();
+    payments.save(payment);
+
+    if (order.paymentId === payment.id) {
+      setOrderPaymentStatus(order, 'paid');
+    }
+    recordSale(payment, order);
+  }
+
+  // Money arrived for an order that was cancelled in the meantime, or for a
+  // checkout that was given up on, e.g. because the buyer paid cash
+  if (payment.status === 'succeeded' && (payment.cancelledAt || order.status === 'cancelled')) {
+    await refundPayment(payment, payment.amount, order.status === 'cancelled' ? 'Order was cancelled' : 'Payment was cancelled', null);
+  }
+};
+
+const createPayment = async (order, method) => {
+  const now = new Date();
+  const payment = {
+    id: generateId(),
+    orderId: order.id,
+    buyerId: order.buyerId,
+    sellerId: order.sellerId,
+    method,
+    amount: order.total,
+    currency: 'PHP',
+    status: 'pending',
+    providerReference: null,
+    checkoutUrl: null,
+    amountRefunded: 0,
+    refunds: [],
+    paidAt: null,
+    cancelledAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Stored before the gateway call, so a second request for the same order
+  // already finds it and cannot open another intent
+  payments.insert(payment);
+  order.paymentId = payment.id;
+  order.paymentMethod = method;
+  setOrderPaymentStatus(order, 'pending');
+
+  let intent;
+  try {
+    intent = await paymentProviders.get(method).createIntent({
+      payment,
+      description: `SmartCropX order ${order.id}`,
+      webhookUrl: `${PUBLIC_BASE_URL}/api/payments/webhooks/${method}`
+    });
+  } catch (error) {
+    // Failed payments don't count against the order, so the buyer can try again
+    payment.status = 'failed';
+    payment.updatedAt = new Date();
+    payments.save(payment);
+    setOrderPaymentStatus(order, 'failed');
+    throw error;
+  }
+
+  // The order was cancelled while the gateway was busy: void the new intent too
+  if (payment.status === 'cancelled') {
+    Object.assign(payment, { providerReference: intent.providerReference, checkoutUrl: intent.checkoutUrl });
+    await cancelPayment(payment);
+    return payment;
+  }
+
+  Object.assign(payment, intent, { updatedAt: new Date() });
+  payments.save(payment);
+  return payment;
+};
+
+// Called from the order status route
+const onOrderDelivered = async (order) => {
+  let payment = getOrderPayment(order);
+  // An e-wallet checkout the buyer never finished: they paid the cash instead
+  if (payment && payment.method !== 'cod' && isAwaitingPayment(payment)) {
+    await cancelPayment(payment);
+  }
+  // Orders placed without choosing a method were settled in cash
+  if (!payment || !ACTIVE_PAYMENT_STATUSES.includes(payment.status)) {
+    payment = await createPayment(order, 'cod');
+  }
+  if (payment.method === 'cod') {
+    await markPaymentSucceeded(payment);
+  }
+
+  ledger.filter(entry => entry.orderId === order.id && !entry.availableAt).forEach(entry => {
+    entry.availableAt = new Date();
+    ledger.save(entry);
+  });
+};
+
+// Pays back what is left of a cancelled order's payment. The order shows
+// `refund_pending` until the gateway has done it, so a refund that fails
+// here is retried by retryPendingRefunds.
+const refundCancelledOrder = async (order, payment, requestedBy) => {
+  setOrderPaymentStatus(order, 'refund_pending');
+  await refundPayment(payment, roundMoney(payment.amount - payment.amountRefunded), 'Order was cancelled', requestedBy);
+};
+
+// Called from the order status route once the order is cancelled. Throws
+// when the refund fails; the order is left `refund_pending`.
+const onOrderCancelled = async (order, userId) => {
+  const payment = getOrderPayment(order);
+  if (!payment) return;
+
+  if (isAwaitingPayment(payment)) {
+    setOrderPaymentStatus(order, 'cancelled');
+    await cancelPayment(payment);
+  } else if (payment.status === 'succeeded' || payment.status === 'partially_refunded') {
+    await refundCancelledOrder(order, payment, userId);
+  }
+};
+
+const REFUND_RETRY_INTERVAL_MS = 15 * 60 * 1000;
+
+const retryPendingRefunds = async () => {
+  for (const order of orders.filter(o => o.status === 'cancelled' && o.paymentStatus === 'refund_pending')) {
+    const payment = getOrderPayment(order);
+    if (!payment || refundsInProgress.has(payment.id)) continue;
+    if (payment.status !== 'succeeded' && payment.status !== 'partially_refunded') continue;
+
+    try {
+      await refundCancelledOrder(order, payment, null);
+    } catch (error) {
+      console.error(`Refund retry error (order ${order.id}):`, error);
+    }
+  }
+};
+
+setInterval(retryPendingRefunds, REFUND_RETRY_INTERVAL_MS).unref();
+
+const canViewPayment = (payment, user) =>
+  payment.buyerId === user.userData.id || payment.sellerId === user.userData.id || hasPermission(user.userData, 'payments:refund');
+
+api.get('/api/payments/methods', {
+  tags: ['Payments'],
+  summary: 'Payment methods buyers can choose from',
+  responses: { 200: t.object({ methods: t.array(t.object({ id: t.string(), label: t.string(), kind: t.string() })) }) }
+}, (req, res) => {
+  res.json({
+    methods: [...paymentProviders.providers.values()].map(({ name, label, kind }) => ({ id: name, label, kind }))
+  });
+});
+
+// Starts paying for an order. E-wallet payments answer with a checkoutUrl to
+// send the buyer to; cash on delivery is settled when the order is delivered.
+api.post('/api/orders/:id/payments', {
+  tags: ['Payments'],
+  summary: 'Start paying for an order',
+  description: 'E-wallet payments answer with a `checkoutUrl` to send the buyer to.',
+  body: t.object({ method: t.string({ min: 1 }) }, { required: ['method'] }),
+  responses: {
+    200: t.object({ message: t.string(), payment: t.ref('Payment') }),
+    201: t.object({ message: t.string(), payment: t.ref('Payment') })
+  },
+  errors: [403, 404, 409, 502]
+}, authenticateToken, async (req, res) => {
+  try {
+    const order = orders.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.buyerId !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the buyer can pay for this order' });
+    }
+    if (!paymentProviders.get(req.body.method)) {
+      return res.status(400).json({ error: 'Unsupported payment method' });
+    }
+    if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+      return res.status(409).json({ error: `Cannot pay for a ${order.status} order` });
+    }
+
+    const existing = getOrderPayment(order);
+    if (existing && ACTIVE_PAYMENT_STATUSES.includes(existing.status)) {
+      if (!existing.providerReference) {
+        return res.status(409).json({ error: 'Payment is still being started', payment: existing });
+      }
+      // Retried request for the same checkout: hand back the same intent
+      if (existing.method === req.body.method && existing.status !== 'succeeded') {
+        return res.json({ message: 'Payment already started', payment: existing });
+      }
+      return res.status(409).json({ error: 'Order already has an active payment', payment: existing });
+    }
+
+    const payment = await createPayment(order, req.body.method);
+
+    res.status(201).json({ message: 'Payment started', payment });
+
+  } catch (error) {
+    console.error('Payment creation error:', error);
+    res.status(502).json({ error: 'Payment provider unavailable' });
+  }
+});
+
+api.get('/api/orders/:id/payments', {
+  tags: ['Payments'],
+  summary: 'Payment attempts of an order',
+  responses: { 200: t.object({ payments: t.array(t.ref('Payment')), paymentStatus: t.string() }) },
+  errors: [403, 404]
+}, authenticateToken, (req, res) => {
+  try {
+    const order = orders.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!getOrderRole(order, req.user.userId)) {
+      return res.status(403).json({ error: 'Not authorized to view this order' });
+    }
+
+    const orderPayments = payments.filter(p => p.orderId === order.id).sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ payments: orderPayments, paymentStatus: order.paymentStatus || 'unpaid' });
+
+  } catch (error) {
+    console.error('Payments fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+// Seller's own ledger; admins may look at anyone's with ?sellerId=
+api.get('/api/payments/ledger', {
+  tags: ['Payments'],
+  summary: 'Seller payout ledger',
+  query: t.object({ sellerId: t.string({ description: 'Admins only; defaults to the caller' }) }),
+  responses: { 200: t.ref('Ledger') },
+  errors: [403]
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    const sellerId = req.query.sellerId || req.user.userId;
+    if (sellerId !== req.user.userId && !hasPermission(user.userData, 'payouts:manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const entries = ledger.filter(entry => entry.sellerId === sellerId).sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ sellerId, balance: summarizeLedger(entries), entries, total: entries.length });
+
+  } catch (error) {
+    console.error('Ledger fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger' });
+  }
+});
+
+api.get('/api/payments/:id', {
+  tags: ['Payments'],
+  summary: 'Get a payment',
+  responses: { 200: t.ref('Payment') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const payment = payments.findById(req.params.id);
+    const user = findUserById(req.user.userId);
+
+    if (!payment || !canViewPayment(payment, user)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.json(payment);
+
+  } catch (error) {
+    console.error('Payment fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch payment' });
+  }
+});
+
+// Sellers refund their own orders; admins can refund any. Defaults to the full remaining amount.
+api.post('/api/payments/:id/refunds', {
+  tags: ['Payments'],
+  summary: 'Refund a payment in full or in part',
+  body: t.object({
+    amount: t.number({ gt: 0, description: 'Defaults to everything not refunded yet' }),
+    reason: t.string({ trim: true, min: 3, max: 500 })
+  }, { required: ['reason'] }),
+  responses: { 201: t.object({ message: t.string(), refund: t.object(), payment: t.ref('Payment') }) },
+  errors: [403, 404, 409, 502]
+}, authenticateToken, async (req, res) => {
+  try {
+    const payment = payments.findById(req.params.id);
+    const user = findUserById(req.user.userId);
+
+    if (!payment || !canViewPayment(payment, user)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (payment.sellerId !== req.user.userId && !hasPermission(user.userData, 'payments:refund')) {
+      return res.status(403).json({ error: 'Only the seller can refund this payment' });
+    }
+    if (payment.status !== 'succeeded' && payment.status !== 'partially_refunded') {
+      return res.status(409).json({ error: 'Only completed payments can be refunded' });
+    }
+    if (refundsInProgress.has(payment.id)) {
+      return res.status(409).json({ error: 'A refund of this payment is already in progress' });
+    }
+
+    const remaining = roundMoney(payment.amount - payment.amountRefunded);
+    const amount = req.body.amount !== undefined ? roundMoney(parseFloat(req.body.amount)) : remaining;
+    if (amount > remaining) {
+      return res.status(400).json({ error: `At most ₱${remaining} can still be refunded` });
+    }
+
+    const refund = await refundPayment(payment, amount, req.body.reason, req.user.userId);
+
+    res.status(201).json({ message: 'Refund issued', refund, payment });
+
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(502).json({ error: 'Refund failed at the payment provider' });
+  }
+});
+
+// Gateway callbacks. Signed with PAYMENT_WEBHOOK_SECRET; each event id is
+// processed once, so gateway retries are harmless. An event only counts as
+// processed once handling it succeeded, so the gateway's retry of one that
+// failed gets another go.
+api.post('/api/payments/webhooks/:provider', {
+  tags: ['Payments'],
+  summary: 'Payment gateway callback',
+  description: 'Signed by the gateway; the raw body is verified against PAYMENT_WEBHOOK_SECRET.',
+  responses: { 200: t.object({ received: t.boolean(), duplicate: t.boolean() }) },
+  errors: [400, 404]
+}, async (req, res) => {
+  try {
+    const provider = paymentProviders.get(req.params.provider);
+    if (!provider || provider.kind !== 'redirect') {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    let event;
+    try {
+      event = provider.verifyWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.headers);
+    } catch (error) {
+      console.warn(`Rejected ${provider.name} webhook: ${error.message}`);
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    const eventKey = `${provider.name}:${event.id}`;
+    if (paymentEvents.findById(eventKey)) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const payment = payments.find(p => p.method === provider.name && p.providerReference === event.providerReference);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (event.amount !== null && event.amount !== payment.amount) {
+      console.warn(`Webhook amount mismatch for payment ${payment.id}: ${event.amount} != ${payment.amount}`);
+      return res.status(400).json({ error: 'Amount does not match payment' });
+    }
+
+    const receivedAt = new Date();
+    if (event.type === 'payment.succeeded') {
+      await markPaymentSucceeded(payment);
+    } else if (event.type === 'payment.failed' && payment.status === 'requires_action') {
+      payment.status = 'failed';
+      payment.updatedAt = new Date();
+      payments.save(payment);
+      setOrderPaymentStatus(orders.findById(payment.orderId), 'failed');
+    }
+
+    // Two deliveries of one event can both get here; the first one stored wins
+    if (!paymentEvents.findById(eventKey)) {
+      paymentEvents.insert({ id: eventKey, provider: provider.name, eventId: event.id, type: event.type, paymentId: payment.id, receivedAt });
+    }
+
+    res.json({ received: true });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Pays out everything available to a seller and marks those entries settled
+api.post('/api/admin/payouts/:sellerId', {
+  tags: ['Admin'],
+  summary: 'Record a payout of a seller\'s available balance',
+  body: t.object({ reference: t.string({ max: 200 }) }),
+  responses: { 201: t.object({ message: t.string(), payout: t.object(), amount: t.number(), audit: t.ref('AuditEntry') }) },
+  errors: [403, 404, 409]
+}, authenticateToken, requirePermission('payouts:manage'), (req, res) => {
+  try {
+    const seller = findUserById(req.params.sellerId);
+    if (!seller) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const settled = ledger.filter(entry => entry.sellerId === seller.userData.id && entry.availableAt && !entry.payoutId);
+    const amount = summarizeLedger(settled).available;
+    if (amount <= 0) {
+      return res.status(409).json({ error: 'Nothing to pay out' });
+    }
+
+    const payoutId = generateId();
+    settled.forEach(entry => {
+      entry.payoutId = payoutId;
+      ledger.save(entry);
+    });
+    const payout = ledger.insert({
+      id: payoutId,
+      sellerId: seller.userData.id,
+      orderId: null,
+      paymentId: null,
+      type: 'payout',
+      amount: -amount,
+      currency: 'PHP',
+      reference: req.body.reference || null,
+      availableAt: new Date(),
+      payoutId,
+      createdAt: new Date()
+    });
+
+    const audit = recordAudit(req.currentUser, 'payout.create', { type: 'user', id: seller.userData.id }, {
+      details: { payoutId, amount, entries: settled.length, reference: payout.reference }
+    });
+
+    res.status(201).json({ message: 'Payout recorded', payout, amount, audit });
+
+  } catch (error) {
+    console.error('Payout error:', error);
+    res.status(500).json({ error: 'Failed to record payout' });
+  }
+});
+
+// ==================== REVIEW ROUTES ====================
+
+const averageRating = (ratings) => {
+  if (ratings.length === 0) return 0;
+  return Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length * 10) / 10;
+};
+
+// Recomputes the product's rating and the seller-level aggregate, then
+// refreshes the denormalized `seller` block on every listing of that seller
+const refreshRatings = (product) => {
+  const productReviews = reviews.filter(r => r.productId === product.id);
+  product.rating = averageRating(productReviews.map(r => r.rating));
+  product.reviewCount = productReviews.length;
+  products.save(product);
+
+  const seller = findUserById(product.sellerId);
+  if (!seller) return;
+
+  const sellerReviews = reviews.filter(r => r.sellerId === product.sellerId);
+  seller.userData.sellerRating = averageRating(sellerReviews.map(r => r.rating));
+  seller.userData.sellerReviewCount = sellerReviews.length;
+  users.save(seller);
+
+  syncSellerProfile(seller.userData);
+};
+
+api.post('/api/products/:id/reviews', {
+  tags: ['Reviews'],
+  summary: 'Review a product from one of my delivered orders',
+  body: t.object({
+    rating: t.integer({ min: 1, max: 5, message: 'Rating must be between 1 and 5' }),
+    comment: t.string({ max: 2000 })
+  }, { required: ['rating'] }),
+  responses: { 201: t.object({ message: t.string(), review: t.ref('Review'), rating: t.number(), reviewCount: t.integer() }) },
+  errors: [403, 404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const product = products.findById(req.params.id);
+
+    if (!product || product.status === 'deleted') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const deliveredOrder = orders.find(o =>
+      o.buyerId === userId &&
+      o.status === 'delivered' &&
+      o.items.some(item => item.productId === product.id)
+    );
+    if (!deliveredOrder) {
+      return res.status(403).json({ error: 'You can only review products from your delivered orders' });
+    }
+
+    if (reviews.some(r => r.productId === product.id && r.buyerId === userId)) {
+      return res.status(409).json({ error: 'You have already reviewed this product' });
+    }
+
+    const reviewer = findUserById(userId);
+    const now = new Date();
+    const review = {
+      id: generateId(),
+      productId: product.id,
+      sellerId: product.sellerId,
+      buyerId: userId,
+      orderId: deliveredOrder.id,
+      rating: parseInt(req.body.rating),
+      comment: req.body.comment || '',
+      reviewer: {
+        fullName: reviewer.userData.fullName,
+        avatar: reviewer.userData.avatar
+      },
+      sellerReply: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    reviews.insert(review);
+    refreshRatings(product);
+
+    res.status(201).json({
+      message: 'Review submitted successfully',
+      review,
+      rating: product.rating,
+      reviewCount: product.reviewCount
+    });
+
+  } catch (error) {
+    console.error('Review creation error:', error);
+    res.status(500).json({ error: 'Failed to submit review' });
+  }
+});
+
+api.get('/api/products/:id/reviews', {
+  tags: ['Reviews'],
+  summary: 'Reviews of a product, newest first',
+  query: t.object(paginationQuery),
+  responses: {
+    200: t.object({
+      reviews: t.array(t.ref('Review')),
+      total: t.integer(),
+      page: t.integer(),
+      totalPages: t.integer(),
+      rating: t.number(),
+      reviewCount: t.integer()
+    })
+  },
+  errors: [404]
+}, (req, res) => {
+  try {
+    const product = products.findById(req.params.id);
+
+    if (!product || product.status === 'deleted') {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const productReviews = reviews
+      .filter(r => r.productId === product.id)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    const { items, ...pageInfo } = paginate(productReviews, req);
+
+    res.json({
+      reviews: items,
+      ...pageInfo,
+      rating: product.rating,
+      reviewCount: product.reviewCount
+    });
+
+  } catch (error) {
+    console.error('Reviews fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+api.post('/api/products/:id/reviews/:reviewId/reply', {
+  tags: ['Reviews'],
+  summary: 'Answer a review of my listing',
+  body: t.object({
+    reply: t.string({ trim: true, min: 1, max: 2000, message: 'Reply must be 1-2000 characters' })
+  }, { required: ['reply'] }),
+  responses: { 200: t.ref('Review') },
+  errors: [403, 404]
+}, authenticateToken, (req, res) => {
+  try {
+    const review = reviews.findById(req.params.reviewId);
+
+    if (!review || review.productId !== req.params.id) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (review.sellerId !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the seller can reply to this review' });
+    }
+
+    review.sellerReply = { body: req.body.reply, createdAt: new Date() };
+    review.updatedAt = new Date();
+    reviews.save(review);
+
+    res.json(review);
+
+  } catch (error) {
+    console.error('Review reply error:', error);
+    res.status(500).json({ error: 'Failed to reply to review' });
+  }
+});
+
+// ==================== MESSAGING ====================
+
+// Live delivery: every open socket of a user, keyed by user id
+const userSockets = new Map();
+
+const wss = new WebSocketServer({ server, path: '/ws' });
+
+const pushToUser = (userId, type, data) => {
+  const sockets = userSockets.get(userId);
+  if (!sockets) return;
+
+  const payload = JSON.stringify({ type, data });
+  sockets.forEach(socket => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(payload);
+    }
+  });
+};
+
+const isParticipant = (conversation, userId) => conversation.participantIds.includes(userId);
+
+const getUnreadCount = (conversationId, userId) => {
+  return messages.filter(m =>
+    m.conversationId === conversationId && m.senderId !== userId && !m.readAt
+  ).length;
+};
+
+const summarizeConversation = (conversation, userId) => {
+  const otherId = conversation.participantIds.find(id => id !== userId);
+  const otherUser = findUserById(otherId);
+  const lastMessage = messages.filter(m => m.conversationId === conversation.id).pop() || null;
+
+  return {
+    ...conversation,
+    otherParticipant: otherUser ? {
+      id: otherUser.userData.id,
+      fullName: otherUser.userData.fullName,
+      avatar: otherUser.userData.avatar
+    } : null,
+    lastMessage,
+    unreadCount: getUnreadCount(conversation.id, userId)
+  };
+};
+
+const sendMessage = (conversation, senderId, text) => {
+  const now = new Date();
+  const message = {
+    id: generateId(),
+    conversationId: conversation.id,
+    senderId,
+    body: text,
+    readAt: null,
+    createdAt: now
+  };
+
+  messages.insert(message);
+  conversation.lastMessageAt = now;
+  conversation.updatedAt = now;
+  conversations.save(conversation);
+
+  conversation.participantIds.forEach(userId => pushToUser(userId, 'message.new', message));
+
+  const sender = findUserById(senderId);
+  conversation.participantIds.filter(userId => userId !== senderId).forEach(userId => notify(userId, 'message.new', {
+    sender: sender ? sender.userData.fullName : 'Someone',
+    preview: text.length > 100 ? `${text.slice(0, 100)}…` : text
+  }, { conversationId: conversation.id, messageId: message.id }));
+
+  return message;
+};
+
+// Marks everything the other side sent as read and tells them about it
+const markConversationRead = (conversation, userId) => {
+  const now = new Date();
+  const readIds = [];
+
+  messages
+    .filter(m => m.conversationId === conversation.id && m.senderId !== userId && !m.readAt)
+    .forEach(m => {
+      m.readAt = now;
+      messages.save(m);
+      readIds.push(m.id);
+    });
+
+  if (readIds.length > 0) {
+    conversation.participantIds
+      .filter(id => id !== userId)
+      .forEach(id => pushToUser(id, 'message.read', {
+        conversationId: conversation.id,
+        messageIds: readIds,
+        readBy: userId,
+        readAt: now
+      }));
+  }
+  return readIds;
+};
+
+wss.on('connection', (socket, req) => {
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  let userId;
+
+  try {
+    userId = verifyAccessToken(searchParams.get('token')).userId;
+  } catch (error) {
+    socket.close(4401, 'Invalid or expired token');
+    return;
+  }
+
+  if (!userSockets.has(userId)) userSockets.set(userId, new Set());
+  userSockets.get(userId).add(socket);
+
+  socket.on('message', (raw) => {
+    try {
+      const { type, conversationId } = JSON.parse(raw.toString());
+      const conversation = conversations.findById(conversationId);
+
+      if (type === 'read' && conversation && isParticipant(conversation, userId)) {
+        markConversationRead(conversation, userId);
+      }
+    } catch (error) {
+      socket.send(JSON.stringify({ type: 'error', data: { error: 'Invalid socket message' } }));
+    }
+  });
+
+  socket.on('close', () => {
+    const sockets = userSockets.get(userId);
+    if (!sockets) return;
+    sockets.delete(socket);
+    if (sockets.size === 0) userSockets.delete(userId);
+  });
+
+  socket.send(JSON.stringify({
+    type: 'connected',
+    data: {
+      userId,
+      unreadCount: messages.filter(m =>
+        m.senderId !== userId && !m.readAt &&
+        conversations.some(c => c.id === m.conversationId && isParticipant(c, userId))
+      ).length
+    }
+  }));
+});
+
+api.post('/api/conversations', {
+  tags: ['Messaging'],
+  summary: 'Open (or reopen) a conversation, optionally about a listing or order',
+  description: 'The recipient defaults to the listing\'s seller or the other party of the order.',
+  body: t.object({
+    recipientId: t.string(),
+    productId: t.string(),
+    orderId: t.string(),
+    message: t.string({ min: 1, max: 2000 })
+  }),
+  responses: { 200: t.ref('Conversation'), 201: t.ref('Conversation') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const { productId, orderId, message } = req.body;
+    const userId = req.user.userId;
+    let { recipientId } = req.body;
+
+    if (productId) {
+      const product = products.findById(productId);
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      recipientId = recipientId || product.sellerId;
+    }
+
+    if (orderId) {
+      const order = orders.findById(orderId);
+      if (!order || !getOrderRole(order, userId)) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      recipientId = recipientId || (order.buyerId === userId ? order.sellerId : order.buyerId);
+      if (!getOrderRole(order, recipientId)) {
+        return res.status(400).json({ error: 'Recipient is not part of this order' });
+      }
+    }
+
+    if (!recipientId || !findUserById(recipientId)) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+    if (recipientId === userId) {
+      return res.status(400).json({ error: 'You cannot message yourself' });
+    }
+
+    let conversation = conversations.find(c =>
+      isParticipant(c, userId) && isParticipant(c, recipientId) &&
+      (c.productId || null) === (productId || null) &&
+      (c.orderId || null) === (orderId || null)
+    );
+
+    const created = !conversation;
+    if (created) {
+      const now = new Date();
+      conversation = {
+        id: generateId(),
+        participantIds: [userId, recipientId],
+        productId: productId || null,
+        orderId: orderId || null,
+        lastMessageAt: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      conversations.insert(conversation);
+    }
+
+    if (message) {
+      sendMessage(conversation, userId, message);
+    }
+
+    res.status(created ? 201 : 200).json(summarizeConversation(conversation, userId));
+
+  } catch (error) {
+    console.error('Conversation creation error:', error);
+    res.status(500).json({ error: 'Failed to start conversation' });
+  }
+});
+
+api.get('/api/conversations', {
+  tags: ['Messaging'],
+  summary: 'List my conversations, most recent first',
+  responses: { 200: t.object({ conversations: t.array(t.ref('Conversation')), total: t.integer(), unreadCount: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const threads = conversations
+      .filter(c => isParticipant(c, userId))
+      .map(c => summarizeConversation(c, userId))
+      .sort((a, b) => (b.lastMessageAt || b.createdAt) - (a.lastMessageAt || a.createdAt));
+
+    res.json({
+      conversations: threads,
+      total: threads.length,
+      unreadCount: threads.reduce((sum, c) => sum + c.unreadCount, 0)
+    });
+
+  } catch (error) {
+    console.error('Conversations fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// History is paged backwards: pass the oldest id you have as `before`
+api.get('/api/conversations/:id/messages', {
+  tags: ['Messaging'],
+  summary: 'Message history, paged backwards',
+  query: t.object({
+    before: t.string({ description: 'Id of the oldest message already loaded' }),
+    limit: t.integer({ description: 'Clamped to 1-100', default: 30 })
+  }),
+  responses: {
+    200: t.object({ messages: t.array(t.ref('ChatMessage')), hasMore: t.boolean(), nextCursor: t.string({ nullable: true }), unreadCount: t.integer() })
+  },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+    const conversation = conversations.findById(req.params.id);
+
+    if (!conversation || !isParticipant(conversation, req.user.userId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let history = messages.filter(m => m.conversationId === conversation.id);
+
+    if (before) {
+      const index = history.findIndex(m => m.id === before);
+      if (index === -1) {
+        return res.status(400).json({ error: 'Unknown message cursor' });
+      }
+      history = history.slice(0, index);
+    }
+
+    const page = history.slice(-limit);
+    const hasMore = history.length > page.length;
+
+    res.json({
+      messages: page,
+      hasMore,
+      nextCursor: hasMore ? page[0].id : null,
+      unreadCount: getUnreadCount(conversation.id, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Messages fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+api.post('/api/conversations/:id/messages', {
+  tags: ['Messaging'],
+  summary: 'Send a message',
+  body: t.object({
+    body: t.string({ trim: true, min: 1, max: 2000, message: 'Message must be 1-2000 characters' })
+  }, { required: ['body'] }),
+  responses: { 201: t.ref('ChatMessage') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const conversation = conversations.findById(req.params.id);
+
+    if (!conversation || !isParticipant(conversation, req.user.userId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const message = sendMessage(conversation, req.user.userId, req.body.body);
+    res.status(201).json(message);
+
+  } catch (error) {
+    console.error('Message send error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+api.post('/api/conversations/:id/read', {
+  tags: ['Messaging'],
+  summary: 'Mark a conversation as read',
+  responses: { 200: t.object({ conversationId: t.string(), markedRead: t.integer() }) },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const conversation = conversations.findById(req.params.id);
+
+    if (!conversation || !isParticipant(conversation, req.user.userId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const readIds = markConversationRead(conversation, req.user.userId);
+    res.json({ conversationId: conversation.id, markedRead: readIds.length });
+
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ error: 'Failed to mark conversation as read' });
+  }
+});
+
+// ==================== NOTIFICATION ROUTES ====================
+
+const LOW_STOCK_THRESHOLD_KG = parseInt(process.env.LOW_STOCK_THRESHOLD_KG) || 5;
+const OUTBREAK_WINDOW_DAYS = 7;
+const OUTBREAK_MIN_REPORTS = parseInt(process.env.OUTBREAK_MIN_REPORTS) || 3;
+const SSE_HEARTBEAT_MS = 25000;
+
+// Open server-sent event streams, keyed by user id
+const userStreams = new Map();
+
+const writeEvent = (res, event, data, id) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers responses until told otherwise
+  res.flush?.();
+};
+
+// Notifications are stored in English and translated for whoever reads them.
+// Text params (task names, crops) go through the catalog too; names and
+// titles without a translation come back unchanged.
+const localizeParams = (params, t) => Object.fromEntries(Object.entries(params)
+  .map(([key, value]) => [key, typeof value === 'string' ? t(value) : value]));
+
+const localizeNotification = (notification, t) => {
+  const params = localizeParams(notification.params, t);
+  return { ...notification, title: t(notification.title, params), body: t(notification.body, params) };
+};
+
+const getUnreadNotificationCount = (userId) =>
+  notifications.count(n => n.userId === userId && !n.readAt);
+
+// Records an event for a user and delivers it on every channel they have on:
+// the inbox (pushed live over SSE and WebSocket), e-mail and SMS.
+// `params` fill the event's text; `data` is passed through for clients.
+const notify = (userId, type, params, data = {}) => {
+  const user = findUserById(userId);
+  if (!user) return null;
+
+  const { title, body } = NOTIFICATION_TYPES[type];
+  const preferences = getNotificationPreferences(user.userData)[type];
+  const locale = user.userData.locale || DEFAULT_LOCALE;
+  let notification = null;
+
+  if (preferences.inApp) {
+    notification = notifications.insert({
+      id: generateId(),
+      userId,
+      type,
+      title,
+      body,
+      params,
+      data,
+      readAt: null,
+      createdAt: new Date()
+    });
+
+    const localized = localizeNotification(notification, (text, values) => translate(locale, text, values));
+    userStreams.get(userId)?.forEach(res => writeEvent(res, 'notification', localized, notification.id));
+    pushToUser(userId, 'notification', localized);
+  }
+
+  const to = {
+    userId,
+    username: user.username,
+    email: user.userData.email || null,
+    phone: user.userData.phone || null
+  };
+  const localizedParams = localizeParams(params, (text, values) => translate(locale, text, values));
+  DELIVERY_CHANNELS
+    .filter(channel => preferences[channel] && (channel === 'email' ? to.email : to.phone))
+    .forEach(channel => {
+      channelNotifiers[channel].send({
+        to,
+        channel,
+        template: type,
+        locale,
+        data: { title: translate(locale, title, localizedParams), body: translate(locale, body, localizedParams), ...data }
+      }).catch(error => console.error(`Notification ${channel} delivery error:`, error.message));
+    });
+
+  return notification;
+};
+
+// Several farmers in one region reporting the same disease within a week
+// warns everyone in that region, at most once per week per disease
+const checkDiseaseOutbreak = (scan) => {
+  const reporter = findUserById(scan.userId);
+  const region = normalizeRegion(reporter?.userData.region);
+  if (!region) return;
+
+  const since = new Date(Date.now() - OUTBREAK_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const regionUserIds = new Set(users.filter(u => normalizeRegion(u.userData.region) === region).map(u => u.userData.id));
+
+  scan.diseases.filter(disease => disease.probability >= 0.5).forEach(disease => {
+    const reporters = new Set(scans.filter(s =>
+      s.createdAt >= since &&
+      regionUserIds.has(s.userId) &&
+      s.diseases.some(d => d.name === disease.name && d.probability >= 0.5)
+    ).map(s => s.userId));
+    if (reporters.size < OUTBREAK_MIN_REPORTS) return;
+
+    const outbreakId = `${region}:${disease.name.toLowerCase()}`;
+    const outbreak = outbreaks.findById(outbreakId);
+    if (outbreak && outbreak.lastNotifiedAt >= since) return;
+
+    const record = outbreak || outbreaks.insert({ id: outbreakId, region, disease: disease.name, createdAt: new Date() });
+    record.reports = reporters.size;
+    record.lastNotifiedAt = new Date();
+    outbreaks.save(record);
+
+    const params = { disease: disease.name, reports: reporters.size, region: reporter.userData.region };
+    regionUserIds.forEach(userId => notify(userId, 'disease.outbreak', params, { outbreakId, disease: disease.name, region }));
+  });
+};
+
+api.get('/api/notifications', {
+  tags: ['Notifications'],
+  summary: 'My notification inbox, newest first',
+  query: t.object({ ...paginationQuery, unread: t.boolean(), type: t.enum(Object.keys(NOTIFICATION_TYPES)) }),
+  responses: {
+    200: t.object({
+      notifications: t.array(t.ref('Notification')),
+      unreadCount: t.integer(),
+      total: t.integer(),
+      page: t.integer(),
+      totalPages: t.integer()
+    })
+  }
+}, authenticateToken, (req, res) => {
+  try {
+    const { type, unread: unreadOnly } = req.query;
+
+    const inbox = notifications.filter(n =>
+      n.userId === req.user.userId &&
+      (!unreadOnly || !n.readAt) &&
+      (!type || n.type === type)
+    ).sort((a, b) => b.createdAt - a.createdAt);
+
+    const { items, ...pageInfo } = paginate(inbox, req);
+    res.json({
+      notifications: items.map(n => localizeNotification(n, req.t)),
+      unreadCount: getUnreadNotificationCount(req.user.userId),
+      ...pageInfo
+    });
+
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Live feed for EventSource clients, which can't send headers: the access
+// token may also come as ?token=. Reconnects resume after Last-Event-ID.
+api.get('/api/notifications/stream', {
+  tags: ['Notifications'],
+  summary: 'Live notification feed (server-sent events)',
+  description: 'Sends a `ready` event, then a `notification` event per new notification. ' +
+    'EventSource clients may pass the access token as `token`; reconnects resume after Last-Event-ID.',
+  query: t.object({ token: t.string({ description: 'Access token, when the Authorization header cannot be set' }) }),
+  responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: t.string() } } } },
+  errors: [401, 403]
+}, (req, res) => {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.token;
+  let userId;
+
+  try {
+    userId = verifyAccessToken(token).userId;
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  const user = findUserById(userId);
+  if (!user || isAccountBlocked(user.userData)) {
+    return res.status(403).json({ error: 'Your account has been suspended' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const lastEvent = notifications.findById(req.headers['last-event-id']);
+  if (lastEvent && lastEvent.userId === userId) {
+    notifications.filter(n => n.userId === userId && n.createdAt > lastEvent.createdAt)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .forEach(n => writeEvent(res, 'notification', localizeNotification(n, req.t), n.id));
+  }
+  writeEvent(res, 'ready', { unreadCount: getUnreadNotificationCount(userId) });
+
+  if (!userStreams.has(userId)) userStreams.set(userId, new Set());
+  userStreams.get(userId).add(res);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    res.flush?.();
+  }, SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = userStreams.get(userId);
+    if (!streams) return;
+    streams.delete(res);
+    if (streams.size === 0) userStreams.delete(userId);
+  });
+});
+
+api.get('/api/notifications/preferences', {
+  tags: ['Notifications'],
+  summary: 'Which channels each notification type is delivered on',
+  responses: {
+    200: t.object({
+      preferences: t.ref('NotificationPreferences'),
+      types: t.array(t.object({ type: t.string(), title: t.string() })),
+      channels: t.array(t.string())
+    })
+  }
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+
+    res.json({
+      preferences: getNotificationPreferences(user.userData),
+      types: Object.entries(NOTIFICATION_TYPES).map(([type, { title }]) => ({ type, title: req.t(title) })),
+      channels: NOTIFICATION_CHANNELS
+    });
+
+  } catch (error) {
+    console.error('Notification preferences fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Partial update: { preferences: { 'order.status': { sms: true } } }
+api.put('/api/notifications/preferences', {
+  tags: ['Notifications'],
+  summary: 'Turn channels on or off per notification type',
+  body: t.object({
+    preferences: t.object({}, {
+      values: t.object(Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, t.boolean()]))),
+      message: 'preferences must be an object',
+      example: { 'order.status': { sms: true } }
+    })
+  }, {
+    required: ['preferences'],
+    checks: [{
+      path: 'preferences',
+      message: 'Unknown notification type',
+      test: (body) => !body.preferences || typeof body.preferences !== 'object' ||
+        Object.keys(body.preferences).every(type => NOTIFICATION_TYPES[type])
+    }]
+  }),
+  responses: { 200: t.object({ message: t.string(), preferences: t.ref('NotificationPreferences') }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+
+    user.userData.notificationPreferences = mergeNotificationPreferences(user.userData.notificationPreferences, req.body.preferences);
+    user.userData.updatedAt = new Date();
+    users.save(user);
+
+    res.json({ message: 'Notification preferences updated', preferences: getNotificationPreferences(user.userData) });
+
+  } catch (error) {
+    console.error('Notification preferences update error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+api.post('/api/notifications/read-all', {
+  tags: ['Notifications'],
+  summary: 'Mark all (or all of one type) as read',
+  body: t.object({ type: t.enum(Object.keys(NOTIFICATION_TYPES)) }),
+  responses: { 200: t.object({ message: t.string(), updated: t.integer(), unreadCount: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const now = new Date();
+    const unread = notifications.filter(n =>
+      n.userId === req.user.userId && !n.readAt && (!req.body.type || n.type === req.body.type)
+    );
+    unread.forEach(n => {
+      n.readAt = now;
+      notifications.save(n);
+    });
+
+    res.json({ message: 'Notifications marked as read', updated: unread.length, unreadCount: getUnreadNotificationCount(req.user.userId) });
+
+  } catch (error) {
+    console.error('Notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+api.post('/api/notifications/:id/read', {
+  tags: ['Notifications'],
+  summary: 'Mark a notification as read',
+  responses: { 200: t.ref('Notification') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const notification = notifications.findById(req.params.id);
+    if (!notification || notification.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      notifications.save(notification);
+    }
+
+    res.json({ ...localizeNotification(notification, req.t), unreadCount: getUnreadNotificationCount(req.user.userId) });
+
+  } catch (error) {
+    console.error('Notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+// ==================== INVENTORY ROUTES ====================
+
+const INVENTORY_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+// Sellers are warned this many days before a batch's best-before date
+const NEAR_EXPIRY_DAYS = parseInt(process.env.NEAR_EXPIRY_DAYS) || 2;
+const STOCK_SIGNALS = ['out_of_stock', 'low_stock', 'expiring'];
+
+const withFreshness = (product) => ({ ...product, freshness: describeFreshness(product.batches) });
+
+// Starts, moves or ends the listing's auto-discount. It only covers the
+// batch that earned it, so `pricePerKg` stays the listing's price and orders
+// bill that batch's kilos at `discount.pricePerKg`. Being no change of the
+// asking price, it stays out of price history and price alerts. Ends once
+// that batch is sold out or expired. Returns whether the discount changed.
+const applyAutoDiscount = (product, now) => {
+  const batch = discountedBatch(product.batches, product.autoDiscount, now);
+  const current = product.discount;
+  if (!current && !batch) return false;
+
+  const next = batch && {
+    batchId: batch.id,
+    percent: product.autoDiscount.percent,
+    pricePerKg: roundMoney(product.pricePerKg * (1 - product.autoDiscount.percent / 100))
+  };
+  if (current && next && ['batchId', 'percent', 'pricePerKg'].every(field => current[field] === next[field])) return false;
+
+  product.discount = next ? { ...next, startedAt: current?.batchId === next.batchId ? current.startedAt : now } : null;
+  return true;
+};
+
+// Brings a listing's stock in line with its batches: writes off expired
+// batches, warns the seller about low stock and batches close to expiry and
+// applies the auto-discount. Returns whether anything changed; the caller saves.
+const refreshInventory = (product, now = new Date()) => {
+  const stockBefore = product.stock;
+  const expired = expireBatches(product.batches, now);
+  product.stock = countStock(product.batches, now);
+
+  if (expired.length > 0) {
+    notify(product.sellerId, 'stock.expired', {
+      kg: expired.reduce((total, batch) => total + batch.expiredKg, 0),
+      title: product.title
+    }, { productId: product.id, batchIds: expired.map(batch => batch.id) });
+  }
+  if (stockBefore >= LOW_STOCK_THRESHOLD_KG && product.stock < LOW_STOCK_THRESHOLD_KG) {
+    notify(product.sellerId, 'stock.low', { stock: product.stock, title: product.title }, { productId: product.id });
+  }
+
+  const expiring = expiringBatches(product.batches, NEAR_EXPIRY_DAYS, now).filter(batch => !batch.expiryNotifiedAt);
+  expiring.forEach(batch => {
+    notify(product.sellerId, 'stock.expiring', {
+      kg: batch.remainingKg,
+      title: product.title,
+      date: batch.bestBefore.toISOString().slice(0, 10)
+    }, { productId: product.id, batchId: batch.id });
+    batch.expiryNotifiedAt = now;
+  });
+
+  const repriced = applyAutoDiscount(product, now);
+  return expired.length > 0 || product.stock !== stockBefore || expiring.length > 0 || repriced;
+};
+
+// For reads that show stock: what expired since the last sweep is gone
+// before anyone sees it. Saves the listing when anything changed.
+const refreshListing = (product, now = new Date()) => {
+  if (refreshInventory(product, now)) {
+    product.updatedAt = now;
+    products.save(product);
+  }
+  return product;
+};
+
+// Batches expire and discounts start as time passes, not only when someone
+// orders; orders, edits and reads refresh their own listings straight away
+const sweepInventory = () => {
+  const now = new Date();
+  products.filter(product => product.status !== 'deleted' && product.batches?.length > 0)
+    .forEach(product => refreshListing(product, now));
+};
+
+sweepInventory();
+setInterval(sweepInventory, INVENTORY_CHECK_INTERVAL_MS).unref();
+
+const stockSignals = (product, now) => [
+  product.stock === 0 && 'out_of_stock',
+  product.stock > 0 && product.stock < LOW_STOCK_THRESHOLD_KG && 'low_stock',
+  expiringBatches(product.batches, NEAR_EXPIRY_DAYS, now).length > 0 && 'expiring'
+].filter(Boolean);
+
+// The seller's stock at a glance: what is running low, what expires soon
+// and what was written off
+api.get('/api/inventory', {
+  tags: ['Inventory'],
+  summary: 'My stock by listing, with low-stock and near-expiry signals',
+  query: t.object({ signal: t.enum(STOCK_SIGNALS, { description: 'Only listings showing this signal' }) }),
+  responses: {
+    200: t.object({
+      lowStockThresholdKg: t.integer(),
+      nearExpiryDays: t.integer(),
+      listings: t.array(t.ref('InventoryListing')),
+      totals: t.object({ stockKg: t.integer(), expiringKg: t.integer(), expiredKg: t.integer() })
+    })
+  }
+}, authenticateToken, requireSellerAccount, (req, res) => {
+  try {
+    const now = new Date();
+    const listings = products
+      .filter(p => p.sellerId === req.user.userId && p.status !== 'deleted')
+      .map(product => {
+        refreshListing(product, now);
+        const expiring = expiringBatches(product.batches, NEAR_EXPIRY_DAYS, now);
+        return {
+          productId: product.id,
+          title: product.title,
+          status: product.status,
+          stock: product.stock,
+          signals: stockSignals(product, now),
+          expiringKg: expiring.reduce((total, batch) => total + batch.remainingKg, 0),
+          expiredKg: product.batches.reduce((total, batch) => total + batch.expiredKg, 0),
+          freshness: describeFreshness(product.batches, now),
+          autoDiscount: product.autoDiscount,
+          discount: product.discount,
+          batches: [...product.batches].sort((a, b) => a.harvestedAt - b.harvestedAt)
+        };
+      })
+      .filter(listing => !req.query.signal || listing.signals.includes(req.query.signal))
+      // Whatever needs attention first: soonest expiry, then least stock
+      .sort((a, b) =>
+        (a.freshness?.expiresInDays ?? Infinity) - (b.freshness?.expiresInDays ?? Infinity) || a.stock - b.stock);
+
+    const sum = (field) => listings.reduce((total, listing) => total + listing[field], 0);
+
+    res.json({
+      lowStockThresholdKg: LOW_STOCK_THRESHOLD_KG,
+      nearExpiryDays: NEAR_EXPIRY_DAYS,
+      listings,
+      totals: { stockKg: sum('stock'), expiringKg: sum('expiringKg'), expiredKg: sum('expiredKg') }
+    });
+
+  } catch (error) {
+    console.error('Inventory fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory' });
+  }
+});
+
+const batchResult = () => t.object({ message: t.string(), batch: t.ref('HarvestBatch'), product: t.ref('Product') });
+
+api.post('/api/products/:id/batches', {
+  tags: ['Inventory'],
+  summary: 'Add a harvest batch to a listing\'s stock',
+  body: t.object({
+    quantityKg: t.integer({ min: 1 }),
+    harvestedAt: t.date({ description: 'Defaults to now' }),
+    bestBefore: t.date({ description: 'Leave out for produce that keeps' })
+  }, { required: ['quantityKg'], checks: [harvestedAtCheck, bestBeforeCheck] }),
+  responses: { 201: batchResult() },
+  errors: [403, 404]
+}, authenticateToken, requireProductOwner, (req, res) => {
+  try {
+    const product = req.product;
+    const batch = createBatch(generateId(), req.body);
+
+    product.batches.push(batch);
+    refreshInventory(product);
+    product.updatedAt = new Date();
+    products.save(product);
+
+    res.status(201).json({ message: 'Harvest batch added', batch, product: withFreshness(product) });
+
+  } catch (error) {
+    console.error('Batch creation error:', error);
+    res.status(500).json({ error: 'Failed to add harvest batch' });
+  }
+});
+
+// Corrections after the fact: kilos lost to spoilage or a recount, or a
+// best-before date the seller got wrong
+api.patch('/api/products/:id/batches/:batchId', {
+  tags: ['Inventory'],
+  summary: 'Correct a harvest batch\'s kilos or best-before date',
+  body: t.object({
+    remainingKg: t.integer({ min: 0 }),
+    bestBefore: t.date({ nullable: true })
+  }, { checks: [bestBeforeCheck] }),
+  responses: { 200: batchResult() },
+  errors: [403, 404, 409]
+}, authenticateToken, requireProductOwner, (req, res) => {
+  try {
+    const product = req.product;
+    const batch = product.batches.find(b => b.id === req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (isExpired(batch)) {
+      return res.status(409).json({ error: 'This batch has expired' });
+    }
+
+    const { remainingKg, bestBefore } = req.body;
+    if (remainingKg !== undefined) batch.remainingKg = remainingKg;
+    if (bestBefore !== undefined) {
+      batch.bestBefore = bestBefore ? new Date(bestBefore) : null;
+      batch.expiryNotifiedAt = null;
+    }
+
+    refreshInventory(product);
+    product.updatedAt = new Date();
+    products.save(product);
+
+    res.json({ message: 'Harvest batch updated', batch, product: withFreshness(product) });
+
+  } catch (error) {
+    console.error('Batch update error:', error);
+    res.status(500).json({ error: 'Failed to update harvest batch' });
+  }
+});
+
+// Writes the batch off entirely. Orders already drawn from it keep their
+// kilos; cancelling one of them no longer returns stock.
+api.delete('/api/products/:id/batches/:batchId', {
+  tags: ['Inventory'],
+  summary: 'Remove a harvest batch from stock',
+  responses: { 200: t.ref('Deleted') },
+  errors: [403, 404]
+}, authenticateToken, requireProductOwner, (req, res) => {
+  try {
+    const product = req.product;
+    const batch = product.batches.find(b => b.id === req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    product.batches = product.batches.filter(b => b.id !== batch.id);
+    refreshInventory(product);
+    product.updatedAt = new Date();
+    products.save(product);
+
+    res.json({ message: 'Harvest batch removed', id: batch.id });
+
+  } catch (error) {
+    console.error('Batch deletion error:', error);
+    res.status(500).json({ error: 'Failed to remove harvest batch' });
+  }
+});
+
+// ==================== CROP CALENDAR ROUTES ====================
+
+const REMINDER_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+// Reminders go out this long before a task is due
+const REMINDER_LEAD_HOURS = 24;
+const MAX_PLANTINGS = 50;
+
+const localizeCalendarItem = (item, t) => ({ ...item, name: t(item.name), task: t(item.task) });
+
+// Sends every reminder coming due. Reminders more than a day overdue (a
+// planting entered after the fact) stay in the list but are not sent.
+const dispatchDueReminders = () => {
+  const now = Date.now();
+  const horizon = new Date(now + REMINDER_LEAD_HOURS * 60 * 60 * 1000);
+  const stale = new Date(now - 24 * 60 * 60 * 1000);
+
+  plantings.filter(planting => planting.reminders.some(r => !r.notifiedAt && !r.doneAt && r.dueAt <= horizon))
+    .forEach(planting => {
+      planting.reminders
+        .filter(r => !r.notifiedAt && !r.doneAt && r.dueAt <= horizon && r.dueAt >= stale)
+        .forEach(reminder => {
+          notify(planting.userId, 'task.reminder', {
+            task: reminder.task,
+            crop: CROP_CALENDAR[planting.crop].name,
+            date: reminder.dueAt.toISOString().slice(0, 10)
+          }, { plantingId: planting.id, reminderId: reminder.id, type: reminder.type });
+          reminder.notifiedAt = new Date();
+        });
+      planting.reminders.filter(r => !r.notifiedAt && r.dueAt < stale).forEach(r => { r.notifiedAt = r.dueAt; });
+      plantings.save(planting);
+    });
+};
+
+dispatchDueReminders();
+setInterval(dispatchDueReminders, REMINDER_CHECK_INTERVAL_MS).unref();
+
+const calendarQuery = t.object({
+  region: t.string({ description: 'Defaults to the signed-in user\'s region' }),
+  month: t.integer({ min: 1, max: 12 })
+});
+
+// ?region= wins, then the signed-in user's own region
+const getCalendarRegion = (req) => {
+  if (req.query.region) return req.query.region;
+  return req.user ? findUserById(req.user.userId)?.userData.region || null : null;
+};
+
+api.get('/api/calendar/crops', {
+  tags: ['Crop calendar'],
+  summary: 'Planting seasons and field tasks of every crop in a region',
+  query: calendarQuery,
+  responses: { 200: t.object({ region: t.string({ nullable: true }), zone: t.string(), crops: t.array(t.object()) }) }
+}, optionalAuthentication, (req, res) => {
+  try {
+    const region = getCalendarRegion(req);
+    const zone = getZone(region);
+
+    res.json({
+      region,
+      zone,
+      crops: getCalendar(zone).map(crop => ({
+        ...crop,
+        name: req.t(crop.name),
+        tasks: crop.tasks.map(task => ({ ...task, task: req.t(task.task) }))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Crop calendar fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch crop calendar' });
+  }
+});
+
+// What to plant this month, what opens soon, and the field work coming up:
+// the region's typical schedule plus the caller's own plantings
+api.get('/api/calendar', {
+  tags: ['Crop calendar'],
+  summary: 'What to plant this month and the field work coming up',
+  query: calendarQuery,
+  responses: { 200: t.ref('CalendarOverview') }
+}, optionalAuthentication, (req, res) => {
+  try {
+    const region = getCalendarRegion(req);
+    const zone = getZone(region);
+    const now = new Date();
+    const month = req.query.month || now.getUTCMonth() + 1;
+    const crops = getCalendar(zone);
+
+    const plantNow = crops.filter(crop => isPlantingMonth(crop.crop, zone, month));
+    const plantSoon = crops
+      .map(crop => ({ ...crop, opensInMonths: monthsUntilPlanting(crop.crop, zone, month) }))
+      .filter(crop => crop.opensInMonths > 0 && crop.opensInMonths <= 2)
+      .sort((a, b) => a.opensInMonths - b.opensInMonths);
+
+    const horizon = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+    const myTasks = req.user
+      ? plantings.filter(p => p.userId === req.user.userId).flatMap(planting => planting.reminders
+        .filter(r => !r.doneAt && r.dueAt <= horizon && (r.endsAt || r.dueAt) >= new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000))
+        .map(r => ({ plantingId: planting.id, crop: planting.crop, name: CROP_CALENDAR[planting.crop].name, overdue: r.dueAt < now, ...r })))
+        .sort((a, b) => a.dueAt - b.dueAt)
+      : [];
+
+    const summarize = ({ crop, name, daysToHarvest, opensInMonths }) => ({
+      crop,
+      name: req.t(name),
+      daysToHarvest,
+      ...(opensInMonths !== undefined && { opensInMonths })
+    });
+
+    res.json({
+      region,
+      zone,
+      month,
+      plantNow: plantNow.map(summarize),
+      plantSoon: plantSoon.map(summarize),
+      fieldTasks: regionalFieldTasks(zone, now).map(item => localizeCalendarItem(item, req.t)),
+      myTasks: myTasks.map(item => localizeCalendarItem(item, req.t))
+    });
+
+  } catch (error) {
+    console.error('Calendar fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch planting calendar' });
+  }
+});
+
+const summarizePlanting = (planting, t) => ({
+  ...planting,
+  name: t(CROP_CALENDAR[planting.crop].name),
+  reminders: planting.reminders.map(r => ({ ...r, task: t(r.task) }))
+});
+
+// Records a planting and schedules its reminders: the crop's field tasks
+// and the expected harvest window
+api.post('/api/calendar/plantings', {
+  tags: ['Crop calendar'],
+  summary: 'Record a planting and schedule its reminders',
+  body: t.object({
+    crop: t.string({ check: (value) => Boolean(findCrop(value)), message: 'Unknown crop' }),
+    plantedAt: t.date({ message: 'plantedAt must be a date' }),
+    area: t.number({ gt: 0 }),
+    notes: t.string({ max: 1000 }),
+    plantId: t.string()
+  }, { required: ['crop', 'plantedAt'] }),
+  responses: { 201: t.object({ message: t.string(), planting: t.ref('Planting'), warning: t.string() }) },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    const crop = findCrop(req.body.crop);
+    const plantedAt = new Date(req.body.plantedAt);
+
+    if (plantings.count(p => p.userId === req.user.userId) >= MAX_PLANTINGS) {
+      return res.status(400).json({ error: `You can track at most ${MAX_PLANTINGS} plantings` });
+    }
+    if (req.body.plantId && !findOwnedPlant(req.body.plantId, req.user.userId)) {
+      return res.status(404).json({ error: 'Plant not found' });
+    }
+
+    const zone = getZone(user.userData.region);
+    const schedule = buildSchedule(crop, plantedAt);
+    const harvest = schedule.find(item => item.type === 'harvest');
+
+    const planting = plantings.insert({
+      id: generateId(),
+      userId: req.user.userId,
+      crop,
+      plantId: req.body.plantId || null,
+      region: user.userData.region || null,
+      zone,
+      plantedAt,
+      area: req.body.area !== undefined ? parseFloat(req.body.area) : null,
+      notes: req.body.notes || '',
+      inSeason: isPlantingMonth(crop, zone, plantedAt.getUTCMonth() + 1),
+      harvestWindow: { from: harvest.dueAt, to: harvest.endsAt },
+      reminders: schedule.map(item => ({ id: generateId(), ...item, notifiedAt: null, doneAt: null })),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+    dispatchDueReminders();
+
+    res.status(201).json({
+      message: 'Planting saved',
+      planting: summarizePlanting(planting, req.t),
+      ...(!planting.inSeason && { warning: req.t('{crop} is usually not planted in this month in your area', { crop: req.t(CROP_CALENDAR[crop].name) }) })
+    });
+
+  } catch (error) {
+    console.error('Planting creation error:', error);
+    res.status(500).json({ error: 'Failed to save planting' });
+  }
+});
+
+api.get('/api/calendar/plantings', {
+  tags: ['Crop calendar'],
+  summary: 'List my plantings',
+  responses: { 200: t.object({ plantings: t.array(t.ref('Planting')), total: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const myPlantings = plantings.filter(p => p.userId === req.user.userId)
+      .sort((a, b) => b.plantedAt - a.plantedAt);
+
+    res.json({ plantings: myPlantings.map(p => summarizePlanting(p, req.t)), total: myPlantings.length });
+
+  } catch (error) {
+    console.error('Plantings fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch plantings' });
+  }
+});
+
+api.patch('/api/calendar/plantings/:id/reminders/:reminderId', {
+  tags: ['Crop calendar'],
+  summary: 'Tick off (or reopen) a reminder',
+  body: t.object({ done: t.boolean() }, { required: ['done'] }),
+  responses: { 200: t.ref('Planting') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const planting = plantings.findById(req.params.id);
+    if (!planting || planting.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Planting not found' });
+    }
+    const reminder = planting.reminders.find(r => r.id === req.params.reminderId);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    reminder.doneAt = req.body.done ? new Date() : null;
+    planting.updatedAt = new Date();
+    plantings.save(planting);
+
+    res.json(summarizePlanting(planting, req.t));
+
+  } catch (error) {
+    console.error('Reminder update error:', error);
+    res.status(500).json({ error: 'Failed to update reminder' });
+  }
+});
+
+api.delete('/api/calendar/plantings/:id', {
+  tags: ['Crop calendar'],
+  summary: 'Delete a planting',
+  responses: { 200: t.ref('Deleted') },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const planting = plantings.findById(req.params.id);
+    if (!planting || planting.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Planting not found' });
+    }
+
+    plantings.remove(planting.id);
+    res.json({ message: 'Planting deleted', id: planting.id });
+
+  } catch (error) {
+    console.error('Planting deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete planting' });
+  }
+});
+
+// ==================== FARM RECORD ROUTES ====================
+
+const MAX_FARMS = 20;
+const MAX_PLOTS_PER_FARM = 50;
+
+// null clears the coordinates
+const nullableLocation = () => ({ anyOf: [t.ref('Coordinates'), { type: 'null' }] });
+
+const parseLocation = (value) => (value ? { lat: parseFloat(value.lat), lng: parseFloat(value.lng) } : null);
+
+// Loads :id into req.farm and rejects anyone but its owner
+const requireFarmOwner = (req, res, next) => {
+  const farm = farms.findById(req.params.id);
+  if (!farm || farm.userId !== req.user.userId) {
+    return res.status(404).json({ error: 'Farm not found' });
+  }
+  req.farm = farm;
+  next();
+};
+
+// Loads :id into req.cycle and rejects anyone but its owner
+const requireCycleOwner = (req, res, next) => {
+  const cycle = cropCycles.findById(req.params.id);
+  if (!cycle || cycle.userId !== req.user.userId) {
+    return res.status(404).json({ error: 'Crop cycle not found' });
+  }
+  req.cycle = cycle;
+  next();
+};
+
+// What delivered marketplace orders of the cycle's listings brought in
+const getMarketplaceRevenue = (cycle) => {
+  const listingIds = new Set(cycle.listingIds || []);
+  if (listingIds.size === 0) return 0;
+  return orders.filter(order => order.sellerId === cycle.userId && order.status === 'delivered')
+    .flatMap(order => order.items.filter(item => listingIds.has(item.productId)))
+    .reduce((total, item) => total + item.subtotal, 0);
+};
+
+const cycleView = (cycle) => ({
+  ...cycle,
+  summary: summarizeCycle(cycle, { marketplaceRevenue: getMarketplaceRevenue(cycle) })
+});
+
+const farmBody = (partial = false) => t.object({
+  name: t.string({ trim: true, min: 2, max: 100 }),
+  region: t.string(),
+  areaHa: t.number({ gt: 0, nullable: partial }),
+  notes: t.string({ max: 2000 }),
+  location: nullableLocation()
+}, { required: partial ? [] : ['name'] });
+
+api.post('/api/farms', {
+  tags: ['Farm records'],
+  summary: 'Register a farm',
+  body: farmBody(),
+  responses: { 201: t.ref('Farm') },
+  errors: [403]
+}, authenticateToken, requireSellerAccount, (req, res) => {
+  try {
+    if (farms.count(f => f.userId === req.user.userId) >= MAX_FARMS) {
+      return res.status(400).json({ error: `You can register at most ${MAX_FARMS} farms` });
+    }
+
+    const region = req.body.region || req.currentUser.userData.region || null;
+    const farm = farms.insert({
+      id: generateId(),
+      userId: req.user.userId,
+      name: req.body.name,
+      region,
+      location: parseLocation(req.body.location) || getRegionCoordinates(region),
+      areaHa: req.body.areaHa !== undefined ? parseFloat(req.body.areaHa) : null,
+      notes: req.body.notes || '',
+      plots: [],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    res.status(201).json(farm);
+
+  } catch (error) {
+    console.error('Farm creation error:', error);
+    res.status(500).json({ error: 'Failed to create farm' });
+  }
+});
+
+api.get('/api/farms', {
+  tags: ['Farm records'],
+  summary: 'List my farms',
+  responses: { 200: t.object({ farms: t.array(t.ref('Farm')), total: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const myFarms = farms.filter(f => f.userId === req.user.userId).map(farm => ({
+      ...farm,
+      activeCycles: cropCycles.count(c => c.farmId === farm.id && c.status === 'active')
+    }));
+
+    res.json({ farms: myFarms, total: myFarms.length });
+
+  } catch (error) {
+    console.error('Farms fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch farms' });
+  }
+});
+
+api.get('/api/farms/:id', {
+  tags: ['Farm records'],
+  summary: 'Get a farm with its crop cycles',
+  responses: { 200: t.ref('Farm') },
+  errors: [404]
+}, authenticateToken, requireFarmOwner, (req, res) => {
+  try {
+    const cycles = cropCycles.filter(c => c.farmId === req.farm.id)
+      .sort((a, b) => b.plantedAt - a.plantedAt)
+      .map(cycleView);
+
+    res.json({ ...req.farm, cycles });
+
+  } catch (error) {
+    console.error('Farm fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch farm' });
+  }
+});
+
+api.patch('/api/farms/:id', {
+  tags: ['Farm records'],
+  summary: 'Update a farm',
+  body: farmBody(true),
+  responses: { 200: t.ref('Farm') },
+  errors: [404]
+}, authenticateToken, requireFarmOwner, (req, res) => {
+  try {
+    const farm = req.farm;
+    ['name', 'region', 'notes'].filter(field => req.body[field] !== undefined).forEach(field => {
+      farm[field] = req.body[field];
+    });
+    if (req.body.areaHa !== undefined) farm.areaHa = req.body.areaHa === null ? null : parseFloat(req.body.areaHa);
+    if (req.body.location !== undefined) farm.location = parseLocation(req.body.location) || getRegionCoordinates(farm.region);
+    farm.updatedAt = new Date();
+    farms.save(farm);
+
+    res.json(farm);
+
+  } catch (error) {
+    console.error('Farm update error:', error);
+    res.status(500).json({ error: 'Failed to update farm' });
+  }
+});
+
+api.delete('/api/farms/:id', {
+  tags: ['Farm records'],
+  summary: 'Delete a farm without crop cycles',
+  responses: { 200: t.ref('Deleted') },
+  errors: [404, 409]
+}, authenticateToken, requireFarmOwner, (req, res) => {
+  try {
+    if (cropCycles.some(c => c.farmId === req.farm.id)) {
+      return res.status(409).json({ error: 'Delete this farm\'s crop cycles first' });
+    }
+
+    farms.remove(req.farm.id);
+    res.json({ message: 'Farm deleted', id: req.farm.id });
+
+  } catch (error) {
+    console.error('Farm deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete farm' });
+  }
+});
+
+const plotBody = (partial = false) => t.object({
+  name: t.string({ trim: true, min: 1, max: 100 }),
+  areaHa: t.number({ gt: 0 }),
+  soilType: t.string({ max: 100 }),
+  soilNotes: t.string({ max: 2000 }),
+  location: nullableLocation()
+}, { required: partial ? [] : ['name', 'areaHa'] });
+
+api.post('/api/farms/:id/plots', {
+  tags: ['Farm records'],
+  summary: 'Add a plot to a farm',
+  body: plotBody(),
+  responses: { 201: t.ref('Plot') },
+  errors: [404]
+}, authenticateToken, requireFarmOwner, (req, res) => {
+  try {
+    const farm = req.farm;
+    if (farm.plots.length >= MAX_PLOTS_PER_FARM) {
+      return res.status(400).json({ error: `A farm can have at most ${MAX_PLOTS_PER_FARM} plots` });
+    }
+
+    const plot = {
+      id: generateId(),
+      name: req.body.name,
+      areaHa: parseFloat(req.body.areaHa),
+      soilType: req.body.soilType || null,
+      soilNotes: req.body.soilNotes || '',
+      // Plots without their own coordinates sit at the farm
+      location: parseLocation(req.body.location),
+      createdAt: new Date()
+    };
+    farm.plots.push(plot);
+    farm.updatedAt = new Date();
+    farms.save(farm);
+
+    res.status(201).json(plot);
+
+  } catch (error) {
+    console.error('Plot creation error:', error);
+    res.status(500).json({ error: 'Failed to add plot' });
+  }
+});
+
+api.patch('/api/farms/:id/plots/:plotId', {
+  tags: ['Farm records'],
+  summary: 'Update a plot',
+  body: plotBody(true),
+  responses: { 200: t.ref('Plot') },
+  errors: [404]
+}, authenticateToken, requireFarmOwner, (req, res) => {
+  try {
+    const plot = req.farm.plots.find(p => p.id === req.params.plotId);
+    if (!plot) {
+      return res.status(404).json({ error: 'Plot not found' });
+    }
+
+    ['name', 'soilType', 'soilNotes'].filter(field => req.body[field] !== undefined).forEach(field => {
+      plot[field] = req.body[field];
+    });
+    if (req.body.areaHa !== undefined) plot.areaHa = parseFloat(req.body.areaHa);
+    if (req.body.location !== undefined) plot.location = parseLocation(req.body.location);
+    req.farm.updatedAt = new Date();
+    farms.save(req.farm);
+
+    res.json(plot);
+
+  } catch (error) {
+    console.error('Plot update error:', error);
+    res.status(500).json({ error: 'Failed to update plot' });
+  }
+});
+
+api.delete('/api/farms/:id/plots/:plotId', {
+  tags: ['Farm records'],
+  summary: 'Delete a plot without crop cycles',
+  responses: { 200: t.ref('Deleted') },
+  errors: [404, 409]
+}, authenticateToken, requireFarmOwner, (req, res) => {
+  try {
+    if (!req.farm.plots.some(p => p.id === req.params.plotId)) {
+      return res.status(404).json({ error: 'Plot not found' });
+    }
+    if (cropCycles.some(c => c.plotId === req.params.plotId)) {
+      return res.status(409).json({ error: 'Delete this plot\'s crop cycles first' });
+    }
+
+    req.farm.plots = req.farm.plots.filter(p => p.id !== req.params.plotId);
+    req.farm.updatedAt = new Date();
+    farms.save(req.farm);
+
+    res.json({ message: 'Plot deleted', id: req.params.plotId });
+
+  } catch (error) {
+    console.error('Plot deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete plot' });
+  }
+});
+
+api.post('/api/crop-cycles', {
+  tags: ['Farm records'],
+  summary: 'Start a crop cycle on a plot',
+  body: t.object({
+    farmId: t.string(),
+    plotId: t.string(),
+    crop: t.string({ trim: true, min: 2, max: 50 }),
+    variety: t.string({ max: 100 }),
+    plantedAt: t.date({ message: 'plantedAt must be a date' }),
+    areaHa: t.number({ gt: 0, description: 'Defaults to the whole plot' }),
+    notes: t.string({ max: 2000 })
+  }, { required: ['farmId', 'plotId', 'crop', 'plantedAt'] }),
+  responses: { 201: t.ref('CropCycle') },
+  errors: [403, 404, 409]
+}, authenticateToken, requireSellerAccount, (req, res) => {
+  try {
+    const farm = farms.findById(req.body.farmId);
+    const plot = farm && farm.userId === req.user.userId ? farm.plots.find(p => p.id === req.body.plotId) : null;
+    if (!plot) {
+      return res.status(404).json({ error: 'Plot not found' });
+    }
+    if (cropCycles.some(c => c.plotId === plot.id && c.status === 'active' && normalizeCommodity(c.crop) === normalizeCommodity(req.body.crop))) {
+      return res.status(409).json({ error: 'This crop already has an active cycle on this plot' });
+    }
+
+    const cycle = cropCycles.insert({
+      id: generateId(),
+      userId: req.user.userId,
+      farmId: farm.id,
+      plotId: plot.id,
+      plotName: plot.name,
+      crop: normalizeCommodity(req.body.crop),
+      variety: req.body.variety || null,
+      plantedAt: new Date(req.body.plantedAt),
+      // Part of a plot can be planted; defaults to all of it
+      areaHa: req.body.areaHa !== undefined ? parseFloat(req.body.areaHa) : plot.areaHa,
+      status: 'active',
+      endedAt: null,
+      notes: req.body.notes || '',
+      records: [],
+      publishedKg: 0,
+      listingIds: [],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    res.status(201).json(cycleView(cycle));
+
+  } catch (error) {
+    console.error('Crop cycle creation error:', error);
+    res.status(500).json({ error: 'Failed to start crop cycle' });
+  }
+});
+
+api.get('/api/crop-cycles', {
+  tags: ['Farm records'],
+  summary: 'List my crop cycles with their cost and yield summaries',
+  query: t.object({ status: t.enum(CYCLE_STATUSES), farmId: t.string(), plotId: t.string() }),
+  responses: { 200: t.object({ cycles: t.array(t.ref('CropCycle')), total: t.integer() }) }
+}, authenticateToken, (req, res) => {
+  try {
+    const { status, farmId, plotId } = req.query;
+    const cycles = cropCycles.filter(c =>
+      c.userId === req.user.userId &&
+      (!status || c.status === status) &&
+      (!farmId || c.farmId === farmId) &&
+      (!plotId || c.plotId === plotId)
+    ).sort((a, b) => b.plantedAt - a.plantedAt);
+
+    res.json({ cycles: cycles.map(cycleView), total: cycles.length });
+
+  } catch (error) {
+    console.error('Crop cycles fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch crop cycles' });
+  }
+});
+
+api.get('/api/crop-cycles/:id', {
+  tags: ['Farm records'],
+  summary: 'Get a crop cycle with its records and summary',
+  responses: { 200: t.ref('CropCycle') },
+  errors: [404]
+}, authenticateToken, requireCycleOwner, (req, res) => {
+  res.json(cycleView(req.cycle));
+});
+
+api.patch('/api/crop-cycles/:id', {
+  tags: ['Farm records'],
+  summary: 'Update or close a crop cycle',
+  body: t.object({
+    variety: t.string({ max: 100, nullable: true }),
+    areaHa: t.number({ gt: 0 }),
+    notes: t.string({ max: 2000 }),
+    status: t.enum(CYCLE_STATUSES)
+  }),
+  responses: { 200: t.ref('CropCycle') },
+  errors: [404]
+}, authenticateToken, requireCycleOwner, (req, res) => {
+  try {
+    const cycle = req.cycle;
+    if (req.body.variety !== undefined) cycle.variety = req.body.variety;
+    if (req.body.notes !== undefined) cycle.notes = req.body.notes;
+    if (req.body.areaHa !== undefined) cycle.areaHa = parseFloat(req.body.areaHa);
+    if (req.body.status !== undefined && req.body.status !== cycle.status) {
+      cycle.status = req.body.status;
+      cycle.endedAt = req.body.status === 'active' ? null : new Date();
+    }
+    cycle.updatedAt = new Date();
+    cropCycles.save(cycle);
+
+    res.json(cycleView(cycle));
+
+  } catch (error) {
+    console.error('Crop cycle update error:', error);
+    res.status(500).json({ error: 'Failed to update crop cycle' });
+  }
+});
+
+api.delete('/api/crop-cycles/:id', {
+  tags: ['Farm records'],
+  summary: 'Delete a crop cycle',
+  responses: { 200: t.ref('Deleted') },
+  errors: [404]
+}, authenticateToken, requireCycleOwner, (req, res) => {
+  try {
+    cropCycles.remove(req.cycle.id);
+    res.json({ message: 'Crop cycle deleted', id: req.cycle.id });
+
+  } catch (error) {
+    console.error('Crop cycle deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete crop cycle' });
+  }
+});
+
+// Every record has a date and optional notes; each type adds its own fields
+const RECORD_SCHEMAS = {
+  input: {
+    properties: {
+      category: t.enum(INPUT_CATEGORIES),
+      name: t.string({ trim: true, min: 1, max: 100 }),
+      quantity: t.number({ min: 0 }),
+      unit: t.string({ max: 20 }),
+      cost: t.number({ min: 0 })
+    },
+    required: ['category', 'name', 'cost']
+  },
+  activity: {
+    properties: { activity: t.enum(ACTIVITY_TYPES), laborHours: t.number({ min: 0 }) },
+    required: ['activity']
+  },
+  harvest: {
+    properties: { quantityKg: t.number({ gt: 0 }), grade: t.string({ max: 50 }) },
+    required: ['quantityKg']
+  },
+  sale: {
+    properties: { quantityKg: t.number({ gt: 0 }), amount: t.number({ min: 0 }), buyer: t.string({ max: 100 }) },
+    required: ['quantityKg', 'amount']
+  }
+};
+
+const RECORD_FIELDS = {
+  input: { category: String, name: String, quantity: parseFloat, unit: String, cost: parseFloat },
+  activity: { activity: String, laborHours: parseFloat },
+  harvest: { quantityKg: parseFloat, grade: String },
+  sale: { quantityKg: parseFloat, amount: parseFloat, buyer: String }
+};
+
+// POST /api/crop-cycles/:id/inputs, /activities, /harvests and /sales
+RECORD_TYPES.forEach(type => {
+  api.post(`/api/crop-cycles/:id/${type === 'activity' ? 'activities' : `${type}s`}`, {
+    tags: ['Farm records'],
+    summary: `Log ${type === 'input' ? 'an input' : `a ${type}`} on a crop cycle`,
+    body: t.object({
+      date: t.date({ description: 'Defaults to now' }),
+      notes: t.string({ max: 1000 }),
+      ...RECORD_SCHEMAS[type].properties
+    }, { required: RECORD_SCHEMAS[type].required }),
+    responses: { 201: t.object({ record: t.ref('CycleRecord'), summary: t.ref('CycleSummary') }) },
+    errors: [404, ...(type === 'sale' ? [409] : [])]
+  }, authenticateToken, requireCycleOwner, (req, res) => {
+    try {
+      const cycle = req.cycle;
+      if (type === 'sale' && parseFloat(req.body.quantityKg) > getUnsoldKg(cycle)) {
+        return res.status(409).json({ error: `Only ${getUnsoldKg(cycle)} kg of this harvest is unsold` });
+      }
+
+      const record = {
+        id: generateId(),
+        type,
+        date: req.body.date ? new Date(req.body.date) : new Date(),
+        notes: req.body.notes || ''
+      };
+      Object.entries(RECORD_FIELDS[type]).forEach(([field, parse]) => {
+        record[field] = req.body[field] !== undefined ? parse(req.body[field]) : null;
+      });
+
+      cycle.records.push(record);
+      cycle.records.sort((a, b) => a.date - b.date);
+      cycle.updatedAt = new Date();
+      cropCycles.save(cycle);
+
+      res.status(201).json({ record, summary: cycleView(cycle).summary });
+
+    } catch (error) {
+      console.error('Crop cycle record error:', error);
+      res.status(500).json({ error: 'Failed to save record' });
+    }
+  });
+});
+
+api.delete('/api/crop-cycles/:id/records/:recordId', {
+  tags: ['Farm records'],
+  summary: 'Delete a logged record',
+  responses: { 200: t.object({ message: t.string(), id: t.string(), summary: t.ref('CycleSummary') }) },
+  errors: [404, 409]
+}, authenticateToken, requireCycleOwner, (req, res) => {
+  try {
+    const cycle = req.cycle;
+    const record = cycle.records.find(r => r.id === req.params.recordId);
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    const remaining = cycle.records.filter(r => r.id !== record.id);
+    if (record.type === 'harvest' && getUnsoldKg({ ...cycle, records: remaining }) < 0) {
+      return res.status(409).json({ error: 'Part of this harvest has already been sold or listed' });
+    }
+
+    cycle.records = remaining;
+    cycle.updatedAt = new Date();
+    cropCycles.save(cycle);
+
+    res.json({ message: 'Record deleted', id: record.id, summary: cycleView(cycle).summary });
+
+  } catch (error) {
+    console.error('Crop cycle record deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete record' });
+  }
+});
+
+// Puts unsold harvest up for sale as a new marketplace listing at the plot's location
+api.post('/api/crop-cycles/:id/publish', {
+  tags: ['Farm records'],
+  summary: 'Put unsold harvest up for sale as a marketplace listing',
+  body: t.object({
+    pricePerKg: t.number({ min: 0 }),
+    quantityKg: t.integer({ min: 1, description: 'Defaults to all unsold kilos' }),
+    title: t.string({ min: 3 }),
+    description: t.string(),
+    category: t.string(),
+    tags: t.array(t.string()),
+    bestBefore: t.date({ description: 'Leave out for produce that keeps' })
+  }, { required: ['pricePerKg'], checks: [bestBeforeCheck] }),
+  responses: { 201: t.object({ message: t.string(), product: t.ref('Product'), summary: t.ref('CycleSummary') }) },
+  errors: [403, 404, 409]
+}, authenticateToken, requireCycleOwner, requireSellerAccount, (req, res) => {
+  try {
+    const cycle = req.cycle;
+    const unsoldKg = Math.floor(getUnsoldKg(cycle));
+    const quantityKg = req.body.quantityKg !== undefined ? parseInt(req.body.quantityKg) : unsoldKg;
+
+    if (unsoldKg < 1) {
+      return res.status(409).json({ error: 'Log a harvest before publishing it' });
+    }
+    if (quantityKg > unsoldKg) {
+      return res.status(409).json({ error: `Only ${unsoldKg} kg of this harvest is unsold` });
+    }
+
+    const farm = farms.findById(cycle.farmId);
+    const plot = farm?.plots.find(p => p.id === cycle.plotId);
+    const cropName = cycle.crop.charAt(0).toUpperCase() + cycle.crop.slice(1);
+    const lastHarvest = [...cycle.records].reverse().find(r => r.type === 'harvest');
+
+    const product = createListing(req.currentUser, {
+      title: req.body.title || [cycle.variety, cropName].filter(Boolean).join(' '),
+      description: req.body.description || `Harvested ${lastHarvest.date.toISOString().slice(0, 10)} at ${farm ? farm.name : 'our farm'}`,
+      pricePerKg: req.body.pricePerKg,
+      category: req.body.category || 'general',
+      stock: quantityKg,
+      harvestedAt: lastHarvest.date,
+      bestBefore: req.body.bestBefore,
+      tags: req.body.tags || [cycle.crop],
+      commodity: cycle.crop,
+      ...((plot?.location || farm?.location) && { location: plot?.location || farm.location })
+    }, { cropCycleId: cycle.id });
+
+    cycle.publishedKg = (cycle.publishedKg || 0) + quantityKg;
+    cycle.listingIds = [...(cycle.listingIds || []), product.id];
+    cycle.updatedAt = new Date();
+    cropCycles.save(cycle);
+
+    res.status(201).json({ message: 'Harvest published to the marketplace', product: withFreshness(product), summary: cycleView(cycle).summary });
+
+  } catch (error) {
+    console.error('Harvest publish error:', error);
+    res.status(500).json({ error: 'Failed to publish harvest' });
+  }
+});
+
+// ==================== SELLER ANALYTICS ROUTES ====================
+
+const analyticsQuery = {
+  from: t.date({ message: 'from must be a date' }),
+  to: t.date({ message: 'to must be a date', description: 'A date without a time includes that whole day' }),
+  interval: t.enum(ANALYTICS_INTERVALS, { default: 'day' })
+};
+
+// ?from&to (dates or timestamps; a bare `to` date includes that whole day),
+// the last 30 days by default
+const resolveAnalyticsRange = (req, res, next) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  if (req.query.to && req.query.to.length === 10) to.setUTCHours(23, 59, 59, 999);
+
+  let from;
+  if (req.query.from) {
+    from = new Date(req.query.from);
+  } else {
+    from = new Date(to);
+    from.setUTCDate(from.getUTCDate() - 29);
+    from.setUTCHours(0, 0, 0, 0);
+  }
+
+  if (from > to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+
+  const { interval } = req.query;
+  if (listBuckets(from, to, interval).length > MAX_BUCKETS) {
+    return res.status(400).json({ error: 'Date range too long for this interval: pick a shorter range or a longer interval' });
+  }
+
+  req.range = { from, to, interval };
+  next();
+};
+
+const sellerSales = (sellerId, { from, to }) => orders.filter(order =>
+  order.sellerId === sellerId && isSale(order) && order.createdAt >= from && order.createdAt <= to
+);
+
+const sellerViewCounters = (sellerId, { from, to }) => {
+  const fromKey = from.toISOString().slice(0, 10);
+  const toKey = to.toISOString().slice(0, 10);
+  return listingViews.filter(counter => counter.sellerId === sellerId && counter.date >= fromKey && counter.date <= toKey);
+};
+
+const rangeView = ({ from, to, interval }) => ({ from, to, interval });
+
+// Revenue, kg sold, orders and listing views per day/week/month, plus totals
+api.get('/api/analytics/sales', {
+  tags: ['Seller analytics'],
+  summary: 'Revenue, kg sold, orders and listing views over time',
+  query: t.object(analyticsQuery),
+  responses: { 200: t.ref('SalesAnalytics') },
+  errors: [403]
+}, authenticateToken, requireSellerAccount, resolveAnalyticsRange, (req, res) => {
+  try {
+    const sales = sellerSales(req.user.userId, req.range);
+    const viewCounters = sellerViewCounters(req.user.userId, req.range);
+    const totals = summarizeSales(sales);
+    const views = viewCounters.reduce((total, counter) => total + counter.views, 0);
+
+    res.json({
+      range: rangeView(req.range),
+      totals: { ...totals, views, conversionPercent: percent(totals.orders, views) },
+      series: buildSalesSeries(sales, viewCounters, req.range)
+    });
+
+  } catch (error) {
+    console.error('Sales analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch sales analytics' });
+  }
+});
+
+// Top listings with views-to-orders conversion and stock turnover
+api.get('/api/analytics/products', {
+  tags: ['Seller analytics'],
+  summary: 'Top listings with conversion and stock turnover',
+  query: t.object({
+    ...analyticsQuery,
+    limit: t.integer({ min: 1, max: 100, default: 10 }),
+    sort: t.enum(['revenue', 'kgSold', 'orders', 'views', 'conversionPercent'], { default: 'revenue' })
+  }),
+  responses: { 200: t.object({ range: t.ref('AnalyticsRange'), products: t.array(t.ref('ListingPerformance')), total: t.integer() }) },
+  errors: [403]
+}, authenticateToken, requireSellerAccount, resolveAnalyticsRange, (req, res) => {
+  try {
+    const { limit, sort } = req.query;
+    const views = new Map();
+    sellerViewCounters(req.user.userId, req.range).forEach(counter => {
+      views.set(counter.productId, (views.get(counter.productId) || 0) + counter.views);
+    });
+
+    const listings = analyzeListings(
+      products.filter(p => p.sellerId === req.user.userId && p.status !== 'deleted'),
+      sellerSales(req.user.userId, req.range),
+      views,
+      req.range
+    );
+    listings.sort((a, b) => (b[sort] ?? -1) - (a[sort] ?? -1));
+
+    res.json({
+      range: rangeView(req.range),
+      products: listings.slice(0, limit),
+      total: listings.length
+    });
+
+  } catch (error) {
+    console.error('Product analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch product analytics' });
+  }
+});
+
+// Repeat and returning buyers, and who buys the most
+api.get('/api/analytics/buyers', {
+  tags: ['Seller analytics'],
+  summary: 'Repeat and returning buyers, and the top buyers',
+  query: t.object(analyticsQuery),
+  responses: { 200: t.ref('BuyerAnalytics') },
+  errors: [403]
+}, authenticateToken, requireSellerAccount, resolveAnalyticsRange, (req, res) => {
+  try {
+    const earlierBuyerIds = new Set(orders
+      .filter(order => order.sellerId === req.user.userId && isSale(order) && order.createdAt < req.range.from)
+      .map(order => order.buyerId));
+
+    const summary = analyzeBuyers(sellerSales(req.user.userId, req.range), earlierBuyerIds);
+    summary.top = summary.top.map(buyer => {
+      const user = findUserById(buyer.buyerId);
+      return { ...buyer, name: user ? user.userData.fullName || user.username : null };
+    });
+
+    res.json({ range: rangeView(req.range), ...summary });
+
+  } catch (error) {
+    console.error('Buyer analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch buyer analytics' });
+  }
+});
+
+// ==================== USER ROUTES ====================
+
+api.get('/api/users', {
+  tags: ['Users'],
+  summary: 'List every account',
+  responses: { 200: t.array(t.ref('UserSummary')) },
+  errors: [403]
+}, authenticateToken, requirePermission('users:read'), (req, res) => {
+  try {
+    const safeUsers = users.all().map(user => ({
+      id: user.userData.id,
+      username: user.userData.username,
+      fullName: user.userData.fullName,
+      userType: user.userData.userType,
+      region: user.userData.region,
+      age: user.userData.age,
+      avatar: user.userData.avatar,
+      role: getRole(user.userData),
+      status: user.userData.status || 'active'
+    }));
+    
+    res.json(safeUsers);
+  } catch (error) {
+    console.error('Users fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+api.get('/api/users/me', {
+  tags: ['Users'],
+  summary: 'My profile and permissions',
+  responses: { 200: t.object({ user: t.ref('User'), permissions: t.array(t.string()) }) },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      user: { ...user.userData, role: getRole(user.userData) },
+      permissions: getPermissions(user.userData)
+    });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Profile fields a user may change on their own account
+const EDITABLE_PROFILE_FIELDS = ['fullName', 'age', 'region', 'avatar', 'userType', 'locale', 'email', 'phone'];
+
+api.patch('/api/users/me', {
+  tags: ['Users'],
+  summary: 'Update my profile',
+  body: t.object({
+    fullName: t.string({ min: 2 }),
+    age: t.integer({ min: 18, max: 100 }),
+    region: t.string({ min: 2 }),
+    avatar: t.string({ max: 16 }),
+    userType: t.enum(['buyer', 'seller', 'both']),
+    locale: t.enum(SUPPORTED_LOCALES, { sanitize: normalizeLocale }),
+    email: t.string({ format: 'email', trim: true, lowercase: true, nullable: true }),
+    phone: t.string({ pattern: '^\\+?[0-9]{7,15}$', nullable: true })
+  }),
+  responses: { 200: t.object({ message: t.string(), user: t.ref('User') }) },
+  errors: [404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const changes = EDITABLE_PROFILE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (req.body.userType === 'buyer' && isSellerAccount(user.userData) &&
+        products.some(p => p.sellerId === user.userData.id && p.status === 'active')) {
+      return res.status(409).json({ error: 'Unpublish your listings before switching to a buyer account' });
+    }
+
+    changes.forEach(field => {
+      user.userData[field] = req.body[field];
+    });
+    user.userData.updatedAt = new Date();
+    users.save(user);
+
+    // Listings carry a copy of the seller's public profile
+    syncSellerProfile(user.userData);
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: user.userData
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Signs out every other device; the session making the change stays valid
+api.put('/api/users/me/password', {
+  tags: ['Users'],
+  summary: 'Change my password',
+  body: t.object({
+    currentPassword: t.string({ min: 1 }),
+    newPassword: t.string({ min: 6 })
+  }, { required: ['currentPassword', 'newPassword'] }),
+  responses: { 200: t.ref('Confirmation') },
+  errors: [404]
+}, authenticateToken, async (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!await bcrypt.compare(req.body.currentPassword, user.password)) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = await bcrypt.hash(req.body.newPassword, 12);
+    user.userData.updatedAt = new Date();
+    users.save(user);
+    revokeSessions(user.userData.id, req.user.sid);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+api.put('/api/users/me/locale', {
+  tags: ['Users'],
+  summary: 'Set the language I get answers and notifications in',
+  body: t.object({ locale: t.enum(SUPPORTED_LOCALES, { sanitize: normalizeLocale }) }, { required: ['locale'] }),
+  responses: { 200: t.object({ message: t.string(), locale: t.string(), supportedLocales: t.array(t.string()) }) },
+  errors: [404]
+}, authenticateToken, (req, res) => {
+  try {
+    const user = findUserById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    user.userData.locale = req.body.locale;
+    user.userData.updatedAt = new Date();
+    users.save(user);
+
+    // Answer in the language just picked, not the one the request came in
+    req.locale = req.body.locale;
+    res.set('Content-Language', req.locale);
+
+    res.json({
+      message: 'Preferences updated successfully',
+      locale: req.locale,
+      supportedLocales: SUPPORTED_LOCALES
+    });
+  } catch (error) {
+    console.error('Locale update error:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+// ==================== REPORT ROUTES ====================
+
+const REPORT_REASONS = ['spam', 'fraud', 'counterfeit', 'inappropriate', 'harassment', 'other'];
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+
+// What each kind of report points at, and whether the reporter may see it
+const REPORT_TARGETS = {
+  product: (id) => {
+    const product = products.findById(id);
+    return product && product.status !== 'deleted' ? product : null;
+  },
+  review: (id) => reviews.findById(id),
+  user: (id) => {
+    const user = findUserById(id);
+    return user ? user.userData : null;
+  },
+  message: (id, reporterId) => {
+    const message = messages.findById(id);
+    const conversation = message && conversations.findById(message.conversationId);
+    return conversation && isParticipant(conversation, reporterId) ? message : null;
+  }
+};
+
+const findReportTarget = (report) => REPORT_TARGETS[report.targetType](report.targetId, report.reporterId) || null;
+
+api.post('/api/reports', {
+  tags: ['Reports'],
+  summary: 'Report a listing, review, user or message',
+  body: t.object({
+    targetType: t.enum(Object.keys(REPORT_TARGETS)),
+    targetId: t.string({ min: 1 }),
+    reason: t.enum(REPORT_REASONS),
+    details: t.string({ max: 2000 })
+  }, { required: ['targetType', 'targetId', 'reason'] }),
+  responses: { 201: t.object({ message: t.string(), report: t.ref('Report') }) },
+  errors: [404, 409]
+}, authenticateToken, (req, res) => {
+  try {
+    const { targetType, targetId, reason, details = '' } = req.body;
+    const reporterId = req.user.userId;
+
+    if (!REPORT_TARGETS[targetType](targetId, reporterId)) {
+      return res.status(404).json({ error: 'Reported content not found' });
+    }
+
+    const duplicate = reports.find(r =>
+      r.reporterId === reporterId && r.targetType === targetType && r.targetId === targetId && r.status === 'open'
+    );
+    if (duplicate) {
+      return res.status(409).json({ error: 'You have already reported this' });
+    }
+
+    const report = {
+      id: generateId(),
+      reporterId,
+      targetType,
+      targetId,
+      reason,
+      details,
+      status: 'open',
+      resolution: null,
+      resolvedBy: null,
+      resolvedAt: null,
+      createdAt: new Date()
+    };
+    reports.insert(report);
+
+    res.status(201).json({ message: 'Report submitted. Thank you for keeping the marketplace safe.', report });
+  } catch (error) {
+    console.error('Report creation error:', error);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// Moderation actions are recorded here so admins can see who did what
+const recordAudit = (actor, action, target, { reason = null, details = {} } = {}) => {
+  const entry = {
+    id: generateId(),
+    actorId: actor ? actor.userData.id : null,
+    actorUsername: actor ? actor.username : 'system',
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    reason,
+    details,
+    createdAt: new Date()
+  };
+  auditLog.insert(entry);
+  return entry;
+};
+
+const adminUserView = (user) => ({
+  ...user.userData,
+  role: getRole(user.userData),
+  status: user.userData.status || 'active'
+});
+
+// Hides a listing from the marketplace. `source` tells reinstatement which
+// listings it may bring back ('account' = hidden because the seller was blocked).
+const hideListing = (product, actor, reason, source = 'listing') => {
+  product.status = 'unpublished';
+  product.moderation = {
+    status: 'unpublished',
+    source,
+    reason,
+    by: actor ? actor.userData.id : null,
+    at: new Date()
+  };
+  product.updatedAt = new Date();
+  products.save(product);
+};
+
+const restoreListing = (product) => {
+  product.status = 'active';
+  product.moderation = null;
+  product.updatedAt = new Date();
+  products.save(product);
+  checkPriceAlerts(product, null);
+};
+
+// Suspends or bans an account: signs it out everywhere and hides its listings
+const blockAccount = (user, actor, { status, reason, until = null }) => {
+  const userId = user.userData.id;
+  user.userData.status = status;
+  user.userData.statusReason = reason;
+  user.userData.suspendedUntil = until;
+  user.userData.updatedAt = new Date();
+  users.save(user);
+
+  revokeSessions(userId);
+  (userSockets.get(userId) || []).forEach(socket => socket.close(4403, 'Account blocked'));
+
+  const hidden = products.filter(p => p.sellerId === userId && p.status === 'active');
+  hidden.forEach(product => hideListing(product, actor, reason, 'account'));
+
+  return recordAudit(actor, `user.${status === 'banned' ? 'ban' : 'suspend'}`, { type: 'user', id: userId }, {
+    reason,
+    details: { until, hiddenListings: hidden.map(p => p.id) }
+  });
+};
+
+const reinstateAccount = (user, actor, reason = null) => {
+  const userId = user.userData.id;
+  user.userData.status = 'active';
+  user.userData.statusReason = null;
+  user.userData.suspendedUntil = null;
+  user.userData.updatedAt = new Date();
+  users.save(user);
+
+  const restored = products.filter(p => p.sellerId === userId && p.moderation?.source === 'account' && p.status === 'unpublished');
+  restored.forEach(restoreListing);
+
+  return recordAudit(actor, 'user.reinstate', { type: 'user', id: userId }, {
+    reason,
+    details: { restoredListings: restored.map(p => p.id) }
+  });
+};
+
+// Loads :id into req.targetUser; staff cannot act on their own account or on
+// someone with an equal or higher role
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+const loadTargetUser = (req, res, next) => {
+  const target = findUserById(req.params.id);
+  if (!target) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (target.userData.id === req.user.userId) {
+    return res.status(400).json({ error: 'You cannot moderate your own account' });
+  }
+  if (ROLE_RANK[getRole(target.userData)] >= ROLE_RANK[getRole(req.currentUser.userData)]) {
+    return res.status(403).json({ error: 'You cannot moderate an account with an equal or higher role' });
+  }
+  req.targetUser = target;
+  next();
+};
+
+// Moderation actions that need a reason recorded in the audit log
+const reasonBody = () => t.object({ reason: t.string({ trim: true, min: 3, max: 500 }) }, { required: ['reason'] });
+
+const optionalReasonBody = () => t.object({ reason: t.string({ max: 500 }) });
+
+const moderationResult = (subject, schema) => t.object({ message: t.string(), [subject]: schema, audit: t.ref('AuditEntry') });
+
+const pageInfo = { total: t.integer(), page: t.integer(), totalPages: t.integer() };
+
+api.get('/api/admin/users', {
+  tags: ['Admin'],
+  summary: 'Search accounts',
+  query: t.object({
+    ...paginationQuery,
+    status: t.enum(ACCOUNT_STATUSES),
+    role: t.enum(ROLES),
+    q: t.string({ description: 'Matches username or full name' })
+  }),
+  responses: { 200: t.object({ users: t.array(t.ref('User')), ...pageInfo }) },
+  errors: [403]
+}, authenticateToken, requirePermission('users:read'), (req, res) => {
+  try {
+    const { status, role, q } = req.query;
+    const search = q ? q.toLowerCase() : null;
+
+    const matches = users.all()
+      .map(adminUserView)
+      .filter(user =>
+        (!status || user.status === status) &&
+        (!role || user.role === role) &&
+        (!search || user.username.toLowerCase().includes(search) || user.fullName.toLowerCase().includes(search))
+      )
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    const { items, ...pageInfo } = paginate(matches, req);
+    res.json({ users: items, ...pageInfo });
+  } catch (error) {
+    console.error('Admin users fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
+api.post('/api/admin/users/:id/suspend', {
+  tags: ['Admin'],
+  summary: 'Suspend an account, for a number of days or until reinstated',
+  body: t.object({
+    reason: t.string({ trim: true, min: 3, max: 500 }),
+    days: t.integer({ min: 1, max: 365 })
+  }, { required: ['reason'] }),
+  responses: { 200: moderationResult('user', t.ref('User')) },
+  errors: [403, 404, 409]
+}, authenticateToken, requirePermission('users:suspend'), loadTargetUser, (req, res) => {
+  try {
+    if (req.targetUser.userData.status === 'banned') {
+      return res.status(409).json({ error: 'Account is already banned' });
+    }
+
+    const until = req.body.days ? new Date(Date.now() + req.body.days * 24 * 60 * 60 * 1000) : null;
+    const audit = blockAccount(req.targetUser, req.currentUser, { status: 'suspended', reason: req.body.reason, until });
+
+    res.json({ message: 'Account suspended', user: adminUserView(req.targetUser), audit });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+api.post('/api/admin/users/:id/ban', {
+  tags: ['Admin'],
+  summary: 'Ban an account',
+  body: reasonBody(),
+  responses: { 200: moderationResult('user', t.ref('User')) },
+  errors: [403, 404]
+}, authenticateToken, requirePermission('users:ban'), loadTargetUser, (req, res) => {
+  try {
+    const audit = blockAccount(req.targetUser, req.currentUser, { status: 'banned', reason: req.body.reason });
+
+    res.json({ message: 'Account banned', user: adminUserView(req.targetUser), audit });
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(500).json({ error: 'Failed to ban user' });
+  }
+});
+
+api.post('/api/admin/users/:id/reinstate', {
+  tags: ['Admin'],
+  summary: 'Lift a suspension or ban',
+  body: optionalReasonBody(),
+  responses: { 200: moderationResult('user', t.ref('User')) },
+  errors: [403, 404, 409]
+}, authenticateToken, requirePermission('users:suspend'), loadTargetUser, (req, res) => {
+  try {
+    const { userData } = req.targetUser;
+    if (!userData.status || userData.status === 'active') {
+      return res.status(409).json({ error: 'Account is not suspended or banned' });
+    }
+    // Lifting a ban is an admin decision
+    if (userData.status === 'banned' && !hasPermission(req.currentUser.userData, 'users:ban')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const audit = reinstateAccount(req.targetUser, req.currentUser, req.body.reason || null);
+
+    res.json({ message: 'Account reinstated', user: adminUserView(req.targetUser), audit });
+  } catch (error) {
+    console.error('Reinstate user error:', error);
+    res.status(500).json({ error: 'Failed to reinstate user' });
+  }
+});
+
+api.put('/api/admin/users/:id/role', {
+  tags: ['Admin'],
+  summary: 'Change an account\'s staff role',
+  body: t.object({ role: t.enum(ROLES) }, { required: ['role'] }),
+  responses: { 200: moderationResult('user', t.ref('User')) },
+  errors: [403, 404]
+}, authenticateToken, requirePermission('users:manage-roles'), loadTargetUser, (req, res) => {
+  try {
+    const previousRole = getRole(req.targetUser.userData);
+
+    req.targetUser.userData.role = req.body.role;
+    req.targetUser.userData.updatedAt = new Date();
+    users.save(req.targetUser);
+
+    const audit = recordAudit(req.currentUser, 'user.role', { type: 'user', id: req.targetUser.userData.id }, {
+      details: { from: previousRole, to: req.body.role }
+    });
+
+    res.json({ message: 'Role updated', user: adminUserView(req.targetUser), audit });
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Listings in any state, including ones sellers unpublished or deleted
+api.get('/api/admin/products', {
+  tags: ['Admin'],
+  summary: 'Listings in any state',
+  query: t.object({
+    ...paginationQuery,
+    status: t.enum(['active', 'unpublished', 'deleted']),
+    sellerId: t.string(),
+    moderated: t.boolean()
+  }),
+  responses: { 200: t.object({ products: t.array(t.ref('Product')), ...pageInfo }) },
+  errors: [403]
+}, authenticateToken, requirePermission('products:moderate'), (req, res) => {
+  try {
+    const { status, sellerId, moderated } = req.query;
+
+    const matches = products.filter(p =>
+      (!status || p.status === status) &&
+      (!sellerId || p.sellerId === sellerId) &&
+      (moderated === undefined || Boolean(p.moderation) === moderated)
+    ).sort((a, b) => b.updatedAt - a.updatedAt);
+
+    const { items, ...pageInfo } = paginate(matches, req);
+    res.json({ products: items, ...pageInfo });
+  } catch (error) {
+    console.error('Admin products fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+const loadModeratedProduct = (req, res, next) => {
+  const product = products.findById(req.params.id);
+  if (!product || product.status === 'deleted') {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  req.product = product;
+  next();
+};
+
+api.post('/api/admin/products/:id/unpublish', {
+  tags: ['Admin'],
+  summary: 'Hide a listing until a moderator restores it',
+  body: reasonBody(),
+  responses: { 200: moderationResult('product', t.ref('Product')) },
+  errors: [403, 404]
+}, authenticateToken, requirePermission('products:moderate'), loadModeratedProduct, (req, res) => {
+  try {
+    hideListing(req.product, req.currentUser, req.body.reason);
+    const audit = recordAudit(req.currentUser, 'product.unpublish', { type: 'product', id: req.product.id }, { reason: req.body.reason });
+
+    res.json({ message: 'Listing unpublished', product: withFreshness(req.product), audit });
+  } catch (error) {
+    console.error('Unpublish listing error:', error);
+    res.status(500).json({ error: 'Failed to unpublish listing' });
+  }
+});
+
+api.post('/api/admin/products/:id/restore', {
+  tags: ['Admin'],
+  summary: 'Bring back a listing a moderator unpublished',
+  body: optionalReasonBody(),
+  responses: { 200: moderationResult('product', t.ref('Product')) },
+  errors: [403, 404, 409]
+}, authenticateToken, requirePermission('products:moderate'), loadModeratedProduct, (req, res) => {
+  try {
+    if (!req.product.moderation) {
+      return res.status(409).json({ error: 'Listing was not unpublished by a moderator' });
+    }
+
+    restoreListing(req.product);
+    const audit = recordAudit(req.currentUser, 'product.restore', { type: 'product', id: req.product.id }, { reason: req.body.reason || null });
+
+    res.json({ message: 'Listing restored', product: withFreshness(req.product), audit });
+  } catch (error) {
+    console.error('Restore listing error:', error);
+    res.status(500).json({ error: 'Failed to restore listing' });
+  }
+});
+
+// Same soft delete sellers get, so order history keeps resolving
+api.delete('/api/admin/products/:id', {
+  tags: ['Admin'],
+  summary: 'Remove a listing',
+  body: reasonBody(),
+  responses: { 200: t.object({ message: t.string(), id: t.string(), audit: t.ref('AuditEntry') }) },
+  errors: [403, 404]
+}, authenticateToken, requirePermission('products:moderate'), loadModeratedProduct, async (req, res) => {
+  try {
+    const images = req.product.images;
+
+    req.product.status = 'deleted';
+    req.product.images = [];
+    req.product.moderation = {
+      status: 'removed',
+      source: 'listing',
+      reason: req.body.reason,
+      by: req.currentUser.userData.id,
+      at: new Date()
+    };
+    req.product.deletedAt = new Date();
+    req.product.updatedAt = new Date();
+    products.save(req.product);
+
+    await Promise.all(images.map(image => removeProductImage(imageStorage, image)));
+    const audit = recordAudit(req.currentUser, 'product.remove', { type: 'product', id: req.product.id }, { reason: req.body.reason });
+
+    res.json({ message: 'Listing removed', id: req.product.id, audit });
+  } catch (error) {
+    console.error('Remove listing error:', error);
+    res.status(500).json({ error: 'Failed to remove listing' });
+  }
+});
+
+api.delete('/api/admin/reviews/:id', {
+  tags: ['Admin'],
+  summary: 'Remove a review',
+  body: reasonBody(),
+  responses: { 200: t.object({ message: t.string(), id: t.string(), audit: t.ref('AuditEntry') }) },
+  errors: [403, 404]
+}, authenticateToken, requirePermission('reviews:moderate'), (req, res) => {
+  try {
+    const review = reviews.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    reviews.remove(review.id);
+    const product = products.findById(review.productId);
+    if (product) refreshRatings(product);
+
+    const audit = recordAudit(req.currentUser, 'review.remove', { type: 'review', id: review.id }, {
+      reason: req.body.reason,
+      details: { productId: review.productId, authorId: review.buyerId, rating: review.rating, comment: review.comment }
+    });
+
+    res.json({ message: 'Review removed', id: review.id, audit });
+  } catch (error) {
+    console.error('Remove review error:', error);
+    res.status(500).json({ error: 'Failed to remove review' });
+  }
+});
+
+api.get('/api/admin/reports', {
+  tags: ['Admin'],
+  summary: 'Reports to review, oldest first, with what they point at',
+  query: t.object({
+    ...paginationQuery,
+    status: t.enum(REPORT_STATUSES, { default: 'open' }),
+    targetType: t.enum(Object.keys(REPORT_TARGETS))
+  }),
+  responses: { 200: t.object({ reports: t.array(t.ref('Report')), ...pageInfo }) },
+  errors: [403]
+}, authenticateToken, requirePermission('reports:review'), (req, res) => {
+  try {
+    const { status, targetType } = req.query;
+
+    const matches = reports.filter(r =>
+      r.status === status && (!targetType || r.targetType === targetType)
+    ).sort((a, b) => a.createdAt - b.createdAt);
+
+    const { items, ...pageInfo } = paginate(matches, req);
+    res.json({
+      // Moderators see what was reported without a second lookup
+      reports: items.map(report => ({
+        ...report,
+        target: findReportTarget(report),
+        openReportsOnTarget: reports.count(r => r.targetType === report.targetType && r.targetId === report.targetId && r.status === 'open')
+      })),
+      ...pageInfo
+    });
+  } catch (error) {
+    console.error('Reports fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch reports' });
+  }
+});
+
+api.patch('/api/admin/reports/:id', {
+  tags: ['Admin'],
+  summary: 'Resolve a report',
+  body: t.object({
+    status: t.enum(['dismissed', 'actioned']),
+    resolution: t.string({ max: 1000 })
+  }, { required: ['status'] }),
+  responses: { 200: moderationResult('report', t.ref('Report')) },
+  errors: [403, 404, 409]
+}, authenticateToken, requirePermission('reports:review'), (req, res) => {
+  try {
+    const report = reports.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+      return res.status(409).json({ error: 'Report has already been resolved' });
+    }
+
+    report.status = req.body.status;
+    report.resolution = req.body.resolution || null;
+    report.resolvedBy = req.currentUser.userData.id;
+    report.resolvedAt = new Date();
+    reports.save(report);
+
+    const audit = recordAudit(req.currentUser, `report.${report.status === 'dismissed' ? 'dismiss' : 'action'}`, { type: 'report', id: report.id }, {
+      reason: report.resolution,
+      details: { targetType: report.targetType, targetId: report.targetId }
+    });
+
+    res.json({ message: 'Report resolved', report, audit });
+  } catch (error) {
+    console.error('Report resolve error:', error);
+    res.status(500).json({ error: 'Failed to resolve report' });
+  }
+});
+
+api.get('/api/admin/audit', {
+  tags: ['Admin'],
+  summary: 'Moderation audit log, newest first',
+  query: t.object({
+    ...paginationQuery,
+    actorId: t.string(),
+    action: t.string(),
+    targetType: t.string(),
+    targetId: t.string()
+  }),
+  responses: { 200: t.object({ entries: t.array(t.ref('AuditEntry')), ...pageInfo }) },
+  errors: [403]
+}, authenticateToken, requirePermission('audit:read'), (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId } = req.query;
+
+    const matches = auditLog.filter(entry =>
+      (!actorId || entry.actorId === actorId) &&
+      (!action || entry.action === action) &&
+      (!targetType || entry.targetType === targetType) &&
+      (!targetId || entry.targetId === targetId)
+    ).sort((a, b) => b.createdAt - a.createdAt);
+
+    const { items, ...pageInfo } = paginate(matches, req);
+    res.json({ entries: items, ...pageInfo });
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
 // ==================== UTILITY ROUTES ====================
 
-app.get('/health', (req, res) => {
+api.get('/health', {
+  tags: ['Service'],
+  summary: 'Liveness check',
+  responses: { 200: t.object({ status: t.string(), timestamp: t.date(), version: t.string(), storage: t.string() }) }
+}, (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
@@ -816,20 +6434,39 @@ app.get('/health', (req, res) => {
     version: '2.0.0',
     service: 'SmartCropX',
     features: ['AI Plant Detection', 'Farming Marketplace', 'Real AI Advice'],
-    users: users.length,
-    products: products.length
+    storage: store.driver,
+    users: users.count(),
+    products: products.count()
   });
 });
 
-app.get('/api/stats', (req, res) => {
+api.get('/api/stats', {
+  tags: ['Admin'],
+  summary: 'Marketplace totals',
+  responses: {
+    200: t.object({
+      totalUsers: t.integer(),
+      totalProducts: t.integer(),
+      farmers: t.integer(),
+      buyers: t.integer(),
+      recentUsers: t.array(t.ref('User'), { description: 'The three newest accounts' }),
+      suspendedUsers: t.integer(),
+      openReports: t.integer(),
+      popularProducts: t.array(t.ref('Product'), { description: 'The three best-rated live listings' })
+    })
+  },
+  errors: [403]
+}, authenticateToken, requirePermission('stats:read'), (req, res) => {
   try {
     const stats = {
-      totalUsers: users.length,
-      totalProducts: products.length,
-      farmers: users.filter(u => u.userData.userType === 'seller' || u.userData.userType === 'both').length,
-      buyers: users.filter(u => u.userData.userType === 'buyer' || u.userData.userType === 'both').length,
-      recentUsers: users.slice(-3).map(u => u.userData),
-      popularProducts: products.sort((a, b) => b.rating - a.rating).slice(0, 3)
+      totalUsers: users.count(),
+      totalProducts: products.count(p => p.status === 'active'),
+      farmers: users.count(u => u.userData.userType === 'seller' || u.userData.userType === 'both'),
+      buyers: users.count(u => u.userData.userType === 'buyer' || u.userData.userType === 'both'),
+      recentUsers: users.all().slice(-3).map(u => u.userData),
+      suspendedUsers: users.count(u => u.userData.status === 'suspended' || u.userData.status === 'banned'),
+      openReports: reports.count(r => r.status === 'open'),
+      popularProducts: products.filter(p => p.status === 'active').sort((a, b) => b.rating - a.rating).slice(0, 3).map(withFreshness)
     };
     
     res.json(stats);
@@ -839,7 +6476,11 @@ app.get('/api/stats', (req, res) => {
   }
 });
 
-app.get('/api/categories', (req, res) => {
+api.get('/api/categories', {
+  tags: ['Products'],
+  summary: 'Listing categories',
+  responses: { 200: t.array(t.object({ id: t.string(), name: t.string(), icon: t.string() })) }
+}, (req, res) => {
   const categories = [
     { id: 'vegetables', name: 'Vegetables', icon: '🥕' },
     { id: 'fruits', name: 'Fruits', icon: '🍎' },
@@ -851,8 +6492,36 @@ app.get('/api/categories', (req, res) => {
   res.json(categories);
 });
 
+// The OpenAPI document is built on first request, once every route is registered
+let openApiDocument = null;
+
+api.get('/api/openapi.json', {
+  tags: ['Service'],
+  summary: 'This API\'s OpenAPI 3.1 document',
+  responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: t.object() } } } }
+}, (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument({
+      info: {
+        title: 'SmartCropX API',
+        version: '2.0.0',
+        description: 'AI-powered farming marketplace. Errors are { error, code, details? }; ' +
+          '`error` follows the Accept-Language header, `code` is stable.'
+      },
+      servers: [{ url: PUBLIC_BASE_URL }],
+      routes: api.routes,
+      components: API_SCHEMAS
+    });
+  }
+  res.json(openApiDocument);
+});
+
 // Root route
-app.get('/', (req, res) => {
+api.get('/', {
+  tags: ['Service'],
+  summary: 'API overview and endpoint list',
+  responses: { 200: t.object({ message: t.string(), version: t.string(), endpoints: t.object({}, { values: t.array(t.string()) }) }) }
+}, (req, res) => {
   res.json({ 
     message: 'SmartCropX Backend API is running! 🤖🌱',
     version: '2.0.0',
@@ -862,19 +6531,13 @@ app.get('/', (req, res) => {
       'Smart Crop Analysis', 
       'Farming Marketplace',
       'Real-time AI Advice',
-      'Free Plant Scanning'
+      'Free Plant Scanning',
+      'English, Tagalog, Cebuano and Ilocano responses'
     ],
-    endpoints: {
-      ai: {
-        disease_detection: 'POST /api/ai/detect-disease',
-        farming_advice: 'POST /api/ai/farming-advice'
-      },
-      auth: {
-        register: 'POST /api/auth/register',
-        login: 'POST /api/auth/login'
-      },
-      products: 'GET /api/products'
-    }
+    locales: SUPPORTED_LOCALES,
+    documentation: '/api/openapi.json',
+    websocket: 'WS /ws?token=<jwt>',
+    endpoints: listEndpoints(api.routes)
   });
 });
 
@@ -883,15 +6546,8 @@ app.use('*', (req, res) => {
   res.status(404).json({ 
     error: 'Endpoint not found',
     path: req.originalUrl,
-    availableEndpoints: [
-      'GET /',
-      'GET /health',
-      'POST /api/auth/register',
-      'POST /api/auth/login',
-      'GET /api/products',
-      'POST /api/ai/detect-disease',
-      'POST /api/ai/farming-advice'
-    ]
+    documentation: '/api/openapi.json',
+    availableEndpoints: Object.values(listEndpoints(api.routes)).flat()
   });
 });
 
@@ -910,16 +6566,37 @@ app.use((error, req, res, next) => {
   });
 });
 
-server.listen(PORT, '0.0.0.0', () => {
+// Tests drive the exported app through supertest instead
+if (NODE_ENV !== 'test') server.listen(PORT, '0.0.0.0', () => {
   console.log('🚀 SmartCropX Backend Server running on port ' + PORT);
   console.log('✅ Environment: ' + NODE_ENV);
   console.log('✅ Version: 2.0.0 - AI Enhanced');
+  console.log('✅ Storage: ' + store.driver);
   console.log('✅ Plant.id API: ' + (process.env.PLANT_ID_API_KEY ? 'Ready' : 'Not configured'));
   console.log('✅ Crop.health API: ' + (process.env.CROP_HEALTH_API_KEY ? 'Ready' : 'Not configured'));
+  console.log('✅ Diagnosis providers: ' + diagnosisPipeline.providers.map(p => p.name).join(' → '));
+  console.log(`✅ Weather provider: ${weatherService.name}`);
   console.log('✅ AI Features: Plant Disease Detection, Farming Advice');
   console.log('✅ Demo users: demo/demo123, farmer/farm123, buyer/buy123');
   console.log('✅ Health check: /health');
   console.log('🤖🌱 SmartCropX - AI Farming Platform Ready!');
 });
 
-export default app;
\ No newline at end of file
+export default app;
+// The HTTP server itself, for tests that need the WebSocket endpoint on it
+export { server };
+
+// Flush pending writes before the platform stops the process (e.g. on redeploy)
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, saving data and shutting down`);
+  server.close();
+  try {
+    await store.close();
+  } catch (error) {
+    console.error('Storage shutdown error:', error);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
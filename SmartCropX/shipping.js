@@ -0,0 +1,96 @@
+// Delivery methods a seller can offer on a listing, and how each is priced.
+// Fees are in pesos; distances are straight-line kilometres from the farm.
+
+export const DELIVERY_METHODS = {
+  pickup: {
+    label: 'Pickup at farm',
+    defaults: {}
+  },
+  seller_delivery: {
+    label: 'Seller delivery',
+    defaults: { maxDistanceKm: 20, baseFee: 50, feePerKm: 5, feePerKg: 0, freeOverAmount: null }
+  },
+  courier: {
+    label: 'Courier',
+    defaults: { maxDistanceKm: null, maxWeightKg: 50, baseFee: 100, feePerKm: 1, feePerKg: 10, freeOverAmount: null }
+  }
+};
+
+// Listings created without delivery settings can always be picked up
+export const DEFAULT_DELIVERY_OPTIONS = [{ method: 'pickup' }];
+
+const RULE_FIELDS = ['maxDistanceKm', 'maxWeightKg', 'baseFee', 'feePerKm', 'feePerKg', 'freeOverAmount'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Fills in each method's default rules; a method listed twice keeps the last entry
+export const normalizeDeliveryOptions = (options) => {
+  const byMethod = new Map();
+  options.forEach(option => {
+    const { defaults } = DELIVERY_METHODS[option.method];
+    const rules = { method: option.method };
+    RULE_FIELDS.filter(field => field in defaults).forEach(field => {
+      const value = option[field] ?? defaults[field];
+      rules[field] = value === null ? null : parseFloat(value);
+    });
+    if (option.method === 'pickup' && option.instructions) {
+      rules.instructions = String(option.instructions);
+    }
+    byMethod.set(option.method, rules);
+  });
+  return [...byMethod.values()];
+};
+
+export const getDeliveryOptions = (product) =>
+  product.deliveryOptions?.length ? product.deliveryOptions : normalizeDeliveryOptions(DEFAULT_DELIVERY_OPTIONS);
+
+// Rough days in transit, for display only
+const estimateDays = (method, distanceKm) => {
+  if (method === 'pickup') return 0;
+  if (method === 'seller_delivery') return 1;
+  return 1 + Math.ceil(distanceKm / 300);
+};
+
+// Prices one method for one listing. Returns { fee }, or { reason, params }
+// (an English message template) when the listing can't be delivered this way.
+const priceOption = (rules, { distanceKm, weightKg, subtotal }) => {
+  if (rules.method === 'pickup') return { fee: 0 };
+
+  if (distanceKm === null) return { reason: 'Delivery location unknown', params: {} };
+  if (rules.maxDistanceKm !== null && rules.maxDistanceKm !== undefined && distanceKm > rules.maxDistanceKm) {
+    return { reason: 'Only delivers within {km} km', params: { km: rules.maxDistanceKm } };
+  }
+  if (rules.maxWeightKg !== null && rules.maxWeightKg !== undefined && weightKg > rules.maxWeightKg) {
+    return { reason: 'Only ships up to {kg} kg', params: { kg: rules.maxWeightKg } };
+  }
+  if (rules.freeOverAmount !== null && subtotal >= rules.freeOverAmount) return { fee: 0 };
+
+  return { fee: round(rules.baseFee + rules.feePerKm * distanceKm + rules.feePerKg * weightKg) };
+};
+
+// Options for one seller's shipment. Everything in it travels together, so a
+// method is offered only if every listing offers it, and costs what the
+// most expensive listing's rules say for the whole parcel.
+//   listings: [{ product, distanceKm }]
+export const quoteShipment = (listings, { weightKg, subtotal }) => {
+  return Object.entries(DELIVERY_METHODS).flatMap(([method, { label }]) => {
+    const perListing = listings.map(({ product, distanceKm }) => {
+      const rules = getDeliveryOptions(product).find(option => option.method === method);
+      return rules ? { rules, distanceKm, ...priceOption(rules, { distanceKm, weightKg, subtotal }) } : null;
+    });
+    if (perListing.some(quote => quote === null)) return [];
+
+    const blocked = perListing.find(quote => quote.reason);
+    const distances = listings.map(({ distanceKm }) => distanceKm).filter(distance => distance !== null);
+    const option = {
+      method,
+      label,
+      available: !blocked,
+      fee: blocked ? null : Math.max(...perListing.map(quote => quote.fee)),
+      estimatedDays: blocked ? null : estimateDays(method, distances.length ? Math.max(...distances) : 0)
+    };
+    if (blocked) Object.assign(option, { reason: blocked.reason, reasonParams: blocked.params });
+    if (method === 'pickup' && perListing[0].rules.instructions) option.instructions = perListing[0].rules.instructions;
+    return [option];
+  });
+};
@@ -0,0 +1,285 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import migrations from './migrations.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Every collection the app uses. `getId` is only needed when the id
+// does not live on the document's top-level `id` field.
+export const COLLECTIONS = {
+  _meta: {},
+  users: { getId: (user) => user.userData.id },
+  products: {},
+  orders: {},
+  conversations: {},
+  messages: {},
+  reviews: {},
+  scans: {},
+  plants: {},
+  knowledge: {},
+  sessions: {},
+  passwordResets: {},
+  reports: {},
+  auditLog: {},
+  priceHistory: {},
+  priceAlerts: {},
+  carts: {},
+  shippingQuotes: {},
+  payments: {},
+  paymentEvents: {},
+  ledger: {},
+  notifications: {},
+  outbreaks: {},
+  plantings: {},
+  farms: {},
+  cropCycles: {},
+  listingViews: {}
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// The fields the app stores Dates in: every `*At`, a batch's `bestBefore`
+// and a farm record's `date`
+const DATE_FIELD = /At$|^(bestBefore|date)$/;
+
+// JSON has no Date type, so bring timestamps back as Dates on load. Only
+// known date fields: a message or review that happens to read like a
+// timestamp stays text.
+const reviveDates = (key, value) => {
+  return typeof value === 'string' && DATE_FIELD.test(key) && ISO_DATE.test(value) ? new Date(value) : value;
+};
+
+// ==================== DRIVERS ====================
+//
+// A driver only has to load a whole collection once at startup and then
+// apply single-document upserts/removals. Reads are served from memory.
+
+const createMemoryDriver = () => ({
+  name: 'memory',
+  async connect() {},
+  async load() { return []; },
+  upsert() {},
+  remove() {},
+  async flush() {},
+  async close() {}
+});
+
+const createFileDriver = (dataDir) => {
+  const collections = new Map();
+  const timers = new Map();
+
+  const writeCollection = async (name) => {
+    clearTimeout(timers.get(name));
+    timers.delete(name);
+
+    const file = path.join(dataDir, `${name}.json`);
+    const docs = [...collections.get(name).values()];
+    // Write then rename so a crash mid-write never leaves half a file
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(docs, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  };
+
+  const scheduleWrite = (name) => {
+    if (timers.has(name)) return;
+    timers.set(name, setTimeout(() => {
+      writeCollection(name).catch(error => console.error(`Storage write error (${name}):`, error));
+    }, 100));
+  };
+
+  return {
+    name: 'file',
+    async connect() {
+      await fs.mkdir(dataDir, { recursive: true });
+    },
+    async load(name, getId) {
+      let docs = [];
+      try {
+        docs = JSON.parse(await fs.readFile(path.join(dataDir, `${name}.json`), 'utf8'), reviveDates);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      collections.set(name, new Map(docs.map(doc => [getId(doc), doc])));
+      return docs;
+    },
+    upsert(name, id, doc) {
+      collections.get(name).set(id, doc);
+      scheduleWrite(name);
+    },
+    remove(name, id) {
+      collections.get(name).delete(id);
+      scheduleWrite(name);
+    },
+    async flush() {
+      await Promise.all([...timers.keys()].map(writeCollection));
+    },
+    async close() {
+      await this.flush();
+    }
+  };
+};
+
+const createMongoDriver = (uri) => {
+  let client;
+  let db;
+  const queues = new Map();
+
+  // Keep writes to one collection in order without blocking the request
+  const enqueue = (name, task) => {
+    const next = (queues.get(name) || Promise.resolve())
+      .then(task)
+      .catch(error => console.error(`MongoDB write error (${name}):`, error));
+    queues.set(name, next);
+    return next;
+  };
+
+  return {
+    name: 'mongodb',
+    async connect() {
+      const { MongoClient } = await import('mongodb');
+      client = new MongoClient(uri);
+      await client.connect();
+      db = client.db();
+    },
+    async load(name) {
+      return db.collection(name).find({}, { projection: { _id: 0, _key: 0 } }).toArray();
+    },
+    upsert(name, id, doc) {
+      enqueue(name, () => db.collection(name).replaceOne({ _key: id }, { ...doc, _key: id }, { upsert: true }));
+    },
+    remove(name, id) {
+      enqueue(name, () => db.collection(name).deleteOne({ _key: id }));
+    },
+    async flush() {
+      await Promise.all(queues.values());
+    },
+    async close() {
+      await this.flush();
+      await client.close();
+    }
+  };
+};
+
+// ==================== REPOSITORY ====================
+
+// Routes work against this in-memory view synchronously, so checks such as
+// "is there enough stock" and the write that follows cannot interleave with
+// another request. Persistence happens behind it through the driver.
+const createRepository = (name, driver, { getId = (doc) => doc.id } = {}) => {
+  let items = [];
+
+  return {
+    name,
+    getId,
+    async load() {
+      items = await driver.load(name, getId);
+    },
+    all() {
+      return [...items];
+    },
+    count(predicate) {
+      return predicate ? items.filter(predicate).length : items.length;
+    },
+    find(predicate) {
+      return items.find(predicate);
+    },
+    findById(id) {
+      return items.find(doc => getId(doc) === id);
+    },
+    filter(predicate) {
+      return items.filter(predicate);
+    },
+    some(predicate) {
+      return items.some(predicate);
+    },
+    insert(doc) {
+      items.push(doc);
+      driver.upsert(name, getId(doc), doc);
+      return doc;
+    },
+    // Persist a document that was changed in place
+    save(doc) {
+      driver.upsert(name, getId(doc), doc);
+      return doc;
+    },
+    remove(id) {
+      const index = items.findIndex(doc => getId(doc) === id);
+      if (index === -1) return false;
+      items.splice(index, 1);
+      driver.remove(name, id);
+      return true;
+    }
+  };
+};
+
+// ==================== STORE ====================
+
+export const createStore = ({ driver }) => {
+  const repositories = new Map();
+
+  return {
+    driver: driver.name,
+    collection(name) {
+      if (!repositories.has(name)) {
+        if (!COLLECTIONS[name]) throw new Error(`Unknown collection: ${name}`);
+        repositories.set(name, createRepository(name, driver, COLLECTIONS[name]));
+      }
+      return repositories.get(name);
+    },
+    async connect() {
+      await driver.connect();
+      for (const name of Object.keys(COLLECTIONS)) {
+        await this.collection(name).load();
+      }
+    },
+    flush: () => driver.flush(),
+    close: () => driver.close()
+  };
+};
+
+export const runMigrations = async (store) => {
+  const meta = store.collection('_meta');
+  let schema = meta.findById('schema');
+
+  if (!schema) {
+    schema = meta.insert({ id: 'schema', version: 0, applied: [] });
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= schema.version) continue;
+
+    console.log(`🗄️  Running migration ${migration.version}: ${migration.name}`);
+    await migration.up(store);
+    schema.version = migration.version;
+    schema.applied.push({ version: migration.version, name: migration.name, appliedAt: new Date() });
+    meta.save(schema);
+  }
+
+  await store.flush();
+  return schema.version;
+};
+
+const resolveDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER ||
+    (process.env.MONGODB_URI ? 'mongodb' : process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+  switch (driverName) {
+    case 'memory':
+      return createMemoryDriver();
+    case 'file':
+      return createFileDriver(process.env.DATA_DIR || path.join(__dirname, 'data'));
+    case 'mongodb':
+      if (!process.env.MONGODB_URI) throw new Error('MONGODB_URI is required for the mongodb storage driver');
+      return createMongoDriver(process.env.MONGODB_URI);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+  }
+};
+
+// Connects the configured driver, loads every collection and brings the schema up to date
+export const openStore = async () => {
+  const store = createStore({ driver: resolveDriver() });
+  await store.connect();
+  await runMigrations(store);
+  return store;
+};
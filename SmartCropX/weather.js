@@ -0,0 +1,352 @@
+// Forecasts from a pluggable weather provider, and the farm advisories
+// derived from them.
+//
+// A provider exposes `getForecast({ lat, lng, region })` resolving
+//   { provider, location, generatedAt,
+//     hourly: [{ time, tempC, rainMm, rainChance, windKph, humidity }],   next 48 hours
+//     daily:  [{ date, tempMinC, tempMaxC, rainMm, rainChance, windKph, humidity }] }  next 5 days
+// WEATHER_PROVIDER picks it: fixture (canned local forecasts, the default
+// outside production) or open-meteo.
+
+const HOURLY_HOURS = 48;
+const FORECAST_DAYS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Farms are in the Philippines: days start at UTC+8
+const LOCAL_OFFSET_HOURS = 8;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const localDate = (time) => new Date(time.getTime() + LOCAL_OFFSET_HOURS * HOUR_MS).toISOString().slice(0, 10);
+
+// ==================== FIXTURE PROVIDER ====================
+
+// Five days of weather per scenario, starting today
+export const FIXTURE_SCENARIOS = {
+  fair: [
+    { tempMinC: 24, tempMaxC: 31, rainMm: 0, rainChance: 10, windKph: 8, humidity: 70 },
+    { tempMinC: 24, tempMaxC: 32, rainMm: 0, rainChance: 10, windKph: 10, humidity: 68 },
+    { tempMinC: 25, tempMaxC: 32, rainMm: 1, rainChance: 20, windKph: 9, humidity: 72 },
+    { tempMinC: 25, tempMaxC: 31, rainMm: 4, rainChance: 40, windKph: 12, humidity: 78 },
+    { tempMinC: 24, tempMaxC: 30, rainMm: 6, rainChance: 50, windKph: 12, humidity: 80 }
+  ],
+  rainy: [
+    { tempMinC: 16, tempMaxC: 22, rainMm: 12, rainChance: 80, windKph: 12, humidity: 90 },
+    { tempMinC: 15, tempMaxC: 21, rainMm: 25, rainChance: 90, windKph: 15, humidity: 92 },
+    { tempMinC: 15, tempMaxC: 21, rainMm: 18, rainChance: 85, windKph: 14, humidity: 90 },
+    { tempMinC: 16, tempMaxC: 23, rainMm: 6, rainChance: 60, windKph: 10, humidity: 86 },
+    { tempMinC: 16, tempMaxC: 24, rainMm: 2, rainChance: 30, windKph: 8, humidity: 80 }
+  ],
+  hot: [
+    { tempMinC: 27, tempMaxC: 35, rainMm: 0, rainChance: 5, windKph: 10, humidity: 60 },
+    { tempMinC: 28, tempMaxC: 36, rainMm: 0, rainChance: 5, windKph: 9, humidity: 58 },
+    { tempMinC: 28, tempMaxC: 37, rainMm: 0, rainChance: 10, windKph: 8, humidity: 55 },
+    { tempMinC: 27, tempMaxC: 35, rainMm: 0, rainChance: 10, windKph: 11, humidity: 60 },
+    { tempMinC: 27, tempMaxC: 34, rainMm: 3, rainChance: 30, windKph: 12, humidity: 66 }
+  ],
+  typhoon: [
+    { tempMinC: 24, tempMaxC: 29, rainMm: 20, rainChance: 80, windKph: 35, humidity: 88 },
+    { tempMinC: 23, tempMaxC: 27, rainMm: 120, rainChance: 100, windKph: 95, humidity: 95 },
+    { tempMinC: 23, tempMaxC: 27, rainMm: 60, rainChance: 95, windKph: 60, humidity: 94 },
+    { tempMinC: 24, tempMaxC: 29, rainMm: 10, rainChance: 60, windKph: 25, humidity: 88 },
+    { tempMinC: 24, tempMaxC: 30, rainMm: 3, rainChance: 30, windKph: 12, humidity: 80 }
+  ]
+};
+
+// Which canned forecast each demo region gets; everything else is fair
+const FIXTURE_REGIONS = {
+  benguet: 'rainy',
+  baguio: 'rainy',
+  'metro manila': 'hot',
+  manila: 'hot',
+  'quezon city': 'hot'
+};
+
+// Spreads a day's rain over the afternoon, when the showers usually come
+const fixtureHour = (day, localHour) => {
+  const rainy = localHour >= 13 && localHour < 19;
+  const warmth = Math.max(0, Math.sin((localHour - 8) / 12 * Math.PI));
+  return {
+    tempC: round(day.tempMinC + (day.tempMaxC - day.tempMinC) * warmth),
+    rainMm: rainy ? round(day.rainMm / 6) : 0,
+    rainChance: rainy ? day.rainChance : Math.round(day.rainChance / 4),
+    windKph: day.windKph,
+    humidity: day.humidity
+  };
+};
+
+// WEATHER_FIXTURE forces one scenario everywhere (e.g. `typhoon` to try the warnings)
+const createFixtureProvider = () => ({
+  name: 'fixture',
+  async getForecast({ lat, lng, region }) {
+    const scenario = process.env.WEATHER_FIXTURE || FIXTURE_REGIONS[(region || '').trim().toLowerCase()] || 'fair';
+    const days = FIXTURE_SCENARIOS[scenario];
+    if (!days) throw new Error(`Unknown WEATHER_FIXTURE: ${scenario}`);
+
+    const now = new Date();
+    const start = new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS);
+    const today = localDate(now);
+    const dayIndex = (time) => Math.round((Date.parse(localDate(time)) - Date.parse(today)) / DAY_MS);
+
+    return {
+      provider: 'fixture',
+      location: { lat, lng, region: region || null },
+      generatedAt: now,
+      hourly: Array.from({ length: HOURLY_HOURS }, (_, i) => {
+        const time = new Date(start.getTime() + i * HOUR_MS);
+        const localHour = (time.getUTCHours() + LOCAL_OFFSET_HOURS) % 24;
+        return { time, ...fixtureHour(days[Math.min(dayIndex(time), days.length - 1)], localHour) };
+      }),
+      daily: days.slice(0, FORECAST_DAYS).map((day, i) => ({
+        date: localDate(new Date(now.getTime() + i * DAY_MS)),
+        ...day
+      }))
+    };
+  }
+});
+
+// ==================== OPEN-METEO PROVIDER ====================
+
+const createOpenMeteoProvider = ({ baseUrl }) => ({
+  name: 'open-meteo',
+  async getForecast({ lat, lng, region }) {
+    const params = new URLSearchParams({
+      latitude: lat,
+      longitude: lng,
+      hourly: 'temperature_2m,precipitation,precipitation_probability,wind_speed_10m,relative_humidity_2m',
+      daily: 'temperature_2m_min,temperature_2m_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max,relative_humidity_2m_mean',
+      forecast_days: FORECAST_DAYS,
+      timezone: 'Asia/Manila',
+      wind_speed_unit: 'kmh'
+    });
+    const response = await fetch(`${baseUrl}/v1/forecast?${params}`, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+      throw new Error(`Open-Meteo responded with ${response.status}`);
+    }
+
+    const { hourly, daily } = await response.json();
+    // Times come back as local "YYYY-MM-DDTHH:mm"
+    const toDate = (local) => new Date(`${local}:00+08:00`);
+    const from = Date.now() - HOUR_MS;
+
+    return {
+      provider: 'open-meteo',
+      location: { lat, lng, region: region || null },
+      generatedAt: new Date(),
+      hourly: hourly.time
+        .map((time, i) => ({
+          time: toDate(time),
+          tempC: hourly.temperature_2m[i],
+          rainMm: hourly.precipitation[i] ?? 0,
+          rainChance: hourly.precipitation_probability[i] ?? 0,
+          windKph: hourly.wind_speed_10m[i],
+          humidity: hourly.relative_humidity_2m[i]
+        }))
+        .filter(hour => hour.time.getTime() >= from)
+        .slice(0, HOURLY_HOURS),
+      daily: daily.time.map((date, i) => ({
+        date,
+        tempMinC: daily.temperature_2m_min[i],
+        tempMaxC: daily.temperature_2m_max[i],
+        rainMm: daily.precipitation_sum[i] ?? 0,
+        rainChance: daily.precipitation_probability_max[i] ?? 0,
+        windKph: daily.wind_speed_10m_max[i],
+        humidity: daily.relative_humidity_2m_mean[i]
+      }))
+    };
+  }
+});
+
+// ==================== SERVICE ====================
+
+const createProvider = () => {
+  const name = process.env.WEATHER_PROVIDER || (process.env.NODE_ENV === 'production' ? 'open-meteo' : 'fixture');
+
+  switch (name) {
+    case 'fixture':
+      if (process.env.NODE_ENV === 'production') {
+        console.warn('⚠️  WEATHER_PROVIDER=fixture in production: advisories use canned forecasts');
+      }
+      return createFixtureProvider();
+    case 'open-meteo':
+      return createOpenMeteoProvider({ baseUrl: process.env.OPEN_METEO_URL || 'https://api.open-meteo.com' });
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER: ${name}`);
+  }
+};
+
+// Wraps the configured provider with a short cache: nearby farms (same
+// ~1 km grid cell) share one forecast for WEATHER_CACHE_MINUTES
+export const createWeatherService = () => {
+  const provider = createProvider();
+  const ttlMs = (parseFloat(process.env.WEATHER_CACHE_MINUTES) || 30) * 60 * 1000;
+  const cache = new Map();
+
+  return {
+    name: provider.name,
+    async getForecast({ lat, lng, region }) {
+      const key = `${lat.toFixed(2)},${lng.toFixed(2)}`;
+      const cached = cache.get(key);
+      if (cached && cached.expiresAt > Date.now()) return cached.forecast;
+
+      const forecast = await provider.getForecast({ lat, lng, region });
+      cache.set(key, { forecast, expiresAt: Date.now() + ttlMs });
+      return forecast;
+    }
+  };
+};
+
+// ==================== ADVISORIES ====================
+//
+// Each advisory is { type, severity, title, message, params, startsAt, topics }.
+// Title and message are English templates, translated where they are shown;
+// `topics` are question words (English and Filipino) the advisory answers.
+
+export const ADVISORY_SEVERITIES = ['info', 'warning', 'severe'];
+
+const SPRAY_RAIN_CHANCE = 60;
+const SPRAY_MAX_WIND_KPH = 20;
+const STRONG_WIND_KPH = 60;
+const HEAVY_RAIN_MM = 30;
+const EXTREME_RAIN_MM = 50;
+const HEAT_C = 35;
+const DRY_SPELL_MM = 2;
+const HUMID_PERCENT = 85;
+
+const SPRAY_TOPICS = ['spray', 'pesticide', 'fungicide', 'insecticide', 'herbicide', 'pest', 'peste', 'bomba'];
+const WATER_TOPICS = ['water', 'irrigat', 'tubig', 'dilig', 'patubig'];
+const FERTILIZER_TOPICS = ['fertiliz', 'urea', 'pataba', 'abono'];
+
+const firstHour = (hours, test) => hours.find(test) || null;
+
+const hoursUntil = (time, now) => Math.max(0, Math.round((time.getTime() - now.getTime()) / HOUR_MS));
+
+export const buildAdvisories = (forecast, now = new Date()) => {
+  const advisories = [];
+  const next = (hours) => forecast.hourly.filter(h => h.time.getTime() < now.getTime() + hours * HOUR_MS);
+  const nextDays = (days) => forecast.daily.slice(0, days);
+  const add = (advisory) => advisories.push(advisory);
+
+  const windy = firstHour(next(48), h => h.windKph >= STRONG_WIND_KPH);
+  if (windy) {
+    const peak = Math.max(...next(48).map(h => h.windKph));
+    add({
+      type: 'strong-wind',
+      severity: 'severe',
+      title: 'Strong winds expected',
+      message: 'Winds up to {windKph} km/h expected in {hours}h. Harvest mature crops early, secure trellises and greenhouses, and clear drainage canals.',
+      params: { windKph: Math.round(peak), hours: hoursUntil(windy.time, now) },
+      startsAt: windy.time,
+      topics: ['typhoon', 'bagyo', 'wind', 'hangin', 'harvest']
+    });
+  }
+
+  const wettestDay = nextDays(3).reduce((wettest, day) => (!wettest || day.rainMm > wettest.rainMm ? day : wettest), null);
+  if (wettestDay && wettestDay.rainMm >= HEAVY_RAIN_MM) {
+    add({
+      type: 'heavy-rain',
+      severity: wettestDay.rainMm >= EXTREME_RAIN_MM ? 'severe' : 'warning',
+      title: 'Heavy rain expected',
+      message: 'About {rainMm} mm of rain expected on {date}. Clear drainage canals and hold off on fertilizer until it passes.',
+      params: { rainMm: Math.round(wettestDay.rainMm), date: wettestDay.date },
+      startsAt: new Date(`${wettestDay.date}T00:00:00+08:00`),
+      topics: ['rain', 'ulan', 'flood', 'baha', 'drain', ...FERTILIZER_TOPICS]
+    });
+  }
+
+  const rain = firstHour(next(24), h => h.rainChance >= SPRAY_RAIN_CHANCE && h.rainMm >= 1);
+  const gusty = firstHour(next(12), h => h.windKph >= SPRAY_MAX_WIND_KPH);
+  if (rain) {
+    add({
+      type: 'spraying',
+      severity: 'warning',
+      title: 'Postpone spraying',
+      message: 'Rain expected in {hours}h: postpone fungicide and pesticide spraying so it is not washed off.',
+      params: { hours: hoursUntil(rain.time, now) },
+      startsAt: rain.time,
+      topics: SPRAY_TOPICS
+    });
+  } else if (gusty) {
+    add({
+      type: 'spraying',
+      severity: 'warning',
+      title: 'Too windy to spray',
+      message: 'Winds up to {windKph} km/h in the next 12h: avoid spraying so it does not drift.',
+      params: { windKph: Math.round(Math.max(...next(12).map(h => h.windKph))) },
+      startsAt: gusty.time,
+      topics: SPRAY_TOPICS
+    });
+  } else {
+    add({
+      type: 'spraying',
+      severity: 'info',
+      title: 'Good spraying window',
+      message: 'No rain expected in the next 24h and winds are light: spray early in the morning or late in the afternoon.',
+      params: {},
+      startsAt: now,
+      topics: SPRAY_TOPICS
+    });
+  }
+
+  const hottest = nextDays(3).reduce((hottestDay, day) => (!hottestDay || day.tempMaxC > hottestDay.tempMaxC ? day : hottestDay), null);
+  if (hottest && hottest.tempMaxC >= HEAT_C) {
+    add({
+      type: 'heat',
+      severity: 'warning',
+      title: 'Heat stress expected',
+      message: 'Up to {tempC}°C expected on {date}. Water early in the morning, mulch the beds and avoid transplanting at midday.',
+      params: { tempC: Math.round(hottest.tempMaxC), date: hottest.date },
+      startsAt: new Date(`${hottest.date}T00:00:00+08:00`),
+      topics: ['heat', 'mainit', 'transplant', 'lipat', ...WATER_TOPICS]
+    });
+  }
+
+  const rainNext3Days = round(nextDays(3).reduce((total, day) => total + day.rainMm, 0));
+  if (rain) {
+    add({
+      type: 'irrigation',
+      severity: 'info',
+      title: 'Skip irrigation',
+      message: 'Rain expected in {hours}h: skip irrigation and let the rain water the field.',
+      params: { hours: hoursUntil(rain.time, now) },
+      startsAt: now,
+      topics: WATER_TOPICS
+    });
+  } else if (rainNext3Days < DRY_SPELL_MM) {
+    add({
+      type: 'irrigation',
+      severity: 'info',
+      title: 'Dry days ahead',
+      message: 'Only {rainMm} mm of rain expected over the next {days} days: irrigate early in the morning or late in the afternoon.',
+      params: { rainMm: rainNext3Days, days: 3 },
+      startsAt: now,
+      topics: WATER_TOPICS
+    });
+  }
+
+  const humidDays = nextDays(3).filter(day => day.humidity >= HUMID_PERCENT && day.rainMm >= 5);
+  if (humidDays.length >= 2) {
+    add({
+      type: 'disease-risk',
+      severity: 'warning',
+      title: 'High fungal disease risk',
+      message: 'Wet, humid days ahead: scout for blight and leaf spots, remove infected leaves and improve air flow between plants.',
+      params: {},
+      startsAt: new Date(`${humidDays[0].date}T00:00:00+08:00`),
+      topics: ['disease', 'sakit', 'fung', 'blight', 'spot', 'amag']
+    });
+  }
+
+  const order = { severe: 0, warning: 1, info: 2 };
+  return advisories.sort((a, b) => order[a.severity] - order[b.severity]);
+};
+
+// Advisories worth adding to an answer: every severe one, plus those on the
+// question's topic
+export const advisoriesForQuestion = (advisories, question) => {
+  const text = String(question || '').toLowerCase();
+  return advisories.filter(advisory =>
+    advisory.severity === 'severe' || advisory.topics.some(topic => text.includes(topic))
+  );
+};